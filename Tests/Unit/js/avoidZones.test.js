@@ -0,0 +1,124 @@
+// avoidZones.test.js
+// Point-in-polygon, weighted segment costs, faction territories and detours
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+const AvoidZoneManager = require('../../../js/avoidZones.js');
+
+// 0.01 degree square around the origin
+const square = [[-0.005, -0.005], [-0.005, 0.005], [0.005, 0.005], [0.005, -0.005]];
+
+describe('pointInPolygon', () => {
+    test('finds points inside and outside a square', () => {
+        assert.equal(AvoidZoneManager.pointInPolygon({ lat: 0, lng: 0 }, square), true);
+        assert.equal(AvoidZoneManager.pointInPolygon({ lat: 0.006, lng: 0 }, square), false);
+        assert.equal(AvoidZoneManager.pointInPolygon({ lat: 0, lng: -0.006 }, square), false);
+    });
+
+    test('handles concave polygons', () => {
+        // U shape open to the north: the notch is outside
+        const u = [[0, 0], [0, 3], [3, 3], [3, 2], [1, 2], [1, 1], [3, 1], [3, 0]];
+        assert.equal(AvoidZoneManager.pointInPolygon({ lat: 2, lng: 1.5 }, u), false);
+        assert.equal(AvoidZoneManager.pointInPolygon({ lat: 2, lng: 0.5 }, u), true);
+        assert.equal(AvoidZoneManager.pointInPolygon({ lat: 0.5, lng: 1.5 }, u), true);
+    });
+
+    test('circlePolygon contains its centre but not points beyond the radius', () => {
+        const center = { lat: 40.7, lng: -74 };
+        const circle = AvoidZoneManager.circlePolygon(center, 200);
+        assert.equal(circle.length, 24);
+        assert.equal(AvoidZoneManager.pointInPolygon(center, circle), true);
+        assert.equal(AvoidZoneManager.pointInPolygon({ lat: 40.7 + 250 / 111320, lng: -74 }, circle), false);
+    });
+});
+
+describe('zones', () => {
+    test('addZone requires an id and a polygon', () => {
+        const zones = new AvoidZoneManager();
+        assert.throws(() => zones.addZone({ id: 'x', polygon: [[0, 0], [1, 1]] }), /at least 3 points/);
+    });
+
+    test('zones only apply to their travel modes and until they expire', () => {
+        const zones = new AvoidZoneManager();
+        zones.addNoFlyZone('airport', 'Airport', square);
+        zones.addZone({ id: 'old', polygon: square, expiresAt: Date.now() - 1 });
+
+        assert.equal(zones.getZonesAt({ lat: 0, lng: 0 }, 'aerial').length, 1);
+        assert.equal(zones.getZonesAt({ lat: 0, lng: 0 }, 'car').length, 0);
+    });
+
+    test('signature changes when the zones change', () => {
+        const zones = new AvoidZoneManager();
+        assert.equal(zones.getSignature('foot'), '');
+        zones.addZone({ id: 'a', polygon: square, weight: 3 });
+        const first = zones.getSignature('foot');
+        zones.addZone({ id: 'a', polygon: square, weight: 4 });
+        assert.notEqual(zones.getSignature('foot'), first);
+    });
+});
+
+describe('segment costs', () => {
+    const a = L.latLng(0, -0.01);
+    const b = L.latLng(0, 0.01);
+
+    test('is the distance when no zone is crossed', () => {
+        const zones = new AvoidZoneManager();
+        assert.equal(zones.getSegmentCost(a, b, a.distanceTo(b), 'foot'), a.distanceTo(b));
+    });
+
+    test('weights the part of the segment inside a zone', () => {
+        const zones = new AvoidZoneManager();
+        zones.addZone({ id: 'z', polygon: square, weight: 10 });
+
+        const distance = a.distanceTo(b);
+        // Half the segment is inside the square
+        const expected = distance / 2 + (distance / 2) * 10;
+        assert.ok(Math.abs(zones.getSegmentCost(a, b, distance, 'foot') - expected) / expected < 0.05);
+    });
+
+    test('is Infinity through an impassable zone', () => {
+        const zones = new AvoidZoneManager();
+        zones.addNoFlyZone('nofly', 'No fly', square);
+        assert.equal(zones.getSegmentCost(a, b, a.distanceTo(b), 'aerial'), Infinity);
+        assert.equal(zones.getSegmentCost(a, b, a.distanceTo(b), 'foot'), a.distanceTo(b));
+    });
+
+    test('findDetour goes around a costly zone and reports nothing when straight is free', () => {
+        const zones = new AvoidZoneManager();
+        assert.equal(zones.findDetour(a, b, 'foot'), null);
+
+        zones.addZone({ id: 'z', polygon: square, weight: 10 });
+        const detour = zones.findDetour(a, b, 'foot');
+        assert.ok(detour.length > 2);
+        assert.ok(zones.getPolylineCost(detour, 'foot') < zones.getPolylineCost([a, b], 'foot'));
+        detour.slice(1, -1).forEach(point => assert.equal(zones.getZonesAt(point).length, 0));
+    });
+});
+
+describe('faction territories', () => {
+    const territory = (id, standing) => ({ TerritoryId: id, Name: id, FactionId: 'f', Standing: standing, Polygon: square });
+
+    test('weights territories by the player standing and skips friendly ones', () => {
+        const zones = new AvoidZoneManager();
+        zones.setFactionTerritories([
+            territory('hostile', 'Hostile'),
+            territory('unfriendly', 'Unfriendly'),
+            territory('friendly', 'Friendly'),
+            territory('unknown', null)
+        ]);
+
+        const weights = Object.fromEntries(zones.getZones().map(zone => [zone.id, zone.weight]));
+        assert.deepEqual(weights, { territory_hostile: 10, territory_unfriendly: 3 });
+    });
+
+    test('replaces earlier territories but keeps other zones', () => {
+        const zones = new AvoidZoneManager();
+        zones.addZone({ id: 'alert', polygon: square, source: 'security' });
+        zones.setFactionTerritories([territory('a', 'Hostile')]);
+        zones.setFactionTerritories([territory('b', 'Hostile')]);
+
+        assert.deepEqual(zones.getZones().map(zone => zone.id).sort(), ['alert', 'territory_b']);
+    });
+});
@@ -0,0 +1,75 @@
+// districtLayer.test.js
+// Districts as faction territories for routing, updated on control and standing changes
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+const DistrictLayer = require('../../../js/districtLayer.js');
+const AvoidZoneManager = require('../../../js/avoidZones.js');
+global.PopupRenderer = require('../../../js/popupRenderer.js');
+
+const districts = () => [
+    { Id: 'd1', Name: 'Docks', ControllingFaction: 'gang', Boundaries: { North: 1, South: 0, East: 1, West: 0 } },
+    { Id: 'd2', Name: 'Park', ControllingFaction: 'None', Polygon: [[2, 2], [2, 3], [3, 3]] },
+    { Id: 'd3', Name: 'Market', ControllingFaction: 'guild', Polygon: [[4, 4], [4, 5], [5, 5]] }
+];
+
+// The wiring GameMap sets up between the district layer and routing
+const wired = () => {
+    const layer = new DistrictLayer({});
+    const zones = new AvoidZoneManager();
+    layer.onChange(() => zones.setFactionTerritories(layer.getTerritories()));
+    layer.setFactions([{ FactionId: 'gang', Name: 'Gang', Standing: 'Hostile' }, { FactionId: 'guild', Name: 'Guild', Standing: 'Friendly' }]);
+    layer.setDistricts(districts());
+    return { layer, zones };
+};
+
+describe('territories', () => {
+    test('lists controlled districts with their outline and the player standing', () => {
+        const { layer } = wired();
+        assert.deepEqual(layer.getTerritories(), [
+            { TerritoryId: 'd1', Name: 'Docks', FactionId: 'gang', Standing: 'Hostile', Polygon: [[1, 0], [1, 1], [0, 1], [0, 0]] },
+            { TerritoryId: 'd3', Name: 'Market', FactionId: 'guild', Standing: 'Friendly', Polygon: [[4, 4], [4, 5], [5, 5]] }
+        ]);
+    });
+
+    test('hostile districts become avoid zones', () => {
+        const { zones } = wired();
+        assert.deepEqual(zones.getZones().map(zone => zone.id), ['territory_d1']);
+    });
+
+    test('control changes move the avoid zones', () => {
+        const { layer, zones } = wired();
+        layer.setController('d3', 'gang');
+        assert.deepEqual(zones.getZones().map(zone => zone.id).sort(), ['territory_d1', 'territory_d3']);
+
+        layer.setController('d1', null);
+        assert.deepEqual(zones.getZones().map(zone => zone.id), ['territory_d3']);
+    });
+
+    test('standing changes move the avoid zones', () => {
+        const { layer, zones } = wired();
+        layer.setStanding('gang', 'Neutral');
+        layer.setStanding('guild', 'Unfriendly');
+        assert.deepEqual(zones.getZones().map(zone => [zone.id, zone.weight]), [['territory_d3', 3]]);
+    });
+
+    test('clearing the districts clears the zones', () => {
+        const { layer, zones } = wired();
+        layer.clear();
+        assert.equal(zones.getZones().length, 0);
+    });
+});
+
+describe('tooltips', () => {
+    test('escape district and faction names', () => {
+        const layer = new DistrictLayer({});
+        layer.setFactions([{ FactionId: 'gang', Name: '<b>"Gang\'s"</b>' }]);
+        const html = layer.createTooltipContent({ Id: 'd1', Name: "O'Brien <Docks>", ControllingFaction: 'gang' });
+
+        assert.ok(html.includes('O&#39;Brien &lt;Docks&gt;'));
+        assert.ok(html.includes('&lt;b&gt;&quot;Gang&#39;s&quot;&lt;/b&gt;'));
+        assert.ok(!html.includes('<b>'));
+    });
+});
@@ -0,0 +1,85 @@
+// fogOfWar.test.js
+// Revealing, discovering and saving the explored area
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+global.localStorage = new (require('./helpers/localStorage.js'))();
+const FogOfWar = require('../../../js/fogOfWar.js');
+const { StateManager } = require('../../../js/stateManager.js');
+
+const fakeMap = () => ({ createPane: () => ({ style: {} }), on() {} });
+
+const newStateManager = () => new StateManager({ autoSyncInterval: 0, persistToLocalStorage: false });
+
+describe('FogOfWar', () => {
+    beforeEach(t => {
+        // No canvas under node
+        t.mock.method(FogOfWar.prototype, 'redraw', () => {});
+        t.mock.method(console, 'log', () => {});
+    });
+
+    test('reveals each area once and discovers hidden locations in range', () => {
+        const fog = new FogOfWar(fakeMap(), { radius: 200 });
+        const near = { id: 'near', lat: 0, lng: 0.001, discovered: false };
+        const far = { id: 'far', lat: 0, lng: 0.01, discovered: false };
+        fog.setLocations([near, far]);
+
+        assert.equal(fog.reveal(L.latLng(0, 0)), true);
+        assert.equal(fog.reveal(L.latLng(0, 0.0001)), false, 'same grid cell');
+        assert.equal(near.discovered, true);
+        assert.equal(far.discovered, false);
+        assert.equal(fog.isHidden(far), true);
+        fog.setEnabled(false);
+        assert.equal(fog.isHidden(far), false);
+    });
+
+    test('saves reveals once they stop for saveDelay', t => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const stateManager = newStateManager();
+        const fog = new FogOfWar(fakeMap(), { stateManager, saveDelay: 1000 });
+
+        fog.reveal(L.latLng(0, 0));
+        t.mock.timers.tick(900);
+        fog.reveal(L.latLng(0, 0.01));
+        t.mock.timers.tick(900);
+        assert.equal(stateManager.state.trackers.has('exploration'), false);
+
+        t.mock.timers.tick(100);
+        assert.equal(stateManager.getEntityState('exploration').snapshot.revealed.length, 2);
+    });
+
+    test('saves one copied snapshot per save', () => {
+        const stateManager = newStateManager();
+        const fog = new FogOfWar(fakeMap(), { stateManager });
+
+        fog.reveal(L.latLng(0, 0));
+        fog.save();
+        fog.reveal(L.latLng(0, 0.01));
+        fog.save();
+
+        const tracker = stateManager.state.trackers.get('exploration');
+        assert.equal(tracker.changes.length, 1, 'one change for the second save');
+        assert.deepEqual(tracker.changes[0].oldValue.revealed, [[0, 0]], 'earlier saves are not changed by later reveals');
+        assert.notEqual(tracker.currentState.snapshot.revealed, fog.revealed);
+    });
+
+    test('loads snapshots and saves from before snapshots', () => {
+        const stateManager = newStateManager();
+        stateManager.registerEntity('exploration', 'Exploration', {
+            snapshot: { radius: 300, revealed: [[1, 2]], discovered: ['a'] }
+        });
+        const fog = new FogOfWar(fakeMap(), { stateManager });
+        assert.equal(fog.radius, 300);
+        assert.deepEqual(fog.revealed, [[1, 2]]);
+
+        const legacy = newStateManager();
+        legacy.registerEntity('exploration', 'Exploration', { radius: 250, revealed: [[3, 4]], discovered: ['b'] });
+        const location = { id: 'b', lat: 50, lng: 50, discovered: false };
+        const older = new FogOfWar(fakeMap(), { stateManager: legacy });
+        older.setLocations([location]);
+        assert.deepEqual(older.revealed, [[3, 4]]);
+        assert.equal(location.discovered, true);
+    });
+});
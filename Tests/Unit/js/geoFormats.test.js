@@ -0,0 +1,143 @@
+// geoFormats.test.js
+// GeoJSON location import/export and GPX / GeoJSON track conversion
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.DOMParser = require('./helpers/domParser.js');
+const GeoFormats = require('../../../js/geoFormats.js');
+
+const point = (coordinates, properties = {}, id) => ({
+    type: 'Feature',
+    ...(id !== undefined ? { id } : {}),
+    geometry: { type: 'Point', coordinates },
+    properties
+});
+
+describe('locations as GeoJSON', () => {
+    test('round-trips game locations', () => {
+        const locations = [
+            { id: 'vault', lat: 40.7, lng: -74, name: 'Vault', type: 'treasure', description: 'Deep', items: ['Key'], points: 50, experience: 10, discovered: true, radius: 75 }
+        ];
+        const geojson = GeoFormats.locationsToGeoJSON(locations);
+
+        assert.deepEqual(geojson.features[0].geometry, { type: 'Point', coordinates: [-74, 40.7] });
+        assert.equal(geojson.features[0].properties.lat, undefined);
+
+        const { locations: imported, skipped } = GeoFormats.locationsFromGeoJSON(geojson);
+        assert.equal(skipped, 0);
+        assert.deepEqual(imported, locations);
+    });
+
+    test('fills in defaults and parses flattened properties', () => {
+        const { locations } = GeoFormats.locationsFromGeoJSON({
+            type: 'FeatureCollection',
+            features: [point(['-73.99', '40.75'], { title: 'Shop', type: 'SHOP', points: '25', items: 'Map, Rope', discovered: 'true' })]
+        });
+
+        assert.deepEqual(locations[0], {
+            title: 'Shop',
+            id: 'location_1',
+            lat: 40.75,
+            lng: -73.99,
+            name: 'Shop',
+            type: 'shop',
+            description: '',
+            items: ['Map', 'Rope'],
+            points: 25,
+            experience: 0,
+            discovered: true
+        });
+    });
+
+    test('skips non-point features and replaces repeated ids', () => {
+        const { locations, skipped } = GeoFormats.locationsFromGeoJSON({
+            type: 'FeatureCollection',
+            features: [
+                point([0, 0], { id: 'a' }),
+                point([1, 1], { id: 'a' }),
+                point(['x', 1], { id: 'b' }),
+                { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: {} }
+            ]
+        });
+
+        assert.deepEqual(locations.map(location => location.id), ['a', 'location_2']);
+        assert.equal(skipped, 2);
+    });
+
+    test('accepts a single Feature and rejects other JSON', () => {
+        assert.equal(GeoFormats.locationsFromGeoJSON(point([0, 0], {}, 'solo')).locations[0].id, 'solo');
+        assert.throws(() => GeoFormats.locationsFromGeoJSON({ locations: [] }), /Not a GeoJSON/);
+    });
+
+    test('parseItems reads arrays, JSON strings and comma lists', () => {
+        assert.deepEqual(GeoFormats.parseItems(['a', 2]), ['a', '2']);
+        assert.deepEqual(GeoFormats.parseItems('["a","b"]'), ['a', 'b']);
+        assert.deepEqual(GeoFormats.parseItems('[a, b'), ['[a', 'b']);
+        assert.deepEqual(GeoFormats.parseItems(' a, ,b '), ['a', 'b']);
+        assert.deepEqual(GeoFormats.parseItems(null), []);
+    });
+});
+
+describe('tracks', () => {
+    const segments = [
+        {
+            travelMode: 'car',
+            points: [
+                { lat: 40.7, lng: -74, time: '2024-05-01T10:00:00.000Z' },
+                { lat: 40.71, lng: -74.01, time: '2024-05-01T10:01:00.000Z' }
+            ]
+        },
+        { travelMode: 'foot', points: [{ lat: 40.8, lng: -73.9, time: '2024-05-01T11:00:00.000Z' }] }
+    ];
+
+    test('GeoJSON has one LineString per trip with point times', () => {
+        const geojson = GeoFormats.trackToGeoJSON(segments);
+
+        assert.equal(geojson.features.length, 1);
+        assert.deepEqual(geojson.features[0].geometry.coordinates, [[-74, 40.7], [-74.01, 40.71]]);
+        assert.deepEqual(geojson.features[0].properties.coordTimes, segments[0].points.map(p => p.time));
+        assert.equal(geojson.features[0].properties.travelMode, 'car');
+    });
+
+    test('GPX has one escaped <trk> per trip', () => {
+        const gpx = GeoFormats.trackToGPX(segments, 'Tom & Jerry <3');
+
+        assert.ok(gpx.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+        assert.ok(gpx.includes('<name>Tom &amp; Jerry &lt;3</name>'));
+        assert.equal(gpx.match(/<trk>/g).length, 1);
+        assert.ok(gpx.includes('<type>car</type>'));
+        assert.ok(gpx.includes('<trkpt lat="40.710000" lon="-74.010000"><time>2024-05-01T10:01:00.000Z</time></trkpt>'));
+    });
+
+    test('GPX export reads back as the same points', () => {
+        assert.deepEqual(GeoFormats.trackFromGPX(GeoFormats.trackToGPX(segments)), segments[0].points);
+    });
+
+    test('GPX without tracks falls back to route points, then waypoints', () => {
+        const gpx = body => `<?xml version="1.0"?><gpx version="1.1">${body}</gpx>`;
+
+        assert.deepEqual(
+            GeoFormats.trackFromGPX(gpx('<wpt lat="1" lon="2"/><rte><rtept lat="3" lon="4"/></rte>')),
+            [{ lat: 3, lng: 4, time: null }]
+        );
+        assert.deepEqual(
+            GeoFormats.trackFromGPX(gpx('<wpt lat="1" lon="2"><time> 2024-01-01T00:00:00Z </time></wpt>')),
+            [{ lat: 1, lng: 2, time: '2024-01-01T00:00:00Z' }]
+        );
+    });
+
+    test('GPX points without coordinates are dropped', () => {
+        const gpx = '<gpx><trk><trkseg><trkpt lat="1" lon="2"/><trkpt lat="x" lon="2"/><trkpt lon="5"/></trkseg></trk></gpx>';
+        assert.deepEqual(GeoFormats.trackFromGPX(gpx), [{ lat: 1, lng: 2, time: null }]);
+    });
+
+    test('rejects documents that are not GPX', () => {
+        assert.throws(() => GeoFormats.trackFromGPX('<kml><Placemark/></kml>'), /Not a GPX file/);
+        assert.throws(() => GeoFormats.trackFromGPX('<gpx><trk></gpx>'), /Not a GPX file/);
+    });
+
+    test('escapeXml escapes markup and quotes', () => {
+        assert.equal(GeoFormats.escapeXml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+    });
+});
@@ -0,0 +1,82 @@
+// gpsTracker.test.js
+// Filtering and smoothing of raw GPS fixes
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+const GpsTracker = require('../../../js/gpsTracker.js');
+
+const fix = (lat, lng, seconds, accuracy = 10) => ({ lat, lng, accuracy, timestamp: seconds * 1000 });
+
+describe('GpsTracker', () => {
+    beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+    test('drops fixes less accurate than maxAccuracy', () => {
+        const tracker = new GpsTracker({ geolocation: {}, maxAccuracy: 50 });
+        const reasons = [];
+        tracker.onRejected(({ reason }) => reasons.push(reason));
+
+        assert.equal(tracker.handleFix(fix(40.7, -74, 0, 80)), null);
+        assert.deepEqual(tracker.stats, { accepted: 0, rejected: 1 });
+        assert.match(reasons[0], /accuracy 80m/);
+    });
+
+    test('ignores repeated and out-of-order fixes', () => {
+        const tracker = new GpsTracker({ geolocation: {} });
+        tracker.handleFix(fix(40.7, -74, 10));
+
+        assert.equal(tracker.handleFix(fix(40.7001, -74, 10)), null);
+        assert.equal(tracker.handleFix(fix(40.7001, -74, 5)), null);
+        assert.deepEqual(tracker.stats, { accepted: 1, rejected: 0 });
+    });
+
+    test('rejects jumps until maxRejections in a row, then starts again from there', () => {
+        const tracker = new GpsTracker({ geolocation: {}, maxRejections: 2 });
+        tracker.handleFix(fix(40.7, -74, 0));
+
+        // About 11km away, far faster than 50 m/s
+        assert.equal(tracker.handleFix(fix(40.8, -74, 10)), null);
+        assert.equal(tracker.handleFix(fix(40.8, -74, 20)), null);
+        const position = tracker.handleFix(fix(40.8, -74, 30));
+
+        assert.equal(position.lat, 40.8, 'the smoothed position restarts at the new fix');
+        assert.equal(tracker.rejections, 0);
+        assert.deepEqual(tracker.stats, { accepted: 2, rejected: 2 });
+    });
+
+    test('movement within both fixes\' accuracy is never a jump', () => {
+        const tracker = new GpsTracker({ geolocation: {}, maxSpeed: 1 });
+        tracker.handleFix(fix(40.7, -74, 0, 50));
+
+        // About 89m in one second, but each fix may be 50m off
+        assert.notEqual(tracker.handleFix(fix(40.7008, -74, 1, 50)), null);
+    });
+
+    test('smooths fixes in proportion to their accuracy', () => {
+        const tracker = new GpsTracker({ geolocation: {}, processNoise: 3 });
+        const positions = [];
+        tracker.onPosition(position => positions.push(position));
+
+        tracker.handleFix(fix(0, 0, 0, 10));
+        tracker.handleFix(fix(0.0001, 0, 1, 10));
+
+        // Variance 100 grows by 1s * 3² before the second fix (variance 100) is weighed in
+        const gain = 109 / 209;
+        assert.equal(positions.length, 2);
+        assert.ok(Math.abs(positions[1].lat - 0.0001 * gain) < 1e-12);
+        assert.ok(Math.abs(positions[1].accuracy - Math.sqrt((1 - gain) * 109)) < 1e-9);
+        assert.equal(positions[1].rawAccuracy, 10);
+    });
+
+    test('reports a missing Geolocation API or an empty recorded track', () => {
+        const tracker = new GpsTracker({ geolocation: null });
+        const codes = [];
+        tracker.onError(({ code }) => codes.push(code));
+
+        assert.equal(tracker.start(), false);
+        assert.equal(tracker.startSimulation([]), false);
+        assert.deepEqual(codes, ['unsupported', 'empty']);
+        assert.equal(tracker.isRunning(), false);
+    });
+});
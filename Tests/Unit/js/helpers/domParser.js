@@ -0,0 +1,83 @@
+// domParser.js
+// A small XML DOMParser for running GPX parsing under node
+//
+// Supports elements, attributes, text and self-closing tags, and the bits of the DOM
+// API GeoFormats uses (documentElement, getElementsByTagName, getAttribute, textContent).
+// Badly nested documents get a <parsererror> root, as browsers do.
+
+class XmlElement {
+    constructor(nodeName, attributes = {}) {
+        this.nodeName = nodeName;
+        this.attributes = attributes;
+        this.children = [];
+        this.text = '';
+    }
+
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    getElementsByTagName(name) {
+        const found = [];
+        const walk = element => element.children.forEach(child => {
+            if (child.nodeName === name) found.push(child);
+            walk(child);
+        });
+        walk(this);
+        return found;
+    }
+
+    get textContent() {
+        return this.text + this.children.map(child => child.textContent).join('');
+    }
+}
+
+const decode = text => text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+class DOMParser {
+    parseFromString(text) {
+        const root = new XmlElement('#document');
+        const stack = [root];
+        const tokens = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*"[^"]*")*)\s*(\/?)>|([^<]+)/g;
+        let match;
+        let consumed = 0;
+
+        while ((match = tokens.exec(text)) !== null) {
+            consumed = tokens.lastIndex;
+            const [, closing, opening, attributeText, selfClosing, textNode] = match;
+            const current = stack[stack.length - 1];
+
+            if (closing) {
+                if (current.nodeName !== closing) return DOMParser.error();
+                stack.pop();
+            } else if (opening) {
+                const attributes = {};
+                (attributeText.match(/[\w:.-]+\s*=\s*"[^"]*"/g) || []).forEach(pair => {
+                    const [, name, value] = pair.match(/([\w:.-]+)\s*=\s*"([^"]*)"/);
+                    attributes[name] = decode(value);
+                });
+                const element = new XmlElement(opening, attributes);
+                current.children.push(element);
+                if (!selfClosing) stack.push(element);
+            } else if (textNode) {
+                current.text += decode(textNode);
+            }
+        }
+
+        if (consumed !== text.length || stack.length !== 1 || root.children.length !== 1) {
+            return DOMParser.error();
+        }
+        root.documentElement = root.children[0];
+        return root;
+    }
+
+    static error() {
+        const root = new XmlElement('#document');
+        root.documentElement = new XmlElement('parsererror');
+        root.children.push(root.documentElement);
+        return root;
+    }
+}
+
+module.exports = DOMParser;
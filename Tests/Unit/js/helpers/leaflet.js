@@ -0,0 +1,91 @@
+// leaflet.js
+// The part of the Leaflet API the map-independent modules use, for running them under node
+//
+// LatLng.distanceTo uses the same haversine formula and earth radius as Leaflet's
+// CRS.Earth, so distances match the browser. Layers only record what was added.
+
+class LatLng {
+    constructor(lat, lng) {
+        this.lat = lat;
+        this.lng = lng;
+    }
+
+    distanceTo(other) {
+        const to = latLng(other);
+        const R = 6371000;
+        const rad = Math.PI / 180;
+        const sinDLat = Math.sin((to.lat - this.lat) * rad / 2);
+        const sinDLng = Math.sin((to.lng - this.lng) * rad / 2);
+        const a = sinDLat * sinDLat + Math.cos(this.lat * rad) * Math.cos(to.lat * rad) * sinDLng * sinDLng;
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+
+    equals(other) {
+        const to = latLng(other);
+        return Math.abs(to.lat - this.lat) < 1e-9 && Math.abs(to.lng - this.lng) < 1e-9;
+    }
+}
+
+function latLng(a, b) {
+    if (a instanceof LatLng) return a;
+    if (Array.isArray(a)) return new LatLng(a[0], a[1]);
+    if (a && typeof a === 'object') return new LatLng(a.lat, a.lng);
+    return new LatLng(a, b);
+}
+
+class Layer {
+    constructor(latlngs, options = {}) {
+        this.latlngs = latlngs;
+        this.options = options;
+        this.layers = [];
+        this.handlers = {};
+    }
+
+    addTo(target) {
+        if (target && target.addLayer) target.addLayer(this);
+        return this;
+    }
+    addLayer(layer) { this.layers.push(layer); return this; }
+    removeLayer(layer) { this.layers = this.layers.filter(item => item !== layer); return this; }
+    clearLayers() { this.layers = []; return this; }
+    on(type, handler) { this.handlers[type] = handler; return this; }
+    setStyle(style) { Object.assign(this.options, style); return this; }
+    setLatLng(latLng) { this.latlngs = latLng; return this; }
+    setLatLngs(latlngs) { this.latlngs = latlngs; return this; }
+    setBounds(bounds) { this.latlngs = bounds; return this; }
+    bindTooltip() { return this; }
+    getBounds() { return { isValid: () => false }; }
+}
+
+class Polyline extends Layer {
+    addLatLng(latLng) { this.latlngs.push(latLng); return this; }
+}
+class Marker extends Layer {}
+
+const L = {
+    LatLng,
+    latLng,
+    Polyline,
+    Marker,
+    layerGroup: () => new Layer(),
+    featureGroup: layers => new Layer(layers),
+    polyline: (latlngs, options) => new Polyline(latlngs, options),
+    polygon: (latlngs, options) => new Polyline(latlngs, options),
+    rectangle: (bounds, options) => new Layer(bounds, options),
+    circle: (center, options) => new Layer(center, options),
+    circleMarker: (center, options) => new Layer(center, options),
+    marker: (position, options) => new Marker(position, options),
+    divIcon: options => options,
+    Util: {
+        template: (str, data) => str.replace(/\{ *([\w_-]+) *\}/g, (match, key) => {
+            if (data[key] === undefined) throw new Error('No value provided for variable ' + match);
+            return data[key];
+        })
+    },
+    DomUtil: {
+        create: (tagName, className) => ({ tagName, className, style: {} }),
+        setPosition() {}
+    }
+};
+
+module.exports = L;
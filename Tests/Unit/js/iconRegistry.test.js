@@ -0,0 +1,144 @@
+// iconRegistry.test.js
+// Theme style layering, type matching, icon caching, theme loading and the shipped default theme
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+global.L = require('./helpers/leaflet.js');
+const IconRegistry = require('../../../js/iconRegistry.js');
+const PopupRenderer = require('../../../js/popupRenderer.js');
+
+const defaultTheme = JSON.parse(fs.readFileSync(path.join(__dirname, '../../../Data/Themes/default.json'), 'utf8'));
+
+const theme = {
+    name: 'Test',
+    base: { color: '#000', symbol: '📍' },
+    types: {
+        default: { label: 'Location' },
+        SafeHouse: { label: 'Safe House', color: '#0f0', shape: 'square' },
+        shop: { color: '#f80', symbol: '🏪' }
+    },
+    states: {
+        nearby: { borderColor: '#2ecc71', className: 'marker-pulse' },
+        visited: { color: '#999', symbol: '✓' }
+    }
+};
+
+beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+describe('styles', () => {
+    test('types match case-insensitively without punctuation', () => {
+        assert.equal(IconRegistry.normalizeType('Mission Site'), 'missionsite');
+        assert.equal(IconRegistry.normalizeType(null), 'location');
+
+        const icons = new IconRegistry(theme);
+        assert.equal(icons.getTypeStyle('safe-house').color, '#0f0');
+        assert.equal(icons.getLabel('SAFEHOUSE'), 'Safe House');
+    });
+
+    test('unknown types use the default style and a capitalised label', () => {
+        const icons = new IconRegistry(theme);
+        assert.deepEqual(icons.getTypeStyle('dock'), { label: 'Location' });
+        assert.equal(icons.getLabel('dock'), 'Dock');
+    });
+
+    test('layers base, type and states, later states winning', () => {
+        const icons = new IconRegistry(theme);
+        const style = icons.getStyle('shop', ['visited', 'nearby']);
+        assert.equal(style.color, '#999');
+        assert.equal(style.symbol, '✓');
+        assert.equal(style.borderColor, '#2ecc71');
+        assert.equal(style.size, 30, 'missing base values come from the fallback theme');
+    });
+
+    test('themes without states keep the fallback state styles', () => {
+        const icons = new IconRegistry({ types: {} });
+        assert.equal(icons.getStyle('x', ['locked']).badge, '🔒');
+        assert.deepEqual(icons.theme.statePriority, IconRegistry.FALLBACK_THEME.statePriority);
+    });
+});
+
+describe('icons', () => {
+    test('are cached per type and set of states, whatever their order', () => {
+        const icons = new IconRegistry(theme);
+        const first = icons.getIcon('Shop', ['visited', 'nearby']);
+        assert.equal(icons.getIcon('shop', ['nearby', 'visited']), first);
+        assert.notEqual(icons.getIcon('shop'), first);
+        assert.equal(first.className, 'custom-marker marker-nearby marker-visited marker-pulse');
+    });
+
+    test('square shapes and badges are drawn', () => {
+        const icons = new IconRegistry(theme);
+        assert.match(icons.getIcon('SafeHouse').html, /border-radius: 4px/);
+        assert.match(icons.getIcon('shop', ['locked']).html, /marker-badge[^>]*>🔒</);
+        assert.deepEqual(icons.getIcon('shop').iconAnchor, [15, 15]);
+    });
+
+    test('a new theme empties the cache', () => {
+        const icons = new IconRegistry(theme);
+        const icon = icons.getIcon('shop');
+        icons.setTheme(defaultTheme);
+        assert.notEqual(icons.getIcon('shop'), icon);
+    });
+});
+
+describe('load', () => {
+    const mockFetch = (t, files) => {
+        const urls = [];
+        t.mock.method(global, 'fetch', async url => {
+            urls.push(url);
+            return files[url]
+                ? { ok: true, json: async () => files[url] }
+                : { ok: false, status: 404 };
+        });
+        return urls;
+    };
+
+    test('loads the named theme file', async (t) => {
+        const urls = mockFetch(t, { 'Data/Themes/neon.json': { name: 'Neon', types: {} } });
+        const icons = new IconRegistry();
+        assert.equal(await icons.load('Neon'), 'Neon');
+        assert.deepEqual(urls, ['Data/Themes/neon.json']);
+    });
+
+    test('falls back to the default file, then the built-in theme', async (t) => {
+        const urls = mockFetch(t, { 'Data/Themes/default.json': defaultTheme });
+        const icons = new IconRegistry();
+        assert.equal(await icons.load('Missing'), 'Default');
+        assert.deepEqual(urls, ['Data/Themes/missing.json', 'Data/Themes/default.json']);
+
+        mockFetch(t, {});
+        assert.equal(await icons.load('Missing'), 'Fallback');
+    });
+});
+
+describe('default theme', () => {
+    const icons = new IconRegistry(defaultTheme);
+
+    test('every popup template type has its own icon', () => {
+        Object.keys(PopupRenderer.TEMPLATES)
+            .filter(type => type !== 'default')
+            .forEach(type => {
+                const style = icons.theme.types[IconRegistry.normalizeType(type)];
+                assert.ok(style, `no theme entry for ${type}`);
+                assert.ok(style.symbol && style.color, `${type} needs a symbol and colour`);
+            });
+    });
+
+    test('every type has a label and resolves to a complete style', () => {
+        Object.keys(defaultTheme.types).forEach(type => {
+            assert.ok(defaultTheme.types[type].label, `${type} has no label`);
+            const style = icons.getStyle(type);
+            ['color', 'symbol', 'size', 'shape'].forEach(key => assert.ok(style[key], `${type} has no ${key}`));
+        });
+    });
+
+    test('every state in the priority list is styled', () => {
+        defaultTheme.statePriority.forEach(state => assert.ok(defaultTheme.states[state], state));
+    });
+});
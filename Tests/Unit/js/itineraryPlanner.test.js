@@ -0,0 +1,220 @@
+// itineraryPlanner.test.js
+// Stop ordering (nearest neighbour + 2-opt), planning and re-routing stale legs
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+const ItineraryPlanner = require('../../../js/itineraryPlanner.js');
+const FogOfWar = require('../../../js/fogOfWar.js');
+const GameMap = require('../../../js/map.js');
+
+// Straight-line paths at walking speed
+const fakePathfinding = () => ({
+    calls: [],
+    async findPath(start, destination, travelMode) {
+        this.calls.push({ start, destination, travelMode });
+        const distance = L.latLng(start).distanceTo(destination);
+        return {
+            coordinates: [[start.lat, start.lng], [destination.lat, destination.lng]],
+            distance,
+            duration: distance / 1.4,
+            travelMode,
+            type: 'direct'
+        };
+    },
+    calculateTravelTime: distance => distance / 1.4
+});
+
+const fakeMap = (playerPosition = L.latLng(0, 0)) => ({
+    map: { fitBounds() {} },
+    pathfindingManager: fakePathfinding(),
+    playerPosition,
+    moveMode: 'foot',
+    isMoving: false,
+    locations: [],
+    locationLayer: { filter: null },
+    moves: [],
+    statuses: [],
+    game: null,
+    startPlayerMovement(path, options) {
+        this.moves.push({ path, options });
+        return true;
+    },
+    updateGameStatus(status) {
+        this.statuses.push(status);
+    }
+});
+
+// Stops along the equator, x in units of 0.001 degrees of longitude
+const stop = x => ({ id: `x${x}`, name: `Stop ${x}`, lat: 0, lng: x * 0.001 });
+
+// Cost matrix from planar points: index 0 is the start at the origin
+const planeMatrix = points => {
+    const all = [[0, 0], ...points];
+    return { costs: all.map(a => all.map(b => Math.hypot(a[0] - b[0], a[1] - b[1]))), paths: [] };
+};
+
+const tourCost = (tour, matrix) => tour.reduce((sum, s, i) => sum + matrix.costs[i === 0 ? 0 : tour[i - 1]][s], 0);
+
+const reversals = tour => {
+    const result = [];
+    for (let i = 0; i < tour.length - 1; i++) {
+        for (let k = i + 1; k < tour.length; k++) {
+            result.push([...tour.slice(0, i), ...tour.slice(i, k + 1).reverse(), ...tour.slice(k + 1)]);
+        }
+    }
+    return result;
+};
+
+describe('stop ordering', () => {
+    test('nearest neighbour always goes to the closest unvisited stop', () => {
+        const planner = new ItineraryPlanner(fakeMap());
+        // Stops on a line at x = 1, -2, 3
+        assert.deepEqual(planner.nearestNeighbourTour(planeMatrix([[1, 0], [-2, 0], [3, 0]])), [1, 3, 2]);
+    });
+
+    test('2-opt uncrosses the greedy tour', () => {
+        const planner = new ItineraryPlanner(fakeMap());
+        const matrix = planeMatrix([[1, 1], [4, 0], [2, -1], [0, -2]]);
+        const greedy = planner.nearestNeighbourTour(matrix);
+        const improved = planner.improveTwoOpt(greedy, matrix);
+
+        assert.deepEqual(greedy, [1, 3, 2, 4]);
+        assert.deepEqual(improved, [1, 2, 3, 4]);
+        assert.ok(tourCost(improved, matrix) < tourCost(greedy, matrix));
+    });
+
+    test('2-opt never makes a tour worse and leaves no improving reversal', () => {
+        const planner = new ItineraryPlanner(fakeMap());
+        [
+            [[2, 0], [2, 2], [0, 3], [-1, 1.5], [3, 1]],
+            [[5, 5], [-3, 1], [4, -2], [0, 6], [-2, -4], [1, 1]],
+            [[1, 0], [-2, 0], [3, 0]]
+        ].forEach(points => {
+            const matrix = planeMatrix(points);
+            const greedy = planner.nearestNeighbourTour(matrix);
+            const tour = planner.improveTwoOpt(greedy, matrix);
+            const cost = tourCost(tour, matrix);
+
+            assert.deepEqual([...tour].sort(), [...greedy].sort());
+            assert.ok(cost <= tourCost(greedy, matrix));
+            reversals(tour).forEach(candidate => assert.ok(tourCost(candidate, matrix) >= cost - 1e-6));
+        });
+    });
+});
+
+describe('planning', () => {
+    test('routes every pair for small selections and reuses those paths for the legs', async () => {
+        const gameMap = fakeMap();
+        const planner = new ItineraryPlanner(gameMap);
+        [stop(3), stop(1), stop(2)].forEach(location => planner.toggleStop(location));
+
+        const itinerary = await planner.plan();
+        assert.deepEqual(itinerary.stops.map(s => s.id), ['x1', 'x2', 'x3']);
+        // 3 stops from the start plus 3 * 2 between stops, and no extra calls for the legs
+        assert.equal(gameMap.pathfindingManager.calls.length, 9);
+        assert.ok(Math.abs(itinerary.totalDistance - L.latLng(0, 0).distanceTo([0, 0.003])) < 0.01);
+    });
+
+    test('estimates costs from straight lines above maxRoutedStops', async () => {
+        const gameMap = fakeMap();
+        const planner = new ItineraryPlanner(gameMap, { maxRoutedStops: 2 });
+        [stop(3), stop(1), stop(2)].forEach(location => planner.toggleStop(location));
+
+        const itinerary = await planner.plan();
+        assert.deepEqual(itinerary.stops.map(s => s.id), ['x1', 'x2', 'x3']);
+        // Only the legs are routed
+        assert.equal(gameMap.pathfindingManager.calls.length, 3);
+    });
+
+    test('rejects an empty selection', async () => {
+        await assert.rejects(new ItineraryPlanner(fakeMap()).plan(), /No stops selected/);
+    });
+});
+
+describe('starting a planned itinerary', () => {
+    const planned = async () => {
+        const gameMap = fakeMap();
+        const planner = new ItineraryPlanner(gameMap);
+        [stop(1), stop(2)].forEach(location => planner.toggleStop(location));
+        await planner.plan();
+        gameMap.pathfindingManager.calls = [];
+        return { gameMap, planner };
+    };
+
+    test('uses the planned first leg while the player is still at the start', async () => {
+        const { gameMap, planner } = await planned();
+        const firstPath = planner.getItinerary().legs[0].path;
+
+        await planner.start();
+        assert.equal(gameMap.moves.length, 1);
+        assert.equal(gameMap.moves[0].path, firstPath);
+        assert.equal(gameMap.pathfindingManager.calls.length, 0);
+    });
+
+    test('re-routes the first leg from where the player is now', async () => {
+        const { gameMap, planner } = await planned();
+        gameMap.playerPosition = L.latLng(0.002, 0);
+
+        await planner.start();
+        const moved = gameMap.moves[0].path;
+        assert.deepEqual(moved.coordinates[0], [0.002, 0]);
+        assert.deepEqual(moved.coordinates[1], [0, 0.001]);
+        assert.equal(planner.getItinerary().legs[0].path, moved);
+        assert.equal(planner.getItinerary().totalDistance,
+            planner.getItinerary().legs.reduce((sum, leg) => sum + leg.path.distance, 0));
+    });
+
+    test('re-routes later legs that do not start where the player arrived', async () => {
+        const { gameMap, planner } = await planned();
+        await planner.start();
+
+        // The first leg ended short of its stop
+        gameMap.playerPosition = L.latLng(0, 0.0005);
+        await gameMap.moves[0].options.onComplete();
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(gameMap.moves.length, 2);
+        assert.deepEqual(gameMap.moves[1].path.coordinates[0], [0, 0.0005]);
+    });
+
+    test('drops the re-routed leg when the itinerary is aborted meanwhile', async () => {
+        const { gameMap, planner } = await planned();
+        gameMap.playerPosition = L.latLng(0.002, 0);
+
+        const starting = planner.start();
+        planner.abort('cancelled');
+        await starting;
+        assert.equal(gameMap.moves.length, 0);
+    });
+
+    test('refuses to start while the player is moving', async () => {
+        const { gameMap, planner } = await planned();
+        gameMap.isMoving = true;
+        await assert.rejects(planner.start(), /already moving/);
+    });
+});
+
+describe('selecting undiscovered locations', () => {
+    test('selects fog-hidden locations, skipping discovered, visited and switched-off types', () => {
+        // The real GameMap filter, with fog of war on
+        const gameMap = Object.assign(Object.create(GameMap.prototype), fakeMap(), {
+            fogOfWar: Object.assign(Object.create(FogOfWar.prototype), { enabled: true }),
+            hiddenLocationTypes: new Set(['shop'])
+        });
+        gameMap.locationLayer.filter = location => gameMap.isLocationShown(location);
+        gameMap.locations = [
+            { ...stop(1), discovered: false },
+            { ...stop(2), discovered: true },
+            { ...stop(3), discovered: false, type: 'shop' },
+            { ...stop(4), discovered: false, visited: true },
+            stop(5)
+        ];
+        assert.equal(gameMap.locationLayer.filter(gameMap.locations[0]), false, 'fog hides undiscovered locations');
+
+        const planner = new ItineraryPlanner(gameMap);
+        assert.equal(planner.selectAllUndiscovered(), 2);
+        assert.deepEqual(planner.selectedStops.map(s => s.id), ['x1', 'x5']);
+    });
+});
@@ -0,0 +1,214 @@
+// layerManager.test.js
+// Base map switching, overlay visibility and the saved UISettings.MapLayers form
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+const MapLayerManager = require('../../../js/layerManager.js');
+
+const layer = (props = {}) => ({ ...props, addTo(map) { map.addLayer(this); return this; } });
+
+// Like Leaflet's layers control, the switcher fires baselayerchange/overlayadd/overlayremove
+// on the map whenever one of its layers is added or removed
+L.tileLayer = (url, options) => layer({ url, options });
+L.control = {
+    layers: () => ({
+        base: new Map(),
+        overlays: new Map(),
+        addTo(map) { map.control = this; return this; },
+        addBaseLayer(layer, name) { this.base.set(layer, name); },
+        addOverlay(layer, name) { this.overlays.set(layer, name); },
+        removeLayer(layer) { this.base.delete(layer); this.overlays.delete(layer); }
+    })
+};
+
+const fakeMap = () => {
+    const handlers = {};
+    const map = {
+        layers: new Set(),
+        control: null,
+        on(types, handler) {
+            types.split(' ').forEach(type => (handlers[type] = handlers[type] || []).push(handler));
+            return map;
+        },
+        fire(type, data) {
+            (handlers[type] || []).forEach(handler => handler({ type, ...data }));
+        },
+        hasLayer: layer => map.layers.has(layer),
+        addLayer(layer) {
+            if (map.layers.has(layer)) return;
+            map.layers.add(layer);
+            if (map.control && map.control.base.has(layer)) map.fire('baselayerchange', { layer });
+            if (map.control && map.control.overlays.has(layer)) map.fire('overlayadd', { layer });
+        },
+        removeLayer(layer) {
+            if (!map.layers.delete(layer)) return;
+            if (map.control && map.control.overlays.has(layer)) map.fire('overlayremove', { layer });
+        }
+    };
+    return map;
+};
+
+const baseMaps = [
+    { id: 'street', name: 'Street', url: 'street/{z}/{x}/{y}.png', maxZoom: 19 },
+    { id: 'satellite', name: 'Satellite', url: 'sat/{z}/{x}/{y}.png', maxZoom: 17 }
+];
+
+const setup = () => {
+    const map = fakeMap();
+    const manager = new MapLayerManager(map, { baseMaps });
+    const changes = [];
+    manager.onChange(settings => changes.push(settings));
+    return { map, manager, changes };
+};
+
+const baseLayer = (manager, id) => manager.baseLayers.get(id).layer;
+
+describe('base maps', () => {
+    test('the first base map is shown and the rest are offered in the switcher', () => {
+        const { map, manager } = setup();
+        assert.equal(manager.getActiveBaseMap().id, 'street');
+        assert.equal(map.hasLayer(baseLayer(manager, 'street')), true);
+        assert.equal(map.hasLayer(baseLayer(manager, 'satellite')), false);
+        assert.deepEqual(Array.from(map.control.base.values()), ['Street', 'Satellite']);
+    });
+
+    test('tile layer options are the config minus id, name, url and cache', () => {
+        const { manager } = setup();
+        const street = baseLayer(manager, 'street');
+        assert.equal(street.url, 'street/{z}/{x}/{y}.png');
+        assert.deepEqual(street.options, { maxZoom: 19 });
+    });
+
+    test('switching shows only the chosen base map', () => {
+        const { map, manager, changes } = setup();
+        assert.equal(manager.setBaseMap('satellite'), true);
+        assert.equal(map.hasLayer(baseLayer(manager, 'street')), false);
+        assert.equal(map.hasLayer(baseLayer(manager, 'satellite')), true);
+        assert.equal(manager.getSettings().BaseMap, 'satellite');
+        assert.deepEqual(changes, [{ BaseMap: 'satellite', HiddenOverlays: [] }]);
+        assert.equal(manager.setBaseMap('nope'), false);
+    });
+
+    test('picking a base map in the switcher is reported once', () => {
+        const { map, manager, changes } = setup();
+        map.fire('baselayerchange', { layer: baseLayer(manager, 'satellite') });
+        map.fire('baselayerchange', { layer: baseLayer(manager, 'satellite') });
+        assert.equal(manager.activeBaseMap, 'satellite');
+        assert.deepEqual(changes, [{ BaseMap: 'satellite', HiddenOverlays: [] }]);
+    });
+
+    test('replacing the base maps keeps the current one if it is still offered', () => {
+        const { map, manager } = setup();
+        manager.setBaseMap('satellite');
+        const oldStreet = baseLayer(manager, 'street');
+
+        manager.setBaseMaps([{ id: 'satellite', name: 'Satellite', url: 'sat2/{z}/{x}/{y}.png' }, baseMaps[0]]);
+        assert.equal(manager.activeBaseMap, 'satellite');
+        assert.equal(map.control.base.has(oldStreet), false);
+        assert.equal(map.hasLayer(baseLayer(manager, 'satellite')), true);
+
+        manager.setBaseMaps([{ id: 'night', name: 'Night', url: 'night/{z}/{x}/{y}.png' }]);
+        assert.equal(manager.activeBaseMap, 'night');
+        assert.deepEqual(Array.from(map.layers), [baseLayer(manager, 'night')]);
+    });
+
+    test('cached base maps read through the tile cache', () => {
+        const created = [];
+        global.TileCache = { createTileLayer: (cache, url, options) => { created.push({ cache, url, options }); return layer(); } };
+        const tileCache = {};
+        const manager = new MapLayerManager(fakeMap(), {
+            tileCache,
+            baseMaps: [{ id: 'osm', name: 'OSM', url: 'osm/{z}/{x}/{y}.png', cache: true, fallbackUrl: 'Data/Tiles/{z}/{x}/{y}.png' }]
+        });
+
+        assert.deepEqual(created, [{
+            cache: tileCache,
+            url: 'osm/{z}/{x}/{y}.png',
+            options: { fallbackUrl: 'Data/Tiles/{z}/{x}/{y}.png', cacheId: 'osm' }
+        }]);
+        assert.equal(manager.getActiveBaseMap().id, 'osm');
+        delete global.TileCache;
+    });
+});
+
+describe('overlays', () => {
+    test('new overlays are shown and listed', () => {
+        const { map, manager } = setup();
+        const paths = manager.addOverlay('paths', 'Paths', layer());
+        assert.equal(map.hasLayer(paths), true);
+        assert.equal(manager.getOverlay('paths'), paths);
+        assert.equal(map.control.overlays.get(paths), 'Paths');
+        assert.equal(manager.isOverlayVisible('paths'), true);
+    });
+
+    test('hiding and showing an overlay is reported once per change', () => {
+        const { map, manager, changes } = setup();
+        const paths = manager.addOverlay('paths', 'Paths', layer());
+
+        manager.setOverlayVisible('paths', false);
+        manager.setOverlayVisible('paths', false);
+        assert.equal(map.hasLayer(paths), false);
+        assert.equal(manager.isOverlayVisible('paths'), false);
+        assert.deepEqual(changes, [{ BaseMap: 'street', HiddenOverlays: ['paths'] }]);
+
+        manager.setOverlayVisible('paths', true);
+        assert.equal(manager.isOverlayVisible('paths'), true);
+        assert.deepEqual(changes.at(-1).HiddenOverlays, []);
+    });
+
+    test('re-adding an id replaces the old layer in the switcher', () => {
+        const { map, manager } = setup();
+        const first = manager.addOverlay('fog', 'Fog', layer());
+        const second = manager.addOverlay('fog', 'Fog', layer());
+
+        assert.equal(map.control.overlays.has(first), false);
+        assert.equal(manager.getOverlay('fog'), second);
+    });
+
+    test('removed overlays leave the switcher', () => {
+        const { map, manager } = setup();
+        const paths = manager.addOverlay('paths', 'Paths', layer());
+        manager.removeOverlay('paths');
+        assert.equal(manager.getOverlay('paths'), null);
+        assert.equal(map.control.overlays.has(paths), false);
+    });
+
+    test('layers that are not registered do not change the settings', () => {
+        const { map, changes } = setup();
+        map.addLayer(layer());
+        map.fire('overlayremove', { layer: layer() });
+        assert.equal(changes.length, 0);
+    });
+});
+
+describe('settings', () => {
+    test('restoring settings switches the base map and hides overlays', () => {
+        const { map, manager } = setup();
+        const paths = manager.addOverlay('paths', 'Paths', layer());
+        const fog = manager.addOverlay('fog', 'Fog', layer());
+
+        manager.applySettings({ BaseMap: 'satellite', HiddenOverlays: ['fog'] });
+        assert.equal(manager.activeBaseMap, 'satellite');
+        assert.equal(map.hasLayer(paths), true);
+        assert.equal(map.hasLayer(fog), false);
+        assert.deepEqual(manager.getSettings(), { BaseMap: 'satellite', HiddenOverlays: ['fog'] });
+    });
+
+    test('overlays hidden before they exist start hidden', () => {
+        const { map, manager } = setup();
+        manager.applySettings({ HiddenOverlays: ['locations.shop'] });
+
+        const shops = manager.addOverlay('locations.shop', 'Shops', layer());
+        assert.equal(map.hasLayer(shops), false);
+        assert.equal(manager.isOverlayVisible('locations.shop'), false);
+    });
+
+    test('missing or unknown settings are ignored', () => {
+        const { manager } = setup();
+        manager.applySettings(null);
+        manager.applySettings({ BaseMap: 'gone' });
+        assert.deepEqual(manager.getSettings(), { BaseMap: 'street', HiddenOverlays: [] });
+    });
+});
@@ -0,0 +1,272 @@
+// locationEditor.test.js
+// Creating, editing and deleting locations with undo/redo, validation, export and bridge sync
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LocationEditor = require('../../../js/locationEditor.js');
+
+const location = (id, fields = {}) => ({
+    id,
+    lat: 40.7,
+    lng: -74,
+    name: `Place ${id}`,
+    type: 'landmark',
+    description: '',
+    items: [],
+    points: 10,
+    experience: 5,
+    discovered: false,
+    timestamp: '2024-01-01T00:00:00',
+    ...fields
+});
+
+const fakeBridge = (connected = true) => ({
+    commands: [],
+    isConnected: () => connected,
+    sendCommand(command, data) {
+        this.commands.push({ command, id: data.location.id, name: data.location.name });
+        return Promise.resolve();
+    }
+});
+
+const setup = (locations = [location('location_1'), location('location_2')], options = {}) => {
+    const bridge = fakeBridge();
+    const panels = [];
+    const gameMap = {
+        locations,
+        refreshes: 0,
+        world: null,
+        refreshLocations() { this.refreshes++; },
+        game: {
+            communicationBridge: bridge,
+            gameData: null,
+            updateLocationEditorPanel: editor => panels.push(editor.selected)
+        }
+    };
+    const editor = new LocationEditor(gameMap, options);
+    return { gameMap, editor, bridge, panels };
+};
+
+beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+describe('editing', () => {
+    test('new locations get the next free id and are selected', () => {
+        const { gameMap, editor, bridge } = setup([location('location_7'), location('harbour')]);
+        const created = editor.createLocationAt({ lat: 40.1234567, lng: -73.9876543 });
+
+        assert.equal(created.id, 'location_8');
+        assert.equal(created.lat, 40.123457);
+        assert.equal(created.lng, -73.987654);
+        assert.equal(editor.selected, created);
+        assert.equal(gameMap.locations.at(-1), created);
+        assert.deepEqual(bridge.commands, [{ command: 'location.create', id: 'location_8', name: 'New Location' }]);
+    });
+
+    test('updates change the location object in place', () => {
+        const { gameMap, editor, bridge } = setup();
+        const original = gameMap.locations[0];
+
+        const result = editor.updateLocation(original, { name: 'Harbour', items: ['Rope'] });
+        assert.deepEqual(result, { isValid: true, errors: [] });
+        assert.equal(gameMap.locations[0], original, 'other references see the change');
+        assert.equal(original.name, 'Harbour');
+        assert.deepEqual(original.items, ['Rope']);
+        assert.equal(bridge.commands[0].command, 'location.update');
+    });
+
+    test('an invalid update changes nothing', () => {
+        const { gameMap, editor, bridge } = setup();
+        const result = editor.updateLocation(gameMap.locations[0], { name: ' ', points: -1 });
+
+        assert.equal(result.isValid, false);
+        assert.deepEqual(result.errors, ['Name is required', 'Points must be a number of 0 or more']);
+        assert.equal(gameMap.locations[0].name, 'Place location_1');
+        assert.equal(editor.canUndo(), false);
+        assert.equal(bridge.commands.length, 0);
+    });
+
+    test('dragging moves to rounded coordinates', () => {
+        const { gameMap, editor } = setup();
+        editor.moveLocation(gameMap.locations[1], { lat: 40.70000049, lng: -74.1 });
+        assert.equal(gameMap.locations[1].lat, 40.7);
+        assert.equal(gameMap.locations[1].lng, -74.1);
+    });
+
+    test('deleting clears the selection of the deleted location', () => {
+        const { gameMap, editor, bridge, panels } = setup();
+        editor.select(gameMap.locations[0]);
+        editor.deleteLocation(gameMap.locations[0]);
+
+        assert.deepEqual(gameMap.locations.map(l => l.id), ['location_2']);
+        assert.equal(editor.selected, null);
+        assert.equal(panels.at(-1), null);
+        assert.equal(bridge.commands[0].command, 'location.delete');
+    });
+
+    test('leaving the editor drops the selection and refreshes the markers', () => {
+        const { gameMap, editor } = setup();
+        editor.setActive(true);
+        editor.select(gameMap.locations[0]);
+        editor.setActive(false);
+        assert.equal(editor.active, false);
+        assert.equal(editor.selected, null);
+        assert.equal(gameMap.refreshes, 2);
+    });
+});
+
+describe('undo and redo', () => {
+    test('undoing a delete puts the location back in its place', () => {
+        const { gameMap, editor, bridge } = setup([location('a'), location('b'), location('c')]);
+        editor.deleteLocation(gameMap.locations[1]);
+
+        assert.equal(editor.undo(), true);
+        assert.deepEqual(gameMap.locations.map(l => l.id), ['a', 'b', 'c']);
+        assert.deepEqual(bridge.commands.map(c => c.command), ['location.delete', 'location.create']);
+
+        assert.equal(editor.redo(), true);
+        assert.deepEqual(gameMap.locations.map(l => l.id), ['a', 'c']);
+    });
+
+    test('undoing an update restores the old fields and tells PowerShell', () => {
+        const { gameMap, editor, bridge } = setup();
+        const original = gameMap.locations[0];
+        editor.updateLocation(original, { name: 'Harbour' });
+
+        editor.undo();
+        assert.equal(original.name, 'Place location_1');
+        assert.deepEqual(bridge.commands.at(-1), { command: 'location.update', id: 'location_1', name: 'Place location_1' });
+
+        editor.redo();
+        assert.equal(original.name, 'Harbour');
+    });
+
+    test('undoing a create removes it; redoing adds it back', () => {
+        const { gameMap, editor } = setup([]);
+        const created = editor.createLocationAt({ lat: 1, lng: 1 });
+
+        editor.undo();
+        assert.deepEqual(gameMap.locations, []);
+        assert.equal(editor.selected, null);
+
+        editor.redo();
+        assert.equal(gameMap.locations[0].id, created.id);
+        assert.notEqual(gameMap.locations[0], created, 'redo creates a fresh copy');
+    });
+
+    test('a new edit clears the redo stack', () => {
+        const { gameMap, editor } = setup();
+        editor.updateLocation(gameMap.locations[0], { name: 'One' });
+        editor.undo();
+        assert.equal(editor.canRedo(), true);
+
+        editor.updateLocation(gameMap.locations[0], { name: 'Two' });
+        assert.equal(editor.canRedo(), false);
+        assert.equal(editor.redo(), false);
+    });
+
+    test('history is capped at maxHistory', () => {
+        const { gameMap, editor } = setup(undefined, { maxHistory: 2 });
+        ['One', 'Two', 'Three'].forEach(name => editor.updateLocation(gameMap.locations[0], { name }));
+
+        assert.equal(editor.undo(), true);
+        assert.equal(editor.undo(), true);
+        assert.equal(editor.undo(), false);
+        assert.equal(gameMap.locations[0].name, 'One');
+    });
+
+    test('clearing history forgets both stacks', () => {
+        const { gameMap, editor } = setup();
+        editor.updateLocation(gameMap.locations[0], { name: 'One' });
+        editor.clearHistory();
+        assert.equal(editor.canUndo(), false);
+        assert.equal(editor.undo(), false);
+    });
+});
+
+describe('validate', () => {
+    const validate = (fields, original) => {
+        const { gameMap, editor } = setup();
+        return editor.validate({ ...location('new'), ...fields }, original && gameMap.locations[0]).errors;
+    };
+
+    test('accepts a complete location', () => {
+        assert.deepEqual(validate({ radius: 50, arrivalRadius: 20 }), []);
+    });
+
+    test('ids must be unique, except for the location being edited', () => {
+        assert.deepEqual(validate({ id: 'location_1' }), ['Id location_1 is already used']);
+        assert.deepEqual(validate({ id: 'location_1' }, true), []);
+        assert.deepEqual(validate({ id: '' }), ['Id is required']);
+    });
+
+    test('checks names, types and coordinates', () => {
+        assert.deepEqual(validate({ name: 'x'.repeat(101) }), ['Name must be 100 characters or fewer']);
+        assert.deepEqual(validate({ type: 'Big Shop' }), ['Type must be a lowercase word (e.g. treasure, quest, shop)']);
+        assert.deepEqual(validate({ lat: 91, lng: NaN }), [
+            'Latitude must be between -90 and 90',
+            'Longitude must be between -180 and 180'
+        ]);
+    });
+
+    test('checks items and optional radii', () => {
+        assert.deepEqual(validate({ items: ['Rope', ' '] }), ['Items must be a list of item names']);
+        assert.deepEqual(validate({ items: 'Rope' }), ['Items must be a list of item names']);
+        assert.deepEqual(validate({ radius: 0, arrivalRadius: -5 }), [
+            'Radius must be a positive number of meters',
+            'Arrival radius must be a positive number of meters'
+        ]);
+    });
+});
+
+describe('export', () => {
+    test('keeps other sections of the loaded data and drops runtime flags', () => {
+        const { gameMap, editor } = setup([location('a', { visited: true, requirements: { minLevel: 2 } })]);
+        gameMap.game.gameData = { version: '2.0', city: 'Boston', avoidZones: [{ id: 'z' }], metadata: { source: 'osm' } };
+
+        const data = editor.exportGameData();
+        assert.equal(data.version, '2.0');
+        assert.equal(data.city, 'Boston');
+        assert.deepEqual(data.avoidZones, [{ id: 'z' }]);
+        assert.deepEqual(data.metadata, { source: 'osm', totalLocations: 1, generator: 'Location Editor' });
+        assert.equal('visited' in data.locations[0], false);
+        assert.deepEqual(data.locations[0].requirements, { minLevel: 2 });
+        assert.match(data.generatedAt, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}$/);
+    });
+
+    test('without loaded data the city comes from the world', () => {
+        const { gameMap, editor } = setup([]);
+        gameMap.world = { name: 'London' };
+        assert.equal(editor.exportGameData().city, 'London');
+        assert.equal(editor.exportGameData().version, '1.0');
+    });
+
+    test('snapshot fills schema defaults and wraps a single item', () => {
+        const snapshot = LocationEditor.snapshot({ id: 'a', lat: 1, lng: 2, name: 'A', type: 'shop', items: 'Map' });
+        assert.deepEqual(snapshot.items, ['Map']);
+        assert.equal(snapshot.points, 0);
+        assert.equal(snapshot.description, '');
+        assert.equal('radius' in snapshot, false);
+    });
+});
+
+describe('bridge sync', () => {
+    test('nothing is sent while PowerShell is not connected', () => {
+        const { gameMap, editor } = setup();
+        const bridge = fakeBridge(false);
+        gameMap.game.communicationBridge = bridge;
+        editor.deleteLocation(gameMap.locations[0]);
+        assert.deepEqual(bridge.commands, []);
+    });
+
+    test('a failed send is logged, not thrown', async () => {
+        const { gameMap, editor } = setup();
+        gameMap.game.communicationBridge = {
+            isConnected: () => true,
+            sendCommand: () => Promise.reject(new Error('offline'))
+        };
+        editor.deleteLocation(gameMap.locations[0]);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.ok(console.log.mock.calls.some(call => call.arguments[1] === 'offline'));
+    });
+});
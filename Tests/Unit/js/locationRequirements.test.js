@@ -0,0 +1,115 @@
+// locationRequirements.test.js
+// Visit radii and requirement checks against a player context
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LocationRequirements = require('../../../js/locationRequirements.js');
+
+// Local time, as the game clock is read with getHours()
+const at = (hours, minutes = 0) => new Date(2024, 0, 1, hours, minutes);
+
+const player = (overrides = {}) => ({
+    level: 5,
+    inventory: ['special_key'],
+    getStanding: factionId => ({ Syndicate: 'Friendly', Police: 'Hostile' })[factionId] || null,
+    gameTime: at(12),
+    activeQuests: new Set(['heist']),
+    ...overrides
+});
+
+const unmetTypes = (requirements, context = player()) =>
+    LocationRequirements.check({ requirements }, context).unmet.map(item => item.type);
+
+describe('radii', () => {
+    test('default to 100m to visit and 50m to arrive', () => {
+        assert.equal(LocationRequirements.getVisitRadius({}), 100);
+        assert.equal(LocationRequirements.getArrivalRadius({}), 50);
+    });
+
+    test('arrival radius is never larger than a small visit radius', () => {
+        assert.equal(LocationRequirements.getArrivalRadius({ radius: 30 }), 30);
+        assert.equal(LocationRequirements.getArrivalRadius({ radius: 300 }), 50);
+        assert.equal(LocationRequirements.getArrivalRadius({ radius: 300, arrivalRadius: 120 }), 120);
+    });
+
+    test('ignores zero and negative radii', () => {
+        assert.equal(LocationRequirements.getVisitRadius({ radius: 0 }), 100);
+        assert.equal(LocationRequirements.getVisitRadius({ radius: -5 }), 100);
+    });
+});
+
+describe('check', () => {
+    test('locations without requirements are open', () => {
+        assert.deepEqual(LocationRequirements.check({}, {}), { met: true, unmet: [] });
+    });
+
+    test('meets every requirement the player satisfies', () => {
+        const result = LocationRequirements.check({
+            requirements: {
+                level: 5,
+                items: ['special_key'],
+                faction: { id: 'Syndicate', standing: 'Neutral' },
+                time: { from: '09:00', to: '17:00' },
+                quest: 'heist'
+            }
+        }, player());
+        assert.equal(result.met, true);
+    });
+
+    test('level', () => {
+        assert.deepEqual(unmetTypes({ level: 6 }), ['level']);
+        assert.deepEqual(unmetTypes({ level: 2 }, {}), ['level'], 'players without a level count as level 1');
+    });
+
+    test('items, including the single item shorthand', () => {
+        assert.deepEqual(unmetTypes({ items: ['special_key', 'crowbar'] }), ['item']);
+        assert.deepEqual(unmetTypes({ item: 'crowbar' }), ['item']);
+        const result = LocationRequirements.check({ requirements: { item: 'gold_bar' } }, player());
+        assert.equal(result.unmet[0].message, 'Requires gold bar');
+    });
+
+    test('faction standing is compared by rank', () => {
+        assert.deepEqual(unmetTypes({ faction: { id: 'Syndicate', standing: 'Allied' } }), ['faction']);
+        assert.deepEqual(unmetTypes({ faction: { id: 'Police' } }), ['faction'], 'Neutral is needed by default');
+        assert.deepEqual(unmetTypes({ faction: { id: 'Unknown', standing: 'Hostile' } }), ['faction'],
+            'an unknown standing is below Hostile');
+        assert.deepEqual(unmetTypes({ faction: { id: 'Police', standing: 'Hostile' } }), []);
+    });
+
+    test('quest must be active', () => {
+        assert.deepEqual(unmetTypes({ quest: 'rescue' }), ['quest']);
+        assert.deepEqual(unmetTypes({ quest: 'heist' }, player({ activeQuests: null })), ['quest']);
+    });
+
+    test('lists every unmet requirement', () => {
+        assert.deepEqual(
+            unmetTypes({ level: 10, item: 'crowbar', quest: 'rescue', time: { from: 20, to: 22 } }),
+            ['level', 'item', 'time', 'quest']
+        );
+    });
+});
+
+describe('time windows', () => {
+    const night = { from: '20:00', to: '04:00' };
+
+    test('windows within a day include the start and exclude the end', () => {
+        const day = { from: '09:30', to: '17:00' };
+        assert.equal(LocationRequirements.isWithinTimeWindow(day, at(9, 29)), false);
+        assert.equal(LocationRequirements.isWithinTimeWindow(day, at(9, 30)), true);
+        assert.equal(LocationRequirements.isWithinTimeWindow(day, at(16, 59)), true);
+        assert.equal(LocationRequirements.isWithinTimeWindow(day, at(17, 0)), false);
+    });
+
+    test('windows wrap past midnight', () => {
+        assert.equal(LocationRequirements.isWithinTimeWindow(night, at(23)), true);
+        assert.equal(LocationRequirements.isWithinTimeWindow(night, at(2)), true);
+        assert.equal(LocationRequirements.isWithinTimeWindow(night, at(12)), false);
+    });
+
+    test('accepts hours as numbers', () => {
+        assert.equal(LocationRequirements.toMinutes(20), 1200);
+        assert.equal(LocationRequirements.toMinutes('7:45'), 465);
+        assert.equal(LocationRequirements.isWithinTimeWindow({ from: 22, to: 6 }, at(5)), true);
+    });
+});
@@ -0,0 +1,152 @@
+// locationSearch.test.js
+// Filtering and sorting of GameMap locations for the search panel
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LocationSearch = require('../../../js/locationSearch.js');
+
+const LOCATIONS = [
+    { id: 'park', name: 'Central Park', description: 'Green space', type: 'park', points: 10, visited: true, distance: 800 },
+    { id: 'museum', name: 'Natural History Museum', description: 'Dinosaur bones', type: 'museum', points: 40, distance: 1200 },
+    { id: 'bridge', name: 'Brooklyn Bridge', description: 'Suspension bridge over the East River', type: 'landmark', points: 25, distance: 5000 },
+    { id: 'vault', name: 'Hidden Vault', description: 'Secret cache', type: 'landmark', points: 100, discovered: false, distance: 300 },
+    { id: 'statue', name: 'Statue of Liberty', description: 'Liberty Island', points: '30', distance: 9000 }
+];
+
+// Just what LocationSearch reads from a GameMap; distances come from the fixtures
+function fakeMap(locations = LOCATIONS, filter = null) {
+    return {
+        locations: locations,
+        locationLayer: { filter: filter },
+        getDistanceToLocation: location => location.distance
+    };
+}
+
+const ids = search => search.getResults().results.map(result => result.location.id);
+
+describe('filters', () => {
+    test('defaults match every location, nearest first', () => {
+        const search = new LocationSearch(fakeMap());
+        assert.deepEqual(ids(search), ['vault', 'park', 'museum', 'bridge', 'statue']);
+        assert.equal(search.getResults().results[0].distance, 300);
+    });
+
+    test('query words must all appear in the name or description', () => {
+        const search = new LocationSearch(fakeMap());
+        search.setFilters({ query: 'BRIDGE' });
+        assert.deepEqual(ids(search), ['bridge']);
+        search.setFilters({ query: '  east   river ' });
+        assert.deepEqual(ids(search), ['bridge']);
+        search.setFilters({ query: 'bridge park' });
+        assert.deepEqual(ids(search), []);
+    });
+
+    test('type, with untyped locations counted as "location"', () => {
+        const search = new LocationSearch(fakeMap());
+        search.setFilters({ type: 'landmark' });
+        assert.deepEqual(ids(search), ['vault', 'bridge']);
+        search.setFilters({ type: 'location' });
+        assert.deepEqual(ids(search), ['statue']);
+    });
+
+    test('visited and discovered state', () => {
+        const search = new LocationSearch(fakeMap());
+        const byState = state => {
+            search.setFilters({ state });
+            return ids(search);
+        };
+        assert.deepEqual(byState('visited'), ['park']);
+        assert.deepEqual(byState('unvisited'), ['vault', 'museum', 'bridge', 'statue']);
+        assert.deepEqual(byState('undiscovered'), ['vault']);
+        assert.deepEqual(byState('discovered'), ['park', 'museum', 'bridge', 'statue']);
+    });
+
+    test('maximum distance leaves out everything while the player has no position', () => {
+        const search = new LocationSearch(fakeMap(LOCATIONS.map(location => ({ ...location, distance: Infinity }))));
+        search.setFilters({ maxDistance: 1200 });
+        assert.deepEqual(ids(search), []);
+    });
+
+    test('maximum distance', () => {
+        const search = new LocationSearch(fakeMap());
+        search.setFilters({ maxDistance: 1200 });
+        assert.deepEqual(ids(search), ['vault', 'park', 'museum']);
+    });
+
+    test('minimum reward reads string points', () => {
+        const search = new LocationSearch(fakeMap());
+        search.setFilters({ minReward: 30 });
+        assert.deepEqual(ids(search), ['vault', 'museum', 'statue']);
+    });
+
+    test('locations the map hides are never found', () => {
+        const search = new LocationSearch(fakeMap(LOCATIONS, location => location.discovered !== false));
+        assert.equal(ids(search).includes('vault'), false);
+        search.setFilters({ state: 'undiscovered' });
+        assert.deepEqual(search.getResults(), { results: [], total: 0 });
+    });
+
+    test('resetFilters restores the defaults', () => {
+        const search = new LocationSearch(fakeMap());
+        search.setFilters({ query: 'bridge', type: 'park', sortBy: 'name' });
+        search.resetFilters();
+        assert.deepEqual(search.filters, LocationSearch.DEFAULT_FILTERS);
+        assert.equal(ids(search).length, LOCATIONS.length);
+    });
+});
+
+describe('sorting', () => {
+    test('by name', () => {
+        const search = new LocationSearch(fakeMap());
+        search.setFilters({ sortBy: 'name' });
+        assert.deepEqual(ids(search), ['bridge', 'park', 'vault', 'museum', 'statue']);
+    });
+
+    test('by reward, highest first', () => {
+        const search = new LocationSearch(fakeMap());
+        search.setFilters({ sortBy: 'reward' });
+        assert.deepEqual(ids(search), ['vault', 'museum', 'statue', 'bridge', 'park']);
+    });
+
+    test('ties fall back to distance', () => {
+        const locations = [
+            { id: 'far', name: 'Cafe', points: 5, distance: 900 },
+            { id: 'near', name: 'Cafe', points: 5, distance: 100 }
+        ];
+        const search = new LocationSearch(fakeMap(locations));
+        for (const sortBy of ['name', 'reward']) {
+            search.setFilters({ sortBy });
+            assert.deepEqual(ids(search), ['near', 'far'], sortBy);
+        }
+    });
+
+    test('unknown sort keys sort by distance', () => {
+        const search = new LocationSearch(fakeMap());
+        search.setFilters({ sortBy: 'popularity' });
+        assert.deepEqual(ids(search), ['vault', 'park', 'museum', 'bridge', 'statue']);
+    });
+});
+
+describe('results', () => {
+    test('are capped at maxResults, with the full count in total', () => {
+        const search = new LocationSearch(fakeMap(), { maxResults: 2 });
+        const { results, total } = search.getResults();
+        assert.deepEqual(results.map(result => result.location.id), ['vault', 'park']);
+        assert.equal(total, LOCATIONS.length);
+    });
+
+    test('getTypes lists each type once, sorted', () => {
+        const search = new LocationSearch(fakeMap());
+        assert.deepEqual(search.getTypes(), ['landmark', 'location', 'museum', 'park']);
+    });
+
+    test('filter changes notify listeners', () => {
+        const search = new LocationSearch(fakeMap());
+        let calls = 0;
+        search.onChange(() => calls++);
+        search.setFilters({ query: 'park' });
+        search.resetFilters();
+        assert.equal(calls, 2);
+    });
+});
@@ -0,0 +1,207 @@
+// minimap.test.js
+// Lazy creation, following the main map, drag-to-pan and what the minimap draws
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+const Minimap = require('../../../js/minimap.js');
+
+// Leaflet pieces only the minimap uses: controls, DOM events and a second map
+const documentHandlers = {};
+global.document = {};
+L.DomEvent = {
+    disableClickPropagation() {},
+    disableScrollPropagation() {},
+    on(target, type, handler) {
+        if (target === document) documentHandlers[type] = handler;
+    }
+};
+L.Control = {
+    extend: proto => class {
+        constructor(options) {
+            this.options = options;
+            this.map = null;
+        }
+        addTo(map) { this.map = map; this.container = proto.onAdd(); return this; }
+        remove() { this.map = null; return this; }
+    }
+};
+
+const fakeMap = (props = {}) => {
+    const handlers = {};
+    const map = {
+        layers: new Set(),
+        invalidated: 0,
+        view: null,
+        on(type, handler) { handlers[type] = handler; return map; },
+        fire(type, data = {}) { handlers[type]({ type, ...data }); },
+        addLayer(layer) { map.layers.add(layer); return map; },
+        removeLayer(layer) { map.layers.delete(layer); return map; },
+        hasLayer: layer => map.layers.has(layer),
+        setView(center, zoom) { map.view = { center, zoom }; return map; },
+        invalidateSize() { map.invalidated++; },
+        ...props
+    };
+    return map;
+};
+
+const mainMap = () => {
+    const map = fakeMap({
+        center: L.latLng(40.7, -74),
+        zoom: 14,
+        bounds: 'main viewport',
+        pans: [],
+        getCenter: () => map.center,
+        getZoom: () => map.zoom,
+        getBounds: () => map.bounds,
+        panTo(latLng) { map.pans.push(latLng); map.center = latLng; }
+    });
+    return map;
+};
+
+let created;
+beforeEach(() => {
+    created = [];
+    L.map = (container, options) => {
+        const map = fakeMap({ container, options });
+        created.push(map);
+        return map;
+    };
+});
+
+describe('showing and hiding', () => {
+    test('the map is only created the first time it is shown', () => {
+        const main = mainMap();
+        const minimap = new Minimap(main, { width: 200, createBaseLayer: () => L.layerGroup() });
+        assert.equal(minimap.container.style.width, '200px');
+        assert.equal(minimap.container.style.height, '140px');
+        assert.equal(minimap.control.options.position, 'bottomright');
+        assert.equal(created.length, 0);
+
+        minimap.setVisible(true);
+        assert.equal(created.length, 1);
+        assert.equal(minimap.control.map, main);
+        assert.equal(created[0].container, minimap.container);
+        assert.equal(created[0].options.dragging, false);
+        assert.ok(created[0].hasLayer(minimap.baseLayer));
+
+        minimap.setVisible(false);
+        assert.equal(minimap.control.map, null);
+        minimap.setVisible(true);
+        assert.equal(created.length, 1, 'the map is reused');
+        assert.equal(created[0].invalidated, 1);
+    });
+
+    test('showing twice does nothing the second time', () => {
+        const minimap = new Minimap(mainMap());
+        minimap.setVisible(true);
+        minimap.setVisible(true);
+        assert.equal(created[0].invalidated, 0);
+    });
+});
+
+describe('following the main map', () => {
+    test('zooms out by zoomOffset, never below zero', () => {
+        const main = mainMap();
+        const minimap = new Minimap(main, { zoomOffset: 3 });
+        minimap.setVisible(true);
+        assert.deepEqual(created[0].view, { center: main.center, zoom: 11 });
+
+        main.zoom = 2;
+        main.fire('moveend');
+        assert.equal(created[0].view.zoom, 0);
+    });
+
+    test('the viewport rectangle tracks the main map while it moves', () => {
+        const main = mainMap();
+        const minimap = new Minimap(main);
+        minimap.setVisible(true);
+
+        main.bounds = 'moved viewport';
+        main.fire('move');
+        assert.equal(minimap.viewportRect.latlngs, 'moved viewport');
+    });
+
+    test('does nothing while hidden', () => {
+        const main = mainMap();
+        const minimap = new Minimap(main);
+        main.fire('moveend');
+        main.fire('move');
+
+        minimap.setVisible(true);
+        minimap.setVisible(false);
+        const view = created[0].view;
+        main.center = L.latLng(41, -73);
+        main.fire('moveend');
+        assert.equal(created[0].view, view);
+    });
+
+    test('dragging pans the main map and re-centres on release', () => {
+        const main = mainMap();
+        const minimap = new Minimap(main);
+        minimap.setVisible(true);
+        const mini = created[0];
+
+        mini.fire('mousemove', { latlng: L.latLng(1, 1) });
+        assert.equal(main.pans.length, 0, 'moving without pressing does not pan');
+
+        mini.fire('mousedown', { latlng: L.latLng(40.8, -74) });
+        mini.fire('mousemove', { latlng: L.latLng(40.9, -74) });
+        main.fire('moveend');
+        assert.deepEqual(main.pans, [L.latLng(40.8, -74), L.latLng(40.9, -74)]);
+        assert.notEqual(mini.view.center, main.center, 'no re-centring mid-drag');
+
+        documentHandlers.mouseup();
+        assert.equal(minimap.dragging, false);
+        assert.equal(mini.view.center, main.center);
+    });
+});
+
+describe('drawing', () => {
+    test('player, path and locations set while hidden are drawn when shown', () => {
+        const minimap = new Minimap(mainMap());
+        minimap.setPlayerPosition(L.latLng(40.7, -74));
+        minimap.setPath([[40.7, -74], [40.71, -74]]);
+        minimap.setLocations([{ lat: 40.71, lng: -74 }, { lat: 40.72, lng: -74, visited: true }]);
+
+        minimap.setVisible(true);
+        assert.ok(created[0].hasLayer(minimap.playerDot));
+        assert.deepEqual(minimap.playerDot.latlngs, L.latLng(40.7, -74));
+        assert.deepEqual(minimap.pathLine.latlngs, [[40.7, -74], [40.71, -74]]);
+        assert.deepEqual(minimap.locationLayer.layers.map(layer => layer.options.color), ['#f1c40f', '#95a5a6']);
+    });
+
+    test('clearing the player and path removes them', () => {
+        const minimap = new Minimap(mainMap());
+        minimap.setVisible(true);
+        minimap.setPlayerPosition(L.latLng(40.7, -74));
+        minimap.setPath([[40.7, -74], [40.71, -74]]);
+
+        minimap.setPlayerPosition(null);
+        minimap.setPath(null);
+        assert.equal(created[0].hasLayer(minimap.playerDot), false);
+        assert.deepEqual(minimap.pathLine.latlngs, []);
+    });
+
+    test('new locations replace the old markers', () => {
+        const minimap = new Minimap(mainMap());
+        minimap.setVisible(true);
+        minimap.setLocations([{ lat: 1, lng: 1 }, { lat: 2, lng: 2 }]);
+        minimap.setLocations([{ lat: 3, lng: 3 }]);
+        assert.equal(minimap.locationLayer.layers.length, 1);
+    });
+
+    test('refreshing the base layer swaps the background', () => {
+        const minimap = new Minimap(mainMap(), { createBaseLayer: () => L.layerGroup() });
+        minimap.refreshBaseLayer();
+        assert.equal(minimap.baseLayer, null, 'nothing to refresh before the map exists');
+
+        minimap.setVisible(true);
+        const first = minimap.baseLayer;
+        minimap.refreshBaseLayer();
+        assert.equal(created[0].hasLayer(first), false);
+        assert.ok(created[0].hasLayer(minimap.baseLayer));
+        assert.notEqual(minimap.baseLayer, first);
+    });
+});
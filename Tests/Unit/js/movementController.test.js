@@ -0,0 +1,211 @@
+// movementController.test.js
+// Cancelling, failing and refusing redirects; redirecting a paused movement
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MovementController = require('../../../js/movementController.js');
+
+// Pathfinding whose findPath resolves or rejects when the test says so
+const fakePathfinding = () => {
+    const pathfinding = {
+        pending: [],
+        animations: 0,
+        findPath(from, destination, travelMode) {
+            return new Promise((resolve, reject) => pathfinding.pending.push({ resolve, reject, destination, travelMode }));
+        },
+        animateMovement(marker, path) {
+            pathfinding.animations++;
+            const position = { lat: path.coordinates[0][0], lng: path.coordinates[0][1] };
+            return {
+                cancel() {},
+                pause: () => true,
+                resume: () => true,
+                getPosition: () => position,
+                getProgress: () => ({ percent: 0, remainingDistance: path.distance, eta: 0 })
+            };
+        }
+    };
+    return pathfinding;
+};
+
+const fakeEvents = () => {
+    const events = [];
+    return { events, emit: (type, data) => events.push({ type, data }) };
+};
+
+const path = (lat = 0, lng = 0) => ({
+    coordinates: [[lat, lng], [lat, lng + 0.001]],
+    distance: 111,
+    duration: 80,
+    travelMode: 'foot',
+    type: 'direct'
+});
+
+const marker = { getLatLng: () => ({ lat: 0, lng: 0 }) };
+
+const setup = () => {
+    const pathfinding = fakePathfinding();
+    const eventManager = fakeEvents();
+    const controller = new MovementController(pathfinding, { eventManager });
+    const stops = [];
+    controller.start(marker, path(), { onStop: position => stops.push(position) });
+    return { pathfinding, eventManager, controller, stops };
+};
+
+describe('redirect', () => {
+    test('moves along the new route once it is found', async () => {
+        const { pathfinding, eventManager, controller } = setup();
+        const redirect = controller.redirect({ lat: 1, lng: 1 });
+        assert.equal(controller.state, 'rerouting');
+        assert.equal(controller.isActive(), true);
+
+        const next = path(0.5, 0.5);
+        pathfinding.pending[0].resolve(next);
+        assert.equal(await redirect, next);
+        assert.equal(controller.state, 'moving');
+        assert.equal(controller.path, next);
+        assert.ok(eventManager.events.some(event => event.type === 'movement.redirected'));
+    });
+
+    test('cancel while re-routing stops the unit and drops the new route', async () => {
+        const { pathfinding, eventManager, controller, stops } = setup();
+        const redirect = controller.redirect({ lat: 1, lng: 1 });
+
+        assert.equal(controller.cancel('user'), true);
+        assert.equal(controller.state, 'idle');
+        assert.equal(stops.length, 1);
+
+        pathfinding.pending[0].resolve(path(0.5, 0.5));
+        assert.equal(await redirect, null);
+        assert.equal(controller.state, 'idle');
+        assert.equal(pathfinding.animations, 1, 'the dropped route is never animated');
+        assert.ok(!eventManager.events.some(event => event.type === 'movement.redirected'));
+    });
+
+    test('a second redirect supersedes the first', async () => {
+        const { pathfinding, controller } = setup();
+        const first = controller.redirect({ lat: 1, lng: 1 });
+        const second = controller.redirect({ lat: 2, lng: 2 });
+
+        const latest = path(0.7, 0.7);
+        pathfinding.pending[1].resolve(latest);
+        pathfinding.pending[0].resolve(path(0.5, 0.5));
+
+        assert.equal(await second, latest);
+        assert.equal(await first, null);
+        assert.equal(controller.path, latest);
+    });
+
+    test('a failed route search cancels the movement', async () => {
+        const { pathfinding, eventManager, controller, stops } = setup();
+        const redirect = controller.redirect({ lat: 1, lng: 1 });
+
+        pathfinding.pending[0].reject(new Error('no route'));
+        await assert.rejects(redirect, /no route/);
+
+        assert.equal(controller.state, 'idle');
+        assert.equal(controller.isActive(), false);
+        assert.equal(stops.length, 1);
+        const cancelled = eventManager.events.find(event => event.type === 'movement.cancelled');
+        assert.equal(cancelled.data.reason, 'reroute-failed');
+        assert.equal(cancelled.data.error, 'no route');
+    });
+
+    test('a path the check refuses cancels the movement instead of starting it', async () => {
+        const { pathfinding, eventManager, controller, stops } = setup();
+        const checked = [];
+        const redirect = controller.redirect({ lat: 1, lng: 1 }, null, {
+            check: next => {
+                checked.push(next);
+                return { ok: false, reason: 'Not enough fuel' };
+            }
+        });
+
+        const next = path(0.5, 0.5);
+        pathfinding.pending[0].resolve(next);
+        assert.equal(await redirect, null);
+
+        assert.deepEqual(checked, [next]);
+        assert.equal(controller.state, 'idle');
+        assert.equal(pathfinding.animations, 1, 'the refused route is never animated');
+        assert.equal(stops.length, 1);
+        const cancelled = eventManager.events.find(event => event.type === 'movement.cancelled');
+        assert.equal(cancelled.data.reason, 'refused');
+        assert.equal(cancelled.data.refusal, 'Not enough fuel');
+        assert.ok(!eventManager.events.some(event => event.type === 'movement.redirected'));
+    });
+
+    test('a path the check accepts starts as usual', async () => {
+        const { pathfinding, controller } = setup();
+        const redirect = controller.redirect({ lat: 1, lng: 1 }, null, { check: () => ({ ok: true, reason: null }) });
+
+        const next = path(0.5, 0.5);
+        pathfinding.pending[0].resolve(next);
+        assert.equal(await redirect, next);
+        assert.equal(controller.state, 'moving');
+    });
+
+    test('does nothing when no movement is active', async () => {
+        const controller = new MovementController(fakePathfinding());
+        assert.equal(await controller.redirect({ lat: 1, lng: 1 }), null);
+    });
+});
+
+describe('redirect while paused', () => {
+    const paused = () => {
+        const context = setup();
+        assert.equal(context.controller.pause(), true);
+        assert.equal(context.controller.state, 'paused');
+        return context;
+    };
+
+    test('re-routes from the paused position and moves on along the new route', async () => {
+        const { pathfinding, controller } = paused();
+        const redirect = controller.redirect({ lat: 1, lng: 1 });
+        assert.equal(controller.state, 'rerouting');
+        assert.equal(controller.isPaused(), false);
+
+        const next = path(0.5, 0.5);
+        pathfinding.pending[0].resolve(next);
+        assert.equal(await redirect, next);
+        assert.equal(controller.state, 'moving');
+        assert.equal(controller.pause(), true, 'the new movement can be paused again');
+    });
+
+    test('pause and resume do nothing while re-routing', async () => {
+        const { pathfinding, controller } = paused();
+        const redirect = controller.redirect({ lat: 1, lng: 1 });
+
+        assert.equal(controller.pause(), false);
+        assert.equal(controller.resume(), false);
+        assert.equal(controller.togglePause(), false);
+        assert.equal(controller.state, 'rerouting');
+
+        pathfinding.pending[0].resolve(path(0.5, 0.5));
+        await redirect;
+        assert.equal(controller.state, 'moving');
+    });
+
+    test('cancel while re-routing from a pause leaves the unit idle', async () => {
+        const { pathfinding, controller, stops } = paused();
+        const redirect = controller.redirect({ lat: 1, lng: 1 });
+
+        assert.equal(controller.cancel('user'), true);
+        pathfinding.pending[0].resolve(path(0.5, 0.5));
+        assert.equal(await redirect, null);
+        assert.equal(controller.state, 'idle');
+        assert.equal(controller.resume(), false);
+        assert.equal(stops.length, 1);
+    });
+
+    test('a failed route search from a pause cancels the movement', async () => {
+        const { pathfinding, controller } = paused();
+        const redirect = controller.redirect({ lat: 1, lng: 1 });
+
+        pathfinding.pending[0].reject(new Error('no route'));
+        await assert.rejects(redirect, /no route/);
+        assert.equal(controller.state, 'idle');
+        assert.equal(controller.isPaused(), false);
+    });
+});
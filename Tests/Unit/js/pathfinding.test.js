@@ -0,0 +1,294 @@
+// pathfinding.test.js
+// Routing provider chains, movement animation and reachable areas for PathfindingManager
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+global.RouteCache = require('../../../js/routeCache.js');
+global.RoadGraphRouter = require('../../../js/roadGraph.js').RoadGraphRouter;
+const providers = require('../../../js/routingProviders.js');
+Object.assign(global, providers);
+const PathfindingManager = require('../../../js/pathfinding.js');
+
+const { MockRoutingProvider, OSRMRoutingProvider, RoutingProvider, decodePolyline } = providers;
+
+const fakeMap = () => ({ addLayer() {}, fitBounds() {} });
+
+// About 5.5km apart, well past the direct path threshold
+const start = L.latLng(40.70, -74.00);
+const destination = L.latLng(40.75, -74.00);
+
+const manager = (chain, mocks = {}) => {
+    const pathfinding = new PathfindingManager(fakeMap());
+    Object.entries(mocks).forEach(([name, provider]) => pathfinding.registerProvider(name, provider));
+    pathfinding.setFallbackChain('car', chain);
+    return pathfinding;
+};
+
+const via = lng => new MockRoutingProvider({
+    handler: (from, to) => [[from.lat, from.lng], [40.72, lng], [to.lat, to.lng]]
+});
+
+describe('provider chains', () => {
+    beforeEach(t => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+    });
+
+    test('the first provider that finds a route serves it', async () => {
+        const failing = new MockRoutingProvider({ fail: true });
+        const first = via(-74.01);
+        const second = via(-74.02);
+        const pathfinding = manager(['failing', 'first', 'second'], { failing, first, second });
+
+        const path = await pathfinding.findPath(start, destination, 'car');
+
+        assert.equal(path.provider, 'first');
+        assert.equal(path.type, 'road');
+        assert.equal(path.coordinates[1].lng, -74.01);
+        assert.equal(failing.requests.length, 1);
+        assert.equal(second.requests.length, 0);
+    });
+
+    test('skips providers that are unavailable, lack the mode or find nothing', async () => {
+        const offline = via(-74.01);
+        offline.isAvailable = () => false;
+        const footOnly = new MockRoutingProvider({ travelModes: ['foot'] });
+        const empty = new MockRoutingProvider({ handler: () => null });
+        const fallback = via(-74.02);
+        const pathfinding = manager(['offline', 'footOnly', 'local', 'empty', 'fallback'],
+            { offline, footOnly, empty, fallback });
+
+        const path = await pathfinding.findPath(start, destination, 'car');
+
+        assert.equal(path.provider, 'fallback');
+        assert.equal(offline.requests.length, 0);
+        assert.equal(footOnly.requests.length, 0);
+        assert.equal(empty.requests.length, 1);
+        assert.equal(pathfinding.hasRoadGraph(), false, 'no road network is loaded');
+    });
+
+    test('falls back to a straight line when every provider fails', async () => {
+        const pathfinding = manager(['broken', 'missing'], { broken: new MockRoutingProvider({ fail: true }) });
+
+        const path = await pathfinding.findPath(start, destination, 'car');
+
+        assert.equal(path.provider, 'direct');
+        assert.equal(path.type, 'direct');
+        assert.equal(path.coordinates.length, 2);
+        assert.ok(Math.abs(path.duration - path.distance / pathfinding.getTravelSpeed('car')) < 1e-9);
+    });
+
+    test('short trips go straight without asking any provider', async () => {
+        const mock = via(-74.01);
+        const pathfinding = manager(['mock'], { mock });
+
+        const path = await pathfinding.findPath(start, L.latLng(40.701, -74.00), 'car');
+
+        assert.equal(path.provider, 'direct');
+        assert.equal(mock.requests.length, 0);
+    });
+
+    test('chains skip providers that were unregistered', async () => {
+        const pathfinding = manager(['mock', 'other'], { mock: via(-74.01), other: via(-74.02) });
+        assert.equal(pathfinding.unregisterProvider('mock'), true);
+
+        assert.equal((await pathfinding.findPath(start, destination, 'car')).provider, 'other');
+        assert.deepEqual(pathfinding.getFallbackChain('boat'), ['direct']);
+    });
+
+    test('caches routes without the alternatives found for them', async () => {
+        const withAlternative = new MockRoutingProvider({
+            handler(from, to, travelMode) {
+                const path = this.createPath([[from.lat, from.lng], [to.lat, to.lng]], 5600, 420, travelMode);
+                path.alternatives = [this.createPath([[from.lat, from.lng], [40.72, -74.01], [to.lat, to.lng]], 6100, 480, travelMode)];
+                return path;
+            }
+        });
+        withAlternative.handler = withAlternative.handler.bind(withAlternative);
+        const pathfinding = manager(['mock'], { mock: withAlternative });
+
+        assert.equal((await pathfinding.findPath(start, destination, 'car', { alternatives: 1 })).alternatives.length, 1);
+
+        const cached = await pathfinding.findPath(start, destination, 'car');
+        assert.equal(withAlternative.requests.length, 1, 'served from the cache');
+        assert.equal(cached.alternatives, undefined);
+
+        const again = await pathfinding.findPath(start, destination, 'car', { alternatives: 1 });
+        assert.equal(withAlternative.requests.length, 2, 'alternatives are always routed');
+        assert.equal(again.alternatives.length, 1);
+    });
+
+    test('providers must implement route()', async () => {
+        class Unfinished extends RoutingProvider {}
+        await assert.rejects(new Unfinished().route(start, destination, 'car'), /Unfinished does not implement route/);
+    });
+});
+
+describe('OSRM provider', () => {
+    beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+    const osrmResponse = {
+        code: 'Ok',
+        routes: [
+            { geometry: { coordinates: [[-74.00, 40.70], [-74.00, 40.75]] }, distance: 5600, duration: 420 },
+            { geometry: { coordinates: [[-74.00, 40.70], [-74.01, 40.72], [-74.00, 40.75]] }, distance: 6100, duration: 480 }
+        ]
+    };
+
+    test('reads [lng, lat] geometry and alternatives', async t => {
+        const urls = [];
+        t.mock.method(global, 'fetch', async url => {
+            urls.push(url);
+            return { json: async () => osrmResponse };
+        });
+        const osrm = manager(['osrm']).getProvider('osrm');
+
+        const path = await osrm.route(start, destination, 'car', { alternatives: 1 });
+
+        assert.match(urls[0], /\/driving\/-74,40\.7;-74,40\.75\?.*&alternatives=1$/);
+        assert.deepEqual([path.coordinates[0].lat, path.coordinates[0].lng], [40.70, -74.00]);
+        assert.equal(path.duration, 420);
+        assert.equal(path.alternatives.length, 1);
+        assert.equal(path.alternatives[0].distance, 6100);
+    });
+
+    test('is skipped for retryDelay after the server is unreachable', async t => {
+        t.mock.method(global, 'fetch', async () => {
+            throw new TypeError('fetch failed');
+        });
+        const osrm = new OSRMRoutingProvider({ retryDelay: 1000 });
+
+        await assert.rejects(osrm.route(start, destination, 'car'), TypeError);
+        assert.equal(osrm.isAvailable(), false);
+        t.mock.method(Date, 'now', () => osrm.unavailableUntil);
+        assert.equal(osrm.isAvailable(), true);
+    });
+
+    test('only routes the modes it has profiles for', () => {
+        const osrm = new OSRMRoutingProvider();
+        assert.equal(osrm.supports('car'), true);
+        assert.equal(osrm.supports('aerial'), false);
+    });
+});
+
+test('decodePolyline reads Google encoded polylines', () => {
+    assert.deepEqual(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@'), [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]]);
+});
+
+describe('animateMovement', () => {
+    // Frames run on setTimeout under node; the animation clock is performance.now()
+    let clock;
+    const frame = (t, elapsed) => {
+        clock += elapsed;
+        t.mock.timers.tick(16);
+    };
+
+    beforeEach(t => {
+        clock = 0;
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        t.mock.method(performance, 'now', () => clock);
+        t.mock.method(console, 'log', () => {});
+    });
+
+    const marker = () => ({ positions: [], setLatLng(latLng) { this.positions.push(latLng); } });
+    const line = { coordinates: [L.latLng(0, 0), L.latLng(0, 0.01), L.latLng(0, 0.02)], travelMode: 'car' };
+    const length = L.latLng(0, 0).distanceTo(L.latLng(0, 0.02));
+
+    test('takes the path duration in game time', t => {
+        const pathfinding = new PathfindingManager(fakeMap());
+        const animation = pathfinding.animateMovement(marker(), { ...line, duration: 600 }, 60);
+
+        // 600 game seconds at 60x take 10 real seconds
+        frame(t, 2500);
+        const progress = animation.getProgress();
+        assert.ok(Math.abs(progress.percent - 25) < 1e-6);
+        assert.ok(Math.abs(progress.eta - 450) < 1e-6);
+        assert.ok(Math.abs(progress.realTimeRemaining - 7500) < 1e-3);
+    });
+
+    test('moves at the travel mode speed when the path has no duration', t => {
+        const pathfinding = new PathfindingManager(fakeMap());
+        const animation = pathfinding.animateMovement(marker(), line, 60);
+
+        frame(t, 1000);
+        const expected = 60 * pathfinding.getTravelSpeed('car');
+        assert.ok(Math.abs(animation.getProgress().distanceTravelled - expected) < 1e-6);
+    });
+
+    test('time spent paused does not count as travel', t => {
+        const pathfinding = new PathfindingManager(fakeMap());
+        const animation = pathfinding.animateMovement(marker(), { ...line, duration: 600 }, 60);
+
+        frame(t, 1000);
+        assert.equal(animation.pause(), true);
+        frame(t, 60000);
+        assert.ok(Math.abs(animation.getProgress().percent - 10) < 1e-6);
+
+        assert.equal(animation.resume(), true);
+        frame(t, 1000);
+        assert.ok(Math.abs(animation.getProgress().percent - 20) < 1e-6);
+    });
+
+    test('finishes on the last vertex once the duration has passed', t => {
+        const pathfinding = new PathfindingManager(fakeMap());
+        const unit = marker();
+        let completed = 0;
+        const animation = pathfinding.animateMovement(unit, { ...line, duration: 600 }, 60, () => completed++);
+
+        frame(t, 9000);
+        assert.equal(completed, 0);
+        frame(t, 2000);
+        assert.equal(completed, 1);
+        assert.equal(animation.isFinished(), true);
+        assert.ok(unit.positions[unit.positions.length - 1].equals(L.latLng(0, 0.02)));
+        assert.equal(animation.getProgress().distanceTravelled, length);
+    });
+});
+
+describe('reachable area', () => {
+    beforeEach(t => t.mock.method(console, 'log', () => {}));
+
+    // One road east from the origin
+    const eastRoad = {
+        type: 'FeatureCollection',
+        features: [{
+            type: 'Feature',
+            properties: { highway: 'residential' },
+            geometry: { type: 'LineString', coordinates: [[0, 0], [0.01, 0], [0.02, 0]] }
+        }]
+    };
+    const walk = 1000 / 1.4; // seconds to walk 1km
+
+    test('is a circle at the travel speed without a road network', () => {
+        const pathfinding = new PathfindingManager(fakeMap());
+        const area = pathfinding.getReachableArea(L.latLng(0, 0), walk, 'foot', 36);
+
+        assert.equal(area.type, 'radius');
+        assert.ok(Math.abs(area.maxDistance - 1000) < 1e-9);
+        assert.equal(area.polygon.length, 72, 'both edges of each sector');
+        assert.equal(area.contains(L.latLng(0.008, 0)), true, '890m north');
+        assert.equal(area.contains(L.latLng(0, -0.0095)), false, '1056m west');
+    });
+
+    test('follows the roads within the distance budget', () => {
+        const pathfinding = new PathfindingManager(fakeMap());
+        pathfinding.getProvider('local').graph.loadNetwork(eastRoad);
+        const area = pathfinding.getReachableArea(L.latLng(0, 0), walk, 'foot');
+
+        assert.equal(area.type, 'road');
+        assert.equal(area.contains(L.latLng(0, 0.005)), true, '556m along the road');
+        assert.equal(area.contains(L.latLng(0, 0.0095)), false, 'past the end of the budget');
+        assert.equal(area.contains(L.latLng(0.005, 0)), false, 'no road north');
+    });
+
+    test('aerial travel ignores the roads', () => {
+        const pathfinding = new PathfindingManager(fakeMap());
+        pathfinding.getProvider('local').graph.loadNetwork(eastRoad);
+        const area = pathfinding.getReachableArea(L.latLng(0, 0), 50, 'aerial');
+
+        assert.equal(area.type, 'radius');
+        assert.equal(area.contains(L.latLng(0.005, 0)), true, '556m north, within 1km');
+    });
+});
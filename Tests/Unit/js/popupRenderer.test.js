@@ -0,0 +1,149 @@
+// popupRenderer.test.js
+// Escaping in html``, the built-in templates and data-action click dispatch
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.IconRegistry = require('../../../js/iconRegistry.js');
+const PopupRenderer = require('../../../js/popupRenderer.js');
+
+const html = PopupRenderer.html;
+
+// Popup element that records its click listener; buttons are matched by data-action only
+global.document = {
+    createElement: tagName => ({
+        tagName,
+        className: '',
+        innerHTML: '',
+        listeners: {},
+        addEventListener(type, handler) { this.listeners[type] = handler; },
+        contains: () => true
+    })
+};
+const click = (element, dataset) => element.listeners.click({
+    target: { closest: () => (dataset ? { dataset } : null) }
+});
+
+const far = { nearby: false, distanceText: '1.2 km away' };
+const near = { nearby: true, distanceText: '10 m away' };
+
+beforeEach(t => t.mock.method(console, 'warn', () => {}));
+
+describe('html', () => {
+    test('escapes interpolated values', () => {
+        const name = '<img src=x onerror="alert(1)"> & \'friends\'';
+        assert.equal(
+            String(html`<h3>${name}</h3>`),
+            '<h3>&lt;img src=x onerror=&quot;alert(1)&quot;&gt; &amp; &#39;friends&#39;</h3>'
+        );
+    });
+
+    test('nests html`` and raw() without escaping them again', () => {
+        const inner = html`<b>${'<i>'}</b>`;
+        assert.equal(String(html`<p>${inner}${PopupRenderer.raw('<br>')}</p>`), '<p><b>&lt;i&gt;</b><br></p>');
+    });
+
+    test('joins arrays and drops null, undefined and false', () => {
+        assert.equal(String(html`${['<a>', html`<b></b>`]}|${null}|${undefined}|${false}|${0}`), '&lt;a&gt;<b></b>||||0');
+    });
+});
+
+describe('templates', () => {
+    const renderer = new PopupRenderer();
+    const render = (location, context = far) => String(renderer.getTemplate(location.type)(location, context));
+
+    test('types are matched like marker types and unknown types use the default', () => {
+        assert.equal(renderer.getTemplate('Terminal'), PopupRenderer.TEMPLATES.terminal);
+        assert.equal(renderer.getTemplate('quest-giver'), PopupRenderer.TEMPLATES.questgiver);
+        assert.equal(renderer.getTemplate('quest'), PopupRenderer.TEMPLATES.questgiver);
+        assert.equal(renderer.getTemplate('dock'), PopupRenderer.TEMPLATES.default);
+    });
+
+    test('the default template escapes names, descriptions and items', () => {
+        const markup = render({
+            type: 'landmark',
+            name: '<script>x</script>',
+            description: 'Fish & chips',
+            points: 25,
+            items: ['Old_Map', '<b>Key</b>']
+        });
+        assert.ok(!markup.includes('<script>'));
+        assert.match(markup, /<h3>&lt;script&gt;x&lt;\/script&gt;<\/h3>/);
+        assert.match(markup, /Fish &amp; chips/);
+        assert.match(markup, /<strong>Points:<\/strong> 25/);
+        assert.match(markup, /<li>Old Map<\/li>/);
+        assert.match(markup, /<li>&lt;b&gt;Key&lt;\/b&gt;<\/li>/);
+    });
+
+    test('a single item string is listed, no items means no list', () => {
+        assert.match(render({ type: 'shop', name: 'S', description: '', items: 'Rope' }), /For sale:<\/h4>\s*<ul><li>Rope<\/li><\/ul>/);
+        assert.ok(!render({ type: 'shop', name: 'S', description: '', items: [] }).includes('<ul>'));
+    });
+
+    test('terminal and quest giver templates show their own fields', () => {
+        const terminal = render({ type: 'terminal', name: 'T', description: '', securityLevel: '<high>' });
+        assert.match(terminal, /<strong>Security:<\/strong> &lt;high&gt;/);
+
+        const quest = render({ type: 'questgiver', name: 'Q', description: '', questName: 'Lost & Found', points: 50 }, near);
+        assert.match(quest, /<strong>Quest:<\/strong> Lost &amp; Found/);
+        assert.match(quest, /50 points/);
+        assert.match(quest, /data-action="visit">💬 Talk</);
+    });
+
+    test('a registered template replaces the built-in one', () => {
+        const custom = new PopupRenderer();
+        custom.registerTemplate('Shop', location => html`<p>${location.name}</p>`);
+        assert.equal(String(custom.getTemplate('shop')({ name: 'A&B' })), '<p>A&amp;B</p>');
+    });
+});
+
+describe('travel section', () => {
+    const section = context => String(PopupRenderer.travelSection(context));
+
+    test('far away offers to go there', () => {
+        const markup = section(far);
+        assert.match(markup, /1\.2 km away \(too far to visit\)/);
+        assert.match(markup, /class="popup-distance far"/);
+        assert.match(markup, /data-action="goto"/);
+    });
+
+    test('nearby offers to visit', () => {
+        const markup = section(near);
+        assert.match(markup, /Nearby \(can visit\)/);
+        assert.match(markup, /data-action="visit">✓ Visit Location</);
+    });
+
+    test('unmet requirements lock the visit button and are listed escaped', () => {
+        const markup = section({ ...near, unmet: [{ type: 'item', message: 'Needs <Keycard>' }] });
+        assert.match(markup, /Nearby \(locked\)/);
+        assert.match(markup, /<button class="popup-action popup-visit" disabled>🔒 Locked<\/button>/);
+        assert.match(markup, /<li class="requirement-item">🔒 Needs &lt;Keycard&gt;<\/li>/);
+        assert.ok(!markup.includes('data-action="visit"'));
+    });
+});
+
+describe('render', () => {
+    test('builds a popup element for the location type', () => {
+        const element = new PopupRenderer().render({ type: 'Mission Site', name: 'M', description: '' }, far);
+        assert.equal(element.className, 'location-popup location-popup-missionsite');
+        assert.match(element.innerHTML, /<h3>M<\/h3>/);
+    });
+
+    test('button clicks go to the registered action with the other data-* values', () => {
+        const renderer = new PopupRenderer();
+        const calls = [];
+        renderer.registerAction('buy', (location, args) => calls.push({ id: location.id, args }));
+        const location = { id: 'shop_1', type: 'shop', name: 'S', description: '' };
+        const element = renderer.render(location, far);
+
+        click(element, { action: 'buy', item: 'Rope' });
+        click(element, null);
+        assert.deepEqual(calls, [{ id: 'shop_1', args: { item: 'Rope' } }]);
+    });
+
+    test('unregistered actions are reported, not thrown', () => {
+        const element = new PopupRenderer().render({ type: 'shop', name: 'S', description: '' }, far);
+        click(element, { action: 'teleport' });
+        assert.match(console.warn.mock.calls[0].arguments[0], /No popup action registered for 'teleport'/);
+    });
+});
@@ -0,0 +1,244 @@
+// roadGraph.test.js
+// Graph building, A* routing, Dijkstra reachability and snapping for RoadGraphRouter
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const { RoadGraphRouter, MinHeap } = require('../../../js/roadGraph.js');
+
+const line = (coordinates, properties = {}) => ({
+    type: 'Feature',
+    properties,
+    geometry: { type: 'LineString', coordinates: coordinates.map(([lat, lng]) => [lng, lat]) }
+});
+
+// A square A-B-C-D with a long way round (A-D-C) and a short one (A-B-C), plus an island E-F
+//   D ---- C
+//   |      |
+//   A - B -+
+const A = [0, 0], B = [0, 0.001], C = [0, 0.002], D = [0.002, 0], DC = [0.002, 0.002];
+const square = () => ({
+    type: 'FeatureCollection',
+    features: [
+        line([A, B, C], { highway: 'residential' }),
+        line([A, D, DC, C], { highway: 'residential' }),
+        line([[0.01, 0.01], [0.01, 0.011]], { highway: 'residential' })
+    ]
+});
+
+const router = (data = square(), options = {}) => {
+    const graph = new RoadGraphRouter(options);
+    graph.loadNetwork(data);
+    return graph;
+};
+
+describe('graph building', () => {
+    test('merges shared vertices into single nodes', () => {
+        const graph = router();
+        // A, B, C, D, DC and the two island nodes
+        assert.equal(graph.nodes.size, 7);
+        assert.equal(graph.edges.length, 6);
+        assert.equal(graph.adjacency.get('0.000000,0.000000').length, 2);
+        assert.equal(graph.isLoaded, true);
+    });
+
+    test('one-way roads are only linked in their direction', () => {
+        const graph = router({ type: 'FeatureCollection', features: [line([A, B], { oneway: 'yes' })] });
+        assert.equal(graph.adjacency.get('0.000000,0.000000').length, 1);
+        assert.equal(graph.adjacency.get('0.000000,0.001000').length, 0);
+    });
+
+    test('reads OSM JSON highways and skips other ways', () => {
+        const graph = router({
+            elements: [
+                { type: 'node', id: 1, lat: 0, lon: 0 },
+                { type: 'node', id: 2, lat: 0, lon: 0.001 },
+                { type: 'node', id: 3, lat: 0.001, lon: 0.001 },
+                { type: 'way', id: 10, nodes: [1, 2], tags: { highway: 'footway' } },
+                { type: 'way', id: 11, nodes: [2, 3], tags: { building: 'yes' } }
+            ]
+        });
+        assert.equal(graph.edges.length, 1);
+        assert.deepEqual(graph.edges[0].modes, ['foot']);
+    });
+
+    test('rejects unknown formats', () => {
+        assert.throws(() => router({ type: 'Feature' }), /Unsupported road network format/);
+    });
+
+    test('restricts footways and motorways to their travel modes', () => {
+        const graph = new RoadGraphRouter();
+        assert.deepEqual(graph.getAllowedModes('footway'), ['foot']);
+        assert.deepEqual(graph.getAllowedModes('motorway'), ['car', 'motorcycle', 'van']);
+        assert.equal(graph.getAllowedModes('residential'), null);
+    });
+});
+
+describe('A* routing', () => {
+    test('takes the shorter side of the square', () => {
+        const route = router().findRoute({ lat: 0, lng: 0 }, { lat: 0, lng: 0.002 });
+        assert.ok(route);
+        assert.ok(route.nodeIds.includes('0.000000,0.001000'), 'route goes through B');
+        assert.ok(!route.nodeIds.includes('0.002000,0.000000'), 'route avoids D');
+        assert.ok(Math.abs(route.distance - RoadGraphRouter.haversine({ lat: 0, lng: 0 }, { lat: 0, lng: 0.002 })) < 1);
+    });
+
+    test('starts and ends at the requested points', () => {
+        const route = router().findRoute({ lat: 0.0001, lng: 0.0005 }, { lat: 0.0021, lng: 0.001 });
+        assert.deepEqual(route.coordinates[0], [0.0001, 0.0005]);
+        assert.deepEqual(route.coordinates[route.coordinates.length - 1], [0.0021, 0.001]);
+    });
+
+    test('edgeCost can close a road', () => {
+        const B_ID = '0.000000,0.001000';
+        const route = router().findRoute({ lat: 0, lng: 0 }, { lat: 0, lng: 0.002 }, 'foot', {
+            edgeCost: (from, to, distance) => (to.id === B_ID ? Infinity : distance)
+        });
+        assert.ok(route.nodeIds.includes('0.002000,0.000000'), 'detours through D');
+    });
+
+    test('agrees with the Dijkstra distances from reachableFrom', () => {
+        const graph = router();
+        const start = { lat: 0.002, lng: 0 };
+        const route = graph.findRoute(start, { lat: 0, lng: 0.002 });
+        const reached = graph.reachableFrom(start, 'foot', 10000).find(p => p.lat === 0 && p.lng === 0.002);
+        assert.ok(Math.abs(route.distance - reached.distance) < 0.01);
+    });
+});
+
+describe('alternative routes', () => {
+    // The square with roads leading in from the west (W-A) and out to the east (C-E)
+    const W = { lat: 0, lng: -0.001 };
+    const E = { lat: 0, lng: 0.003 };
+    const loop = () => router({
+        type: 'FeatureCollection',
+        features: [line([[0, -0.001], A, B, C, [0, 0.003]]), line([A, D, DC, C])]
+    });
+
+    // The bottom road is short but ten times as costly, like a hostile district
+    const bottomIsCostly = (from, to, distance) => (from.lat < 0.0005 && to.lat < 0.0005 ? distance * 10 : distance);
+
+    test('finds distinct routes', () => {
+        const routes = loop().findAlternativeRoutes(W, E, 'foot', 3);
+        assert.equal(routes.length, 2);
+        assert.ok(RoadGraphRouter.routeOverlap(routes[0].nodeIds, routes[1].nodeIds) < 0.9);
+    });
+
+    test('orders routes by cost, not distance', () => {
+        const routes = loop().findAlternativeRoutes(W, E, 'foot', 3, {
+            edgeCost: bottomIsCostly
+        });
+
+        assert.equal(routes.length, 2);
+        assert.ok(routes[0].nodeIds.includes('0.002000,0.000000'), 'cheapest route goes round the top');
+        assert.ok(routes[0].distance > routes[1].distance);
+        assert.ok(routes[0].cost < routes[1].cost);
+    });
+
+    test('reports costs without the penalties for reusing earlier routes', () => {
+        const graph = loop();
+        const routes = graph.findAlternativeRoutes(W, E, 'foot', 3, { edgeCost: bottomIsCostly });
+        const single = graph.findRoute(W, E, 'foot', { edgeCost: bottomIsCostly });
+
+        assert.ok(Math.abs(routes[0].cost - single.cost) < 1e-6);
+    });
+
+    test('without an edge cost the shortest route comes first', () => {
+        const routes = loop().findAlternativeRoutes(W, E, 'foot', 3);
+        assert.ok(routes[0].distance < routes[1].distance);
+        assert.ok(Math.abs(routes[0].cost - routes[0].distance) < 1);
+    });
+});
+
+describe('unreachable destinations', () => {
+    test('returns null between disconnected parts of the network', () => {
+        assert.equal(router().findRoute({ lat: 0, lng: 0 }, { lat: 0.01, lng: 0.0105 }), null);
+    });
+
+    test('returns null against a one-way street', () => {
+        const graph = router({ type: 'FeatureCollection', features: [line([A, B, C], { oneway: 'yes' })] });
+        assert.ok(graph.findRoute({ lat: 0, lng: 0 }, { lat: 0, lng: 0.002 }));
+        assert.equal(graph.findRoute({ lat: 0, lng: 0.002 }, { lat: 0, lng: 0 }), null);
+    });
+
+    test('returns null when the travel mode may not use any nearby road', () => {
+        const graph = router({ type: 'FeatureCollection', features: [line([A, B], { highway: 'motorway' })] });
+        assert.equal(graph.findRoute({ lat: 0, lng: 0 }, { lat: 0, lng: 0.001 }, 'foot'), null);
+        assert.ok(graph.findRoute({ lat: 0, lng: 0 }, { lat: 0, lng: 0.001 }, 'car'));
+    });
+
+    test('returns null before a network is loaded', () => {
+        assert.equal(new RoadGraphRouter().findRoute({ lat: 0, lng: 0 }, { lat: 0, lng: 0.001 }), null);
+    });
+});
+
+describe('Dijkstra reachability', () => {
+    test('reaches nodes within the budget and stops part-way along edges', () => {
+        const edge = RoadGraphRouter.haversine({ lat: 0, lng: 0 }, { lat: 0, lng: 0.001 });
+        const points = router().reachableFrom({ lat: 0, lng: 0 }, 'foot', edge * 1.5);
+
+        const reachedB = points.find(p => p.lat === 0 && p.lng === 0.001);
+        assert.ok(reachedB);
+        assert.ok(Math.abs(reachedB.distance - edge) < 0.01);
+        assert.ok(!points.some(p => p.lat === 0 && p.lng === 0.002 && p.distance < edge * 1.5), 'C is out of reach');
+        assert.ok(points.every(p => p.distance <= edge * 1.5 + 1e-6));
+    });
+
+    test('returns null when the origin is further from the road than the budget', () => {
+        assert.equal(router().reachableFrom({ lat: 0.001, lng: 0.001 }, 'foot', 10), null);
+    });
+});
+
+describe('snapping', () => {
+    test('snaps onto the nearest edge with its fraction along it', () => {
+        const snap = router().snapToGraph({ lat: 0.0001, lng: 0.0005 });
+        assert.equal(snap.edge.from, '0.000000,0.000000');
+        assert.equal(snap.edge.to, '0.000000,0.001000');
+        assert.ok(Math.abs(snap.fraction - 0.5) < 1e-9);
+        assert.ok(Math.abs(snap.point.lat) < 1e-12);
+    });
+
+    test('clamps to the nearest node beyond the end of a segment', () => {
+        const snap = router().snapToGraph({ lat: -0.0002, lng: -0.0002 });
+        assert.deepEqual(snap.point, { lat: 0, lng: 0 });
+    });
+
+    test('gives up beyond maxSnapDistance', () => {
+        const graph = router(square(), { maxSnapDistance: 50 });
+        assert.equal(graph.snapToGraph({ lat: 0.001, lng: 0.001 }), null);
+        assert.ok(graph.snapToGraph({ lat: 0.0003, lng: 0.001 }));
+    });
+});
+
+describe('MinHeap', () => {
+    test('pops in priority order', () => {
+        const heap = new MinHeap();
+        [5, 1, 4, 2, 3].forEach(n => heap.push(`n${n}`, n));
+        const order = [];
+        while (heap.size() > 0) order.push(heap.pop());
+        assert.deepEqual(order, ['n1', 'n2', 'n3', 'n4', 'n5']);
+    });
+});
+
+describe('shipped road network', () => {
+    test('Data/Maps/roads.geojson is one connected network', () => {
+        const file = path.join(__dirname, '../../../Data/Maps/roads.geojson');
+        const graph = router(JSON.parse(fs.readFileSync(file, 'utf8')));
+        assert.ok(graph.isLoaded);
+
+        const seen = new Set();
+        const stack = [graph.nodes.keys().next().value];
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (seen.has(id)) continue;
+            seen.add(id);
+            graph.adjacency.get(id).forEach(link => stack.push(link.to));
+        }
+        assert.equal(seen.size, graph.nodes.size);
+
+        // Times Square to Grand Army Plaza, Brooklyn
+        assert.ok(graph.findRoute({ lat: 40.758, lng: -73.9855 }, { lat: 40.6745, lng: -73.97 }, 'foot'));
+    });
+});
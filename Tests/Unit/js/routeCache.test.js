@@ -0,0 +1,134 @@
+// routeCache.test.js
+// Grid-quantised keys, LRU eviction, expiry and path serialisation (memory-only under node)
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+const RouteCache = require('../../../js/routeCache.js');
+
+const point = (lat, lng) => L.latLng(lat, lng);
+const path = (distance = 100) => ({
+    coordinates: [point(0, 0), point(0, 0.001)],
+    distance,
+    duration: distance / 1.4,
+    travelMode: 'foot',
+    type: 'road'
+});
+
+// Cache entry n goes from the origin to (n * 0.01, 0)
+const fill = (cache, count) => {
+    for (let n = 1; n <= count; n++) {
+        cache.set(point(0, 0), point(n * 0.01, 0), 'foot', path(n));
+    }
+};
+const lookup = (cache, n) => cache.get(point(0, 0), point(n * 0.01, 0), 'foot');
+
+describe('keys', () => {
+    test('points in the same grid cell share a route', () => {
+        const cache = new RouteCache();
+        cache.set(point(40.7128, -74.006), point(40.72, -74.01), 'foot', path());
+
+        assert.ok(cache.get(point(40.71281, -74.00601), point(40.72002, -74.01001), 'foot'));
+        assert.equal(cache.get(point(40.7148, -74.006), point(40.72, -74.01), 'foot'), null);
+    });
+
+    test('travel modes are cached separately', () => {
+        const cache = new RouteCache();
+        cache.set(point(0, 0), point(0.01, 0), 'foot', path());
+        assert.equal(cache.get(point(0, 0), point(0.01, 0), 'car'), null);
+    });
+
+    test('direction matters', () => {
+        const cache = new RouteCache();
+        assert.notEqual(cache.makeKey(point(0, 0), point(0.01, 0), 'foot'), cache.makeKey(point(0.01, 0), point(0, 0), 'foot'));
+    });
+});
+
+describe('LRU eviction', () => {
+    test('drops the least recently stored route over maxEntries', () => {
+        const cache = new RouteCache({ maxEntries: 3 });
+        fill(cache, 4);
+
+        assert.equal(lookup(cache, 1), null);
+        [2, 3, 4].forEach(n => assert.ok(lookup(cache, n), `route ${n}`));
+        assert.equal(cache.getStatistics().evictions, 1);
+    });
+
+    test('a lookup makes a route recently used', () => {
+        const cache = new RouteCache({ maxEntries: 3 });
+        fill(cache, 3);
+        lookup(cache, 1);
+        cache.set(point(0, 0), point(0.04, 0), 'foot', path(4));
+
+        assert.ok(lookup(cache, 1));
+        assert.equal(lookup(cache, 2), null);
+    });
+
+    test('setMaxEntries shrinks the cache immediately', () => {
+        const cache = new RouteCache();
+        fill(cache, 5);
+        cache.setMaxEntries(2);
+        assert.equal(cache.getStatistics().entries, 2);
+        assert.ok(lookup(cache, 5));
+    });
+});
+
+describe('expiry and statistics', () => {
+    test('expired routes are misses', (t) => {
+        const cache = new RouteCache({ ttl: 1000 });
+        let now = 1000000;
+        t.mock.method(Date, 'now', () => now);
+
+        fill(cache, 1);
+        now += 999;
+        assert.ok(lookup(cache, 1));
+        now += 1;
+        assert.equal(lookup(cache, 1), null);
+
+        const stats = cache.getStatistics();
+        assert.equal(stats.expired, 1);
+        assert.equal(stats.entries, 0);
+    });
+
+    test('counts hits and misses', () => {
+        const cache = new RouteCache();
+        fill(cache, 1);
+        lookup(cache, 1);
+        lookup(cache, 1);
+        lookup(cache, 2);
+
+        const stats = cache.getStatistics();
+        assert.equal(stats.hits, 2);
+        assert.equal(stats.misses, 1);
+        assert.ok(Math.abs(stats.hitRate - 2 / 3) < 1e-9);
+        assert.equal(stats.persistent, false);
+    });
+
+    test('is memory-only without IndexedDB', async () => {
+        assert.equal(await new RouteCache().ready, false);
+    });
+});
+
+describe('serialisation', () => {
+    test('stores plain coordinates and returns L.LatLng ones', () => {
+        const cache = new RouteCache();
+        cache.set(point(0, 0), point(0.01, 0), 'foot', { ...path(), alternatives: [path(200)] });
+
+        const stored = cache.entries.values().next().value.path;
+        assert.deepEqual(stored.coordinates, [[0, 0], [0, 0.001]]);
+        assert.equal(stored.alternatives, undefined);
+
+        const route = lookup(cache, 1);
+        assert.ok(route.coordinates[1] instanceof L.LatLng);
+        assert.equal(route.coordinates[1].lng, 0.001);
+        assert.equal(route.distance, 100);
+    });
+
+    test('clear empties the cache', () => {
+        const cache = new RouteCache();
+        fill(cache, 3);
+        cache.clear();
+        assert.equal(cache.getStatistics().entries, 0);
+    });
+});
@@ -0,0 +1,71 @@
+// stateManager.test.js
+// The per-entity change log stays bounded when recording and when loading older saves
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.localStorage = new (require('./helpers/localStorage.js'))();
+const { StateManager, StateChangeTracker } = require('../../../js/stateManager.js');
+
+const manager = (config = {}) => new StateManager({ autoSyncInterval: 0, ...config });
+
+beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    localStorage.clear();
+});
+
+describe('change log', () => {
+    test('keeps the newest maxChangesPerEntity changes', () => {
+        const stateManager = manager({ maxChangesPerEntity: 3 });
+        stateManager.registerEntity('player', 'Player', { Currency: 0 });
+        for (let value = 1; value <= 10; value++) {
+            stateManager.updateEntityState('player', 'Currency', value);
+        }
+
+        const tracker = stateManager.state.trackers.get('player');
+        assert.deepEqual(tracker.changes.map(change => change.newValue), [8, 9, 10]);
+        assert.equal(tracker.currentState.Currency, 10);
+        assert.equal(stateManager.getStateStatistics().totalChanges, 3);
+    });
+
+    test('is capped at 50 by default', () => {
+        const stateManager = manager();
+        stateManager.registerEntity('player', 'Player', { Currency: 0 });
+        for (let value = 1; value <= 60; value++) {
+            stateManager.updateEntityState('player', 'Currency', value);
+        }
+        assert.equal(stateManager.state.trackers.get('player').changes.length, 50);
+        assert.equal(new StateChangeTracker('x', 'X', {}).maxChanges, 50);
+    });
+
+    test('bulk values saved over and over do not pile up', () => {
+        const stateManager = manager({ maxChangesPerEntity: 5 });
+        stateManager.registerEntity('travelHistory', 'TravelHistory', { legs: [] });
+        const legs = [];
+        for (let i = 0; i < 100; i++) {
+            legs.push({ points: new Array(100).fill([40.7, -74]) });
+            stateManager.updateEntityState('travelHistory', 'legs', legs.slice());
+        }
+        assert.equal(stateManager.state.trackers.get('travelHistory').changes.length, 5);
+    });
+
+    test('loading a save from before the cap trims its change log', async () => {
+        const writer = manager({ maxChangesPerEntity: 1000 });
+        writer.registerEntity('player', 'Player', { Currency: 0 });
+        for (let value = 1; value <= 200; value++) {
+            writer.updateEntityState('player', 'Currency', value);
+        }
+        await writer.saveGameState('old');
+
+        const reader = manager({ maxChangesPerEntity: 20 });
+        await reader.loadGameState('old');
+
+        const tracker = reader.state.trackers.get('player');
+        assert.equal(tracker.changes.length, 20);
+        assert.equal(tracker.changes.at(-1).newValue, 200);
+        assert.equal(tracker.currentState.Currency, 200);
+
+        reader.updateEntityState('player', 'Currency', 201);
+        assert.equal(tracker.changes.length, 20);
+    });
+});
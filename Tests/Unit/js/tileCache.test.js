@@ -0,0 +1,329 @@
+// tileCache.test.js
+// LRU tile cache over IndexedDB, area seeding, tile maths and the cache-then-network-then-folder tile layer
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+const TileCache = require('../../../js/tileCache.js');
+
+// In-memory IndexedDB: requests succeed (or fail) on a later turn, like the real one
+const fakeIndexedDB = () => {
+    const databases = new Map();
+    const factory = { databases, failPuts: false };
+
+    const request = (operation) => {
+        const req = {};
+        setImmediate(() => {
+            try {
+                req.result = operation();
+                req.onsuccess();
+            } catch (error) {
+                req.error = error;
+                req.onerror();
+            }
+        });
+        return req;
+    };
+
+    const objectStore = (store) => ({
+        put: (value, key) => request(() => {
+            if (factory.failPuts) throw new Error('QuotaExceededError');
+            store.data.set(store.keyPath ? value[store.keyPath] : key, structuredClone(value));
+        }),
+        get: key => request(() => store.data.get(key)),
+        getAll: () => request(() => Array.from(store.data.values())),
+        delete: key => request(() => store.data.delete(key)),
+        clear: () => request(() => store.data.clear())
+    });
+
+    factory.open = (name) => {
+        const req = {};
+        setImmediate(() => {
+            let stores = databases.get(name);
+            const upgrade = !stores;
+            if (upgrade) {
+                stores = new Map();
+                databases.set(name, stores);
+            }
+            req.result = {
+                createObjectStore: (storeName, options = {}) => stores.set(storeName, { keyPath: options.keyPath, data: new Map() }),
+                transaction: storeName => ({ objectStore: () => objectStore(stores.get(storeName)) })
+            };
+            if (upgrade) req.onupgradeneeded();
+            req.onsuccess();
+        });
+        return req;
+    };
+    return factory;
+};
+
+const tile = (size = 10) => ({ size });
+
+// Let fire-and-forget store writes finish
+const settle = async () => {
+    for (let i = 0; i < 10; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+};
+
+let clock;
+beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    clock = 0;
+    t.mock.method(Date, 'now', () => ++clock);
+    global.indexedDB = fakeIndexedDB();
+});
+
+describe('cache', () => {
+    test('without IndexedDB nothing is cached', async () => {
+        delete global.indexedDB;
+        const cache = new TileCache();
+        assert.equal(await cache.ready, false);
+
+        await cache.set('osm/1/0/0', tile());
+        assert.equal(await cache.get('osm/1/0/0'), null);
+        assert.equal(cache.getStatistics().persistent, false);
+        await assert.rejects(cache.seed({ north: 1, south: 0, east: 1, west: 0 }, [1], { id: 'osm', url: 'x' }), /not available/);
+    });
+
+    test('stores and returns tiles by key', async () => {
+        const cache = new TileCache();
+        assert.equal(await cache.ready, true);
+
+        const blob = tile(12);
+        await cache.set(cache.makeKey('osm', { z: 3, x: 4, y: 5 }), blob);
+        assert.deepEqual(await cache.get('osm/3/4/5'), blob);
+        assert.equal(await cache.get('osm/3/4/6'), null);
+        assert.equal(cache.has('osm/3/4/5'), true);
+        assert.equal(cache.getStatistics().bytes, 12);
+    });
+
+    test('replacing a tile does not count its size twice', async () => {
+        const cache = new TileCache();
+        await cache.set('osm/1/0/0', tile(10));
+        await cache.set('osm/1/0/0', tile(30));
+        assert.equal(cache.getStatistics().tiles, 1);
+        assert.equal(cache.getStatistics().bytes, 30);
+    });
+
+    test('evicts the least recently used tiles over maxBytes', async () => {
+        const cache = new TileCache({ maxBytes: 25 });
+        await cache.set('a', tile());
+        await cache.set('b', tile());
+        await cache.get('a');
+        await cache.set('c', tile());
+
+        assert.deepEqual(Array.from(cache.index.keys()), ['a', 'c']);
+        assert.equal(cache.totalBytes, 20);
+        await settle();
+        assert.equal(global.indexedDB.databases.get('pwshLeafmapTileCache').get('tiles').data.has('b'), false);
+    });
+
+    test('reopening restores tiles in least recently used order', async () => {
+        const cache = new TileCache({ maxBytes: 25 });
+        await cache.set('a', tile());
+        await cache.set('b', tile());
+        await cache.get('a');
+        await settle();
+
+        const reopened = new TileCache({ maxBytes: 25 });
+        await reopened.ready;
+        assert.deepEqual(Array.from(reopened.index.keys()), ['b', 'a']);
+        assert.equal(reopened.totalBytes, 20);
+
+        await reopened.set('c', tile());
+        assert.deepEqual(Array.from(reopened.index.keys()), ['a', 'c']);
+    });
+
+    test('a tile the database refuses is forgotten', async () => {
+        const cache = new TileCache();
+        await cache.ready;
+        global.indexedDB.failPuts = true;
+
+        await cache.set('a', tile());
+        assert.equal(cache.has('a'), false);
+        assert.equal(cache.totalBytes, 0);
+    });
+
+    test('a tile missing from the database is a miss', async () => {
+        const cache = new TileCache();
+        await cache.set('a', tile());
+        global.indexedDB.databases.get('pwshLeafmapTileCache').get('tiles').data.delete('a');
+
+        assert.equal(await cache.get('a'), null);
+        assert.equal(cache.has('a'), false);
+    });
+
+    test('clear empties the cache and the database', async () => {
+        const cache = new TileCache();
+        await cache.set('a', tile());
+        await cache.clear();
+
+        assert.equal(cache.getStatistics().tiles, 0);
+        assert.equal(cache.getStatistics().bytes, 0);
+        const reopened = new TileCache();
+        await reopened.ready;
+        assert.equal(reopened.index.size, 0);
+    });
+});
+
+describe('tile maths', () => {
+    test('zoom 0 is one tile and zoom 1 covers the world in four', () => {
+        const world = { north: 85, south: -85, east: 180, west: -180 };
+        assert.deepEqual(TileCache.tilesInBounds(world, 0), [{ x: 0, y: 0, z: 0 }]);
+        assert.equal(TileCache.tilesInBounds(world, 1).length, 4);
+    });
+
+    test('a small box maps to the tiles around it', () => {
+        // Lower Manhattan at zoom 12 straddles OSM tiles 1205/1539 and 1205/1540
+        const tiles = TileCache.tilesInBounds({ north: 40.715, south: 40.705, east: -74.005, west: -74.015 }, 12);
+        assert.deepEqual(tiles, [{ x: 1205, y: 1539, z: 12 }, { x: 1205, y: 1540, z: 12 }]);
+    });
+
+    test('tile URLs rotate subdomains and flip y for tms sources', () => {
+        const source = { url: 'https://{s}.tiles/{z}/{x}/{y}{r}.png' };
+        assert.equal(TileCache.getTileUrl(source, { z: 2, x: 1, y: 1 }), 'https://c.tiles/2/1/1.png');
+        assert.equal(TileCache.getTileUrl(source, { z: 2, x: 1, y: 0 }), 'https://b.tiles/2/1/0.png');
+        assert.equal(TileCache.getTileUrl({ url: '{z}/{x}/{y}', tms: true }, { z: 2, x: 1, y: 0 }), '2/1/3');
+        assert.equal(TileCache.getTileUrl({ url: '{s}', subdomains: ['t1', 't2'] }, { z: 0, x: 1, y: 0 }), 't2');
+    });
+});
+
+describe('seed', () => {
+    const bounds = { north: 40.715, south: 40.705, east: -74.005, west: -74.015 };
+    const source = { id: 'osm', url: 'https://tiles/{z}/{x}/{y}.png' };
+
+    const mockFetch = (t, failing = () => false) => {
+        const urls = [];
+        t.mock.method(global, 'fetch', async url => {
+            urls.push(url);
+            return failing(url)
+                ? { ok: false, status: 404 }
+                : { ok: true, blob: async () => tile() };
+        });
+        return urls;
+    };
+
+    test('downloads missing tiles and skips cached ones', async (t) => {
+        const urls = mockFetch(t);
+        const cache = new TileCache();
+        await cache.set('osm/12/1205/1539', tile());
+        const progress = [];
+
+        const result = await cache.seed(bounds, [12, 13], source, { onProgress: p => progress.push(p) });
+        await settle();
+
+        assert.deepEqual(result, { total: 4, downloaded: 3, skipped: 1, failed: 0, cancelled: false });
+        assert.equal(urls.length, 3);
+        assert.ok(!urls.includes('https://tiles/12/1205/1539.png'));
+        assert.equal(cache.index.size, 4);
+        assert.deepEqual(progress.at(-1), { done: 4, total: 4, failed: 0 });
+        assert.equal(cache.getStatistics().seeding, false);
+    });
+
+    test('counts failed downloads', async (t) => {
+        mockFetch(t, url => url.includes('/13/'));
+        const result = await new TileCache().seed(bounds, [12, 13], source);
+        assert.equal(result.downloaded, 2);
+        assert.equal(result.failed, 2);
+    });
+
+    test('refuses areas over maxTiles', async () => {
+        await assert.rejects(
+            new TileCache().seed(bounds, [12, 13], source, { maxTiles: 3 }),
+            /Area needs 4 tiles \(limit 3\)/
+        );
+    });
+
+    test('runs one seed at a time and can be cancelled', async (t) => {
+        mockFetch(t);
+        const cache = new TileCache();
+        const first = cache.seed(bounds, [12, 13], source, { concurrency: 1, onProgress: () => cache.cancelSeed() });
+        await new Promise(resolve => setImmediate(resolve));
+
+        await assert.rejects(cache.seed(bounds, [12], source), /Already downloading/);
+        const result = await first;
+        assert.equal(result.cancelled, true);
+        assert.equal(result.downloaded, 1);
+        assert.equal(cache.seeding, null);
+    });
+});
+
+describe('cached tile layer', () => {
+    // Just enough of L.TileLayer for loadCachedTile
+    L.TileLayer = {
+        extend(proto) {
+            class TileLayer {
+                constructor(url, options) {
+                    this.url = url;
+                    this.options = options;
+                }
+                getTileUrl(coords) {
+                    return TileCache.getTileUrl({ url: this.url }, coords);
+                }
+            }
+            Object.assign(TileLayer.prototype, proto);
+            return TileLayer;
+        }
+    };
+
+    const coords = { z: 12, x: 1206, y: 1539 };
+    const online = 'https://tiles/{z}/{x}/{y}.png';
+
+    const setup = async (t, options, reachable) => {
+        const urls = [];
+        t.mock.method(global, 'fetch', async url => {
+            urls.push(url);
+            if (!reachable(url)) throw new TypeError('Failed to fetch');
+            return { ok: true, blob: async () => ({ size: 10, url }) };
+        });
+        const cache = new TileCache();
+        await cache.ready;
+        const layer = TileCache.createTileLayer(cache, online, { cacheId: 'osm', ...options });
+        return { cache, layer, urls };
+    };
+
+    test('serves cached tiles without the network', async (t) => {
+        const { cache, layer, urls } = await setup(t, {}, () => true);
+        await cache.set('osm/12/1206/1539', tile(7));
+
+        assert.deepEqual(await layer.loadCachedTile(coords), tile(7));
+        assert.deepEqual(urls, []);
+        assert.equal(cache.stats.hits, 1);
+    });
+
+    test('fetches and caches a miss', async (t) => {
+        const { cache, layer, urls } = await setup(t, {}, () => true);
+
+        const blob = await layer.loadCachedTile(coords);
+        assert.equal(blob.url, 'https://tiles/12/1206/1539.png');
+        assert.deepEqual(urls, ['https://tiles/12/1206/1539.png']);
+        assert.equal(cache.stats.misses, 1);
+        await settle();
+        assert.equal(cache.has('osm/12/1206/1539'), true);
+    });
+
+    test('falls back to the local tile folder when offline', async (t) => {
+        const { cache, layer } = await setup(t, { fallbackUrl: 'Data/Tiles/{z}/{x}/{y}.png' }, url => url.startsWith('Data/'));
+
+        const blob = await layer.loadCachedTile(coords);
+        assert.equal(blob.url, 'Data/Tiles/12/1206/1539.png');
+        assert.equal(cache.stats.localHits, 1);
+        assert.equal(cache.stats.failures, 0);
+    });
+
+    test('fails when neither the network nor the folder has the tile', async (t) => {
+        const withFallback = await setup(t, { fallbackUrl: 'Data/Tiles/{z}/{x}/{y}.png' }, () => false);
+        await assert.rejects(withFallback.layer.loadCachedTile(coords), /Failed to fetch/);
+        assert.equal(withFallback.cache.stats.failures, 1);
+    });
+
+    test('fails without a fallback folder', async (t) => {
+        const { cache, layer, urls } = await setup(t, {}, () => false);
+        await assert.rejects(layer.loadCachedTile(coords), /Failed to fetch/);
+        assert.equal(urls.length, 1);
+        assert.equal(cache.stats.failures, 1);
+    });
+});
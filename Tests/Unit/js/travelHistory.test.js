@@ -0,0 +1,109 @@
+// travelHistory.test.js
+// Leg recording and what is persisted through the StateManager
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+const TravelHistory = require('../../../js/travelHistory.js');
+
+// Records every value handed to it, so tests can check what each save held
+const fakeStateManager = (saved = null) => {
+    const trackers = new Map();
+    if (saved) trackers.set('travelHistory', { currentState: { legs: saved } });
+    return {
+        state: { trackers },
+        saves: [],
+        registerEntity(id, type, state) {
+            trackers.set(id, { currentState: state });
+            this.saves.push(state.legs);
+        },
+        updateEntityState(id, property, value) {
+            trackers.get(id).currentState[property] = value;
+            this.saves.push(value);
+        },
+        getEntityState(id) {
+            return trackers.has(id) ? { ...trackers.get(id).currentState } : {};
+        }
+    };
+};
+
+const travel = (history, fromLng, toLng) => {
+    history.startLeg(L.latLng(0, fromLng), 'foot');
+    history.recordPoint(L.latLng(0, (fromLng + toLng) / 2));
+    return history.endLeg(L.latLng(0, toLng));
+};
+
+describe('saving', () => {
+    test('saves once per recorded leg, not per point', () => {
+        const stateManager = fakeStateManager();
+        const history = new TravelHistory({}, { stateManager });
+
+        history.startLeg(L.latLng(0, 0), 'foot');
+        for (let i = 1; i <= 5; i++) history.recordPoint(L.latLng(0, i * 0.001));
+        assert.equal(stateManager.saves.length, 0);
+
+        history.endLeg(L.latLng(0, 0.006));
+        assert.equal(stateManager.saves.length, 1);
+    });
+
+    test('saves a copy, not the live legs', () => {
+        const stateManager = fakeStateManager();
+        const history = new TravelHistory({}, { stateManager });
+
+        travel(history, 0, 0.01);
+        const saved = stateManager.saves[0];
+        travel(history, 0.01, 0.02);
+
+        assert.notEqual(saved, history.legs);
+        assert.equal(saved.length, 1, 'an earlier save is not changed by later legs');
+        assert.notEqual(saved[0].points, history.legs[0].points);
+    });
+
+    test('keeps only the most recent legs in the save', () => {
+        const stateManager = fakeStateManager();
+        const history = new TravelHistory({}, { stateManager, maxSavedLegs: 3 });
+
+        for (let i = 0; i < 5; i++) travel(history, i * 0.01, (i + 1) * 0.01);
+
+        const saved = stateManager.saves[stateManager.saves.length - 1];
+        assert.equal(history.legs.length, 5);
+        assert.deepEqual(saved.map(leg => leg.points[0].lng), [0.02, 0.03, 0.04]);
+    });
+
+    test('does not save trips that went nowhere', () => {
+        const stateManager = fakeStateManager();
+        const history = new TravelHistory({}, { stateManager });
+
+        history.startLeg(L.latLng(0, 0), 'foot');
+        assert.equal(history.endLeg(L.latLng(0, 0), true), null);
+        assert.equal(stateManager.saves.length, 0);
+    });
+
+    test('loads the saved legs', () => {
+        const legs = [{ id: 'leg_1', travelMode: 'car', distance: 500, duration: 60, points: [{ lat: 0, lng: 0 }, { lat: 0, lng: 0.005 }] }];
+        const history = new TravelHistory({}, { stateManager: fakeStateManager(legs) });
+
+        assert.deepEqual(history.getRecentLegs().map(leg => leg.id), ['leg_1']);
+        assert.equal(history.getTotalDistance(), 500);
+    });
+});
+
+describe('recording', () => {
+    test('measures every update but stores points at least minPointSpacing apart', () => {
+        const history = new TravelHistory({}, { minPointSpacing: 50 });
+        history.startLeg(L.latLng(0, 0), 'foot');
+        for (let i = 1; i <= 10; i++) history.recordPoint(L.latLng(0, i * 0.0001)); // ~11m steps
+        const leg = history.endLeg(L.latLng(0, 0.001));
+
+        assert.ok(Math.abs(leg.distance - L.latLng(0, 0).distanceTo([0, 0.001])) <= 1);
+        assert.ok(leg.points.length < 6);
+        assert.deepEqual([leg.points[0].lng, leg.points[leg.points.length - 1].lng], [0, 0.001]);
+    });
+
+    test('drops the oldest legs over maxLegs', () => {
+        const history = new TravelHistory({}, { maxLegs: 2 });
+        const legs = [0, 1, 2].map(i => travel(history, i * 0.01, (i + 1) * 0.01));
+        assert.deepEqual(history.legs, legs.slice(1));
+    });
+});
@@ -0,0 +1,258 @@
+// vehicles.test.js
+// Trip checks, per-frame fuel/credit accounting, refuelling and refused redirects
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+global.L = require('./helpers/leaflet.js');
+global.localStorage = new (require('./helpers/localStorage.js'))();
+const VehicleManager = require('../../../js/vehicles.js');
+const MovementController = require('../../../js/movementController.js');
+const GameMap = require('../../../js/map.js');
+const { StateManager } = require('../../../js/stateManager.js');
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} != ${expected}`);
+
+const fakeEvents = () => {
+    const events = [];
+    return { events, emit: (type, data) => events.push({ type, data }) };
+};
+
+const trip = (distance, travelMode = 'car') => ({
+    coordinates: [[0, 0], [0, 0.01]],
+    distance,
+    duration: distance / 10,
+    travelMode,
+    type: 'direct'
+});
+
+beforeEach(t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    // No random breakdowns unless a test asks for one
+    t.mock.method(Math, 'random', () => 0.999);
+});
+
+describe('checkTrip', () => {
+    test('on foot needs nothing', () => {
+        const vehicles = new VehicleManager({ credits: 0 });
+        assert.deepEqual(vehicles.checkTrip(trip(50000, 'foot')), {
+            ok: true,
+            reason: null,
+            estimate: { fuel: 0, credits: 0, breakdownChance: 0 }
+        });
+    });
+
+    test('estimates fuel and credits per km', () => {
+        const check = new VehicleManager().checkTrip(trip(10000));
+        assert.equal(check.ok, true);
+        near(check.estimate.fuel, 0.8);
+        near(check.estimate.credits, 5);
+    });
+
+    test('refuses a trip longer than the tank', () => {
+        const vehicles = new VehicleManager();
+        vehicles.getVehicle('car').fuel = 0.5;
+        const check = vehicles.checkTrip(trip(10000));
+        assert.equal(check.ok, false);
+        assert.match(check.reason, /Not enough fuel: need 0\.8L, have 0\.5L/);
+    });
+
+    test('says charge for electric vehicles', () => {
+        const vehicles = new VehicleManager();
+        vehicles.getVehicle('aerial').fuel = 0;
+        assert.match(vehicles.checkTrip(trip(1000, 'aerial')).reason, /Not enough charge/);
+    });
+
+    test('refuses a trip the player cannot pay for', () => {
+        const check = new VehicleManager({ credits: 4 }).checkTrip(trip(10000));
+        assert.equal(check.ok, false);
+        assert.equal(check.reason, 'Not enough credits: need 5, have 4');
+    });
+
+    test('refuses a broken vehicle', () => {
+        const vehicles = new VehicleManager();
+        vehicles.getVehicle('car').item.Durability = 0;
+        assert.match(vehicles.checkTrip(trip(100)).reason, /broken down/);
+    });
+});
+
+describe('consume', () => {
+    test('charges frame by frame exactly what the whole trip was estimated at', () => {
+        const vehicles = new VehicleManager();
+        const estimate = vehicles.estimateTrip(trip(10000));
+
+        for (let frame = 0; frame < 100; frame++) {
+            assert.equal(vehicles.consume('car', 100), 'ok');
+        }
+
+        const car = vehicles.getVehicle('car');
+        near(car.fuel, 50 - estimate.fuel);
+        near(vehicles.credits, 100 - estimate.credits);
+        near(car.item.Durability, 100 - 10 * 0.2);
+    });
+
+    test('ignores walking and frames without progress', () => {
+        const vehicles = new VehicleManager();
+        assert.equal(vehicles.consume('foot', 1000), 'ok');
+        assert.equal(vehicles.consume('car', 0), 'ok');
+        assert.equal(vehicles.consume('car', -5), 'ok');
+        assert.equal(vehicles.getVehicle('car').fuel, 50);
+        assert.equal(vehicles.credits, 100);
+    });
+
+    test('runs dry when a frame needs more fuel than is left', () => {
+        const eventManager = fakeEvents();
+        const vehicles = new VehicleManager({ eventManager });
+        vehicles.getVehicle('car').fuel = 0.01;
+
+        assert.equal(vehicles.consume('car', 1000), 'outOfFuel');
+        assert.equal(vehicles.getVehicle('car').fuel, 0);
+        assert.equal(vehicles.credits, 100, 'nothing is charged for the failed frame');
+        assert.deepEqual(eventManager.events, [{ type: 'vehicle.outOfFuel', data: { travelMode: 'car' } }]);
+    });
+
+    test('stops charging when credits run out', () => {
+        const eventManager = fakeEvents();
+        const vehicles = new VehicleManager({ eventManager, credits: 0.1 });
+
+        assert.equal(vehicles.consume('car', 1000), 'noCredits');
+        assert.equal(vehicles.getVehicle('car').fuel, 50);
+        assert.equal(vehicles.credits, 0.1);
+        assert.equal(eventManager.events[0].type, 'vehicle.outOfCredits');
+    });
+
+    test('a breakdown costs extra durability', () => {
+        Math.random.mock.mockImplementation(() => 0);
+        const eventManager = fakeEvents();
+        const vehicles = new VehicleManager({ eventManager });
+
+        assert.equal(vehicles.consume('car', 1000), 'breakdown');
+        near(vehicles.getVehicle('car').item.Durability, 100 - 0.2 - 10);
+        assert.equal(eventManager.events[0].type, 'vehicle.breakdown');
+    });
+
+    test('breakdowns get likelier as the vehicle wears', () => {
+        const vehicles = new VehicleManager();
+        const fresh = vehicles.getBreakdownChancePerKm('car');
+        vehicles.getVehicle('car').item.Durability = 50;
+        near(vehicles.getBreakdownChancePerKm('car'), fresh * 5.5);
+    });
+});
+
+describe('refuel', () => {
+    test('fills the tank up', () => {
+        const vehicles = new VehicleManager();
+        vehicles.getVehicle('car').fuel = 40;
+
+        assert.deepEqual(vehicles.refuel('car'), { fuel: 10, cost: 20 });
+        assert.equal(vehicles.getVehicle('car').fuel, 50);
+        assert.equal(vehicles.credits, 80);
+    });
+
+    test('buys only what the credits cover', () => {
+        const vehicles = new VehicleManager({ credits: 6 });
+        vehicles.getVehicle('car').fuel = 0;
+
+        assert.deepEqual(vehicles.refuel('car'), { fuel: 3, cost: 6 });
+        assert.equal(vehicles.credits, 0);
+    });
+
+    test('buys a set amount, never past a full tank', () => {
+        const vehicles = new VehicleManager();
+        vehicles.getVehicle('car').fuel = 45;
+
+        assert.deepEqual(vehicles.refuel('car', 2), { fuel: 2, cost: 4 });
+        assert.deepEqual(vehicles.refuel('car', 20), { fuel: 3, cost: 6 });
+        assert.equal(vehicles.getVehicle('car').fuel, 50);
+    });
+
+    test('refuelling after a trip restores what consume used', () => {
+        const vehicles = new VehicleManager();
+        for (let frame = 0; frame < 10; frame++) {
+            vehicles.consume('car', 1000);
+        }
+
+        const bought = vehicles.refuel('car');
+        near(bought.fuel, 0.8);
+        near(vehicles.getVehicle('car').fuel, 50);
+        near(vehicles.credits, 100 - 5 - 0.8 * 2);
+    });
+});
+
+describe('persistence', () => {
+    test('fuel, durability and credits survive a reload', () => {
+        const stateManager = new StateManager({ autoSyncInterval: 0, persistToLocalStorage: false });
+        const vehicles = new VehicleManager({ stateManager });
+        vehicles.consume('car', 5000);
+        vehicles.save();
+
+        const reloaded = new VehicleManager({ stateManager });
+        near(reloaded.getVehicle('car').fuel, vehicles.getVehicle('car').fuel);
+        near(reloaded.getVehicle('car').item.Durability, 99);
+        near(reloaded.credits, 97.5);
+    });
+});
+
+describe('redirecting a vehicle trip', () => {
+    // GameMap without its constructor: just what redirectPlayerMovement touches
+    const setup = (vehicles, newPath) => {
+        const eventManager = fakeEvents();
+        const pathfinding = {
+            cleared: 0,
+            shown: [],
+            findPath: async (from, destination, travelMode) => ({ ...newPath, travelMode }),
+            animateMovement: (marker, path) => ({
+                cancel() {},
+                pause: () => true,
+                resume: () => true,
+                getPosition: () => ({ lat: path.coordinates[0][0], lng: path.coordinates[0][1] }),
+                getProgress: () => ({ percent: 0, remainingDistance: path.distance, eta: 0 })
+            }),
+            showPath(path) { this.shown.push(path); },
+            clearPath() { this.cleared++; }
+        };
+        const controller = new MovementController(pathfinding, { eventManager });
+        const gameMap = Object.assign(Object.create(GameMap.prototype), {
+            movementController: controller,
+            pathfindingManager: pathfinding,
+            moveMode: 'car',
+            statuses: [],
+            stops: [],
+            game: { vehicles, eventManager },
+            updateGameStatus(status) { this.statuses.push(status); }
+        });
+        controller.start({ getLatLng: () => ({ lat: 0, lng: 0 }) }, trip(1000), {
+            onStop: position => gameMap.stops.push(position)
+        });
+        return { gameMap, controller, pathfinding, eventManager };
+    };
+
+    test('a route the player cannot afford is refused and the player stops', async () => {
+        const vehicles = new VehicleManager({ credits: 1 });
+        const { gameMap, controller, pathfinding, eventManager } = setup(vehicles, trip(20000));
+
+        await gameMap.redirectPlayerMovement({ lat: 0.2, lng: 0 });
+
+        assert.equal(controller.state, 'idle');
+        assert.equal(gameMap.stops.length, 1);
+        assert.deepEqual(pathfinding.shown, [], 'the refused route is never shown');
+        assert.equal(gameMap.statuses.at(-1), "Can't travel: Not enough credits: need 10, have 1");
+
+        const refused = eventManager.events.find(event => event.type === 'movement.refused');
+        assert.equal(refused.data.distance, 20000);
+        assert.equal(refused.data.reason, 'Not enough credits: need 10, have 1');
+        assert.ok(!eventManager.events.some(event => event.type === 'movement.redirected'));
+        assert.equal(vehicles.credits, 1, 'nothing is charged for the refused route');
+    });
+
+    test('a route within the tank and budget goes ahead', async () => {
+        const { gameMap, controller, pathfinding } = setup(new VehicleManager(), trip(2000));
+
+        await gameMap.redirectPlayerMovement({ lat: 0.02, lng: 0 });
+
+        assert.equal(controller.state, 'moving');
+        assert.equal(pathfinding.shown.length, 1);
+        assert.equal(gameMap.statuses.at(-1), 'Moving...');
+    });
+});
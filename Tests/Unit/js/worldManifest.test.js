@@ -0,0 +1,76 @@
+// worldManifest.test.js
+// The shipped world manifest and the files each world points at
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const WorldManifest = require('../../../js/worldManifest.js');
+const { RoadGraphRouter } = require('../../../js/roadGraph.js');
+
+const ROOT = path.join(__dirname, '../../..');
+const readJson = file => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+
+const manifest = readJson(WorldManifest.MANIFEST_PATH);
+
+describe('worlds.json', () => {
+    test('every world is valid and has a unique id', () => {
+        assert.ok(manifest.worlds.length > 0);
+        manifest.worlds.forEach(world => assert.ok(WorldManifest.isValidWorld(world), world.id));
+        assert.equal(new Set(manifest.worlds.map(world => world.id)).size, manifest.worlds.length);
+    });
+
+    test('the built-in fallback matches the default world', () => {
+        const world = manifest.worlds.find(entry => entry.id === WorldManifest.DEFAULT_WORLD_ID);
+        assert.deepEqual(WorldManifest.FALLBACK_MANIFEST.worlds, [world]);
+    });
+
+    for (const world of manifest.worlds.filter(entry => entry.roads)) {
+        test(`${world.id} road network loads and lies inside the world`, () => {
+            const graph = new RoadGraphRouter();
+            graph.loadNetwork(readJson(world.roads));
+            assert.ok(graph.isLoaded);
+
+            const [[south, west], [north, east]] = world.bounds;
+            for (const node of graph.nodes.values()) {
+                assert.ok(node.lat >= south && node.lat <= north && node.lng >= west && node.lng <= east,
+                    `node ${node.id} is outside ${world.name}`);
+            }
+        });
+    }
+});
+
+describe('WorldManifest', () => {
+    test('resolves unknown worlds to the default', () => {
+        const worlds = new WorldManifest();
+        worlds.worlds = manifest.worlds;
+        assert.equal(worlds.resolve('atlantis').id, WorldManifest.DEFAULT_WORLD_ID);
+        assert.equal(worlds.resolve(manifest.worlds[1].id), manifest.worlds[1]);
+    });
+
+    test('the default world keeps the original save prefix', () => {
+        assert.equal(WorldManifest.storagePrefix(WorldManifest.DEFAULT_WORLD_ID), 'pwshGame');
+        assert.equal(WorldManifest.storagePrefix('london'), 'pwshGame:london:');
+    });
+
+    test('no two worlds share a storage key, whatever the save names', () => {
+        const worldIds = ['newyork', 'a', 'a_save', 'save', 'save_a', 'a:b', 'a%3Ab', 'backup', ''];
+        const saveNames = ['default', 'gameState', 'a_gameState', 'save_gameState', 'a', 'x:y'];
+        // Every key StateManager writes under a prefix
+        const suffixes = ['gameState', 'entityStates', 'stateMetrics', 'saveSlots',
+            ...saveNames.map(name => `save_${name}`), ...saveNames.map(name => `backup_${name}_1700000000000`)];
+
+        const owners = new Map();
+        worldIds.forEach(worldId => {
+            const prefix = WorldManifest.storagePrefix(worldId);
+            suffixes.forEach(suffix => {
+                const key = `${prefix}_${suffix}`;
+                assert.ok(!owners.has(key) || owners.get(key) === worldId,
+                    `${key} is used by both '${owners.get(key)}' and '${worldId}'`);
+                owners.set(key, worldId);
+            });
+        });
+        assert.ok(!owners.has(WorldManifest.SELECTION_KEY));
+    });
+});
@@ -8,6 +8,16 @@ class PwshLeafmapGame {
         this.gameEventHandlers = null;
         this.travelMode = 'foot';
         this.communicationBridge = null;
+        this.stateManager = null;
+        this.vehicles = null;
+        this.level = 1;
+        this.gameTime = null;           // WorldSystem game time (Date), null until the world reports it
+        this.activeQuests = new Set();  // QuestSystem quest ids
+
+        // Known before the manifest loads: each world's saves use their own storage prefix
+        this.worlds = new WorldManifest();
+        this.worldId = WorldManifest.getSelectedWorldId();
+        this.world = null; // set by initWorld
 
         this.init();
     }
@@ -20,6 +30,9 @@ class PwshLeafmapGame {
         // Initialize communication bridge
         this.initCommunicationBridge();
 
+        // Vehicle fuel, running costs and wear (persisted through the StateManager)
+        this.initVehicles();
+
         // Initialize event listeners
         document.getElementById('loadData').addEventListener('click', () => this.loadGameData());
         document.getElementById('resetGame').addEventListener('click', () => this.resetGame());
@@ -30,6 +43,33 @@ class PwshLeafmapGame {
             centerBtn.addEventListener('click', () => this.centerOnPlayer());
         }
 
+        // Movement controls
+        const pauseBtn = document.getElementById('pauseMovement');
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => this.gameMap.togglePlayerMovementPause());
+        }
+        const cancelBtn = document.getElementById('cancelMovement');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.gameMap.cancelPlayerMovement('user'));
+        }
+
+        // Itinerary planner
+        this.initItineraryControls();
+
+        // Offer alternative routes before moving
+        const compareRoutes = document.getElementById('compareRoutes');
+        if (compareRoutes) {
+            compareRoutes.addEventListener('change', (e) => {
+                this.gameMap.compareRoutes = e.target.checked;
+            });
+        }
+
+        // Reachable area overlay
+        const isochroneBtn = document.getElementById('toggleIsochrone');
+        if (isochroneBtn) {
+            isochroneBtn.addEventListener('click', () => this.toggleIsochrone());
+        }
+
         // Travel mode selector
         const travelModeSelect = document.getElementById('travelMode');
         if (travelModeSelect) {
@@ -39,6 +79,27 @@ class PwshLeafmapGame {
         // Initialize the map
         this.gameMap = new GameMap('map', this);
 
+        // Layer switcher choices are part of the player's UI settings
+        this.initLayerSettings();
+
+        // Offline map tiles
+        this.initTileCacheControls();
+
+        // Location authoring mode
+        this.initLocationEditorControls();
+
+        // GeoJSON / GPX import and export
+        this.initGeoDataControls();
+
+        // Searchable location list
+        this.initLocationSearchControls();
+
+        // Real-world GPS play (or a simulated GPX feed)
+        this.initGpsControls();
+
+        // Travelled legs feed the distance statistic and the history panel
+        this.initTravelHistoryControls();
+
         // Register for PowerShell events
         this.eventManager.register('powershell.commandCompleted', (data) => {
             this.handlePowerShellResponse(data);
@@ -57,6 +118,79 @@ class PwshLeafmapGame {
             this.sendMovementEvent('movement.completed', data);
         });
 
+        // Stop-UnitMovement on the PowerShell side: stop the player through the movement controller
+        this.eventManager.register('StopMovement', (data) => {
+            const unitId = data.unitId || data.UnitId;
+            if (!unitId || unitId === 'player') {
+                this.gameMap.cancelPlayerMovement('powershell');
+            }
+        });
+
+        // Keep the PowerShell side (Get-ActiveMovements / Stop-UnitMovement) in sync
+        ['movement.paused', 'movement.resumed', 'movement.cancelled', 'movement.redirected'].forEach(eventType => {
+            this.eventManager.register(eventType, (data, event) => {
+                if (event && event.source === 'powershell') {
+                    // PowerShell's own record of the change (StopMovement does the stopping)
+                    return;
+                }
+                this.sendMovementEvent(eventType, data);
+            });
+        });
+
+        // Trips use fuel and credits and reveal the map; save them when the player stops
+        ['movement.completed', 'movement.cancelled'].forEach(eventType => {
+            this.eventManager.register(eventType, () => {
+                this.vehicles.save();
+                this.gameMap.fogOfWar.save();
+                this.updateVehiclePanel();
+            });
+        });
+
+        // Routing avoids fresh security alerts
+        this.eventManager.register('SecurityAlert', (data) => {
+            if (this.gameMap.addSecurityAlertZone(data)) {
+                this.updateGameInfo(`🚨 Security alert near ${data.LocationId} - routes will avoid the area`);
+            }
+        });
+
+        // District control and standing changes from WorldSystem / FactionSystem
+        // (the district layer also moves the hostile-territory avoid zones, see GameMap)
+        this.eventManager.register('TerritoryTransferred', (data) => {
+            this.handleDistrictControlChange(data.TerritoryId, data.ToFaction);
+        });
+        this.eventManager.register('TerritoryControlChanged', (data) => {
+            this.handleDistrictControlChange(data.TerritoryId, data.NewController);
+        });
+        this.eventManager.register('district.controlChanged', (data) => {
+            this.handleDistrictControlChange(data.DistrictId, data.NewFaction);
+        });
+        ['ReputationChanged', 'FactionStandingChanged'].forEach(eventType => {
+            this.eventManager.register(eventType, (data) => {
+                if (data.NewStanding) {
+                    this.gameMap.districtLayer.setStanding(data.FactionId, data.NewStanding);
+                    this.gameMap.refreshMarkerIcons();
+                }
+            });
+        });
+
+        // Player state that location requirements are checked against
+        this.eventManager.register('world.initialized', (data) => this.setGameTime(data.StartTime));
+        this.eventManager.register('world.timeTransition', (data) => this.setGameTime(data.NewTime));
+        this.eventManager.register('player.levelUp', (data) => {
+            this.level = data.newLevel || this.level;
+            this.gameMap.refreshMarkerIcons();
+        });
+        this.eventManager.register('QuestStarted', (data) => {
+            this.activeQuests.add(data.QuestId);
+            this.gameMap.refreshMarkerIcons();
+        });
+        ['QuestCompleted', 'QuestFailed'].forEach(eventType => {
+            this.eventManager.register(eventType, (data) => {
+                this.activeQuests.delete(data.QuestId);
+                this.gameMap.refreshMarkerIcons();
+            });
+        });
+
         // Load initial game state
         this.updateUI();
 
@@ -68,10 +202,136 @@ class PwshLeafmapGame {
 
         console.log('PowerShell Leafmap Game initialized with Event System!');
 
-        // Auto-load gamedata.json if it exists
+        // Pick the world, then auto-load its game data if it exists
         this.autoLoadGameData();
     }
 
+    initLayerSettings() {
+        const uiSettings = this.getPlayerUISettings();
+        this.gameMap.layers.applySettings(uiSettings.MapLayers);
+        this.gameMap.loadIconTheme(uiSettings.Theme || 'Default');
+        this.gameMap.layers.onChange(settings => this.savePlayerUISettings({ MapLayers: settings }));
+
+        const showMinimap = uiSettings.ShowMinimap !== false;
+        this.gameMap.minimap.setVisible(showMinimap);
+
+        const minimapToggle = document.getElementById('showMinimap');
+        if (minimapToggle) {
+            minimapToggle.checked = showMinimap;
+            minimapToggle.addEventListener('change', (e) => {
+                this.gameMap.minimap.setVisible(e.target.checked);
+                this.savePlayerUISettings({ ShowMinimap: e.target.checked });
+            });
+        }
+    }
+
+    initTileCacheControls() {
+        const tileCache = this.gameMap.tileCache;
+        const seedBtn = document.getElementById('seedTiles');
+        const clearBtn = document.getElementById('clearTileCache');
+
+        if (seedBtn) {
+            seedBtn.addEventListener('click', async () => {
+                if (tileCache.seeding) {
+                    tileCache.cancelSeed();
+                    return;
+                }
+
+                seedBtn.textContent = 'Cancel';
+                try {
+                    const result = await this.gameMap.seedVisibleTiles(null, (progress) => {
+                        this.updateTileCachePanel(`Downloading ${progress.done}/${progress.total} tiles...`);
+                    });
+                    this.updateGameInfo(`🗺️ Saved ${result.downloaded} map tiles for offline play` +
+                        (result.failed > 0 ? ` (${result.failed} failed)` : ''));
+                } catch (error) {
+                    this.updateGameInfo(`🗺️ ${error.message}`);
+                }
+                seedBtn.textContent = 'Save Visible Area';
+                this.updateTileCachePanel();
+            });
+        }
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', async () => {
+                tileCache.cancelSeed();
+                await tileCache.clear();
+                this.updateTileCachePanel();
+                this.updateGameInfo('🗺️ Offline map tiles cleared');
+            });
+        }
+
+        tileCache.ready.then(() => this.updateTileCachePanel());
+    }
+
+    updateTileCachePanel(message = null) {
+        const status = document.getElementById('tileCacheStatus');
+        if (!status) return;
+
+        const stats = this.gameMap.tileCache.getStatistics();
+        if (!stats.persistent) {
+            status.textContent = 'Tile caching is not available in this browser';
+            return;
+        }
+
+        const size = `${stats.tiles} tiles, ${(stats.bytes / 1048576).toFixed(1)} / ${Math.round(stats.maxBytes / 1048576)} MB`;
+        status.textContent = message ? `${message} (${size})` : size;
+    }
+
+    /**
+     * Player.UISettings from the StateManager 'player' entity (defaults when nothing is saved)
+     */
+    getPlayerUISettings() {
+        const player = this.stateManager ? this.stateManager.getEntityState('player') : {};
+        if (player.UISettings) {
+            return player.UISettings;
+        }
+        return typeof Player !== 'undefined' ? new Player().getDefaultUISettings() : {};
+    }
+
+    savePlayerUISettings(changes) {
+        this.savePlayerProperty('UISettings', { ...this.getPlayerUISettings(), ...changes });
+    }
+
+    /**
+     * Player.Statistics from the StateManager 'player' entity (defaults when nothing is saved)
+     */
+    getPlayerStatistics() {
+        const player = this.stateManager ? this.stateManager.getEntityState('player') : {};
+        if (player.Statistics) {
+            return player.Statistics;
+        }
+        return typeof Player !== 'undefined' ? new Player().getDefaultStatistics() : {};
+    }
+
+    /**
+     * Add a travelled leg to Statistics.DistanceTraveled (meters)
+     */
+    addDistanceTraveled(meters) {
+        const statistics = this.getPlayerStatistics();
+        this.savePlayerProperty('Statistics', {
+            ...statistics,
+            DistanceTraveled: (statistics.DistanceTraveled || 0) + meters
+        });
+    }
+
+    savePlayerProperty(property, value) {
+        if (!this.stateManager) return;
+
+        if (!this.stateManager.state.trackers.has('player')) {
+            this.stateManager.registerEntity('player', 'Player', { [property]: value });
+        } else {
+            this.stateManager.updateEntityState('player', property, value);
+        }
+    }
+
+    handleDistrictControlChange(districtId, factionId) {
+        if (!this.gameMap.districtLayer.setController(districtId, factionId)) return;
+
+        const district = this.gameMap.districtLayer.getDistrict(districtId);
+        this.updateGameInfo(`🏴 ${district.Name || districtId} is now controlled by ${factionId}`);
+    }
+
     initCommunicationBridge() {
         // Initialize the communication bridge if available
         if (typeof CommunicationBridge !== 'undefined') {
@@ -96,6 +356,67 @@ class PwshLeafmapGame {
         }
     }
 
+    initVehicles() {
+        if (typeof StateManager !== 'undefined') {
+            // No automatic PowerShell sync; state is saved locally when trips end
+            this.stateManager = new StateManager({
+                autoSyncInterval: 0,
+                storageKeyPrefix: WorldManifest.storagePrefix(this.worldId)
+            });
+            this.stateManager.loadFromLocalStorage();
+        }
+
+        this.vehicles = new VehicleManager({
+            stateManager: this.stateManager,
+            eventManager: this.eventManager
+        });
+
+        const refuelBtn = document.getElementById('refuelVehicle');
+        if (refuelBtn) {
+            refuelBtn.addEventListener('click', () => {
+                const result = this.vehicles.refuel(this.travelMode);
+                if (result.fuel > 0) {
+                    this.updateGameInfo(`⛽ Refuelled ${result.fuel.toFixed(1)} for ${Math.ceil(result.cost)} credits`);
+                }
+                this.updateVehiclePanel();
+            });
+        }
+
+        const repairBtn = document.getElementById('repairVehicle');
+        if (repairBtn) {
+            repairBtn.addEventListener('click', () => {
+                const result = this.vehicles.repair(this.travelMode);
+                this.updateGameInfo(result.repaired
+                    ? `🔧 Repaired for ${Math.ceil(result.cost)} credits`
+                    : `🔧 ${result.reason}`);
+                this.updateVehiclePanel();
+            });
+        }
+
+        this.updateVehiclePanel();
+    }
+
+    updateVehiclePanel() {
+        const panel = document.getElementById('vehicleStatus');
+        if (!panel || !this.vehicles) return;
+
+        const status = this.vehicles.getStatus(this.travelMode);
+        const credits = Math.floor(this.vehicles.credits);
+        const refuelBtn = document.getElementById('refuelVehicle');
+        const repairBtn = document.getElementById('repairVehicle');
+
+        if (!status) {
+            panel.textContent = `On foot • ${credits} credits`;
+        } else {
+            const fuel = `${status.fuel.toFixed(1)}/${status.fuelCapacity}${status.fuelUnit}`;
+            const condition = Math.round(status.durability / status.maxDurability * 100);
+            panel.textContent = `${status.name} • ${fuel} • condition ${condition}% • ${credits} credits`;
+        }
+
+        if (refuelBtn) refuelBtn.disabled = !status || status.fuel >= status.fuelCapacity;
+        if (repairBtn) repairBtn.disabled = !status || status.durability >= status.maxDurability;
+    }
+
     sendMovementEvent(eventType, data) {
         if (this.communicationBridge && this.communicationBridge.isConnected()) {
             this.communicationBridge.sendCommand('movement.event', {
@@ -124,6 +445,8 @@ class PwshLeafmapGame {
             modeDisplay.textContent = modeNames[mode] || mode;
         }
 
+        this.updateVehiclePanel();
+
         console.log(`Travel mode set to: ${mode}`);
     }
 
@@ -153,11 +476,641 @@ class PwshLeafmapGame {
         const pathPanel = document.getElementById('pathInfoPanel');
         const pathDisplay = document.getElementById('pathInfoDisplay');
 
+        if (pathPanel && pathDisplay && data && data.routes) {
+            pathPanel.style.display = 'flex';
+            this.renderRouteComparison(pathDisplay, data);
+            return;
+        }
+
         if (pathPanel && pathDisplay && data) {
             pathPanel.style.display = 'flex';
             const distKm = (data.distance / 1000).toFixed(2);
             const durMin = Math.round(data.duration / 60);
-            pathDisplay.textContent = `${distKm}km • ~${durMin}min • ${data.travelMode}`;
+            const zones = data.zonesCrossed && data.zonesCrossed.length > 0
+                ? ` • ⚠️ ${data.zonesCrossed.map(zone => zone.name).join(', ')}`
+                : '';
+            pathDisplay.textContent = `${distKm}km • ~${durMin}min • ${data.travelMode}${zones}`;
+        }
+    }
+
+    /**
+     * List candidate routes side by side; click a row to preview it, "Go" to travel it
+     */
+    renderRouteComparison(container, data) {
+        container.textContent = '';
+
+        const table = document.createElement('table');
+        table.className = 'route-comparison';
+
+        data.routes.forEach((route, index) => {
+            const row = table.insertRow();
+            row.className = index === data.selectedIndex ? 'selected' : '';
+            row.style.borderLeftColor = data.colors[index % data.colors.length];
+            row.addEventListener('click', () => this.gameMap.selectRouteChoice(index));
+
+            const zones = route.zonesCrossed || [];
+            const cells = [
+                String.fromCharCode(65 + index),
+                `${(route.distance / 1000).toFixed(2)}km`,
+                `~${Math.round(route.duration / 60)}min`,
+                zones.length > 0 ? `⚠️ ${zones.length} zone${zones.length === 1 ? '' : 's'}` : 'clear',
+                `cost ${Math.round(route.travelCost / 60)}`
+            ];
+
+            const credits = this.vehicles ? this.vehicles.estimateTrip(route).credits : 0;
+            if (credits > 0) {
+                cells.push(`${Math.ceil(credits)} cr`);
+            }
+            cells.forEach(text => {
+                row.insertCell().textContent = text;
+            });
+
+            if (zones.length > 0) {
+                row.title = zones.map(zone => zone.name).join(', ');
+            }
+
+            const goButton = document.createElement('button');
+            goButton.textContent = 'Go';
+            goButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.gameMap.confirmRouteChoice(index);
+            });
+            row.insertCell().appendChild(goButton);
+        });
+
+        container.appendChild(table);
+    }
+
+    updateMovementProgress(progress, path) {
+        const pathPanel = document.getElementById('pathInfoPanel');
+        const pathDisplay = document.getElementById('pathInfoDisplay');
+
+        if (pathPanel && pathDisplay && progress) {
+            pathPanel.style.display = 'flex';
+            const percent = Math.round(progress.percent);
+            const remainingKm = (progress.remainingDistance / 1000).toFixed(2);
+            const etaMin = Math.ceil(progress.eta / 60);
+            pathDisplay.textContent = `${percent}% • ${remainingKm}km left • ETA ~${etaMin}min • ${path.travelMode}`;
+        }
+    }
+
+    toggleIsochrone() {
+        const button = document.getElementById('toggleIsochrone');
+        if (this.gameMap.isochrone) {
+            this.gameMap.clearIsochrone();
+            button.classList.remove('active');
+            return;
+        }
+
+        const minutes = parseInt(document.getElementById('isochroneMinutes').value, 10) || 15;
+        if (this.gameMap.showIsochrone(minutes)) {
+            button.classList.add('active');
+        }
+    }
+
+    initItineraryControls() {
+        const bind = (id, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('click', handler);
+            }
+        };
+
+        bind('itinerarySelect', (e) => {
+            const planner = this.gameMap.itineraryPlanner;
+            planner.setSelecting(!planner.isSelecting);
+            e.target.classList.toggle('active', planner.isSelecting);
+            e.target.textContent = planner.isSelecting ? 'Done Picking' : 'Pick Stops';
+        });
+
+        bind('itineraryUndiscovered', () => {
+            const count = this.gameMap.itineraryPlanner.selectAllUndiscovered();
+            this.updateGameInfo(`🗺️ Selected ${count} undiscovered locations`);
+        });
+
+        bind('itineraryPlan', async () => {
+            try {
+                this.updateStatus('Planning itinerary...');
+                await this.gameMap.itineraryPlanner.plan(this.travelMode);
+                this.updateStatus('Ready');
+            } catch (error) {
+                console.error('Itinerary planning failed:', error);
+                this.updateStatus('Ready');
+                this.updateGameInfo(`❌ Could not plan itinerary: ${error.message}`);
+            }
+        });
+
+        bind('itineraryStart', async () => {
+            try {
+                await this.gameMap.itineraryPlanner.start();
+            } catch (error) {
+                this.updateGameInfo(`❌ ${error.message}`);
+            }
+        });
+
+        bind('itineraryClear', () => this.gameMap.itineraryPlanner.clearSelection());
+    }
+
+    initLocationEditorControls() {
+        const editor = this.gameMap.locationEditor;
+        const bind = (id, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('click', handler);
+            }
+        };
+
+        const typeSelect = document.getElementById('editorType');
+        if (typeSelect) {
+            LocationEditor.LOCATION_TYPES.forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = type.charAt(0).toUpperCase() + type.slice(1);
+                typeSelect.appendChild(option);
+            });
+        }
+
+        bind('toggleEditor', (e) => {
+            editor.setActive(!editor.active);
+            e.target.classList.toggle('active', editor.active);
+            this.updateStatus(editor.active ? 'Editing locations' : 'Ready');
+        });
+
+        const form = document.getElementById('locationEditorForm');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (!editor.selected) return;
+
+                const number = id => {
+                    const value = document.getElementById(id).value;
+                    return value === '' ? NaN : Number(value);
+                };
+                const result = editor.updateLocation(editor.selected, {
+                    name: document.getElementById('editorName').value.trim(),
+                    type: document.getElementById('editorType').value,
+                    description: document.getElementById('editorDescription').value.trim(),
+                    items: document.getElementById('editorItems').value
+                        .split(',')
+                        .map(item => item.trim())
+                        .filter(item => item.length > 0),
+                    points: number('editorPoints'),
+                    experience: number('editorExperience')
+                });
+                this.showLocationEditorErrors(result.errors);
+            });
+        }
+
+        bind('editorDelete', () => {
+            if (editor.selected && confirm(`Delete ${editor.selected.name}?`)) {
+                editor.deleteLocation(editor.selected);
+            }
+        });
+        bind('editorUndo', () => editor.undo());
+        bind('editorRedo', () => editor.redo());
+        bind('editorExport', () => this.exportGameData());
+
+        // Ctrl+Z / Ctrl+Y while authoring, unless a form field has focus
+        document.addEventListener('keydown', (e) => {
+            if (!editor.active || !(e.ctrlKey || e.metaKey)) return;
+            if (e.target.closest('input, textarea, select')) return;
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                editor.undo();
+            } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                editor.redo();
+            }
+        });
+    }
+
+    updateLocationEditorPanel(editor) {
+        const panel = document.getElementById('locationEditorPanel');
+        const form = document.getElementById('locationEditorForm');
+        if (!panel || !form) return;
+
+        panel.style.display = editor.active ? '' : 'none';
+        document.getElementById('editorUndo').disabled = !editor.canUndo();
+        document.getElementById('editorRedo').disabled = !editor.canRedo();
+
+        const location = editor.selected;
+        form.style.display = location ? '' : 'none';
+        this.showLocationEditorErrors([]);
+        if (!location) return;
+
+        const items = Array.isArray(location.items) ? location.items : (location.items ? [location.items] : []);
+        document.getElementById('editorName').value = location.name || '';
+        const typeSelect = document.getElementById('editorType');
+        const type = location.type || 'landmark';
+        if (!Array.from(typeSelect.options).some(option => option.value === type)) {
+            typeSelect.appendChild(new Option(type, type));
+        }
+        typeSelect.value = type;
+        document.getElementById('editorDescription').value = location.description || '';
+        document.getElementById('editorItems').value = items.join(', ');
+        document.getElementById('editorPoints').value = location.points || 0;
+        document.getElementById('editorExperience').value = location.experience || 0;
+        document.getElementById('editorPosition').textContent =
+            `${location.id} @ ${location.lat.toFixed(5)}, ${location.lng.toFixed(5)}`;
+    }
+
+    showLocationEditorErrors(errors) {
+        const list = document.getElementById('editorErrors');
+        if (!list) return;
+
+        list.innerHTML = '';
+        errors.forEach(error => {
+            const li = document.createElement('li');
+            li.textContent = error;
+            list.appendChild(li);
+        });
+    }
+
+    /**
+     * Download the edited world under the name of its game data file (e.g. gamedata.json)
+     */
+    exportGameData() {
+        const data = this.gameMap.locationEditor.exportGameData();
+        const filename = this.world ? this.world.dataFile.split('/').pop() : 'gamedata.json';
+        this.downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+        this.updateGameInfo(`💾 Exported ${data.locations.length} locations to ${filename}`);
+    }
+
+    initLocationSearchControls() {
+        const search = this.gameMap.locationSearch;
+        search.onChange(() => this.updateLocationSearchPanel());
+
+        const filterInputs = {
+            searchQuery: (value) => ({ query: value }),
+            searchType: (value) => ({ type: value }),
+            searchState: (value) => ({ state: value }),
+            searchDistance: (value) => ({ maxDistance: Number(value) || 0 }),
+            searchMinReward: (value) => ({ minReward: Number(value) || 0 }),
+            searchSort: (value) => ({ sortBy: value })
+        };
+        Object.keys(filterInputs).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                const eventType = element.tagName === 'SELECT' ? 'change' : 'input';
+                element.addEventListener(eventType, () => search.setFilters(filterInputs[id](element.value)));
+            }
+        });
+
+        const list = document.getElementById('searchResults');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-action]');
+                if (!button) return;
+
+                const location = this.gameMap.locations.find(loc => loc.id === button.dataset.locationId);
+                if (!location) return;
+
+                if (button.dataset.action === 'navigate') {
+                    search.navigate(location);
+                } else {
+                    search.focus(location);
+                }
+            });
+        }
+
+        this.updateLocationSearchPanel();
+    }
+
+    updateLocationSearchPanel() {
+        const summary = document.getElementById('searchSummary');
+        const list = document.getElementById('searchResults');
+        if (!summary || !list) return;
+
+        const search = this.gameMap.locationSearch;
+
+        // Type options follow the loaded locations
+        const typeSelect = document.getElementById('searchType');
+        const types = search.getTypes();
+        if (typeSelect && typeSelect.dataset.types !== types.join(',')) {
+            typeSelect.dataset.types = types.join(',');
+            typeSelect.innerHTML = '<option value="all">All types</option>';
+            types.forEach(type => {
+                const option = document.createElement('option');
+                option.value = type;
+                option.textContent = this.gameMap.icons.getLabel(type);
+                typeSelect.appendChild(option);
+            });
+            if (!types.includes(search.filters.type)) {
+                search.filters.type = 'all';
+            }
+            typeSelect.value = search.filters.type;
+        }
+
+        const { results, total } = search.getResults();
+        if (this.gameMap.locations.length === 0) {
+            summary.textContent = 'No locations loaded.';
+        } else if (total === 0) {
+            summary.textContent = 'No locations match.';
+        } else {
+            summary.textContent = total > results.length
+                ? `Showing ${results.length} of ${total} locations`
+                : `${total} location${total === 1 ? '' : 's'}`;
+        }
+
+        list.innerHTML = '';
+        results.forEach(({ location, distance }) => {
+            const li = document.createElement('li');
+            if (location.visited) li.classList.add('visited');
+
+            const nameButton = document.createElement('button');
+            nameButton.className = 'search-result-name';
+            nameButton.dataset.action = 'focus';
+            nameButton.dataset.locationId = location.id;
+            nameButton.title = 'Show on map';
+            nameButton.textContent = `${location.visited ? '✓ ' : ''}${location.name}`;
+
+            const meta = document.createElement('span');
+            meta.className = 'search-result-meta';
+            const distanceText = distance === Infinity ? '?'
+                : distance < 1000 ? `${Math.round(distance)}m` : `${(distance / 1000).toFixed(1)}km`;
+            meta.textContent = `${this.gameMap.icons.getLabel(location.type)} • ${distanceText}` +
+                (location.points ? ` • ${location.points} pts` : '');
+            nameButton.appendChild(meta);
+
+            const navigateButton = document.createElement('button');
+            navigateButton.dataset.action = 'navigate';
+            navigateButton.dataset.locationId = location.id;
+            navigateButton.title = 'Travel here';
+            navigateButton.textContent = '🚶';
+
+            li.appendChild(nameButton);
+            li.appendChild(navigateButton);
+            list.appendChild(li);
+        });
+    }
+
+    initTravelHistoryControls() {
+        const history = this.gameMap.travelHistory;
+        history.onLegRecorded((leg) => {
+            this.addDistanceTraveled(leg.distance);
+            this.updateTravelHistoryPanel();
+        });
+
+        const list = document.getElementById('travelHistoryLegs');
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const button = e.target.closest('button[data-leg-id]');
+                if (!button) return;
+
+                if (history.replaying && history.replaying.legId === button.dataset.legId) {
+                    history.stopReplay();
+                } else {
+                    history.replay(button.dataset.legId, () => this.updateTravelHistoryPanel());
+                }
+                this.updateTravelHistoryPanel();
+            });
+        }
+
+        const clearBtn = document.getElementById('clearTravelHistory');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                history.clear();
+                this.updateTravelHistoryPanel();
+            });
+        }
+
+        this.updateTravelHistoryPanel();
+    }
+
+    updateTravelHistoryPanel() {
+        const summary = document.getElementById('travelHistorySummary');
+        const list = document.getElementById('travelHistoryLegs');
+        if (!summary || !list) return;
+
+        const history = this.gameMap.travelHistory;
+        const totalKm = (this.getPlayerStatistics().DistanceTraveled || 0) / 1000;
+        summary.textContent = history.legs.length > 0
+            ? `${history.legs.length} legs • ${totalKm.toFixed(2)}km travelled`
+            : 'No journeys yet.';
+
+        list.innerHTML = '';
+        history.getRecentLegs(5).forEach(leg => {
+            const li = document.createElement('li');
+            const started = new Date(leg.startTime);
+            const label = document.createElement('span');
+            label.textContent = `${started.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} • ` +
+                `${leg.travelMode} • ${(leg.distance / 1000).toFixed(2)}km • ~${Math.round(leg.duration / 60)}min` +
+                (leg.cancelled ? ' (stopped)' : '');
+
+            const button = document.createElement('button');
+            button.dataset.legId = leg.id;
+            const replaying = history.replaying && history.replaying.legId === leg.id;
+            button.textContent = replaying ? '⏹' : '▶';
+            button.title = replaying ? 'Stop replay' : 'Replay this journey';
+
+            li.appendChild(label);
+            li.appendChild(button);
+            list.appendChild(li);
+        });
+    }
+
+    initGeoDataControls() {
+        const bind = (id, handler) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('click', handler);
+            }
+        };
+
+        const fileInput = document.getElementById('importFile');
+        bind('importGeoJSON', () => fileInput && fileInput.click());
+        if (fileInput) {
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (file) {
+                    await this.importLocationsFile(file);
+                }
+            });
+        }
+
+        bind('exportLocationsGeoJSON', () => {
+            this.downloadFile('locations.geojson', this.gameMap.exportLocationsGeoJSON(), 'application/geo+json');
+            this.updateGameInfo(`💾 Exported ${this.gameMap.locations.length} locations as GeoJSON`);
+        });
+
+        const exportTrack = (format) => {
+            const trips = this.gameMap.travelHistory.getTrackSegments().filter(segment => segment.points.length > 1).length;
+            if (trips === 0) {
+                this.updateGameInfo('No travelled track to export yet');
+                return;
+            }
+
+            const stamp = new Date().toISOString().slice(0, 10);
+            if (format === 'gpx') {
+                this.downloadFile(`track-${stamp}.gpx`, this.gameMap.exportTrack('gpx'), 'application/gpx+xml');
+            } else {
+                this.downloadFile(`track-${stamp}.geojson`, this.gameMap.exportTrack('geojson'), 'application/geo+json');
+            }
+            this.updateGameInfo(`💾 Exported ${trips} trips as ${format === 'gpx' ? 'GPX' : 'GeoJSON'}`);
+        };
+        bind('exportTrackGPX', () => exportTrack('gpx'));
+        bind('exportTrackGeoJSON', () => exportTrack('geojson'));
+    }
+
+    /**
+     * Load locations from a GeoJSON FeatureCollection, a gamedata.json file or a location array
+     */
+    async importLocationsFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const source = GeoFormats.isGeoJSON(data) ? data : (data.locations || data);
+            const locations = this.gameMap.addMarkersFromPowerShellData(source);
+            if (!locations) {
+                throw new Error('File does not contain locations');
+            }
+
+            this.gameData = { ...(this.gameData || {}), locations };
+            this.updateGameInfo(`📂 Imported ${locations.length} locations from ${file.name}`);
+            this.eventManager.emit('system.dataLoaded', {
+                locations: locations,
+                source: 'import'
+            });
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.updateGameInfo(`❌ Could not import ${file.name}: ${error.message}`);
+        }
+    }
+
+    initGpsControls() {
+        const gameMap = this.gameMap;
+
+        const toggleBtn = document.getElementById('toggleGps');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => {
+                if (gameMap.gpsMode) {
+                    gameMap.stopGps();
+                } else if (gameMap.startGps()) {
+                    this.updateGameInfo('📡 GPS play on - walk to move your player');
+                }
+            });
+        }
+
+        const fileInput = document.getElementById('gpsTrackFile');
+        const simulateBtn = document.getElementById('simulateGps');
+        if (simulateBtn && fileInput) {
+            simulateBtn.addEventListener('click', () => {
+                if (gameMap.gpsMode) {
+                    gameMap.stopGps();
+                } else {
+                    fileInput.click();
+                }
+            });
+            fileInput.addEventListener('change', async () => {
+                const file = fileInput.files[0];
+                fileInput.value = '';
+                if (!file) return;
+
+                try {
+                    const points = GeoFormats.trackFromGPX(await file.text());
+                    if (gameMap.startGps(points)) {
+                        this.updateGameInfo(`📡 Simulating GPS from ${file.name} (${points.length} points)`);
+                    }
+                } catch (error) {
+                    console.error('GPX simulation failed:', error);
+                    this.updateGameInfo(`❌ Could not read ${file.name}: ${error.message}`);
+                }
+            });
+        }
+
+        const followToggle = document.getElementById('followGps');
+        if (followToggle) {
+            followToggle.addEventListener('change', (e) => {
+                gameMap.followGps = e.target.checked;
+            });
+        }
+
+        this.updateGpsPanel();
+    }
+
+    updateGpsPanel() {
+        const status = document.getElementById('gpsStatus');
+        if (!status) return;
+
+        const gameMap = this.gameMap;
+        const gps = gameMap.gps;
+        const simulating = gps.source === 'simulation';
+
+        const toggleBtn = document.getElementById('toggleGps');
+        const simulateBtn = document.getElementById('simulateGps');
+        if (toggleBtn) {
+            toggleBtn.textContent = gameMap.gpsMode && !simulating ? 'Stop GPS' : 'Use GPS';
+            toggleBtn.classList.toggle('active', gameMap.gpsMode && !simulating);
+            toggleBtn.disabled = simulating;
+        }
+        if (simulateBtn) {
+            simulateBtn.textContent = simulating ? 'Stop Simulation' : 'Simulate GPX';
+            simulateBtn.classList.toggle('active', simulating);
+            simulateBtn.disabled = gameMap.gpsMode && !simulating;
+        }
+
+        if (!gameMap.gpsMode) {
+            status.textContent = 'Off - click the map to move.';
+            return;
+        }
+
+        const parts = [simulating ? 'Simulated GPS' : 'Live GPS'];
+        if (gps.estimate) {
+            parts.push(`±${Math.round(Math.sqrt(gps.estimate.variance))}m`);
+        } else {
+            parts.push('waiting for a fix');
+        }
+        const progress = gps.getSimulationProgress();
+        if (progress) {
+            parts.push(`point ${progress.index} / ${progress.total}`);
+        }
+        if (gps.stats.rejected > 0) {
+            parts.push(`${gps.stats.rejected} fixes rejected`);
+        }
+        status.textContent = parts.join(' • ');
+    }
+
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    updateItineraryPanel(planner) {
+        const summary = document.getElementById('itinerarySummary');
+        const stopList = document.getElementById('itineraryStops');
+        const startBtn = document.getElementById('itineraryStart');
+        if (!summary || !stopList) return;
+
+        const itinerary = planner.getItinerary();
+        const stops = itinerary ? itinerary.stops : planner.selectedStops;
+
+        stopList.innerHTML = '';
+        stops.forEach(stop => {
+            const li = document.createElement('li');
+            li.textContent = stop.name;
+            stopList.appendChild(li);
+        });
+
+        if (itinerary) {
+            const distKm = (itinerary.totalDistance / 1000).toFixed(2);
+            const durMin = Math.round(itinerary.totalDuration / 60);
+            summary.textContent = `${stops.length} stops • ${distKm}km • ~${durMin}min • ${itinerary.travelMode}`;
+        } else {
+            summary.textContent = stops.length > 0
+                ? `${stops.length} stops selected. Plan the route to see totals.`
+                : 'No stops selected.';
+        }
+
+        if (startBtn) {
+            startBtn.disabled = !itinerary || planner.isTravelling();
         }
     }
 
@@ -168,30 +1121,94 @@ class PwshLeafmapGame {
         }
     }
 
+    /**
+     * Load the world manifest, show the chosen world and fill the world selector
+     */
+    async initWorld() {
+        await this.worlds.load();
+        const world = this.worlds.resolve(this.worldId);
+        if (world.id !== this.worldId) {
+            // The chosen world isn't in the manifest; reload into one that is so saves match
+            console.warn(`World '${this.worldId}' not found, switching to ${world.name}`);
+            this.switchWorld(world.id, true);
+            return false;
+        }
+
+        this.world = world;
+        this.gameMap.setWorld(world);
+        this.updateWorldSelect();
+        return true;
+    }
+
+    updateWorldSelect() {
+        const select = document.getElementById('worldSelect');
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.worlds.worlds.forEach(world => {
+            const option = document.createElement('option');
+            option.value = world.id;
+            option.textContent = world.name;
+            select.appendChild(option);
+        });
+        select.value = this.worldId;
+
+        if (!select.dataset.bound) {
+            select.dataset.bound = 'true';
+            select.addEventListener('change', () => {
+                const world = this.worlds.getWorld(select.value);
+                if (!world || world.id === this.worldId) return;
+
+                if (confirm(`Travel to ${world.name}? Progress in ${this.world.name} is saved for when you return.`)) {
+                    this.switchWorld(world.id);
+                } else {
+                    select.value = this.worldId;
+                }
+            });
+        }
+    }
+
+    /**
+     * Save this world and reload the game in another one
+     * Every system reads its state from the StateManager at start-up, so a reload
+     * is what loads the other world's saves.
+     * @param {string} worldId - World to switch to
+     * @param {boolean} replace - Replace the history entry (default: false)
+     */
+    switchWorld(worldId, replace = false) {
+        if (this.stateManager && worldId !== this.worldId) {
+            this.stateManager.persistToLocalStorage();
+        }
+        WorldManifest.select(worldId);
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('world', worldId);
+        if (replace) {
+            window.location.replace(url);
+        } else {
+            window.location.assign(url);
+        }
+    }
+
     async autoLoadGameData() {
         try {
-            console.log('Attempting to load gamedata.json...');
-            const response = await fetch('gamedata.json');
+            if (!await this.initWorld()) return;
+
+            console.log(`Attempting to load ${this.world.dataFile}...`);
+            const response = await fetch(this.world.dataFile);
             if (response.ok) {
                 const data = await response.json();
                 console.log('Game data received:', data);
                 if (data && data.locations && data.locations.length > 0) {
-                    this.gameData = data;
-                    console.log(`Loading ${data.locations.length} locations onto map...`);
-                    this.gameMap.loadLocations(data.locations);
-                    this.updateGameInfo(`🎮 Game ready! ${data.locations.length} locations in ${data.city}. Click markers to explore!`);
+                    this.applyGameData(data, 'file');
+                    this.updateGameInfo(`🎮 Game ready! ${data.locations.length} locations in ${data.city || this.world.name}. Click markers to explore!`);
                     console.log('✓ Game data loaded successfully');
-
-                    this.eventManager.emit('system.dataLoaded', {
-                        locations: data.locations,
-                        source: 'file'
-                    });
                 } else {
                     console.warn('Game data loaded but no locations found');
                     this.updateGameInfo('No locations found in game data');
                 }
             } else {
-                console.log('No gamedata.json found (HTTP', response.status, ')');
+                console.log(`No ${this.world.dataFile} found (HTTP`, response.status, ')');
                 this.updateGameInfo('Click "Load Game Data" to start your adventure!');
             }
         } catch (error) {
@@ -205,31 +1222,26 @@ class PwshLeafmapGame {
             console.log('Loading game data...');
             this.updateGameInfo('Loading game data...');
 
-            // First try to fetch from the local gamedata.json file
-            const response = await fetch('gamedata.json');
+            if (!this.world && !await this.initWorld()) return;
+
+            // First try to fetch the world's game data file
+            const response = await fetch(this.world.dataFile);
             if (response.ok) {
                 const data = await response.json();
                 console.log('Game data received:', data);
                 if (data && data.locations && data.locations.length > 0) {
-                    this.gameData = data;
-                    console.log(`Loading ${data.locations.length} locations onto map...`);
-                    this.gameMap.loadLocations(data.locations);
-                    this.updateGameInfo(`🎮 Game loaded! ${data.locations.length} locations in ${data.city || 'the city'}. Click markers to explore!`);
+                    this.applyGameData(data, 'file');
+                    this.updateGameInfo(`🎮 Game loaded! ${data.locations.length} locations in ${data.city || this.world.name}. Click markers to explore!`);
                     console.log('✓ Game data loaded successfully');
-
-                    this.eventManager.emit('system.dataLoaded', {
-                        locations: data.locations,
-                        source: 'file'
-                    });
                 } else {
                     console.warn('Game data loaded but no locations found');
                     this.updateGameInfo('No locations found in game data. Try regenerating.');
                 }
             } else {
-                console.warn('gamedata.json not found, attempting PowerShell bridge...');
+                console.warn(`${this.world.dataFile} not found, attempting PowerShell bridge...`);
                 // Fall back to PowerShell bridge if file not found
                 this.eventManager.emit('powershell.generateLocations', {
-                    city: 'New York',
+                    city: this.world.city || this.world.name,
                     locationCount: 10
                 });
                 this.updateGameInfo('Requesting game data from PowerShell...');
@@ -244,80 +1256,67 @@ class PwshLeafmapGame {
         }
     }
 
+    /**
+     * Put a world's game data on the map: fog settings, locations, avoid zones,
+     * districts with their factions, and base maps
+     * @param {Object} data - Game data ({ locations, fogOfWar, avoidZones, districts, factions, baseMaps })
+     * @param {string} source - Where it came from, for system.dataLoaded ('file' or 'powershell')
+     */
+    applyGameData(data, source) {
+        this.gameData = data;
+        console.log(`Loading ${data.locations.length} locations onto map...`);
+
+        this.gameMap.fogOfWar.configure(data.fogOfWar);
+        this.gameMap.loadLocations(data.locations);
+        this.gameMap.loadAvoidZones(data.avoidZones);
+        this.gameMap.loadDistricts(data.districts, data.factions);
+        if (data.baseMaps) {
+            this.gameMap.layers.setBaseMaps(data.baseMaps);
+        }
+
+        this.eventManager.emit('system.dataLoaded', {
+            locations: data.locations,
+            source: source
+        });
+    }
+
     handlePowerShellResponse(data) {
         console.log('Received PowerShell response:', data);
 
         if (data.commandType === 'generateLocations' && data.success) {
-            this.gameData = data.result;
-
-            if (this.gameData && this.gameData.locations) {
-                // Update map with new data
-                this.gameMap.loadLocations(this.gameData.locations);
+            if (data.result && data.result.locations) {
+                this.applyGameData(data.result, 'powershell');
                 this.updateGameInfo('Game data loaded from PowerShell successfully!');
-
-                // Emit data loaded event
-                this.eventManager.emit('system.dataLoaded', {
-                    locations: this.gameData.locations,
-                    source: 'powershell'
-                });
             }
         } else if (!data.success) {
             this.updateGameInfo(`PowerShell error: ${data.error || 'Unknown error'}`);
         }
     }
 
-    async simulateDataLoad() {
-        // Simulate async data loading
-        return new Promise(resolve => {
-            setTimeout(() => {
-                resolve({
-                    locations: [
-                        {
-                            id: 'start',
-                            lat: 40.7128,
-                            lng: -74.0060,
-                            name: 'Starting Point',
-                            type: 'start',
-                            description: 'Your adventure begins here in New York City!',
-                            items: ['map', 'compass']
-                        },
-                        {
-                            id: 'treasure1',
-                            lat: 40.7589,
-                            lng: -73.9851,
-                            name: 'Central Park Treasure',
-                            type: 'treasure',
-                            description: 'A hidden treasure in Central Park!',
-                            items: ['golden_coin', 'ancient_scroll'],
-                            points: 100
-                        },
-                        {
-                            id: 'quest1',
-                            lat: 40.6892,
-                            lng: -74.0445,
-                            name: 'Statue of Liberty Quest',
-                            type: 'quest',
-                            description: 'Complete the challenge at Lady Liberty!',
-                            items: ['liberty_key'],
-                            points: 150
-                        }
-                    ]
-                });
-            }, 1000);
-        });
-    }
-
+    /**
+     * Visit a location if the player is within its radius and meets its requirements
+     * @returns {boolean} True if the location was visited
+     */
     visitLocation(location) {
         try {
-            // Check if player is within visit range (100m)
-            if (this.map && !this.map.isWithinVisitRange(location)) {
-                const distance = this.map.getDistanceToLocation(location);
+            // Check if player is within the location's visit radius
+            if (this.gameMap && !this.gameMap.isWithinVisitRange(location)) {
+                const distance = this.gameMap.getDistanceToLocation(location);
                 const distanceText = distance < 1000
                     ? `${Math.round(distance)}m`
                     : `${(distance / 1000).toFixed(1)}km`;
-                this.updateGameInfo(`❌ Too far to visit ${location.name} (${distanceText} away). Get within 100m first!`);
+                const radius = LocationRequirements.getVisitRadius(location);
+                this.updateGameInfo(`❌ Too far to visit ${location.name} (${distanceText} away). Get within ${radius}m first!`);
                 console.log(`Cannot visit ${location.name} - too far (${distanceText})`);
-                return;
+                return false;
+            }
+
+            const requirements = LocationRequirements.check(location, this.getRequirementContext());
+            if (!requirements.met) {
+                const reasons = requirements.unmet.map(requirement => requirement.message).join('; ');
+                this.updateGameInfo(`🔒 Can't enter ${location.name}: ${reasons}`);
+                console.log(`Cannot visit ${location.name} - requirements not met (${reasons})`);
+                return false;
             }
 
             console.log(`Visiting location: ${location.name}`);
@@ -346,15 +1345,43 @@ class PwshLeafmapGame {
             this.updateGameInfo(`✅ Visited: ${location.name}. ${location.description}`);
 
             console.log('✓ Location visit completed successfully');
+            return true;
         } catch (error) {
             console.error('Error visiting location:', error);
             this.updateGameInfo(`Error: ${error.message}`);
+            return false;
         }
     }
 
+    /**
+     * Player state for LocationRequirements.check
+     */
+    getRequirementContext() {
+        return {
+            level: this.level,
+            inventory: this.inventory,
+            getStanding: (factionId) => this.gameMap.districtLayer.getStanding(factionId),
+            gameTime: this.gameTime || new Date(),
+            activeQuests: this.activeQuests
+        };
+    }
+
+    /**
+     * Game time from a WorldSystem event (ISO string or PowerShell's /Date(ms)/ form)
+     */
+    setGameTime(value) {
+        const match = /\/Date\((-?\d+)/.exec(String(value));
+        const time = match ? new Date(Number(match[1])) : new Date(value);
+        if (isNaN(time.getTime())) return;
+
+        this.gameTime = time;
+        this.gameMap.refreshMarkerIcons();
+    }
+
     addToInventory(item) {
         this.inventory.push(item);
         this.updateInventoryUI();
+        this.gameMap.refreshMarkerIcons();
 
         // Emit inventory change event
         this.eventManager.emit('player.inventoryChanged', {
@@ -384,6 +1411,7 @@ class PwshLeafmapGame {
     resetGame() {
         this.score = 0;
         this.inventory = [];
+        this.activeQuests.clear();
         this.gameData = null;
 
         this.gameMap.clearMap();
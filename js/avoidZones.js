@@ -0,0 +1,380 @@
+// avoidZones.js
+// Weighted avoid-polygons for routing: hostile faction districts, security alerts, no-fly zones
+//
+// A zone's weight multiplies the cost of travelling through it: 1 is harmless,
+// 10 means "ten times worse than going around", Infinity means impassable.
+
+class AvoidZoneManager {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {number} options.sampleSpacing - Meters between samples when measuring zone crossings (default: 25)
+     * @param {Object} options.standingWeights - Faction standing -> zone weight
+     */
+    constructor(options = {}) {
+        this.zones = new Map(); // zoneId -> zone
+        this.sampleSpacing = options.sampleSpacing || 25;
+        this.standingWeights = options.standingWeights || {
+            'Hostile': 10,
+            'Unfriendly': 3
+        };
+        this.changeListeners = [];
+    }
+
+    /**
+     * Add or replace a zone
+     * @param {Object} zone - Zone definition
+     * @param {string} zone.id - Unique id
+     * @param {string} zone.name - Display name
+     * @param {Array<Array<number>>} zone.polygon - [[lat, lng], ...] ring (closing point optional)
+     * @param {number} zone.weight - Cost multiplier inside the zone (Infinity = impassable)
+     * @param {string} zone.source - 'faction', 'security', 'nofly' or 'custom'
+     * @param {Array<string>} zone.travelModes - Modes affected (default: all)
+     * @param {number} zone.expiresAt - Epoch ms after which the zone is ignored (optional)
+     */
+    addZone(zone) {
+        if (!zone.id || !Array.isArray(zone.polygon) || zone.polygon.length < 3) {
+            throw new Error('Avoid zone requires an id and a polygon with at least 3 points');
+        }
+
+        const normalized = {
+            name: zone.id,
+            weight: 5,
+            source: 'custom',
+            travelModes: null,
+            expiresAt: null,
+            ...zone,
+            bounds: this.computeBounds(zone.polygon)
+        };
+
+        this.zones.set(zone.id, normalized);
+        this.notifyChanged();
+        return normalized;
+    }
+
+    removeZone(zoneId) {
+        const removed = this.zones.delete(zoneId);
+        if (removed) this.notifyChanged();
+        return removed;
+    }
+
+    /**
+     * Remove every zone from a source (e.g. before re-importing faction territories)
+     */
+    clearSource(source) {
+        let removed = 0;
+        for (const [id, zone] of this.zones) {
+            if (zone.source === source) {
+                this.zones.delete(id);
+                removed++;
+            }
+        }
+        if (removed > 0) this.notifyChanged();
+        return removed;
+    }
+
+    clear() {
+        this.zones.clear();
+        this.notifyChanged();
+    }
+
+    /**
+     * Zones that currently apply to a travel mode
+     */
+    getZones(travelMode = null) {
+        const now = Date.now();
+        return Array.from(this.zones.values()).filter(zone =>
+            (!zone.expiresAt || zone.expiresAt > now) &&
+            (!travelMode || !zone.travelModes || zone.travelModes.includes(travelMode))
+        );
+    }
+
+    /**
+     * Short fingerprint of the zones affecting a travel mode
+     * Used in route cache keys so routes are re-planned when zones change.
+     * @returns {string} '' when no zones apply, otherwise ':<hash>'
+     */
+    getSignature(travelMode) {
+        const zones = this.getZones(travelMode);
+        if (zones.length === 0) return '';
+
+        const text = zones.map(zone => `${zone.id}=${zone.weight}`).sort().join('|');
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return `:${(hash >>> 0).toString(36)}`;
+    }
+
+    /**
+     * Replace faction territory zones (GameMap feeds these from DistrictLayer.getTerritories)
+     * @param {Array<Object>} territories - [{ TerritoryId, Name, FactionId, Standing, Polygon }]
+     *   Standing is the player's standing with the controlling faction (Get-Reputation).
+     */
+    setFactionTerritories(territories) {
+        this.clearSource('faction');
+
+        for (const territory of territories || []) {
+            const weight = this.standingWeights[territory.Standing];
+            if (!weight || !territory.Polygon) continue;
+
+            this.zones.set(`territory_${territory.TerritoryId}`, {
+                id: `territory_${territory.TerritoryId}`,
+                name: territory.Name || territory.TerritoryId,
+                polygon: territory.Polygon,
+                weight: weight,
+                source: 'faction',
+                factionId: territory.FactionId,
+                standing: territory.Standing,
+                travelModes: null,
+                expiresAt: null,
+                bounds: this.computeBounds(territory.Polygon)
+            });
+        }
+
+        this.notifyChanged();
+    }
+
+    /**
+     * Add a temporary zone around a TerminalSystem security alert
+     * @param {Object} alert - SecurityAlert event data ({ AlertId, Severity, ... })
+     * @param {{lat: number, lng: number}} center - Where the alert happened
+     * @param {number} durationSeconds - How long the area stays hot (default: 300, matching AlertDuration)
+     */
+    addSecurityAlert(alert, center, durationSeconds = 300) {
+        const severity = alert.Severity || 1;
+        return this.addZone({
+            id: `alert_${alert.AlertId}`,
+            name: `Security alert (level ${severity})`,
+            polygon: AvoidZoneManager.circlePolygon(center, 150 + severity * 50),
+            weight: 2 + severity,
+            source: 'security',
+            expiresAt: Date.now() + durationSeconds * 1000
+        });
+    }
+
+    /**
+     * Add an impassable zone for aerial travel
+     */
+    addNoFlyZone(id, name, polygon) {
+        return this.addZone({
+            id: id,
+            name: name,
+            polygon: polygon,
+            weight: Infinity,
+            source: 'nofly',
+            travelModes: ['aerial']
+        });
+    }
+
+    /**
+     * Zones containing a point
+     */
+    getZonesAt(point, travelMode = null) {
+        return this.getZones(travelMode).filter(zone => this.containsPoint(zone, point));
+    }
+
+    containsPoint(zone, point) {
+        const b = zone.bounds;
+        if (point.lat < b.south || point.lat > b.north || point.lng < b.west || point.lng > b.east) {
+            return false;
+        }
+        return AvoidZoneManager.pointInPolygon(point, zone.polygon);
+    }
+
+    /**
+     * Cost of travelling a straight segment, including zone penalties
+     * Used as the edge cost by the offline road graph.
+     * @returns {number} Weighted cost (Infinity if the segment enters an impassable zone)
+     */
+    getSegmentCost(a, b, distance, travelMode) {
+        const zones = this.getZones(travelMode);
+        if (zones.length === 0) return distance;
+
+        let cost = 0;
+        const samples = Math.max(1, Math.ceil(distance / this.sampleSpacing));
+        const step = distance / samples;
+
+        for (let i = 0; i < samples; i++) {
+            const t = (i + 0.5) / samples;
+            const point = { lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t };
+            let weight = 1;
+            for (const zone of zones) {
+                if (this.containsPoint(zone, point)) {
+                    weight = Math.max(weight, zone.weight);
+                }
+            }
+            if (weight === Infinity) return Infinity;
+            cost += step * weight;
+        }
+
+        return cost;
+    }
+
+    /**
+     * Measure which zones a path crosses
+     * @param {Object} path - Path object with L.LatLng coordinates
+     * @returns {Object} { zones: [{ id, name, source, weight, distance }], cost, blocked }
+     */
+    analyzePath(path) {
+        const zones = this.getZones(path.travelMode);
+        const crossed = new Map();
+        let cost = 0;
+
+        for (let i = 1; i < path.coordinates.length; i++) {
+            const a = path.coordinates[i - 1];
+            const b = path.coordinates[i];
+            const length = a.distanceTo(b);
+            const samples = Math.max(1, Math.ceil(length / this.sampleSpacing));
+            const step = length / samples;
+
+            for (let s = 0; s < samples; s++) {
+                const t = (s + 0.5) / samples;
+                const point = { lat: a.lat + (b.lat - a.lat) * t, lng: a.lng + (b.lng - a.lng) * t };
+                let weight = 1;
+
+                for (const zone of zones) {
+                    if (!this.containsPoint(zone, point)) continue;
+
+                    weight = Math.max(weight, zone.weight);
+                    if (!crossed.has(zone.id)) {
+                        crossed.set(zone.id, {
+                            id: zone.id,
+                            name: zone.name,
+                            source: zone.source,
+                            weight: zone.weight,
+                            distance: 0
+                        });
+                    }
+                    crossed.get(zone.id).distance += step;
+                }
+
+                cost += step * weight;
+            }
+        }
+
+        const zoneList = Array.from(crossed.values());
+        return {
+            zones: zoneList,
+            cost: cost,
+            blocked: zoneList.some(zone => zone.weight === Infinity)
+        };
+    }
+
+    /**
+     * Find a cheaper straight-line route around zones via their (padded) bounding-box corners
+     * @returns {Array<{lat: number, lng: number}>|null} Waypoints from start to destination, or null
+     *   if going straight is already the cheapest option
+     */
+    findDetour(start, destination, travelMode, paddingMeters = 50) {
+        const straightCost = this.getPolylineCost([start, destination], travelMode);
+        if (straightCost <= start.distanceTo(destination)) return null;
+
+        const crossedZones = this.getZones(travelMode).filter(zone =>
+            this.segmentTouchesBounds(start, destination, zone.bounds)
+        );
+
+        // Candidate waypoints: padded corners of every crossed zone
+        const corners = [];
+        crossedZones.forEach(zone => {
+            const padLat = paddingMeters / 111320;
+            const padLng = paddingMeters / (111320 * Math.cos(start.lat * Math.PI / 180));
+            const b = zone.bounds;
+            corners.push(
+                L.latLng(b.north + padLat, b.west - padLng),
+                L.latLng(b.north + padLat, b.east + padLng),
+                L.latLng(b.south - padLat, b.east + padLng),
+                L.latLng(b.south - padLat, b.west - padLng)
+            );
+        });
+
+        let best = { points: null, cost: straightCost };
+        const consider = (points) => {
+            const cost = this.getPolylineCost(points, travelMode);
+            if (cost < best.cost) {
+                best = { points, cost };
+            }
+        };
+
+        corners.forEach(c => consider([start, c, destination]));
+        corners.forEach(c1 => corners.forEach(c2 => {
+            if (c1 !== c2) consider([start, c1, c2, destination]);
+        }));
+
+        return best.points;
+    }
+
+    getPolylineCost(points, travelMode) {
+        let cost = 0;
+        for (let i = 1; i < points.length; i++) {
+            cost += this.getSegmentCost(points[i - 1], points[i], points[i - 1].distanceTo(points[i]), travelMode);
+        }
+        return cost;
+    }
+
+    segmentTouchesBounds(a, b, bounds) {
+        return !(Math.max(a.lat, b.lat) < bounds.south || Math.min(a.lat, b.lat) > bounds.north ||
+            Math.max(a.lng, b.lng) < bounds.west || Math.min(a.lng, b.lng) > bounds.east);
+    }
+
+    computeBounds(polygon) {
+        const lats = polygon.map(p => p[0]);
+        const lngs = polygon.map(p => p[1]);
+        return {
+            north: Math.max(...lats),
+            south: Math.min(...lats),
+            east: Math.max(...lngs),
+            west: Math.min(...lngs)
+        };
+    }
+
+    /**
+     * Register a callback for zone changes (used to invalidate cached routes and redraw)
+     */
+    onChange(callback) {
+        this.changeListeners.push(callback);
+    }
+
+    notifyChanged() {
+        this.changeListeners.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('Avoid zone listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Ray-casting point-in-polygon test
+     */
+    static pointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [yi, xi] = polygon[i];
+            const [yj, xj] = polygon[j];
+            const intersects = ((yi > point.lat) !== (yj > point.lat)) &&
+                (point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi);
+            if (intersects) inside = !inside;
+        }
+        return inside;
+    }
+
+    /**
+     * Approximate a circle as a polygon
+     */
+    static circlePolygon(center, radiusMeters, sides = 24) {
+        const polygon = [];
+        const latRadius = radiusMeters / 111320;
+        const lngRadius = radiusMeters / (111320 * Math.cos(center.lat * Math.PI / 180));
+        for (let i = 0; i < sides; i++) {
+            const angle = (i / sides) * 2 * Math.PI;
+            polygon.push([center.lat + latRadius * Math.sin(angle), center.lng + lngRadius * Math.cos(angle)]);
+        }
+        return polygon;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AvoidZoneManager;
+}
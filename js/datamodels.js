@@ -164,7 +164,7 @@ class Player extends GameEntity {
             QuestsCompleted: 0,
             ItemsCollected: 0,
             EnemiesDefeated: 0,
-            DistanceTraveled: 0,
+            DistanceTraveled: 0, // meters
             TimePlayedHours: 0
         };
     }
@@ -185,7 +185,8 @@ class Player extends GameEntity {
             FontSize: 'Medium',
             ShowMinimap: true,
             ShowHealthBar: true,
-            ShowExperienceBar: true
+            ShowExperienceBar: true,
+            MapLayers: { BaseMap: 'osm', HiddenOverlays: [] }
         };
     }
 
@@ -0,0 +1,226 @@
+// districtLayer.js
+// District polygons coloured by the controlling faction
+//
+// Districts come from world data (WorldSystem New-District): either a Polygon of
+// [lat, lng] points or the Boundaries box { North, South, East, West }. Territory
+// control and player standing come from FactionSystem and update live from bridge events.
+//
+// Requires popupRenderer.js (PopupRenderer.escapeHtml for tooltips)
+
+class DistrictLayer {
+    /**
+     * @param {L.Map} map - Leaflet map
+     * @param {Object} options - Configuration options
+     * @param {number} options.fillOpacity - Polygon fill opacity (default: 0.2)
+     * @param {string[]} options.palette - Colours assigned to factions without a Color (optional)
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.fillOpacity = options.fillOpacity !== undefined ? options.fillOpacity : 0.2;
+        this.palette = options.palette || DistrictLayer.DEFAULT_PALETTE;
+
+        this.districts = new Map(); // districtId -> { data, polygon }
+        this.factions = new Map();  // factionId -> { FactionId, Name, Color, Standing }
+        this.layer = L.layerGroup().addTo(map);
+        this.changeListeners = [];
+    }
+
+    /**
+     * Replace the drawn districts
+     * @param {Array} districts - World districts ({ Id, Name, Type, ControllingFaction, Polygon | Boundaries })
+     */
+    setDistricts(districts) {
+        this.clear();
+
+        (districts || []).forEach(district => {
+            const points = DistrictLayer.getPolygon(district);
+            if (!points) {
+                console.warn(`District ${district.Id} has no polygon or boundaries - skipped`);
+                return;
+            }
+
+            const polygon = L.polygon(points, this.getStyle(district.ControllingFaction));
+            polygon.bindTooltip(() => this.createTooltipContent(district), { sticky: true });
+            polygon.on('mouseover', () => polygon.setStyle({ weight: 3, fillOpacity: this.fillOpacity + 0.15 }));
+            polygon.on('mouseout', () => polygon.setStyle(this.getStyle(district.ControllingFaction)));
+            polygon.addTo(this.layer);
+
+            this.districts.set(district.Id, { data: district, polygon });
+        });
+
+        console.log(`Loaded ${this.districts.size} districts`);
+        this.notifyChanged();
+    }
+
+    /**
+     * Set faction names, colours and the player's standing with each
+     * @param {Array} factions - [{ FactionId, Name, Color, Standing }]
+     */
+    setFactions(factions) {
+        this.factions.clear();
+        (factions || []).forEach(faction => this.factions.set(faction.FactionId, { ...faction }));
+        this.refreshStyles();
+        this.notifyChanged();
+    }
+
+    /**
+     * Change the faction controlling a district (Set-DistrictControl / Transfer-Territory)
+     * @returns {boolean} True if the district is on the map
+     */
+    setController(districtId, factionId) {
+        const district = this.districts.get(districtId);
+        if (!district) return false;
+
+        district.data.ControllingFaction = factionId || 'None';
+        district.polygon.setStyle(this.getStyle(district.data.ControllingFaction));
+        this.notifyChanged();
+        return true;
+    }
+
+    /**
+     * Update the player's standing with a faction (ReputationChanged)
+     */
+    setStanding(factionId, standing) {
+        if (!this.factions.has(factionId)) {
+            this.factions.set(factionId, { FactionId: factionId, Name: factionId });
+        }
+        this.factions.get(factionId).Standing = standing;
+        this.notifyChanged();
+    }
+
+    /**
+     * The player's standing with a faction ('Hostile' ... 'Allied'), or null if unknown
+     */
+    getStanding(factionId) {
+        const faction = this.factions.get(factionId);
+        return faction && faction.Standing ? faction.Standing : null;
+    }
+
+    refreshStyles() {
+        this.districts.forEach(district => {
+            district.polygon.setStyle(this.getStyle(district.data.ControllingFaction));
+        });
+    }
+
+    getStyle(factionId) {
+        const color = this.getFactionColor(factionId);
+        return {
+            color: color,
+            weight: 1,
+            fillColor: color,
+            fillOpacity: this.fillOpacity,
+            dashArray: !factionId || factionId === 'None' ? '4 4' : null
+        };
+    }
+
+    /**
+     * Faction colour: its own Color if set, otherwise a stable palette pick
+     */
+    getFactionColor(factionId) {
+        if (!factionId || factionId === 'None') {
+            return '#7f8c8d';
+        }
+
+        const faction = this.factions.get(factionId);
+        if (faction && faction.Color) {
+            return faction.Color;
+        }
+
+        let hash = 0;
+        for (let i = 0; i < factionId.length; i++) {
+            hash = (hash * 31 + factionId.charCodeAt(i)) >>> 0;
+        }
+        return this.palette[hash % this.palette.length];
+    }
+
+    createTooltipContent(district) {
+        const factionId = district.ControllingFaction;
+        const faction = this.factions.get(factionId);
+        const controller = !factionId || factionId === 'None'
+            ? 'Uncontrolled'
+            : (faction ? faction.Name : factionId);
+        const standing = faction && faction.Standing ? faction.Standing : 'Unknown';
+
+        const row = (label, value) => `<div><strong>${label}:</strong> ${PopupRenderer.escapeHtml(value)}</div>`;
+        return `
+            <div class="district-tooltip">
+                <h4>${PopupRenderer.escapeHtml(district.Name || district.Id)}</h4>
+                ${row('Type', district.Type || 'Unknown')}
+                ${row('Controller', controller)}
+                ${factionId && factionId !== 'None' ? row('Your standing', standing) : ''}
+            </div>
+        `;
+    }
+
+    getDistrict(districtId) {
+        const district = this.districts.get(districtId);
+        return district ? district.data : null;
+    }
+
+    /**
+     * Controlled districts with the player's standing, in the form AvoidZoneManager.setFactionTerritories takes
+     * @returns {Array<Object>} [{ TerritoryId, Name, FactionId, Standing, Polygon }]
+     */
+    getTerritories() {
+        const territories = [];
+        this.districts.forEach(({ data }) => {
+            const factionId = data.ControllingFaction;
+            if (!factionId || factionId === 'None') return;
+
+            territories.push({
+                TerritoryId: data.Id,
+                Name: data.Name || data.Id,
+                FactionId: factionId,
+                Standing: this.getStanding(factionId),
+                Polygon: DistrictLayer.getPolygon(data)
+            });
+        });
+        return territories;
+    }
+
+    clear() {
+        this.layer.clearLayers();
+        this.districts.clear();
+        this.notifyChanged();
+    }
+
+    /**
+     * Register a callback for district, control or standing changes
+     * @param {Function} callback - (districtLayer) => void
+     */
+    onChange(callback) {
+        this.changeListeners.push(callback);
+    }
+
+    notifyChanged() {
+        this.changeListeners.forEach(callback => callback(this));
+    }
+
+    /**
+     * District outline as [lat, lng] points, or null if the district has no geometry
+     */
+    static getPolygon(district) {
+        if (Array.isArray(district.Polygon) && district.Polygon.length >= 3) {
+            return district.Polygon;
+        }
+
+        const b = district.Boundaries;
+        if (b && (b.North !== b.South) && (b.East !== b.West)) {
+            return [
+                [b.North, b.West],
+                [b.North, b.East],
+                [b.South, b.East],
+                [b.South, b.West]
+            ];
+        }
+
+        return null;
+    }
+}
+
+DistrictLayer.DEFAULT_PALETTE = ['#e74c3c', '#9b59b6', '#3498db', '#1abc9c', '#f1c40f', '#e67e22', '#2ecc71', '#fd79a8'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DistrictLayer;
+}
@@ -0,0 +1,290 @@
+// fogOfWar.js
+// Fog of war: the map starts dark and is revealed around where the player has been
+//
+// Revealed points are kept about half a reveal radius apart and cut out of a canvas
+// overlay. Locations flagged discovered: false stay hidden until the player comes
+// within the radius. Revealed points and discoveries persist through the StateManager
+// ('exploration' entity), so they are part of every save. New reveals are saved a few
+// seconds after the last one, so exploration without trips (GPS play) is kept too.
+
+class FogOfWar {
+    /**
+     * @param {L.Map} map - Leaflet map
+     * @param {Object} options - Configuration options
+     * @param {number} options.radius - Reveal radius in meters (default: 200)
+     * @param {number} options.opacity - Fog opacity (default: 0.65)
+     * @param {string} options.color - Fog colour (default: '#1a1a2e')
+     * @param {boolean} options.enabled - Start with fog enabled (default: true)
+     * @param {number} options.saveDelay - Milliseconds after the last reveal before it is saved (default: 5000)
+     * @param {StateManager} options.stateManager - Persists the revealed area (optional)
+     * @param {EventManager} options.eventManager - Receives location.discovered events (optional)
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.radius = options.radius || 200;
+        this.opacity = options.opacity !== undefined ? options.opacity : 0.65;
+        this.color = options.color || '#1a1a2e';
+        this.enabled = options.enabled !== false;
+        this.saveDelay = options.saveDelay || 5000;
+        this.stateManager = options.stateManager || null;
+        this.eventManager = options.eventManager || null;
+
+        this.revealed = [];          // [lat, lng] points, in reveal order
+        this.revealedCells = new Set(); // grid keys so revisiting an area adds nothing
+        this.discovered = new Set(); // location ids
+        this.locations = [];
+        this.discoverListeners = [];
+        this.saveTimer = null;
+
+        // Above paths and zones, below markers and popups
+        this.pane = map.createPane('fogOfWar');
+        this.pane.style.zIndex = 450;
+        this.pane.style.pointerEvents = 'none';
+        this.canvas = L.DomUtil.create('canvas', 'fog-of-war', this.pane);
+
+        this.map.on('moveend resize', () => this.redraw());
+
+        this.load();
+        this.redraw();
+    }
+
+    /**
+     * Apply settings from game data ({ enabled, radius })
+     */
+    configure(settings) {
+        if (!settings) return;
+
+        if (typeof settings.enabled === 'boolean') {
+            this.setEnabled(settings.enabled);
+        }
+        if (settings.radius > 0) {
+            this.setRadius(settings.radius);
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.redraw();
+        this.notifyDiscovered(null);
+    }
+
+    /**
+     * Show or hide the fog overlay without changing what is discovered
+     */
+    setVisible(visible) {
+        this.pane.style.display = visible ? '' : 'none';
+    }
+
+    /**
+     * Change the reveal radius (applies to the area already revealed)
+     * @param {number} radius - Radius in meters
+     */
+    setRadius(radius) {
+        this.radius = radius;
+        this.revealedCells = new Set(this.revealed.map(point => this.cellKey(point[0], point[1])));
+        this.revealed.forEach(point => this.discoverNear(L.latLng(point[0], point[1])));
+        this.redraw();
+    }
+
+    /**
+     * Track the locations fog applies to
+     * Locations discovered in a previous session are marked discovered again.
+     */
+    setLocations(locations) {
+        this.locations = locations;
+
+        locations.forEach(location => {
+            if (this.discovered.has(location.id)) {
+                location.discovered = true;
+            }
+        });
+        this.revealed.forEach(point => this.discoverNear(L.latLng(point[0], point[1])));
+    }
+
+    /**
+     * Reveal the area around a position
+     * @param {L.LatLng} latLng - Player position
+     * @returns {boolean} True if new area was revealed
+     */
+    reveal(latLng) {
+        const key = this.cellKey(latLng.lat, latLng.lng);
+        if (this.revealedCells.has(key)) {
+            return false;
+        }
+
+        this.revealedCells.add(key);
+        this.revealed.push([latLng.lat, latLng.lng]);
+        this.discoverNear(latLng);
+        this.redraw();
+        this.scheduleSave();
+        return true;
+    }
+
+    /**
+     * Grid cell (about half a radius wide) used to thin out revealed points
+     */
+    cellKey(lat, lng) {
+        const step = (this.radius / 2) / 111320;
+        return `${Math.round(lat / step)},${Math.round(lng / step)}`;
+    }
+
+    /**
+     * Discover hidden locations within the reveal radius of a position
+     */
+    discoverNear(latLng) {
+        this.locations.forEach(location => {
+            if (location.discovered !== false) return;
+            if (latLng.distanceTo(L.latLng(location.lat, location.lng)) > this.radius) return;
+
+            location.discovered = true;
+            this.discovered.add(location.id);
+            console.log(`Location discovered: ${location.name}`);
+
+            if (this.eventManager) {
+                this.eventManager.emit('location.discovered', { location });
+            }
+            this.notifyDiscovered(location);
+        });
+    }
+
+    /**
+     * Whether a location should be hidden from the map
+     */
+    isHidden(location) {
+        return this.enabled && location.discovered === false;
+    }
+
+    /**
+     * Register a callback for discoveries (and fog being switched on or off)
+     * @param {Function} callback - (location) => void; location is null when fog is toggled
+     */
+    onDiscover(callback) {
+        this.discoverListeners.push(callback);
+    }
+
+    notifyDiscovered(location) {
+        this.discoverListeners.forEach(callback => callback(location));
+    }
+
+    /**
+     * Repaint the fog for the current view
+     * The canvas covers a viewport of margin on each side so panning doesn't show bare map.
+     */
+    redraw() {
+        const size = this.map.getSize();
+        const margin = size.divideBy(2).round();
+        const origin = L.point(-margin.x, -margin.y);
+
+        L.DomUtil.setPosition(this.canvas, this.map.containerPointToLayerPoint(origin));
+        this.canvas.width = size.x + margin.x * 2;
+        this.canvas.height = size.y + margin.y * 2;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!this.enabled) return;
+
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = this.opacity;
+        ctx.fillStyle = this.color;
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        // Cut out the revealed area with a soft edge
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.globalAlpha = 1;
+        this.revealed.forEach(([lat, lng]) => {
+            const center = this.map.latLngToContainerPoint([lat, lng]).subtract(origin);
+            const radius = this.metersToPixels(lat, lng);
+
+            if (center.x < -radius || center.y < -radius ||
+                center.x > this.canvas.width + radius || center.y > this.canvas.height + radius) {
+                return;
+            }
+
+            const gradient = ctx.createRadialGradient(center.x, center.y, radius * 0.6, center.x, center.y, radius);
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    /**
+     * Reveal radius in screen pixels at a latitude for the current zoom
+     */
+    metersToPixels(lat, lng) {
+        const dLng = this.radius / (111320 * Math.cos(lat * Math.PI / 180));
+        const a = this.map.latLngToContainerPoint([lat, lng]);
+        const b = this.map.latLngToContainerPoint([lat, lng + dLng]);
+        return Math.max(1, b.x - a.x);
+    }
+
+    /**
+     * Forget everything revealed (new game)
+     */
+    reset() {
+        this.revealed = [];
+        this.revealedCells.clear();
+        this.discovered.clear();
+        this.save();
+        this.redraw();
+    }
+
+    /**
+     * Save once reveals have stopped for saveDelay
+     */
+    scheduleSave() {
+        if (!this.stateManager) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.save(), this.saveDelay);
+    }
+
+    /**
+     * Persist the revealed area and discoveries through the StateManager
+     * They are saved as one snapshot (a single state update), copied so later reveals
+     * don't change what was saved.
+     */
+    save() {
+        if (!this.stateManager) return;
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const snapshot = {
+            radius: this.radius,
+            revealed: this.revealed.slice(),
+            discovered: Array.from(this.discovered)
+        };
+
+        if (!this.stateManager.state.trackers.has('exploration')) {
+            this.stateManager.registerEntity('exploration', 'Exploration', { snapshot });
+            return;
+        }
+        this.stateManager.updateEntityState('exploration', 'snapshot', snapshot);
+    }
+
+    load() {
+        if (!this.stateManager) return;
+
+        // Saves from before snapshots kept the values as separate properties
+        const saved = this.stateManager.getEntityState('exploration');
+        const state = saved.snapshot || saved;
+        if (Array.isArray(state.revealed)) {
+            this.revealed = state.revealed.slice();
+        }
+        if (Array.isArray(state.discovered)) {
+            this.discovered = new Set(state.discovered);
+        }
+        if (state.radius > 0) {
+            this.radius = state.radius;
+        }
+        this.revealedCells = new Set(this.revealed.map(point => this.cellKey(point[0], point[1])));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FogOfWar;
+}
@@ -610,7 +610,7 @@ class GameCommandClient {
      * Get client statistics
      */
     getStatistics() {
-        return {
+        const statistics = {
             ...this.stats,
             isConnected: this.isConnected,
             cacheStats: {
@@ -618,6 +618,26 @@ class GameCommandClient {
                 documentationCached: this.documentationCache.size
             }
         };
+
+        // Statistics from other subsystems (e.g. the route cache)
+        GameCommandClient.statisticsProviders.forEach((provider, name) => {
+            try {
+                statistics[name] = provider();
+            } catch (error) {
+                console.warn(`Statistics provider '${name}' failed:`, error);
+            }
+        });
+
+        return statistics;
+    }
+
+    /**
+     * Include another subsystem's statistics in getStatistics()
+     * @param {string} name - Key in the statistics object
+     * @param {Function} provider - Returns the statistics object
+     */
+    static registerStatisticsProvider(name, provider) {
+        GameCommandClient.statisticsProviders.set(name, provider);
     }
 
     /**
@@ -630,6 +650,9 @@ class GameCommandClient {
     }
 }
 
+// Subsystems that report statistics through GameCommandClient.getStatistics()
+GameCommandClient.statisticsProviders = new Map();
+
 // Convenience functions for quick usage
 window.GameCommands = {
     client: null,
@@ -666,6 +689,12 @@ window.GameCommands = {
     async shortcuts() {
         if (!this.client) await this.init();
         return await this.client.generateCommandShortcuts();
+    },
+
+    stats() {
+        return this.client
+            ? this.client.getStatistics()
+            : Object.fromEntries(Array.from(GameCommandClient.statisticsProviders, ([name, provider]) => [name, provider()]));
     }
 };
 
@@ -0,0 +1,207 @@
+// geoFormats.js
+// GeoJSON and GPX conversion for locations and the player's travelled track
+//
+// Locations become Point features whose properties carry the game fields, so worlds
+// can be designed in GIS tools (QGIS, geojson.io) and loaded back. Properties exported
+// by GIS tools are often flattened to strings, so numbers and item lists are parsed
+// leniently on import. Tracks are exported one trip per GPX <trk> / GeoJSON LineString,
+// with point times in coordTimes (the convention used by togeojson and Mapbox).
+// GPX tracks can be read back as points, e.g. to feed GpsTracker's simulated GPS.
+
+class GeoFormats {
+    /**
+     * Locations as a GeoJSON FeatureCollection
+     * @param {Array} locations - Locations in the gamedata.json schema
+     */
+    static locationsToGeoJSON(locations) {
+        return {
+            type: 'FeatureCollection',
+            features: locations.map(location => {
+                const { lat, lng, ...properties } = location;
+                return {
+                    type: 'Feature',
+                    id: location.id,
+                    geometry: {
+                        type: 'Point',
+                        coordinates: [lng, lat]
+                    },
+                    properties: properties
+                };
+            })
+        };
+    }
+
+    /**
+     * Locations from a GeoJSON FeatureCollection (or a single Feature)
+     * Only Point features are used. Missing or repeated ids are replaced with location_N.
+     * @returns {Object} { locations, skipped } - skipped counts features that aren't points
+     */
+    static locationsFromGeoJSON(geojson) {
+        if (!GeoFormats.isGeoJSON(geojson)) {
+            throw new Error('Not a GeoJSON Feature or FeatureCollection');
+        }
+
+        const features = geojson.type === 'Feature' ? [geojson] : (geojson.features || []);
+        const locations = [];
+        const usedIds = new Set();
+        let skipped = 0;
+
+        features.forEach(feature => {
+            const geometry = feature.geometry;
+            if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+                skipped++;
+                return;
+            }
+
+            const properties = feature.properties || {};
+            const [lng, lat] = geometry.coordinates.map(Number);
+            if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+                skipped++;
+                return;
+            }
+
+            let id = String(properties.id || feature.id || '');
+            if (!id || usedIds.has(id)) {
+                let n = locations.length + 1;
+                while (usedIds.has(`location_${n}`)) n++;
+                id = `location_${n}`;
+            }
+            usedIds.add(id);
+
+            locations.push({
+                ...properties,
+                id: id,
+                lat: lat,
+                lng: lng,
+                name: properties.name || properties.title || `Location ${locations.length + 1}`,
+                type: String(properties.type || 'landmark').toLowerCase(),
+                description: properties.description || '',
+                items: GeoFormats.parseItems(properties.items),
+                points: Number(properties.points) || 0,
+                experience: Number(properties.experience) || 0,
+                discovered: properties.discovered === true || properties.discovered === 'true'
+            });
+        });
+
+        return { locations, skipped };
+    }
+
+    static isGeoJSON(data) {
+        return !!data && (data.type === 'FeatureCollection' || data.type === 'Feature');
+    }
+
+    /**
+     * Item list from an array, a JSON array string or a comma separated string
+     */
+    static parseItems(items) {
+        if (Array.isArray(items)) {
+            return items.map(String);
+        }
+        if (typeof items !== 'string' || !items.trim()) {
+            return [];
+        }
+        if (items.trim().startsWith('[')) {
+            try {
+                return JSON.parse(items).map(String);
+            } catch (error) {
+                // Not JSON after all - treat as a plain list
+            }
+        }
+        return items.split(',').map(item => item.trim()).filter(item => item.length > 0);
+    }
+
+    /**
+     * Travelled track as GeoJSON: one LineString per trip
+     * @param {Array} segments - [{ travelMode, points: [{ lat, lng, time }] }]
+     */
+    static trackToGeoJSON(segments) {
+        return {
+            type: 'FeatureCollection',
+            features: segments.filter(segment => segment.points.length > 1).map((segment, index) => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: segment.points.map(point => [point.lng, point.lat])
+                },
+                properties: {
+                    name: `Trip ${index + 1}`,
+                    travelMode: segment.travelMode,
+                    startTime: segment.points[0].time,
+                    endTime: segment.points[segment.points.length - 1].time,
+                    coordTimes: segment.points.map(point => point.time)
+                }
+            }))
+        };
+    }
+
+    /**
+     * Travelled track as GPX 1.1: one <trk> per trip, its travel mode in <type>
+     * @param {Array} segments - [{ travelMode, points: [{ lat, lng, time }] }]
+     * @param {string} name - Track collection name (default: 'PowerShell Leafmap Adventure')
+     */
+    static trackToGPX(segments, name = 'PowerShell Leafmap Adventure') {
+        const escape = GeoFormats.escapeXml;
+        const tracks = segments.filter(segment => segment.points.length > 1).map((segment, index) => {
+            const points = segment.points.map(point =>
+                `      <trkpt lat="${point.lat.toFixed(6)}" lon="${point.lng.toFixed(6)}"><time>${escape(point.time)}</time></trkpt>`
+            ).join('\n');
+
+            return [
+                '  <trk>',
+                `    <name>Trip ${index + 1}</name>`,
+                `    <type>${escape(segment.travelMode || 'foot')}</type>`,
+                '    <trkseg>',
+                points,
+                '    </trkseg>',
+                '  </trk>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="PowerShell Leafmap Game" xmlns="http://www.topografix.com/GPX/1/1">',
+            `  <metadata><name>${escape(name)}</name><time>${new Date().toISOString()}</time></metadata>`,
+            ...tracks,
+            '</gpx>'
+        ].join('\n');
+    }
+
+    /**
+     * Points of a GPX file, in order: track points, or route points / waypoints if it has no tracks
+     * @param {string} text - GPX document
+     * @returns {Array} [{ lat, lng, time }] - time is null for points without one
+     */
+    static trackFromGPX(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.nodeName !== 'gpx') {
+            throw new Error('Not a GPX file');
+        }
+
+        let elements = Array.from(doc.getElementsByTagName('trkpt'));
+        if (elements.length === 0) elements = Array.from(doc.getElementsByTagName('rtept'));
+        if (elements.length === 0) elements = Array.from(doc.getElementsByTagName('wpt'));
+
+        return elements.map(element => {
+            const time = element.getElementsByTagName('time')[0];
+            return {
+                lat: parseFloat(element.getAttribute('lat')),
+                lng: parseFloat(element.getAttribute('lon')),
+                time: time ? time.textContent.trim() : null
+            };
+        }).filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng));
+    }
+
+    static escapeXml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeoFormats;
+}
@@ -0,0 +1,288 @@
+// gpsTracker.js
+// Player position from the browser Geolocation API, or from a recorded track
+//
+// Raw fixes are noisy: fixes worse than maxAccuracy are dropped, fixes that would
+// need the player to move faster than maxSpeed are rejected as teleports (after
+// maxRejections in a row the new position is accepted, e.g. after a long GPS dropout),
+// and the rest are smoothed with a simple Kalman filter that trusts accurate fixes
+// more. A recorded track (e.g. GPX parsed by GeoFormats.trackFromGPX) can be played
+// back as a simulated feed through the same filter, so GPS play can be tested without
+// hardware; its timestamps are kept, so the speed check sees the recorded speeds.
+
+class GpsTracker {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {Geolocation} options.geolocation - Position source (default: navigator.geolocation)
+     * @param {number} options.maxAccuracy - Fixes less accurate than this many meters are dropped (default: 100)
+     * @param {number} options.maxSpeed - Fastest believable movement in m/s (default: 50)
+     * @param {number} options.maxRejections - Teleports rejected in a row before one is accepted (default: 5)
+     * @param {number} options.processNoise - Expected speed change in m/s for smoothing; higher follows faster (default: 3)
+     * @param {number} options.simulatedAccuracy - Accuracy in meters given to recorded points without one (default: 10)
+     * @param {number} options.simulationInterval - Milliseconds between recorded points without times (default: 1000)
+     */
+    constructor(options = {}) {
+        this.geolocation = options.geolocation ||
+            (typeof navigator !== 'undefined' && navigator.geolocation ? navigator.geolocation : null);
+        this.maxAccuracy = options.maxAccuracy || 100;
+        this.maxSpeed = options.maxSpeed || 50;
+        this.maxRejections = options.maxRejections || 5;
+        this.processNoise = options.processNoise || 3;
+        this.simulatedAccuracy = options.simulatedAccuracy || 10;
+        this.simulationInterval = options.simulationInterval || 1000;
+
+        this.source = null;       // 'geolocation' | 'simulation' while running
+        this.watchId = null;
+        this.simulation = null;   // { points, index, speed, timerId }
+        this.estimate = null;     // { lat, lng, variance, timestamp } - smoothed position
+        this.lastFix = null;      // last accepted raw fix
+        this.rejections = 0;      // teleports rejected in a row
+        this.stats = { accepted: 0, rejected: 0 };
+
+        this.listeners = { position: [], rejected: [], error: [], finish: [] };
+    }
+
+    isRunning() {
+        return this.source !== null;
+    }
+
+    /**
+     * Follow the device's position
+     * @returns {boolean} False if the browser has no Geolocation API
+     */
+    start() {
+        if (!this.geolocation) {
+            this.emit('error', { code: 'unsupported', message: 'Geolocation is not available in this browser' });
+            return false;
+        }
+
+        this.stop();
+        this.reset();
+        this.source = 'geolocation';
+        this.watchId = this.geolocation.watchPosition(
+            (position) => this.handleFix({
+                lat: position.coords.latitude,
+                lng: position.coords.longitude,
+                accuracy: position.coords.accuracy,
+                timestamp: position.timestamp
+            }),
+            (error) => this.emit('error', { code: error.code, message: GpsTracker.errorMessage(error) }),
+            { enableHighAccuracy: true, maximumAge: 0, timeout: 30000 }
+        );
+        return true;
+    }
+
+    /**
+     * Play back a recorded track as if it came from the device
+     * @param {Array} points - [{ lat, lng, time?, accuracy? }] in order
+     * @param {Object} options - { speed } playback speed multiplier (default: 1)
+     * @returns {boolean} False if there are no points
+     */
+    startSimulation(points, options = {}) {
+        if (!points || points.length === 0) {
+            this.emit('error', { code: 'empty', message: 'The recorded track has no points' });
+            return false;
+        }
+
+        this.stop();
+        this.reset();
+        this.source = 'simulation';
+
+        // Recorded times where present, evenly spaced otherwise
+        const firstTime = Date.parse(points[0].time);
+        const start = Number.isFinite(firstTime) ? firstTime : Date.now();
+        const timed = points.map((point, index) => {
+            const time = Date.parse(point.time);
+            return {
+                lat: point.lat,
+                lng: point.lng,
+                accuracy: point.accuracy || this.simulatedAccuracy,
+                timestamp: Number.isFinite(time) ? time : start + index * this.simulationInterval
+            };
+        });
+
+        this.simulation = { points: timed, index: 0, speed: options.speed || 1, timerId: null };
+        this.playNextSimulatedFix();
+        return true;
+    }
+
+    playNextSimulatedFix() {
+        const simulation = this.simulation;
+        if (!simulation) return;
+
+        const fix = simulation.points[simulation.index];
+        simulation.index++;
+        this.handleFix(fix);
+
+        // A listener may have stopped the feed
+        if (this.simulation !== simulation) return;
+
+        if (simulation.index >= simulation.points.length) {
+            this.stop();
+            this.emit('finish', { source: 'simulation' });
+            return;
+        }
+
+        const gap = simulation.points[simulation.index].timestamp - fix.timestamp;
+        const delay = Math.max(0, gap) / simulation.speed;
+        simulation.timerId = setTimeout(() => this.playNextSimulatedFix(), delay);
+    }
+
+    stop() {
+        if (this.watchId !== null && this.geolocation) {
+            this.geolocation.clearWatch(this.watchId);
+        }
+        if (this.simulation && this.simulation.timerId !== null) {
+            clearTimeout(this.simulation.timerId);
+        }
+        this.watchId = null;
+        this.simulation = null;
+        this.source = null;
+    }
+
+    /**
+     * Forget the smoothed position (a new session starts from its first fix)
+     */
+    reset() {
+        this.estimate = null;
+        this.lastFix = null;
+        this.rejections = 0;
+        this.stats = { accepted: 0, rejected: 0 };
+    }
+
+    /**
+     * Filter and smooth one raw fix
+     * @param {Object} fix - { lat, lng, accuracy (meters), timestamp (ms) }
+     * @returns {Object|null} The smoothed position, or null if the fix was rejected
+     */
+    handleFix(fix) {
+        if (!Number.isFinite(fix.lat) || !Number.isFinite(fix.lng)) {
+            return null;
+        }
+        const accuracy = Math.max(1, fix.accuracy || this.simulatedAccuracy);
+
+        if (accuracy > this.maxAccuracy) {
+            return this.reject(fix, `accuracy ${Math.round(accuracy)}m is worse than ${this.maxAccuracy}m`);
+        }
+
+        if (this.lastFix) {
+            const seconds = (fix.timestamp - this.lastFix.timestamp) / 1000;
+            if (seconds <= 0) {
+                // Repeated or out-of-order fix
+                return null;
+            }
+
+            // Both fixes may be off by their accuracy, so only the distance beyond that counts
+            const distance = L.latLng(fix.lat, fix.lng).distanceTo([this.lastFix.lat, this.lastFix.lng]);
+            const moved = Math.max(0, distance - accuracy - this.lastFix.accuracy);
+            if (moved / seconds > this.maxSpeed) {
+                if (this.rejections < this.maxRejections) {
+                    this.rejections++;
+                    return this.reject(fix, `jump of ${Math.round(distance)}m in ${seconds.toFixed(1)}s`);
+                }
+                // Consistently somewhere else: believe it and start smoothing again from there
+                console.log(`GPS: accepting new position after ${this.rejections} rejected jumps`);
+                this.estimate = null;
+            }
+        }
+
+        this.rejections = 0;
+        this.lastFix = { lat: fix.lat, lng: fix.lng, accuracy: accuracy, timestamp: fix.timestamp };
+        this.stats.accepted++;
+
+        const position = this.smooth(fix.lat, fix.lng, accuracy, fix.timestamp);
+        this.emit('position', position);
+        return position;
+    }
+
+    /**
+     * Kalman filter step: uncertainty grows with the time since the last fix,
+     * and each fix pulls the estimate in proportion to how accurate it is
+     */
+    smooth(lat, lng, accuracy, timestamp) {
+        const estimate = this.estimate;
+        if (!estimate) {
+            this.estimate = { lat, lng, variance: accuracy * accuracy, timestamp };
+        } else {
+            const seconds = (timestamp - estimate.timestamp) / 1000;
+            const variance = estimate.variance + seconds * this.processNoise * this.processNoise;
+            const gain = variance / (variance + accuracy * accuracy);
+
+            estimate.lat += gain * (lat - estimate.lat);
+            estimate.lng += gain * (lng - estimate.lng);
+            estimate.variance = (1 - gain) * variance;
+            estimate.timestamp = timestamp;
+        }
+
+        return {
+            lat: this.estimate.lat,
+            lng: this.estimate.lng,
+            accuracy: Math.sqrt(this.estimate.variance),
+            rawAccuracy: accuracy,
+            timestamp: timestamp,
+            source: this.source
+        };
+    }
+
+    reject(fix, reason) {
+        this.stats.rejected++;
+        console.log(`GPS fix rejected: ${reason}`);
+        this.emit('rejected', { fix, reason });
+        return null;
+    }
+
+    /**
+     * Simulation progress
+     * @returns {Object|null} { index, total } while a recorded track is playing
+     */
+    getSimulationProgress() {
+        return this.simulation ? { index: this.simulation.index, total: this.simulation.points.length } : null;
+    }
+
+    /**
+     * Register a callback for smoothed positions
+     * @param {Function} callback - ({ lat, lng, accuracy, rawAccuracy, timestamp, source }) => void
+     */
+    onPosition(callback) {
+        this.listeners.position.push(callback);
+    }
+
+    /**
+     * @param {Function} callback - ({ fix, reason }) => void
+     */
+    onRejected(callback) {
+        this.listeners.rejected.push(callback);
+    }
+
+    /**
+     * @param {Function} callback - ({ code, message }) => void
+     */
+    onError(callback) {
+        this.listeners.error.push(callback);
+    }
+
+    /**
+     * Register a callback for the end of a simulated feed
+     * @param {Function} callback - ({ source }) => void
+     */
+    onFinish(callback) {
+        this.listeners.finish.push(callback);
+    }
+
+    emit(type, data) {
+        this.listeners[type].forEach(callback => callback(data));
+    }
+
+    static errorMessage(error) {
+        switch (error.code) {
+            case 1: return 'Location permission was denied';
+            case 2: return 'Position unavailable';
+            case 3: return 'Timed out waiting for a position';
+            default: return error.message || 'Unknown geolocation error';
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GpsTracker;
+}
@@ -0,0 +1,185 @@
+// iconRegistry.js
+// Location marker icons built from a JSON theme (Data/Themes/<name>.json)
+//
+// A theme has a base style, one style per location type and one per marker state
+// (undiscovered, nearby, visited, locked, questTarget). A marker's style is the base,
+// then its type, then each active state in statePriority order, later ones winning.
+// Type names are matched case-insensitively with punctuation dropped, so the WorldSystem
+// types (SafeHouse, MissionSite, ...) and gamedata.json types (treasure, quest, ...) can
+// share one theme. Icons are cached per type and state combination.
+
+class IconRegistry {
+    /**
+     * @param {Object} theme - Theme object (default: IconRegistry.FALLBACK_THEME until load() succeeds)
+     */
+    constructor(theme = null) {
+        this.cache = new Map();
+        this.setTheme(theme || IconRegistry.FALLBACK_THEME);
+    }
+
+    /**
+     * Load a theme file
+     * Falls back to the default theme file, then to the built-in theme, if it can't be read.
+     * @param {string} name - Theme name, e.g. 'Default' loads Data/Themes/default.json
+     * @returns {Promise<string>} Name of the theme in use
+     */
+    async load(name = 'Default') {
+        const names = [name, 'Default'].filter((value, index, all) => all.indexOf(value) === index);
+
+        for (const themeName of names) {
+            const url = `${IconRegistry.THEME_PATH}/${themeName.toLowerCase()}.json`;
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                this.setTheme(await response.json());
+                console.log(`Marker theme loaded: ${this.theme.name || themeName}`);
+                return this.theme.name || themeName;
+            } catch (error) {
+                console.warn(`Could not load marker theme ${url}:`, error.message);
+            }
+        }
+
+        this.setTheme(IconRegistry.FALLBACK_THEME);
+        return this.theme.name;
+    }
+
+    setTheme(theme) {
+        const types = {};
+        Object.keys(theme.types || {}).forEach(type => {
+            types[IconRegistry.normalizeType(type)] = theme.types[type];
+        });
+
+        this.theme = {
+            ...theme,
+            base: { ...IconRegistry.FALLBACK_THEME.base, ...(theme.base || {}) },
+            types: types,
+            states: { ...IconRegistry.FALLBACK_THEME.states, ...(theme.states || {}) },
+            statePriority: theme.statePriority || IconRegistry.FALLBACK_THEME.statePriority
+        };
+        this.cache.clear();
+    }
+
+    /**
+     * Style for a type (without states)
+     */
+    getTypeStyle(type) {
+        return this.theme.types[IconRegistry.normalizeType(type)] || this.theme.types.default || {};
+    }
+
+    /**
+     * Display name of a location type
+     */
+    getLabel(type) {
+        const style = this.theme.types[IconRegistry.normalizeType(type)];
+        if (style && style.label) {
+            return style.label;
+        }
+        const name = String(type || 'location');
+        return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+
+    /**
+     * Resolved style for a type in a set of states
+     * @param {string} type - Location type
+     * @param {string[]} states - Active states (any order)
+     */
+    getStyle(type, states = []) {
+        let style = { ...this.theme.base, ...this.getTypeStyle(type) };
+        this.theme.statePriority.forEach(state => {
+            if (states.includes(state) && this.theme.states[state]) {
+                style = { ...style, ...this.theme.states[state] };
+            }
+        });
+        return style;
+    }
+
+    /**
+     * Marker icon for a type in a set of states
+     * @param {string} type - Location type
+     * @param {string[]} states - Active states, e.g. ['visited'] or ['nearby', 'questTarget']
+     * @returns {L.DivIcon}
+     */
+    getIcon(type, states = []) {
+        const active = this.theme.statePriority.filter(state => states.includes(state));
+        const key = `${IconRegistry.normalizeType(type)}|${active.join(',')}`;
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+
+        const style = this.getStyle(type, active);
+        const size = style.size;
+        const classNames = ['custom-marker', ...active.map(state => `marker-${state}`)];
+        if (style.className) classNames.push(style.className);
+
+        const badge = style.badge
+            ? `<span class="marker-badge" style="background-color: ${style.badgeColor || '#e74c3c'};">${style.badge}</span>`
+            : '';
+
+        const icon = L.divIcon({
+            className: classNames.join(' '),
+            html: `<div class="marker-body" style="
+                background-color: ${style.color};
+                border: ${style.borderWidth}px solid ${style.borderColor};
+                border-radius: ${style.shape === 'square' ? '4px' : '50%'};
+                width: ${size}px;
+                height: ${size}px;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                font-size: ${style.fontSize}px;
+                box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+                opacity: ${style.opacity};
+            ">${style.symbol}</div>${badge}`,
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2],
+            popupAnchor: [0, -size / 2]
+        });
+
+        this.cache.set(key, icon);
+        return icon;
+    }
+
+    /**
+     * Lowercase type name without spaces or punctuation ('Mission Site' -> 'missionsite')
+     */
+    static normalizeType(type) {
+        return String(type || 'location').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+}
+
+IconRegistry.THEME_PATH = 'Data/Themes';
+
+/**
+ * Built-in theme used until a theme file loads (or if none can be loaded):
+ * a plain pin for every type plus the state styles
+ */
+IconRegistry.FALLBACK_THEME = {
+    name: 'Fallback',
+    base: {
+        color: '#3498db',
+        symbol: '📍',
+        size: 30,
+        fontSize: 16,
+        borderColor: '#fff',
+        borderWidth: 2,
+        opacity: 1,
+        shape: 'circle'
+    },
+    types: {},
+    states: {
+        undiscovered: { color: '#7f8c8d', symbol: '?', opacity: 0.5 },
+        nearby: { borderColor: '#2ecc71', borderWidth: 3, className: 'marker-pulse' },
+        locked: { badge: '🔒', badgeColor: '#7f8c8d' },
+        questTarget: { badge: '!', badgeColor: '#f1c40f' },
+        visited: { color: '#95a5a6', symbol: '✓', opacity: 0.7 }
+    },
+    // Later states override earlier ones
+    statePriority: ['nearby', 'questTarget', 'locked', 'undiscovered', 'visited']
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IconRegistry;
+}
@@ -0,0 +1,451 @@
+// itineraryPlanner.js
+// Multi-stop itinerary planning: order selected locations with a TSP heuristic
+// over PathfindingManager routes, preview the combined route, then travel leg by leg
+
+class ItineraryPlanner {
+    /**
+     * @param {GameMap} gameMap - Map that owns the player, locations and pathfinding
+     * @param {Object} options - Configuration options
+     * @param {number} options.maxRoutedStops - Above this many stops the ordering uses
+     *   straight-line estimates instead of routing every pair (default: 10)
+     * @param {number} options.detourFactor - Road/straight-line ratio for estimates (default: 1.3)
+     * @param {number} options.replanDistance - A leg is re-routed when the player is further than
+     *   this many meters from where it was planned to start (default: 25)
+     */
+    constructor(gameMap, options = {}) {
+        this.gameMap = gameMap;
+        this.pathfinding = gameMap.pathfindingManager;
+        this.maxRoutedStops = options.maxRoutedStops || 10;
+        this.detourFactor = options.detourFactor || 1.3;
+        this.replanDistance = options.replanDistance || 25;
+
+        this.isSelecting = false;
+        this.selectedStops = [];  // location objects
+        this.itinerary = null;    // { stops, legs, totalDistance, totalDuration, travelMode }
+        this.activeLegIndex = -1;
+
+        this.layerGroup = L.layerGroup().addTo(gameMap.map);
+        this.selectionMarkers = new Map(); // location id -> L.circleMarker
+        this.routeLayers = [];
+
+        const eventManager = this.getEventManager();
+        if (eventManager) {
+            // A manual cancel or redirect ends the itinerary
+            eventManager.register('movement.cancelled', () => this.abort('cancelled'));
+            eventManager.register('movement.redirected', () => this.abort('redirected'));
+        }
+    }
+
+    /**
+     * Enter or leave stop selection mode (marker clicks toggle stops)
+     */
+    setSelecting(enabled) {
+        this.isSelecting = enabled;
+        console.log(`Itinerary selection ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Add or remove a location from the itinerary
+     * @returns {boolean} True if the location is now selected
+     */
+    toggleStop(location) {
+        const key = this.getLocationKey(location);
+        const index = this.selectedStops.findIndex(stop => this.getLocationKey(stop) === key);
+
+        if (index !== -1) {
+            this.selectedStops.splice(index, 1);
+            this.layerGroup.removeLayer(this.selectionMarkers.get(key));
+            this.selectionMarkers.delete(key);
+        } else {
+            this.selectedStops.push(location);
+            const ring = L.circleMarker([location.lat, location.lng], {
+                radius: 20,
+                color: '#f1c40f',
+                weight: 3,
+                fill: false,
+                interactive: false
+            });
+            this.layerGroup.addLayer(ring);
+            this.selectionMarkers.set(key, ring);
+        }
+
+        this.clearPlan();
+        this.notifyChanged();
+        return index === -1;
+    }
+
+    /**
+     * Select every location the player has not discovered or visited yet
+     * Locations whose type is switched off in the layer switcher are skipped. Fog-hidden
+     * ones are not: undiscovered locations are what the tour sets out to find.
+     * @returns {number} Number of selected stops
+     */
+    selectAllUndiscovered() {
+        this.clearSelection();
+
+        this.gameMap.locations
+            .filter(location => location.discovered !== true && !location.visited)
+            .filter(location => this.gameMap.isLocationShown(location, { ignoreFog: true }))
+            .forEach(location => this.toggleStop(location));
+
+        return this.selectedStops.length;
+    }
+
+    /**
+     * Order the selected stops and route every leg
+     * @param {string} travelMode - Travel mode (default: the map's current mode)
+     * @returns {Promise<Object>} Itinerary with ordered stops, legs and totals
+     */
+    async plan(travelMode = null) {
+        const mode = travelMode || this.gameMap.moveMode || 'foot';
+        const origin = this.gameMap.playerPosition;
+
+        if (!origin) {
+            throw new Error('Player position not available');
+        }
+        if (this.selectedStops.length === 0) {
+            throw new Error('No stops selected');
+        }
+
+        // Index 0 is the player; stops follow
+        const points = [origin, ...this.selectedStops.map(stop => L.latLng(stop.lat, stop.lng))];
+        const matrix = await this.buildCostMatrix(points, mode);
+
+        const order = this.improveTwoOpt(this.nearestNeighbourTour(matrix), matrix);
+        const stops = order.map(i => this.selectedStops[i - 1]);
+
+        // Route each leg in visiting order (reuses paths found for the matrix)
+        const legs = [];
+        let from = origin;
+        let fromIndex = 0;
+        for (const i of order) {
+            const to = points[i];
+            const path = matrix.paths[fromIndex][i] || await this.pathfinding.findPath(from, to, mode);
+            legs.push({ from, to, location: this.selectedStops[i - 1], path });
+            from = to;
+            fromIndex = i;
+        }
+
+        this.itinerary = {
+            stops,
+            legs,
+            travelMode: mode,
+            totalDistance: legs.reduce((sum, leg) => sum + leg.path.distance, 0),
+            totalDuration: legs.reduce((sum, leg) => sum + leg.path.duration, 0)
+        };
+
+        this.drawItinerary();
+        this.notifyChanged();
+
+        console.log(`Itinerary planned: ${stops.length} stops, ${(this.itinerary.totalDistance / 1000).toFixed(2)}km, ~${Math.round(this.itinerary.totalDuration / 60)}min`);
+
+        return this.itinerary;
+    }
+
+    /**
+     * Pairwise travel cost (seconds) between points
+     * Small selections are routed pair by pair; large ones use straight-line estimates.
+     */
+    async buildCostMatrix(points, travelMode) {
+        const n = points.length;
+        const costs = Array.from({ length: n }, () => new Array(n).fill(0));
+        const paths = Array.from({ length: n }, () => new Array(n).fill(null));
+        const routeEveryPair = n - 1 <= this.maxRoutedStops;
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                if (i === j || j === 0) continue; // never travel back to the start
+
+                if (routeEveryPair) {
+                    const path = await this.pathfinding.findPath(points[i], points[j], travelMode);
+                    paths[i][j] = path;
+                    costs[i][j] = path.duration;
+                } else {
+                    const estimate = points[i].distanceTo(points[j]) * (travelMode === 'aerial' ? 1 : this.detourFactor);
+                    costs[i][j] = this.pathfinding.calculateTravelTime(estimate, travelMode);
+                }
+            }
+        }
+
+        return { costs, paths };
+    }
+
+    /**
+     * Greedy open tour starting at index 0
+     * @returns {Array<number>} Stop indices (1..n-1) in visiting order
+     */
+    nearestNeighbourTour(matrix) {
+        const n = matrix.costs.length;
+        const unvisited = new Set(Array.from({ length: n - 1 }, (_, i) => i + 1));
+        const tour = [];
+        let current = 0;
+
+        while (unvisited.size > 0) {
+            let best = null;
+            for (const candidate of unvisited) {
+                if (best === null || matrix.costs[current][candidate] < matrix.costs[current][best]) {
+                    best = candidate;
+                }
+            }
+            tour.push(best);
+            unvisited.delete(best);
+            current = best;
+        }
+
+        return tour;
+    }
+
+    /**
+     * 2-opt improvement for an open tour that starts at index 0
+     */
+    improveTwoOpt(tour, matrix) {
+        const cost = route => route.reduce(
+            (sum, stop, i) => sum + matrix.costs[i === 0 ? 0 : route[i - 1]][stop], 0
+        );
+
+        let best = [...tour];
+        let bestCost = cost(best);
+        let improved = true;
+
+        while (improved) {
+            improved = false;
+            for (let i = 0; i < best.length - 1; i++) {
+                for (let k = i + 1; k < best.length; k++) {
+                    const candidate = [
+                        ...best.slice(0, i),
+                        ...best.slice(i, k + 1).reverse(),
+                        ...best.slice(k + 1)
+                    ];
+                    const candidateCost = cost(candidate);
+                    if (candidateCost < bestCost - 1e-6) {
+                        best = candidate;
+                        bestCost = candidateCost;
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Draw every leg of the planned itinerary with numbered stops
+     * @param {boolean} fit - Zoom the map to the whole itinerary (default: true)
+     */
+    drawItinerary(fit = true) {
+        this.clearRouteLayers();
+        if (!this.itinerary) return;
+
+        this.itinerary.legs.forEach((leg, index) => {
+            const line = L.polyline(leg.path.coordinates, {
+                color: '#f39c12',
+                weight: 4,
+                opacity: 0.7,
+                dashArray: leg.path.type === 'direct' ? '10, 10' : null
+            });
+
+            const label = L.marker(leg.to, {
+                icon: L.divIcon({
+                    className: 'itinerary-stop-label',
+                    html: `<div class="itinerary-stop-number">${index + 1}</div>`,
+                    iconSize: [22, 22],
+                    iconAnchor: [11, 30]
+                }),
+                interactive: false
+            });
+
+            this.layerGroup.addLayer(line);
+            this.layerGroup.addLayer(label);
+            this.routeLayers.push(line, label);
+        });
+
+        if (!fit) return;
+
+        const bounds = L.featureGroup(this.routeLayers.filter(layer => layer instanceof L.Polyline)).getBounds();
+        if (bounds.isValid()) {
+            this.gameMap.map.fitBounds(bounds, { padding: [50, 50] });
+        }
+    }
+
+    /**
+     * Travel the planned itinerary leg by leg
+     * @returns {Promise<void>} Resolves once the first leg has started
+     */
+    async start() {
+        if (!this.itinerary || this.itinerary.legs.length === 0) {
+            throw new Error('No itinerary planned');
+        }
+        if (this.gameMap.isMoving) {
+            throw new Error('Player is already moving');
+        }
+
+        this.setSelecting(false);
+        this.activeLegIndex = -1;
+
+        const eventManager = this.getEventManager();
+        if (eventManager) {
+            eventManager.emit('itinerary.started', {
+                stops: this.itinerary.stops.map(stop => stop.id),
+                totalDistance: this.itinerary.totalDistance,
+                totalDuration: this.itinerary.totalDuration,
+                travelMode: this.itinerary.travelMode
+            });
+        }
+
+        const started = this.travelNextLeg();
+        this.notifyChanged();
+        await started;
+    }
+
+    async travelNextLeg() {
+        this.activeLegIndex++;
+        const itinerary = this.itinerary;
+        const legIndex = this.activeLegIndex;
+        const leg = itinerary.legs[legIndex];
+
+        if (!leg) {
+            this.finish();
+            return;
+        }
+
+        // The player may have moved since planning (or a leg ended short of its stop)
+        const position = this.gameMap.playerPosition;
+        if (position && position.distanceTo(leg.from) > this.replanDistance) {
+            this.gameMap.updateGameStatus(`Itinerary ${legIndex + 1}/${itinerary.legs.length}: re-routing...`);
+
+            let path;
+            try {
+                path = await this.pathfinding.findPath(position, leg.to, itinerary.travelMode);
+            } catch (error) {
+                console.error('Itinerary leg could not be re-routed:', error);
+                this.gameMap.updateGameStatus(`Itinerary stopped: ${error.message}`);
+                this.abort('routing failed');
+                return;
+            }
+
+            // Aborted, re-planned or overtaken by another move while routing
+            if (this.itinerary !== itinerary || this.activeLegIndex !== legIndex) return;
+            if (this.gameMap.isMoving) {
+                this.abort('moving');
+                return;
+            }
+
+            this.replaceLegPath(leg, position, path);
+        }
+
+        this.gameMap.updateGameStatus(`Itinerary ${this.activeLegIndex + 1}/${this.itinerary.legs.length}: ${leg.location.name}`);
+
+        const eventManager = this.getEventManager();
+        if (eventManager) {
+            eventManager.emit('movement.started', {
+                unitId: 'player',
+                destination: { lat: leg.to.lat, lng: leg.to.lng },
+                distance: leg.path.distance,
+                duration: leg.path.duration,
+                travelMode: leg.path.travelMode,
+                pathType: leg.path.type,
+                zonesCrossed: leg.path.zonesCrossed
+            });
+        }
+
+        // GameMap's arrival handling fires location.arrived for the stop
+        const started = this.gameMap.startPlayerMovement(leg.path, {
+            onComplete: () => {
+                if (this.isTravelling()) this.travelNextLeg();
+            }
+        });
+
+        // Refused (e.g. not enough fuel for this leg)
+        if (!started) {
+            this.abort('refused');
+        }
+    }
+
+    /**
+     * Route a leg from a new start point and update the totals and drawing
+     */
+    replaceLegPath(leg, from, path) {
+        console.log(`Itinerary leg to ${leg.location.name} re-routed from the player's position`);
+
+        leg.from = from;
+        leg.path = path;
+        this.itinerary.totalDistance = this.itinerary.legs.reduce((sum, item) => sum + item.path.distance, 0);
+        this.itinerary.totalDuration = this.itinerary.legs.reduce((sum, item) => sum + item.path.duration, 0);
+
+        this.drawItinerary(false);
+        this.notifyChanged();
+    }
+
+    finish() {
+        const eventManager = this.getEventManager();
+        if (eventManager) {
+            eventManager.emit('itinerary.completed', {
+                stops: this.itinerary.stops.map(stop => stop.id),
+                totalDistance: this.itinerary.totalDistance
+            });
+        }
+
+        this.gameMap.updateGameStatus('Itinerary complete');
+        console.log('Itinerary complete');
+
+        this.clearSelection();
+        this.activeLegIndex = -1;
+    }
+
+    /**
+     * Stop auto-travel (the current leg's movement is handled by the caller)
+     */
+    abort(reason = 'user') {
+        if (!this.isTravelling()) return;
+
+        console.log(`Itinerary aborted (${reason}) at leg ${this.activeLegIndex + 1}`);
+        this.activeLegIndex = -1;
+        this.notifyChanged();
+    }
+
+    isTravelling() {
+        return this.activeLegIndex >= 0;
+    }
+
+    getItinerary() {
+        return this.itinerary;
+    }
+
+    clearPlan() {
+        this.itinerary = null;
+        this.clearRouteLayers();
+    }
+
+    clearRouteLayers() {
+        this.routeLayers.forEach(layer => this.layerGroup.removeLayer(layer));
+        this.routeLayers = [];
+    }
+
+    clearSelection() {
+        this.clearPlan();
+        this.selectionMarkers.forEach(ring => this.layerGroup.removeLayer(ring));
+        this.selectionMarkers.clear();
+        this.selectedStops = [];
+        this.notifyChanged();
+    }
+
+    getLocationKey(location) {
+        return location.id || `${location.lat},${location.lng}`;
+    }
+
+    getEventManager() {
+        return this.gameMap.game ? this.gameMap.game.eventManager : null;
+    }
+
+    notifyChanged() {
+        if (this.gameMap.game && this.gameMap.game.updateItineraryPanel) {
+            this.gameMap.game.updateItineraryPanel(this);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItineraryPlanner;
+}
@@ -0,0 +1,246 @@
+// layerManager.js
+// Named base maps and overlay groups behind a Leaflet layer switcher
+//
+// Overlays are registered by id so visibility can be saved and restored
+// (Player.UISettings.MapLayers: { BaseMap, HiddenOverlays }). Overlays that are not
+// plain layers (fog, location types) register a proxy layer group and react to its
+// add/remove events.
+
+class MapLayerManager {
+    /**
+     * @param {L.Map} map - Leaflet map
+     * @param {Object} options - Configuration options
+     * @param {Array} options.baseMaps - Base map configs (default: MapLayerManager.DEFAULT_BASE_MAPS)
+     * @param {string} options.position - Layer switcher position (default: 'topright')
+     * @param {TileCache} options.tileCache - Cache for base maps with cache: true (optional)
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.tileCache = options.tileCache || null;
+        this.baseLayers = new Map();   // id -> { config, layer }
+        this.overlays = new Map();     // id -> { name, layer }
+        this.layerIds = new Map();     // layer -> overlay or base map id
+        this.activeBaseMap = null;
+        this.hiddenOverlays = new Set();
+        this.changeListeners = [];
+
+        this.control = L.control.layers({}, {}, {
+            position: options.position || 'topright',
+            collapsed: true
+        }).addTo(map);
+
+        // The switcher fires these for its own layers, whether toggled by the user or in code
+        this.map.on('baselayerchange', (e) => {
+            const id = this.layerIds.get(e.layer);
+            if (id && id !== this.activeBaseMap) {
+                this.activeBaseMap = id;
+                this.notifyChanged();
+            }
+        });
+        this.map.on('overlayadd overlayremove', (e) => {
+            const id = this.layerIds.get(e.layer);
+            if (!id) return;
+
+            const hidden = e.type === 'overlayremove';
+            if (hidden !== this.hiddenOverlays.has(id)) {
+                if (hidden) {
+                    this.hiddenOverlays.add(id);
+                } else {
+                    this.hiddenOverlays.delete(id);
+                }
+                this.notifyChanged();
+            }
+        });
+
+        this.setBaseMaps(options.baseMaps || MapLayerManager.DEFAULT_BASE_MAPS);
+    }
+
+    /**
+     * Replace the available base maps
+     * Keeps the current base map if it is still offered, otherwise selects the first.
+     * @param {Array} configs - [{ id, name, url, maxZoom, attribution, cache, fallbackUrl, ... }]
+     *   Extra keys are tile layer options. cache: true reads through the tile cache, falling back
+     *   to the fallbackUrl tile folder when offline.
+     */
+    setBaseMaps(configs) {
+        this.baseLayers.forEach(({ layer }) => {
+            this.control.removeLayer(layer);
+            this.map.removeLayer(layer);
+            this.layerIds.delete(layer);
+        });
+        this.baseLayers.clear();
+
+        configs.forEach(config => {
+            const layer = this.createBaseLayer(config);
+            this.baseLayers.set(config.id, { config, layer });
+            this.layerIds.set(layer, config.id);
+            this.control.addBaseLayer(layer, config.name);
+        });
+
+        const previous = this.activeBaseMap;
+        this.activeBaseMap = null;
+        this.setBaseMap(this.baseLayers.has(previous) ? previous : configs[0].id);
+    }
+
+    /**
+     * Build a tile layer from a base map config (also used for the minimap)
+     */
+    createBaseLayer(config) {
+        const { id, name, url, cache, ...tileOptions } = config;
+        return cache && this.tileCache
+            ? TileCache.createTileLayer(this.tileCache, url, { ...tileOptions, cacheId: id })
+            : L.tileLayer(url, tileOptions);
+    }
+
+    /**
+     * Switch the base map
+     * @returns {boolean} False if no base map has that id
+     */
+    setBaseMap(id) {
+        const baseMap = this.baseLayers.get(id);
+        if (!baseMap) return false;
+
+        this.baseLayers.forEach(({ layer }, otherId) => {
+            if (otherId !== id) this.map.removeLayer(layer);
+        });
+        baseMap.layer.addTo(this.map);
+        this.activeBaseMap = id;
+        return true;
+    }
+
+    /**
+     * Config of the base map on screen
+     */
+    getActiveBaseMap() {
+        const baseMap = this.baseLayers.get(this.activeBaseMap);
+        return baseMap ? baseMap.config : null;
+    }
+
+    /**
+     * Register an overlay with the switcher
+     * @param {string} id - Stable id used in saved settings (e.g. 'paths', 'locations.shop')
+     * @param {string} name - Label in the switcher
+     * @param {L.Layer} layer - Layer or layer group
+     */
+    addOverlay(id, name, layer) {
+        if (this.overlays.has(id)) {
+            this.removeOverlay(id);
+        }
+
+        this.overlays.set(id, { name, layer });
+        this.layerIds.set(layer, id);
+        this.control.addOverlay(layer, name);
+
+        if (this.hiddenOverlays.has(id)) {
+            this.map.removeLayer(layer);
+        } else if (!this.map.hasLayer(layer)) {
+            layer.addTo(this.map);
+        }
+        return layer;
+    }
+
+    removeOverlay(id) {
+        const overlay = this.overlays.get(id);
+        if (!overlay) return;
+
+        this.control.removeLayer(overlay.layer);
+        this.layerIds.delete(overlay.layer);
+        this.overlays.delete(id);
+    }
+
+    getOverlay(id) {
+        const overlay = this.overlays.get(id);
+        return overlay ? overlay.layer : null;
+    }
+
+    setOverlayVisible(id, visible) {
+        const overlay = this.overlays.get(id);
+        if (!overlay) return;
+
+        if (visible) {
+            overlay.layer.addTo(this.map);
+        } else {
+            this.map.removeLayer(overlay.layer);
+        }
+    }
+
+    isOverlayVisible(id) {
+        return !this.hiddenOverlays.has(id);
+    }
+
+    /**
+     * Visibility choices in UISettings form
+     * @returns {Object} { BaseMap, HiddenOverlays }
+     */
+    getSettings() {
+        return {
+            BaseMap: this.activeBaseMap,
+            HiddenOverlays: Array.from(this.hiddenOverlays)
+        };
+    }
+
+    /**
+     * Restore saved visibility (UISettings.MapLayers)
+     * Hidden ids for overlays that don't exist yet apply when they are added.
+     */
+    applySettings(settings) {
+        if (!settings) return;
+
+        if (settings.BaseMap) {
+            this.setBaseMap(settings.BaseMap);
+        }
+        if (Array.isArray(settings.HiddenOverlays)) {
+            this.hiddenOverlays = new Set(settings.HiddenOverlays);
+            this.overlays.forEach((overlay, id) => this.setOverlayVisible(id, !this.hiddenOverlays.has(id)));
+        }
+    }
+
+    /**
+     * Register a callback for visibility changes
+     * @param {Function} callback - (settings) => void
+     */
+    onChange(callback) {
+        this.changeListeners.push(callback);
+    }
+
+    notifyChanged() {
+        const settings = this.getSettings();
+        this.changeListeners.forEach(callback => callback(settings));
+    }
+}
+
+/**
+ * Default base maps. Online maps are cached for offline play; 'local' reads the
+ * Data/Tiles/{z}/{x}/{y}.png folder directly (add tms: true for MBTiles row order).
+ */
+MapLayerManager.DEFAULT_BASE_MAPS = [
+    {
+        id: 'osm',
+        name: 'OpenStreetMap',
+        url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+        maxZoom: 19,
+        attribution: '© OpenStreetMap contributors',
+        cache: true,
+        fallbackUrl: 'Data/Tiles/{z}/{x}/{y}.png'
+    },
+    {
+        id: 'dark',
+        name: 'Dark (CARTO)',
+        url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+        maxZoom: 19,
+        attribution: '© OpenStreetMap contributors © CARTO',
+        cache: true
+    },
+    {
+        id: 'local',
+        name: 'Offline tiles',
+        url: 'Data/Tiles/{z}/{x}/{y}.png',
+        maxZoom: 18,
+        attribution: '© OpenStreetMap contributors (local copy)'
+    }
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MapLayerManager;
+}
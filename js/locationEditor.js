@@ -0,0 +1,340 @@
+// locationEditor.js
+// Location authoring mode: place, drag and edit locations on the map
+//
+// Every edit is a { action, before, after } record so it can be undone and redone.
+// Edits are validated against the gamedata.json location schema (see Generate-GameData.ps1),
+// exported in that schema, and forwarded to PowerShell as location.* bridge commands.
+
+class LocationEditor {
+    /**
+     * @param {GameMap} gameMap - Map that owns the locations
+     * @param {Object} options - Configuration options
+     * @param {number} options.maxHistory - Undo steps kept (default: 100)
+     */
+    constructor(gameMap, options = {}) {
+        this.gameMap = gameMap;
+        this.maxHistory = options.maxHistory || 100;
+
+        this.active = false;
+        this.selected = null;  // location object being edited
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Enter or leave authoring mode
+     * While active, map clicks place locations, markers are draggable and show
+     * undiscovered locations, and marker clicks select instead of opening popups.
+     */
+    setActive(active) {
+        this.active = active;
+        if (!active) {
+            this.selected = null;
+        }
+
+        this.gameMap.refreshLocations();
+        console.log(`Location editor ${active ? 'enabled' : 'disabled'}`);
+        this.notifyChanged();
+    }
+
+    /**
+     * Place a new location
+     * @param {L.LatLng} latLng - Where to place it
+     * @returns {Object} The new location
+     */
+    createLocationAt(latLng) {
+        const location = {
+            id: this.generateId(),
+            lat: Number(latLng.lat.toFixed(6)),
+            lng: Number(latLng.lng.toFixed(6)),
+            name: 'New Location',
+            type: 'landmark',
+            description: '',
+            items: [],
+            points: 10,
+            experience: 5,
+            discovered: false,
+            timestamp: LocationEditor.timestamp()
+        };
+
+        this.apply({ action: 'create', before: null, after: location });
+        this.select(this.findLocation(location.id));
+        return this.selected;
+    }
+
+    select(location) {
+        this.selected = location;
+        this.notifyChanged();
+    }
+
+    /**
+     * Change fields of a location
+     * @param {Object} location - Location to edit
+     * @param {Object} changes - Fields to set ({ name, type, description, items, points, experience, lat, lng })
+     * @returns {Object} { isValid, errors }
+     */
+    updateLocation(location, changes) {
+        const after = { ...LocationEditor.snapshot(location), ...changes, timestamp: LocationEditor.timestamp() };
+        const validation = this.validate(after, location);
+        if (!validation.isValid) {
+            return validation;
+        }
+
+        this.apply({ action: 'update', before: LocationEditor.snapshot(location), after });
+        return validation;
+    }
+
+    /**
+     * Move a location (marker drag)
+     */
+    moveLocation(location, latLng) {
+        return this.updateLocation(location, {
+            lat: Number(latLng.lat.toFixed(6)),
+            lng: Number(latLng.lng.toFixed(6))
+        });
+    }
+
+    deleteLocation(location) {
+        this.apply({
+            action: 'delete',
+            before: LocationEditor.snapshot(location),
+            after: null,
+            index: this.gameMap.locations.indexOf(location)  // so undo puts it back in place
+        });
+    }
+
+    /**
+     * Check a location against the gamedata.json schema
+     * @param {Object} location - Location data to check
+     * @param {Object} original - Location being edited, so its own id doesn't count as taken (optional)
+     * @returns {Object} { isValid, errors }
+     */
+    validate(location, original = null) {
+        const errors = [];
+
+        if (!location.id || typeof location.id !== 'string') {
+            errors.push('Id is required');
+        } else if (this.gameMap.locations.some(other => other.id === location.id && other !== original)) {
+            errors.push(`Id ${location.id} is already used`);
+        }
+        if (!location.name || !String(location.name).trim()) {
+            errors.push('Name is required');
+        } else if (String(location.name).length > 100) {
+            errors.push('Name must be 100 characters or fewer');
+        }
+        if (!location.type || !/^[a-z][a-z0-9_-]*$/.test(location.type)) {
+            errors.push('Type must be a lowercase word (e.g. treasure, quest, shop)');
+        }
+        if (!Number.isFinite(location.lat) || location.lat < -90 || location.lat > 90) {
+            errors.push('Latitude must be between -90 and 90');
+        }
+        if (!Number.isFinite(location.lng) || location.lng < -180 || location.lng > 180) {
+            errors.push('Longitude must be between -180 and 180');
+        }
+        ['points', 'experience'].forEach(field => {
+            if (!Number.isFinite(location[field]) || location[field] < 0) {
+                errors.push(`${field.charAt(0).toUpperCase() + field.slice(1)} must be a number of 0 or more`);
+            }
+        });
+        if (!Array.isArray(location.items) || location.items.some(item => typeof item !== 'string' || !item.trim())) {
+            errors.push('Items must be a list of item names');
+        }
+        ['radius', 'arrivalRadius'].forEach(field => {
+            if (location[field] !== undefined && !(Number.isFinite(location[field]) && location[field] > 0)) {
+                errors.push(`${field === 'radius' ? 'Radius' : 'Arrival radius'} must be a positive number of meters`);
+            }
+        });
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    undo() {
+        const edit = this.undoStack.pop();
+        if (!edit) return false;
+
+        this.applyToMap(edit.before, edit.after, edit.index);
+        this.sync(LocationEditor.inverseAction(edit.action), edit.before || edit.after);
+        this.redoStack.push(edit);
+        this.afterEdit();
+        return true;
+    }
+
+    redo() {
+        const edit = this.redoStack.pop();
+        if (!edit) return false;
+
+        this.applyToMap(edit.after, edit.before);
+        this.sync(edit.action, edit.after || edit.before);
+        this.undoStack.push(edit);
+        this.afterEdit();
+        return true;
+    }
+
+    /**
+     * Forget undo/redo history (new game data was loaded)
+     */
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.selected = null;
+        this.notifyChanged();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Record and perform an edit
+     */
+    apply(edit) {
+        this.applyToMap(edit.after, edit.before);
+        this.sync(edit.action, edit.after || edit.before);
+
+        this.undoStack.push(edit);
+        if (this.undoStack.length > this.maxHistory) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.afterEdit();
+    }
+
+    /**
+     * Make the map hold `state` for a location that was `previous`
+     * (state null = deleted, previous null = created; index places a re-created location)
+     */
+    applyToMap(state, previous, index = undefined) {
+        const id = (state || previous).id;
+        const locations = this.gameMap.locations;
+        const existing = locations.findIndex(location => location.id === id);
+
+        if (!state) {
+            if (existing !== -1) locations.splice(existing, 1);
+        } else if (existing === -1) {
+            const position = index >= 0 && index <= locations.length ? index : locations.length;
+            locations.splice(position, 0, { ...state, items: state.items.slice() });
+        } else {
+            // Update in place so other references (itinerary, quests) see the change
+            Object.assign(locations[existing], state, { items: state.items.slice() });
+        }
+
+        this.gameMap.refreshLocations();
+    }
+
+    /**
+     * Re-point the selection at the current object for its id (null if it was deleted)
+     */
+    afterEdit() {
+        if (this.selected) {
+            this.selected = this.findLocation(this.selected.id);
+        }
+        this.notifyChanged();
+    }
+
+    findLocation(id) {
+        return this.gameMap.locations.find(location => location.id === id) || null;
+    }
+
+    generateId() {
+        let max = 0;
+        this.gameMap.locations.forEach(location => {
+            const match = /^location_(\d+)$/.exec(location.id || '');
+            if (match) max = Math.max(max, parseInt(match[1], 10));
+        });
+        return `location_${max + 1}`;
+    }
+
+    /**
+     * Current world in the gamedata.json schema
+     * Keeps other top-level sections (avoidZones, districts, ...) from the loaded data.
+     */
+    exportGameData() {
+        const loaded = (this.gameMap.game && this.gameMap.game.gameData) || {};
+        const world = this.gameMap.world;
+        const locations = this.gameMap.locations.map(location => LocationEditor.snapshot(location));
+
+        return {
+            ...loaded,
+            version: loaded.version || '1.0',
+            city: loaded.city || (world ? world.city || world.name : 'New York'),
+            generatedAt: LocationEditor.timestamp(),
+            metadata: {
+                ...(loaded.metadata || {}),
+                totalLocations: locations.length,
+                generator: 'Location Editor'
+            },
+            locations: locations
+        };
+    }
+
+    /**
+     * Forward an edit to PowerShell (location.create / location.update / location.delete)
+     */
+    sync(action, location) {
+        const bridge = this.gameMap.game ? this.gameMap.game.communicationBridge : null;
+        if (!bridge || !bridge.isConnected()) return;
+
+        bridge.sendCommand(`location.${action}`, { location: LocationEditor.snapshot(location) })
+            .catch(err => console.log('Bridge send failed:', err.message));
+    }
+
+    notifyChanged() {
+        if (this.gameMap.game && this.gameMap.game.updateLocationEditorPanel) {
+            this.gameMap.game.updateLocationEditorPanel(this);
+        }
+    }
+
+    /**
+     * Location fields in the gamedata.json schema (runtime flags like visited are dropped)
+     */
+    static snapshot(location) {
+        const items = Array.isArray(location.items) ? location.items : (location.items ? [location.items] : []);
+        const snapshot = {
+            id: location.id,
+            lat: location.lat,
+            lng: location.lng,
+            name: location.name,
+            type: location.type,
+            description: location.description || '',
+            items: items.slice(),
+            points: location.points || 0,
+            experience: location.experience || 0,
+            discovered: location.discovered === true,
+            timestamp: location.timestamp || LocationEditor.timestamp()
+        };
+
+        // Optional LocationRequirements fields are kept only when set
+        ['radius', 'arrivalRadius'].forEach(field => {
+            if (location[field] !== undefined) snapshot[field] = location[field];
+        });
+        if (location.requirements) {
+            snapshot.requirements = JSON.parse(JSON.stringify(location.requirements));
+        }
+        return snapshot;
+    }
+
+    static inverseAction(action) {
+        return { create: 'delete', delete: 'create', update: 'update' }[action];
+    }
+
+    /**
+     * Local time in the yyyy-MM-ddTHH:mm:ss form Generate-GameData writes
+     */
+    static timestamp() {
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}T` +
+            `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+    }
+}
+
+LocationEditor.LOCATION_TYPES = ['start', 'treasure', 'quest', 'shop', 'landmark', 'mystery'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocationEditor;
+}
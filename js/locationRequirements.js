@@ -0,0 +1,117 @@
+// locationRequirements.js
+// Per-location visit radius and entry requirements
+//
+// Locations may declare (all optional):
+//   radius         - visit radius in meters (default: 100)
+//   arrivalRadius  - meters at which arriving opens the popup (default: 50, at most radius)
+//   requirements   - {
+//       level: 5,                                     minimum player level
+//       items: ['special_key'],                       items that must be in the inventory
+//       faction: { id: 'Syndicate', standing: 'Friendly' },   minimum FactionSystem standing
+//       time: { from: '20:00', to: '04:00' },         game-time window (may wrap midnight)
+//       quest: 'quest_id'                             quest that must be active
+//   }
+// Requirements are checked against a player context ({ level, inventory, getStanding,
+// gameTime, activeQuests }) built by the game, so this module has no game dependencies.
+
+class LocationRequirements {
+    static getVisitRadius(location) {
+        return location.radius > 0 ? location.radius : LocationRequirements.DEFAULT_VISIT_RADIUS;
+    }
+
+    static getArrivalRadius(location) {
+        if (location.arrivalRadius > 0) {
+            return location.arrivalRadius;
+        }
+        return Math.min(LocationRequirements.DEFAULT_ARRIVAL_RADIUS, LocationRequirements.getVisitRadius(location));
+    }
+
+    /**
+     * Check a location's requirements
+     * @param {Object} location - Location data
+     * @param {Object} player - { level, inventory, getStanding(factionId), gameTime, activeQuests }
+     * @returns {Object} { met, unmet: [{ type, message }] }
+     */
+    static check(location, player) {
+        const requirements = location.requirements || {};
+        const unmet = [];
+
+        if (requirements.level > 0 && (player.level || 1) < requirements.level) {
+            unmet.push({
+                type: 'level',
+                message: `Requires level ${requirements.level} (you are level ${player.level || 1})`
+            });
+        }
+
+        const items = requirements.items || (requirements.item ? [requirements.item] : []);
+        const inventory = player.inventory || [];
+        items.filter(item => !inventory.includes(item)).forEach(item => {
+            unmet.push({ type: 'item', message: `Requires ${String(item).replace(/_/g, ' ')}` });
+        });
+
+        if (requirements.faction && requirements.faction.id) {
+            const needed = requirements.faction.standing || 'Neutral';
+            const standing = player.getStanding ? player.getStanding(requirements.faction.id) : null;
+            if (LocationRequirements.standingRank(standing) < LocationRequirements.standingRank(needed)) {
+                unmet.push({
+                    type: 'faction',
+                    message: `Requires ${needed} standing with ${requirements.faction.id} (you are ${standing || 'unknown'})`
+                });
+            }
+        }
+
+        if (requirements.time && !LocationRequirements.isWithinTimeWindow(requirements.time, player.gameTime)) {
+            unmet.push({
+                type: 'time',
+                message: `Only open ${requirements.time.from}–${requirements.time.to}`
+            });
+        }
+
+        if (requirements.quest && !(player.activeQuests && player.activeQuests.has(requirements.quest))) {
+            unmet.push({ type: 'quest', message: `Requires the quest ${requirements.quest}` });
+        }
+
+        return { met: unmet.length === 0, unmet };
+    }
+
+    /**
+     * Rank of a FactionSystem standing; unknown standings count as below Hostile
+     */
+    static standingRank(standing) {
+        return LocationRequirements.STANDINGS.indexOf(standing);
+    }
+
+    /**
+     * Whether a game time falls in a { from, to } window of 'HH:MM' strings or hours
+     * A window whose end is before its start wraps past midnight.
+     */
+    static isWithinTimeWindow(window, gameTime) {
+        const time = gameTime instanceof Date ? gameTime : new Date();
+        const minutes = time.getHours() * 60 + time.getMinutes();
+        const from = LocationRequirements.toMinutes(window.from);
+        const to = LocationRequirements.toMinutes(window.to);
+
+        return from <= to
+            ? minutes >= from && minutes < to
+            : minutes >= from || minutes < to;
+    }
+
+    static toMinutes(value) {
+        if (typeof value === 'number') {
+            return value * 60;
+        }
+        const [hours, minutes] = String(value || '0').split(':').map(Number);
+        return (hours || 0) * 60 + (minutes || 0);
+    }
+}
+
+LocationRequirements.DEFAULT_VISIT_RADIUS = 100;   // meters
+LocationRequirements.DEFAULT_ARRIVAL_RADIUS = 50;  // meters
+
+// FactionSystem standing levels, lowest first
+LocationRequirements.STANDINGS = ['Hostile', 'Unfriendly', 'Neutral', 'Friendly', 'Allied'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocationRequirements;
+}
@@ -0,0 +1,166 @@
+// locationSearch.js
+// Find locations by name, type, state, distance and reward
+//
+// Searches GameMap.locations rather than the materialised markers, so clustered and
+// off-screen locations are found too. Locations the map wouldn't show (hidden by fog
+// of war or by a switched-off type overlay) are left out, so the search never reveals
+// more than the map does. Focusing a result flies to it at a zoom where it has its own
+// marker and opens its popup.
+
+class LocationSearch {
+    /**
+     * @param {GameMap} gameMap - Map whose locations are searched
+     * @param {Object} options - Configuration options
+     * @param {number} options.maxResults - Results returned by getResults (default: 50)
+     * @param {number} options.flyDuration - Seconds the fly-to animation takes (default: 1)
+     */
+    constructor(gameMap, options = {}) {
+        this.gameMap = gameMap;
+        this.maxResults = options.maxResults || 50;
+        this.flyDuration = options.flyDuration || 1;
+
+        this.filters = { ...LocationSearch.DEFAULT_FILTERS };
+        this.changeListeners = [];
+    }
+
+    /**
+     * Change some of the filters
+     * @param {Object} changes - { query, type, state, maxDistance, minReward, sortBy }
+     */
+    setFilters(changes) {
+        this.filters = { ...this.filters, ...changes };
+        this.notifyChanged();
+    }
+
+    resetFilters() {
+        this.filters = { ...LocationSearch.DEFAULT_FILTERS };
+        this.notifyChanged();
+    }
+
+    /**
+     * Locations matching the filters, sorted
+     * @returns {Object} { results: [{ location, distance }], total } - total counts matches before maxResults
+     */
+    getResults() {
+        const matches = this.gameMap.locations
+            .filter(location => this.isSearchable(location))
+            .map(location => ({ location, distance: this.gameMap.getDistanceToLocation(location) }))
+            .filter(result => this.matches(result.location, result.distance));
+
+        const compare = LocationSearch.COMPARATORS[this.filters.sortBy] || LocationSearch.COMPARATORS.distance;
+        matches.sort(compare);
+
+        return { results: matches.slice(0, this.maxResults), total: matches.length };
+    }
+
+    /**
+     * Whether the map would show a location (the cluster layer's filter)
+     */
+    isSearchable(location) {
+        const filter = this.gameMap.locationLayer.filter;
+        return !filter || filter(location);
+    }
+
+    matches(location, distance) {
+        const filters = this.filters;
+
+        const query = String(filters.query || '').trim().toLowerCase();
+        if (query) {
+            const text = `${location.name || ''} ${location.description || ''}`.toLowerCase();
+            if (!query.split(/\s+/).every(word => text.includes(word))) return false;
+        }
+
+        if (filters.type !== 'all' && (location.type || 'location') !== filters.type) return false;
+
+        switch (filters.state) {
+            case 'unvisited': if (location.visited) return false; break;
+            case 'visited': if (!location.visited) return false; break;
+            case 'discovered': if (location.discovered === false) return false; break;
+            case 'undiscovered': if (location.discovered !== false) return false; break;
+        }
+
+        if (filters.maxDistance > 0 && !(distance <= filters.maxDistance)) return false;
+        if (filters.minReward > 0 && (Number(location.points) || 0) < filters.minReward) return false;
+
+        return true;
+    }
+
+    /**
+     * Location types present on the map, for a type filter
+     */
+    getTypes() {
+        const types = new Set(this.gameMap.locations.map(location => location.type || 'location'));
+        return Array.from(types).sort();
+    }
+
+    /**
+     * Fly to a location and open its popup (or select it while the location editor is active)
+     * @returns {Promise<L.Marker|null>} Its marker, or null if the map doesn't show it
+     */
+    focus(location) {
+        if (!this.isSearchable(location)) {
+            return Promise.resolve(null);
+        }
+
+        const map = this.gameMap.map;
+        const layer = this.gameMap.locationLayer;
+        const zoom = Math.max(map.getZoom(), layer.disableClusteringAtZoom);
+
+        return new Promise(resolve => {
+            // The cluster layer renders on moveend first, so the marker exists by now
+            map.once('moveend', () => {
+                const marker = layer.getMarker(location);
+                const editor = this.gameMap.locationEditor;
+                if (editor && editor.active) {
+                    // Authoring mode: select for the editor form, as a marker click would
+                    editor.select(location);
+                } else if (marker) {
+                    marker.setPopupContent(this.gameMap.createPopupContent(location));
+                    marker.openPopup();
+                }
+                resolve(marker);
+            });
+            map.flyTo([location.lat, location.lng], zoom, { duration: this.flyDuration });
+        });
+    }
+
+    /**
+     * Travel to a location (GameMap.navigateToLocation)
+     */
+    navigate(location) {
+        this.gameMap.navigateToLocation(location);
+    }
+
+    /**
+     * Register a callback for when results may have changed (filters, locations or player position)
+     * @param {Function} callback - () => void
+     */
+    onChange(callback) {
+        this.changeListeners.push(callback);
+    }
+
+    notifyChanged() {
+        this.changeListeners.forEach(callback => callback());
+    }
+}
+
+LocationSearch.DEFAULT_FILTERS = {
+    query: '',
+    type: 'all',          // location type or 'all'
+    state: 'all',         // 'all', 'unvisited', 'visited', 'discovered' or 'undiscovered'
+    maxDistance: 0,       // meters from the player; 0 = any distance
+    minReward: 0,         // minimum points
+    sortBy: 'distance'    // 'distance', 'name' or 'reward'
+};
+
+// Result comparators by sortBy; ties fall back to distance, then name
+LocationSearch.COMPARATORS = {
+    distance: (a, b) => (a.distance - b.distance) || String(a.location.name).localeCompare(String(b.location.name)),
+    name: (a, b) => String(a.location.name).localeCompare(String(b.location.name)) || (a.distance - b.distance),
+    reward: (a, b) => ((Number(b.location.points) || 0) - (Number(a.location.points) || 0)) || (a.distance - b.distance)
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocationSearch;
+}
@@ -2,31 +2,303 @@
 class GameMap {
     constructor(containerId, gameInstance) {
         this.game = gameInstance;
-        this.markers = [];
+        this.locations = []; // All location data; markers are materialised per viewport by locationLayer
         this.playerMarker = null;
         this.playerPosition = null;
         this.pathfindingManager = null;
         this.moveMode = 'foot'; // Default travel mode
         this.isMoving = false;
+        this.movementController = null;
+        this.itineraryPlanner = null;
+        this.locationEditor = null;
+        this.isochrone = null; // { minutes, area, reachable }
+        this.compareRoutes = false; // Offer alternative routes before moving
+        this.pendingRoutes = null;  // { routes, destination, selectedIndex } while the player chooses
+        this.hiddenLocationTypes = new Set(); // Location types switched off in the layer switcher
+        this.questTargets = new Set(); // Location ids shown with the questTarget marker style
+        this.gpsMode = false;     // Player follows the device (or a simulated GPX feed) instead of clicks
+        this.followGps = true;    // Keep the map centred on the player in GPS mode
+        this.gpsArrivalId = null; // Location the GPS player last arrived at, so arrival fires once
+        this.world = null;        // World from the manifest (see setWorld)
+
+        // Whole-earth view until the game picks a world
+        this.map = L.map(containerId).setView(GameMap.DEFAULT_VIEW.center, GameMap.DEFAULT_VIEW.zoom);
+
+        // Base maps and the layer switcher (see MapLayerManager.DEFAULT_BASE_MAPS);
+        // online base maps read through the tile cache so the map works offline
+        this.tileCache = new TileCache();
+        this.layers = new MapLayerManager(this.map, { tileCache: this.tileCache });
+
+        // District polygons coloured by controlling faction
+        this.districtLayer = new DistrictLayer(this.map);
+
+        // Fog of war: revealed around the player's path, hides undiscovered locations
+        this.fogOfWar = new FogOfWar(this.map, {
+            stateManager: this.game ? this.game.stateManager : null,
+            eventManager: this.game ? this.game.eventManager : null
+        });
+
+        // Marker icons per location type and state (theme loaded by loadIconTheme)
+        this.icons = new IconRegistry();
+
+        // Escaped popup templates per location type, with data-action buttons
+        this.popups = new PopupRenderer();
+        this.registerPopupActions();
 
-        // Initialize the map centered on New York City
-        this.map = L.map(containerId).setView([40.7128, -74.0060], 11);
+        // Clustered location markers (only the viewport is materialised)
+        this.locationLayer = new MarkerClusterLayer(this.map, {
+            createMarker: location => this.createLocationMarker(location),
+            filter: location => this.isLocationShown(location)
+        });
+        this.fogOfWar.onDiscover(() => this.locationLayer.render());
 
-        // Add tile layer (you can change this to different map styles)
-        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-            maxZoom: 19,
-            attribution: '© OpenStreetMap contributors'
-        }).addTo(this.map);
+        // Location search panel (filters GameMap.locations, not just the visible markers)
+        this.locationSearch = new LocationSearch(this);
 
         // Initialize pathfinding
         this.pathfindingManager = new PathfindingManager(this.map);
 
+        // Draw avoid zones and keep them in sync with routing
+        this.avoidZoneLayer = L.layerGroup().addTo(this.map);
+        if (this.pathfindingManager.avoidZones) {
+            this.pathfindingManager.avoidZones.onChange(() => this.drawAvoidZones());
+
+            // Districts held by factions the player stands badly with are routed around
+            this.districtLayer.onChange(() => {
+                this.pathfindingManager.avoidZones.setFactionTerritories(this.districtLayer.getTerritories());
+            });
+        }
+
+        // Reachable-area overlay
+        this.isochroneLayer = L.layerGroup().addTo(this.map);
+
+        // Pause / cancel / redirect support for player movement
+        this.movementController = new MovementController(this.pathfindingManager, {
+            eventManager: this.game ? this.game.eventManager : null,
+            unitId: 'player'
+        });
+
+        // Legs the player has travelled: breadcrumb trail, distance statistics and replay
+        this.travelHistory = new TravelHistory(this.map, {
+            stateManager: this.game ? this.game.stateManager : null,
+            timeMultiplier: this.pathfindingManager.gameTimeMultiplier
+        });
+
+        // Multi-stop itinerary planning
+        this.itineraryPlanner = new ItineraryPlanner(this);
+
+        // Location authoring mode (place, drag and edit locations)
+        this.locationEditor = new LocationEditor(this);
+
+        // Real-world GPS play: filtered, smoothed positions with an accuracy circle
+        this.gps = new GpsTracker();
+        this.gpsLayer = L.layerGroup().addTo(this.map);
+        this.gpsAccuracyCircle = null;
+        this.gps.onPosition(position => this.handleGpsPosition(position));
+        this.gps.onRejected(() => this.notifyGpsChanged());
+        this.gps.onError(error => {
+            this.updateGameStatus(`GPS: ${error.message}`);
+            this.notifyGpsChanged();
+        });
+        this.gps.onFinish(() => {
+            this.stopGps();
+            this.updateGameStatus('GPX playback finished');
+        });
+
+        // Units drawn by other systems (e.g. from PowerShell via getLayerGroup)
+        this.npcLayer = L.layerGroup().addTo(this.map);
+        this.droneLayer = L.layerGroup().addTo(this.map);
+
+        this.registerOverlays();
+
+        // Overview minimap (shown when UISettings.ShowMinimap is on)
+        this.minimap = new Minimap(this.map, {
+            createBaseLayer: () => this.layers.createBaseLayer(this.layers.getActiveBaseMap())
+        });
+        this.map.on('baselayerchange', () => this.minimap.refreshBaseLayer());
+        this.pathfindingManager.onPathChange(path => this.minimap.setPath(path ? path.coordinates : null));
+        this.fogOfWar.onDiscover(() => this.locationsChanged());
+
         // Set up click-to-move
         this.setupClickToMove();
 
         console.log('GameMap initialized with pathfinding');
     }
 
+    /**
+     * Show a world from the manifest: fit its bounds, keep the map inside them and
+     * load its road network
+     * @param {Object} world - { center, bounds: [[south, west], [north, east]], minZoom, maxZoom, roads }
+     */
+    setWorld(world) {
+        this.world = world;
+        const bounds = L.latLngBounds(world.bounds);
+
+        // Limits first so fitBounds isn't clamped by the previous world's
+        this.map.setMaxBounds(null);
+        this.map.setMinZoom(world.minZoom || 0);
+        this.map.setMaxZoom(world.maxZoom || 18);
+        this.map.fitBounds(bounds);
+        this.map.setMaxBounds(bounds.pad(0.1));
+
+        // Offline road network (optional - used when OSRM is unreachable)
+        if (world.roads) {
+            this.pathfindingManager.loadRoadNetwork(world.roads);
+        } else {
+            this.pathfindingManager.clearRoadNetwork();
+        }
+
+        console.log(`World: ${world.name}`);
+    }
+
+    /**
+     * Whether the map shows a location: its type isn't switched off in the layer switcher,
+     * and fog of war doesn't hide it (the location editor sees through the fog)
+     * @param {Object} options - { ignoreFog } apply only the type filter
+     */
+    isLocationShown(location, options = {}) {
+        if (this.hiddenLocationTypes.has(location.type || 'location')) {
+            return false;
+        }
+        return !!options.ignoreFog || !!(this.locationEditor && this.locationEditor.active) ||
+            !this.fogOfWar.isHidden(location);
+    }
+
+    /**
+     * Add the map's layer groups to the layer switcher
+     * Location types are added by loadLocations once the types are known.
+     */
+    registerOverlays() {
+        this.layers.addOverlay('paths', 'Paths', this.pathfindingManager.layerGroup);
+        this.layers.addOverlay('travelHistory', 'Travel history', this.travelHistory.layerGroup);
+        this.layers.addOverlay('gps', 'GPS accuracy', this.gpsLayer);
+        this.layers.addOverlay('itinerary', 'Itinerary', this.itineraryPlanner.layerGroup);
+        this.layers.addOverlay('districts', 'Districts', this.districtLayer.layer);
+        this.layers.addOverlay('avoidZones', 'Avoid zones', this.avoidZoneLayer);
+        this.layers.addOverlay('npcs', 'NPCs', this.npcLayer);
+        this.layers.addOverlay('drones', 'Drones', this.droneLayer);
+
+        // Hiding the fog only hides the overlay; undiscovered locations stay hidden
+        const fogToggle = L.layerGroup();
+        fogToggle.on('add', () => this.fogOfWar.setVisible(true));
+        fogToggle.on('remove', () => this.fogOfWar.setVisible(false));
+        this.layers.addOverlay('fog', 'Fog of war', fogToggle);
+        this.fogOfWar.setVisible(this.layers.isOverlayVisible('fog'));
+    }
+
+    /**
+     * Add a layer switcher entry for each location type in the data
+     */
+    registerLocationTypeOverlays(locations) {
+        const types = new Set(locations.map(location => location.type || 'location'));
+
+        types.forEach(type => {
+            const id = `locations.${type}`;
+            if (this.layers.getOverlay(id)) return;
+
+            const toggle = L.layerGroup();
+            toggle.on('add', () => {
+                this.hiddenLocationTypes.delete(type);
+                this.locationLayer.render();
+                this.locationSearch.notifyChanged();
+            });
+            toggle.on('remove', () => {
+                this.hiddenLocationTypes.add(type);
+                this.locationLayer.render();
+                this.locationSearch.notifyChanged();
+            });
+
+            this.layers.addOverlay(id, `Locations: ${this.icons.getLabel(type)}`, toggle);
+
+            // Saved as hidden: the toggle was never on the map, so 'remove' didn't fire
+            if (!this.layers.isOverlayVisible(id)) {
+                this.hiddenLocationTypes.add(type);
+            }
+        });
+    }
+
+    /**
+     * Load a marker theme (Data/Themes/<name>.json) and restyle the visible markers
+     * @returns {Promise<string>} Name of the theme in use
+     */
+    async loadIconTheme(name = 'Default') {
+        const loaded = await this.icons.load(name);
+        this.refreshMarkerIcons();
+        return loaded;
+    }
+
+    /**
+     * Marker states of a location, as used by the icon theme
+     * @returns {string[]} Any of undiscovered, nearby, visited, locked, questTarget
+     */
+    getLocationStates(location) {
+        const states = [];
+        if (location.discovered === false) states.push('undiscovered');
+        if (this.isWithinVisitRange(location)) states.push('nearby');
+        if (location.visited) states.push('visited');
+        if (location.locked || !this.checkLocationRequirements(location).met) states.push('locked');
+        if (location.questTarget || this.questTargets.has(location.id)) states.push('questTarget');
+        return states;
+    }
+
+    getLocationIcon(location) {
+        return this.icons.getIcon(location.type, this.getLocationStates(location));
+    }
+
+    /**
+     * Update the icons of materialised markers (after the player moves or states change)
+     * Markers created later pick up the current state themselves.
+     */
+    refreshMarkerIcons() {
+        this.locationLayer.getVisibleMarkers().forEach(marker => {
+            const icon = this.getLocationIcon(marker.locationData);
+            if (marker.options.icon !== icon) {
+                marker.setIcon(icon);
+            }
+        });
+    }
+
+    /**
+     * Mark the locations a quest points the player to
+     * @param {string[]} locationIds - Location ids (replaces the previous targets)
+     */
+    setQuestTargets(locationIds) {
+        this.questTargets = new Set(locationIds || []);
+        this.refreshMarkerIcons();
+    }
+
+    /**
+     * Redraw every location after the location list was edited in place
+     */
+    refreshLocations() {
+        this.fogOfWar.setLocations(this.locations);
+        this.registerLocationTypeOverlays(this.locations);
+        this.locationLayer.setLocations(this.locations);
+        this.locationsChanged();
+    }
+
+    /**
+     * Update the views that list locations (minimap, search) after locations change
+     */
+    locationsChanged() {
+        this.updateMinimapLocations();
+        this.locationSearch.notifyChanged();
+    }
+
+    /**
+     * Show discovered locations on the minimap
+     */
+    updateMinimapLocations() {
+        this.minimap.setLocations(this.locations.filter(location => !this.fogOfWar.isHidden(location)));
+    }
+
+    /**
+     * Overlay layer group by id (e.g. 'npcs', 'drones') for other systems to draw into
+     */
+    getLayerGroup(id) {
+        return this.layers.getOverlay(id);
+    }
+
     /**
      * Set up click-to-move functionality
      */
@@ -37,6 +309,18 @@ class GameMap {
                 return;
             }
 
+            // Authoring mode: clicks place new locations
+            if (this.locationEditor.active) {
+                this.locationEditor.createLocationAt(e.latlng);
+                return;
+            }
+
+            // GPS mode: only the real (or simulated) position moves the player
+            if (this.gpsMode) {
+                this.updateGameStatus('GPS mode - walk to move');
+                return;
+            }
+
             // Create player if doesn't exist
             if (!this.playerMarker) {
                 // Create player at the clicked location if no player exists
@@ -45,9 +329,9 @@ class GameMap {
                 return;
             }
 
-            // Don't move if already moving
+            // Already moving: re-route from the current position
             if (this.isMoving) {
-                console.log('Already moving, please wait...');
+                this.redirectPlayerMovement(e.latlng);
                 return;
             }
 
@@ -57,35 +341,234 @@ class GameMap {
             // Update status
             this.updateGameStatus('Calculating path...');
 
-            // Find path
+            // Find path (plus alternatives when comparing routes)
             const path = await this.pathfindingManager.findPath(
                 this.playerPosition,
                 destination,
-                this.moveMode
+                this.moveMode,
+                { alternatives: this.compareRoutes ? 2 : 0 }
             );
 
-            // Show path
-            this.pathfindingManager.showPath(path);
+            if (path.alternatives && path.alternatives.length > 0) {
+                this.offerRouteChoices([path, ...path.alternatives], destination);
+                return;
+            }
 
-            // Show info
-            const durationMinutes = Math.round(path.duration / 60);
-            const distanceKm = (path.distance / 1000).toFixed(2);
-            console.log(`Path: ${distanceKm}km, ~${durationMinutes} minutes via ${path.travelMode} (${path.type})`);
+            this.beginTrip(path, destination);
+        });
+    }
 
-            // Emit movement started event
-            if (this.game && this.game.eventManager) {
-                this.game.eventManager.emit('movement.started', {
-                    unitId: 'player',
-                    destination: { lat: destination.lat, lng: destination.lng },
-                    distance: path.distance,
-                    duration: path.duration,
-                    travelMode: path.travelMode,
-                    pathType: path.type
-                });
+    /**
+     * Show a path and start moving the player along it
+     */
+    beginTrip(path, destination) {
+        this.pendingRoutes = null;
+
+        // Show path
+        this.pathfindingManager.showPath(path);
+
+        // Show info
+        const durationMinutes = Math.round(path.duration / 60);
+        const distanceKm = (path.distance / 1000).toFixed(2);
+        console.log(`Path: ${distanceKm}km, ~${durationMinutes} minutes via ${path.travelMode} (${path.type})`);
+        this.warnAboutZones(path);
+
+        // Emit movement started event
+        if (this.game && this.game.eventManager) {
+            this.game.eventManager.emit('movement.started', {
+                unitId: 'player',
+                destination: { lat: destination.lat, lng: destination.lng },
+                distance: path.distance,
+                duration: path.duration,
+                travelMode: path.travelMode,
+                pathType: path.type,
+                zonesCrossed: path.zonesCrossed
+            });
+        }
+
+        // Start movement animation
+        this.startPlayerMovement(path);
+    }
+
+    /**
+     * Draw several candidate routes and let the player pick one before moving
+     * @param {Array<Object>} routes - Paths from findPath(), primary first
+     * @param {L.LatLng} destination - Requested destination
+     */
+    offerRouteChoices(routes, destination) {
+        this.pendingRoutes = { routes, destination, selectedIndex: 0 };
+        this.selectRouteChoice(0);
+        this.updateGameStatus(`Choose a route (${routes.length} options)`);
+    }
+
+    /**
+     * Highlight one of the offered routes
+     */
+    selectRouteChoice(index) {
+        if (!this.pendingRoutes) return;
+
+        const colors = ['#3388ff', '#9b59b6', '#e67e22', '#16a085'];
+        const routes = this.pendingRoutes.routes;
+        this.pendingRoutes.selectedIndex = index;
+
+        this.pathfindingManager.showPath(routes[index], colors[index % colors.length]);
+        routes.forEach((route, i) => {
+            if (i === index) return;
+            this.pathfindingManager.showPath(route, colors[i % colors.length], {
+                alternative: true,
+                onClick: () => this.selectRouteChoice(i)
+            });
+        });
+
+        if (this.game && this.game.updatePathInfo) {
+            this.game.updatePathInfo({
+                ...routes[index],
+                routes: routes,
+                selectedIndex: index,
+                colors: colors
+            });
+        }
+    }
+
+    /**
+     * Travel the chosen route
+     */
+    confirmRouteChoice(index = null) {
+        if (!this.pendingRoutes) return;
+
+        const { routes, destination, selectedIndex } = this.pendingRoutes;
+        this.beginTrip(routes[index !== null ? index : selectedIndex], destination);
+    }
+
+    clearRouteChoices() {
+        if (!this.pendingRoutes) return;
+
+        this.pendingRoutes = null;
+        this.pathfindingManager.clearPath();
+        this.updateGameStatus('Ready');
+    }
+
+    /**
+     * Tell the player when a route still crosses zones it could not avoid
+     */
+    warnAboutZones(path) {
+        if (!path.zonesCrossed || path.zonesCrossed.length === 0) return;
+
+        const names = path.zonesCrossed.map(zone => zone.name).join(', ');
+        const message = path.blocked
+            ? `⚠️ No safe route - path enters restricted area: ${names}`
+            : `⚠️ Route passes through: ${names}`;
+
+        console.warn(message);
+        if (this.game && this.game.updateGameInfo) {
+            this.game.updateGameInfo(message);
+        }
+    }
+
+    /**
+     * Load district polygons and the factions that control them from game data
+     * @param {Array<Object>} districts - WorldSystem districts ({ Id, Name, Type, ControllingFaction, Polygon | Boundaries })
+     * @param {Array<Object>} factions - [{ FactionId, Name, Color, Standing }] (optional)
+     */
+    loadDistricts(districts, factions) {
+        this.districtLayer.setFactions(factions);
+        this.districtLayer.setDistricts(districts);
+    }
+
+    /**
+     * Load avoid zones from game data
+     * @param {Array<Object>} zones - [{ id, name, polygon: [[lat, lng], ...], weight, source, travelModes, blocked }]
+     *   JSON cannot hold Infinity, so impassable zones set blocked: true instead of a weight.
+     */
+    loadAvoidZones(zones) {
+        const avoidZones = this.pathfindingManager.avoidZones;
+        if (!avoidZones || !Array.isArray(zones)) return;
+
+        zones.forEach(zone => {
+            try {
+                avoidZones.addZone({ ...zone, weight: zone.blocked ? Infinity : (zone.weight || 5) });
+            } catch (error) {
+                console.warn(`Skipping invalid avoid zone '${zone.id}':`, error.message);
             }
+        });
+
+        console.log(`Loaded ${zones.length} avoid zones`);
+    }
+
+    /**
+     * Add a temporary avoid zone around a security alert at a known location
+     * @param {Object} alert - TerminalSystem SecurityAlert data ({ AlertId, LocationId, Severity })
+     */
+    addSecurityAlertZone(alert) {
+        const avoidZones = this.pathfindingManager.avoidZones;
+        const location = this.locations.find(loc => loc.id === alert.LocationId);
+        if (!avoidZones || !location) return null;
 
-            // Start movement animation
-            this.startPlayerMovement(path);
+        return avoidZones.addSecurityAlert(alert, L.latLng(location.lat, location.lng));
+    }
+
+    /**
+     * Shade the area the player can reach in a number of game-minutes
+     * Location markers inside the area are highlighted.
+     * @param {number} minutes - Game-time budget
+     * @returns {Object|null} { minutes, area, reachable: [location] }, or null without a player
+     */
+    showIsochrone(minutes) {
+        this.clearIsochrone();
+
+        if (!this.playerPosition) {
+            this.updateGameStatus('Place the player first');
+            return null;
+        }
+
+        const area = this.pathfindingManager.getReachableArea(this.playerPosition, minutes * 60, this.moveMode);
+
+        L.polygon(area.polygon, {
+            color: '#2ecc71',
+            weight: 1,
+            fillOpacity: 0.15,
+            interactive: false
+        }).addTo(this.isochroneLayer);
+
+        const reachable = this.locations.filter(location =>
+            !this.fogOfWar.isHidden(location) && area.contains(L.latLng(location.lat, location.lng)));
+        reachable.forEach(location => {
+            L.circleMarker([location.lat, location.lng], {
+                radius: 18,
+                color: '#2ecc71',
+                weight: 3,
+                fill: false,
+                interactive: false
+            }).addTo(this.isochroneLayer);
+        });
+
+        this.isochrone = {
+            minutes: minutes,
+            area: area,
+            reachable: reachable
+        };
+
+        this.updateGameStatus(`${reachable.length} locations within ${minutes} min`);
+        return this.isochrone;
+    }
+
+    clearIsochrone() {
+        this.isochroneLayer.clearLayers();
+        this.isochrone = null;
+    }
+
+    drawAvoidZones() {
+        this.avoidZoneLayer.clearLayers();
+
+        const colors = { faction: '#c0392b', security: '#e67e22', nofly: '#8e44ad', custom: '#7f8c8d' };
+        this.pathfindingManager.avoidZones.getZones().forEach(zone => {
+            L.polygon(zone.polygon, {
+                color: colors[zone.source] || colors.custom,
+                weight: 1,
+                fillOpacity: zone.weight === Infinity ? 0.25 : 0.12,
+                dashArray: zone.source === 'security' ? '4, 4' : null,
+                interactive: false
+            }).addTo(this.avoidZoneLayer);
         });
     }
 
@@ -136,6 +619,10 @@ class GameMap {
 
             this.playerMarker.bindPopup('<strong>Player</strong><br>Click map to move');
 
+            // Movement animation moves the marker directly, so follow it for the minimap
+            this.playerMarker.on('move', (e) => this.minimap.setPlayerPosition(e.latlng));
+            this.minimap.setPlayerPosition(position);
+
             console.log(`Player marker created at [${lat}, ${lng}]`);
         } else {
             // Update existing marker
@@ -143,29 +630,52 @@ class GameMap {
             console.log(`Player marker moved to [${lat}, ${lng}]`);
         }
 
+        this.fogOfWar.reveal(position);
+        this.refreshMarkerIcons();
+        this.locationSearch.notifyChanged();
+
         // Center map on player
         this.map.setView(position, this.map.getZoom());
     }
 
     /**
      * Start player movement animation along path
+     * @param {Object} path - Path object from findPath()
+     * @param {Object} options - { onComplete() } called after arrival has been handled
      */
-    startPlayerMovement(path) {
-        if (!this.playerMarker) return;
+    startPlayerMovement(path, options = {}) {
+        if (!this.playerMarker) return false;
+
+        // GPS mode: the path is shown as directions, but the player walks it for real
+        if (this.gpsMode) {
+            this.updateGameStatus('GPS mode - follow the path on foot');
+            return false;
+        }
+
+        // Vehicles need fuel and credits for the whole trip
+        const vehicles = this.game ? this.game.vehicles : null;
+        if (vehicles) {
+            const check = vehicles.checkTrip(path);
+            if (!check.ok) {
+                this.refuseTrip(path, check.reason);
+                return false;
+            }
+        }
+        let distanceCharged = 0;
 
         this.isMoving = true;
         this.updateGameStatus('Moving...');
+        this.travelHistory.startLeg(this.playerPosition, path.travelMode || this.moveMode);
 
-        // Animate movement
-        this.pathfindingManager.animateMovement(
-            this.playerMarker,
-            path,
-            5.0, // Speed multiplier for demo
-            () => {
-                // On complete
+        // Animate movement at the travel mode's speed (scaled by game time)
+        this.movementController.start(this.playerMarker, path, {
+            onComplete: (position) => {
+                // Position comes from the controller so redirected routes end in the right place
                 this.isMoving = false;
-                this.playerPosition = path.coordinates[path.coordinates.length - 1];
+                this.playerPosition = L.latLng(position.lat, position.lng);
                 console.log(`Player arrived at [${this.playerPosition.lat}, ${this.playerPosition.lng}]`);
+                this.fogOfWar.reveal(this.playerPosition);
+                const leg = this.travelHistory.endLeg(this.playerPosition);
 
                 this.updateGameStatus('Ready');
 
@@ -184,15 +694,29 @@ class GameMap {
                         position: {
                             lat: this.playerPosition.lat,
                             lng: this.playerPosition.lng
-                        }
+                        },
+                        distance: leg ? leg.distance : 0,
+                        duration: leg ? leg.duration : 0,
+                        travelMode: leg ? leg.travelMode : (path.travelMode || this.moveMode)
                     });
                 }
 
                 // Check if arrived at a location
                 this.checkLocationArrival();
 
-                // Refresh all popup distances now that player moved
+                // Refresh all popup distances and nearby markers now that player moved
                 this.refreshPopups();
+                this.refreshMarkerIcons();
+                this.locationSearch.notifyChanged();
+
+                // Reachable area moves with the player
+                if (this.isochrone) {
+                    this.showIsochrone(this.isochrone.minutes);
+                }
+
+                if (options.onComplete) {
+                    options.onComplete();
+                }
 
                 // Clear path after arrival
                 setTimeout(() => {
@@ -201,41 +725,335 @@ class GameMap {
                         this.game.hidePathInfo();
                     }
                 }, 2000);
+            },
+            onProgress: (progress) => {
+                const currentPath = this.movementController.path || path;
+                this.fogOfWar.reveal(progress.position);
+                this.travelHistory.recordPoint(progress.position);
+
+                if (vehicles) {
+                    // A redirect restarts the distance count on the new path
+                    if (progress.distanceTravelled < distanceCharged) {
+                        distanceCharged = 0;
+                    }
+                    const outcome = vehicles.consume(currentPath.travelMode, progress.distanceTravelled - distanceCharged);
+                    distanceCharged = progress.distanceTravelled;
+
+                    if (outcome !== 'ok') {
+                        this.handleVehicleFailure(outcome, currentPath.travelMode);
+                        return;
+                    }
+                }
+
+                if (this.game && this.game.updateMovementProgress) {
+                    this.game.updateMovementProgress(progress, currentPath);
+                }
+            },
+            onStop: (position) => this.handleMovementStopped(position)
+        });
+
+        return true;
+    }
+
+    /**
+     * Tell the player why a trip can't start
+     */
+    refuseTrip(path, reason) {
+        console.warn(`Trip refused: ${reason}`);
+        this.pathfindingManager.clearPath();
+        this.updateGameStatus(`Can't travel: ${reason}`);
+
+        if (this.game && this.game.eventManager) {
+            this.game.eventManager.emit('movement.refused', {
+                unitId: 'player',
+                travelMode: path.travelMode,
+                distance: path.distance,
+                reason: reason
+            });
+        }
+        if (this.game && this.game.updateGameInfo) {
+            this.game.updateGameInfo(`⛽ ${reason}`);
+        }
+    }
+
+    /**
+     * Stop the player where a vehicle ran dry or broke down
+     */
+    handleVehicleFailure(outcome, travelMode) {
+        const messages = {
+            outOfFuel: 'Out of fuel!',
+            noCredits: 'Out of credits!',
+            breakdown: 'Your vehicle broke down!'
+        };
+
+        this.cancelPlayerMovement(outcome);
+        this.updateGameStatus(messages[outcome] || 'Stopped');
+        if (this.game && this.game.updateGameInfo) {
+            this.game.updateGameInfo(`🚧 ${messages[outcome]} (${travelMode})`);
+        }
+    }
+
+    /**
+     * Pause or resume the player's current movement
+     */
+    togglePlayerMovementPause() {
+        if (!this.isMoving) return false;
+
+        const wasPaused = this.movementController.isPaused();
+        const toggled = this.movementController.togglePause();
+        if (toggled) {
+            this.updateGameStatus(wasPaused ? 'Moving...' : 'Paused');
+            if (wasPaused) {
+                this.travelHistory.resume();
+            } else {
+                this.travelHistory.pause();
             }
-        );
+        }
+        return toggled;
+    }
+
+    /**
+     * Cancel the player's current movement, stopping at the current position
+     * @param {string} reason - Why the move was cancelled ('user', 'powershell', ...)
+     */
+    cancelPlayerMovement(reason = 'user') {
+        // Still choosing between routes: just drop the choice
+        if (this.pendingRoutes && !this.isMoving) {
+            this.clearRouteChoices();
+            return true;
+        }
+        return this.movementController.cancel(reason);
+    }
+
+    /**
+     * Re-route the moving player from the current position to a new destination
+     * A new route the vehicle can't manage stops the player and is refused like a fresh trip.
+     */
+    async redirectPlayerMovement(destination) {
+        console.log(`Redirecting to [${destination.lat}, ${destination.lng}]`);
+        this.updateGameStatus('Re-routing...');
+
+        // The new route has to pass the same vehicle check as a fresh trip
+        const vehicles = this.game ? this.game.vehicles : null;
+        let refused = null;
+        const check = vehicles ? (path) => {
+            const result = vehicles.checkTrip(path);
+            if (!result.ok) {
+                refused = { path, reason: result.reason };
+            }
+            return result;
+        } : null;
+
+        try {
+            const path = await this.movementController.redirect(destination, this.moveMode, { check });
+            if (refused) {
+                // The controller has already stopped the player (onStop)
+                this.refuseTrip(refused.path, refused.reason);
+                return;
+            }
+            if (!path) return;
+
+            this.pathfindingManager.showPath(path);
+            if (this.game && this.game.updatePathInfo) {
+                this.game.updatePathInfo(path);
+            }
+            this.updateGameStatus('Moving...');
+        } catch (error) {
+            // The controller has already stopped the player (onStop)
+            console.error('Redirect failed:', error);
+            this.updateGameStatus('Could not re-route: ' + error.message);
+        }
+    }
+
+    /**
+     * Leave the player where a cancelled movement stopped
+     */
+    handleMovementStopped(position) {
+        this.isMoving = false;
+        if (position) {
+            this.playerPosition = L.latLng(position.lat, position.lng);
+            this.playerMarker.setLatLng(this.playerPosition);
+            this.travelHistory.endLeg(this.playerPosition, true);
+
+            if (this.game && this.game.updatePositionDisplay) {
+                this.game.updatePositionDisplay({
+                    lat: this.playerPosition.lat,
+                    lng: this.playerPosition.lng
+                });
+            }
+        }
+
+        this.pathfindingManager.clearPath();
+        if (this.game && this.game.hidePathInfo) {
+            this.game.hidePathInfo();
+        }
+
+        this.refreshPopups();
+        this.refreshMarkerIcons();
+        this.locationSearch.notifyChanged();
+        this.updateGameStatus('Stopped');
+    }
+
+    /**
+     * Travelled track in GPX or GeoJSON form
+     * @param {string} format - 'gpx' or 'geojson'
+     * @returns {string} File contents
+     */
+    exportTrack(format = 'gpx') {
+        return format === 'geojson'
+            ? JSON.stringify(GeoFormats.trackToGeoJSON(this.travelHistory.getTrackSegments()), null, 2)
+            : GeoFormats.trackToGPX(this.travelHistory.getTrackSegments());
+    }
+
+    /**
+     * Locations as a GeoJSON FeatureCollection string
+     */
+    exportLocationsGeoJSON() {
+        const locations = this.locations.map(location => LocationEditor.snapshot(location));
+        return JSON.stringify(GeoFormats.locationsToGeoJSON(locations), null, 2);
     }
 
     /**
      * Check if player arrived at a game location
      */
     checkLocationArrival() {
-        if (!this.playerPosition) return;
+        const arrived = this.findArrivedLocation();
+        if (arrived) {
+            const location = arrived.location;
+            console.log(`Arrived at location: ${location.name}`);
+
+            // Show location popup (zooming in if the location is clustered)
+            const marker = this.locationLayer.revealLocation(location);
+            if (marker) {
+                marker.openPopup();
+            }
 
-        const arrivalRadius = 50; // meters
+            // Emit location arrival event
+            if (this.game && this.game.eventManager) {
+                this.game.eventManager.emit('location.arrived', {
+                    location: location,
+                    distance: arrived.distance
+                });
+            }
+        }
+    }
 
-        for (const marker of this.markers) {
-            if (!marker.locationData) continue;
+    /**
+     * Closest location whose arrival radius the player is inside
+     * @returns {Object|null} { location, distance }
+     */
+    findArrivedLocation() {
+        if (!this.playerPosition) return null;
 
-            const locPos = L.latLng(marker.locationData.lat, marker.locationData.lng);
+        // Pick the closest location in range (stops can be close together)
+        let arrived = null;
+        for (const location of this.locations) {
+            const locPos = L.latLng(location.lat, location.lng);
             const distance = this.playerPosition.distanceTo(locPos);
 
-            if (distance < arrivalRadius) {
-                console.log(`Arrived at location: ${marker.locationData.name}`);
+            if (distance < LocationRequirements.getArrivalRadius(location) && (!arrived || distance < arrived.distance)) {
+                arrived = { location, distance };
+            }
+        }
+        return arrived;
+    }
 
-                // Show location popup
-                marker.openPopup();
+    /**
+     * Switch to GPS play: the player follows the device, or a recorded track when testing
+     * @param {Array} simulatedPoints - [{ lat, lng, time }] to play back instead of the device (optional)
+     * @returns {boolean} False if no position source is available
+     */
+    startGps(simulatedPoints = null) {
+        if (this.isMoving) {
+            this.cancelPlayerMovement('gps');
+        }
 
-                // Emit location arrival event
-                if (this.game && this.game.eventManager) {
-                    this.game.eventManager.emit('location.arrived', {
-                        location: marker.locationData,
-                        distance: distance
-                    });
-                }
+        const started = simulatedPoints
+            ? this.gps.startSimulation(simulatedPoints)
+            : this.gps.start();
+        if (!started) return false;
+
+        this.gpsMode = true;
+        this.gpsArrivalId = null;
+        this.travelHistory.startLeg(this.playerPosition, 'foot');
+        this.updateGameStatus(simulatedPoints ? 'Simulating GPS from recorded track' : 'Waiting for GPS...');
+        this.notifyGpsChanged();
+        return true;
+    }
+
+    stopGps() {
+        if (!this.gpsMode) return;
+
+        this.gps.stop();
+        this.gpsMode = false;
+        this.travelHistory.endLeg(this.playerPosition);
+        this.gpsLayer.clearLayers();
+        this.gpsAccuracyCircle = null;
 
-                break;
+        // GPS play never completes a trip, which is when exploration and vehicles are saved otherwise
+        this.fogOfWar.save();
+        if (this.game && this.game.vehicles) {
+            this.game.vehicles.save();
+        }
+        this.updateGameStatus('Ready');
+        this.notifyGpsChanged();
+    }
+
+    /**
+     * Move the player to a filtered GPS position
+     * Arrival and visit range use the same checks as click-to-move.
+     * @param {Object} position - { lat, lng, accuracy } from GpsTracker
+     */
+    handleGpsPosition(position) {
+        const latLng = L.latLng(position.lat, position.lng);
+
+        if (!this.playerMarker) {
+            this.setPlayerPosition(latLng.lat, latLng.lng);
+        } else {
+            this.playerPosition = latLng;
+            this.playerMarker.setLatLng(latLng);
+            this.fogOfWar.reveal(latLng);
+            if (this.followGps) {
+                this.map.panTo(latLng);
             }
         }
+        this.travelHistory.recordPoint(latLng);
+
+        if (!this.gpsAccuracyCircle) {
+            this.gpsAccuracyCircle = L.circle(latLng, {
+                radius: position.accuracy,
+                color: '#00d4ff',
+                weight: 1,
+                fillOpacity: 0.15,
+                interactive: false
+            }).addTo(this.gpsLayer);
+        } else {
+            this.gpsAccuracyCircle.setLatLng(latLng);
+            this.gpsAccuracyCircle.setRadius(position.accuracy);
+        }
+
+        if (this.game && this.game.updatePositionDisplay) {
+            this.game.updatePositionDisplay({ lat: latLng.lat, lng: latLng.lng });
+        }
+
+        // Arrival fires when entering a location's radius, not on every fix inside it
+        const arrived = this.findArrivedLocation();
+        const arrivedId = arrived ? arrived.location.id : null;
+        if (arrivedId && arrivedId !== this.gpsArrivalId) {
+            this.checkLocationArrival();
+        }
+        this.gpsArrivalId = arrivedId;
+
+        this.refreshPopups();
+        this.refreshMarkerIcons();
+        this.locationSearch.notifyChanged();
+        this.notifyGpsChanged();
+    }
+
+    notifyGpsChanged() {
+        if (this.game && this.game.updateGpsPanel) {
+            this.game.updateGpsPanel();
+        }
     }
 
     /**
@@ -248,10 +1066,19 @@ class GameMap {
     }
 
     /**
-     * Check if player is within visit range of a location (100m)
+     * Check if player is within visit range of a location (its radius, 100m by default)
      */
     isWithinVisitRange(location) {
-        return this.getDistanceToLocation(location) <= 100;
+        return this.getDistanceToLocation(location) <= LocationRequirements.getVisitRadius(location);
+    }
+
+    /**
+     * Check a location's entry requirements against the player
+     * @returns {Object} { met, unmet: [{ type, message }] }
+     */
+    checkLocationRequirements(location) {
+        const player = this.game && this.game.getRequirementContext ? this.game.getRequirementContext() : {};
+        return LocationRequirements.check(location, player);
     }
 
     /**
@@ -263,19 +1090,24 @@ class GameMap {
             this.moveMode = mode;
             this.travelMode = mode; // Alias for compatibility
             console.log(`Travel mode set to: ${mode}`);
+
+            if (this.isochrone) {
+                this.showIsochrone(this.isochrone.minutes);
+            }
         } else {
             console.warn(`Invalid travel mode: ${mode}. Use one of: ${validModes.join(', ')}`);
         }
     }
 
     /**
-     * Refresh all location popups with current distance
-     * Call this after player moves to update distances
+     * Refresh open location popups with current distance
+     * Call this after player moves to update distances. Closed popups are
+     * rebuilt when they are clicked, so only visible ones need updating.
      */
     refreshPopups() {
-        this.markers.forEach((marker, index) => {
-            if (marker.locationData) {
-                marker.setPopupContent(this.createPopupContent(marker.locationData, index));
+        this.locationLayer.getVisibleMarkers().forEach(marker => {
+            if (marker.isPopupOpen()) {
+                marker.setPopupContent(this.createPopupContent(marker.locationData));
             }
         });
     }
@@ -295,14 +1127,16 @@ class GameMap {
         // Clear existing markers
         this.clearMarkers();
 
-        locations.forEach(location => {
-            this.addLocationMarker(location);
-        });
+        this.locations = locations.slice();
+        this.locationEditor.clearHistory();
+        this.fogOfWar.setLocations(this.locations);
+        this.registerLocationTypeOverlays(this.locations);
+        this.locationLayer.setLocations(this.locations);
+        this.locationsChanged();
 
-        // Fit map to show all markers
-        if (this.markers.length > 0) {
-            const group = new L.featureGroup(this.markers);
-            this.map.fitBounds(group.getBounds().pad(0.1));
+        // Fit map to show all locations
+        if (this.locations.length > 0) {
+            this.map.fitBounds(this.locationLayer.getBounds().pad(0.1));
 
             // Create player at the first location or center of map
             if (!this.playerMarker) {
@@ -316,154 +1150,96 @@ class GameMap {
         }
     }
 
+    /**
+     * Add a single location to the map
+     * @returns {L.Marker|null} Its marker, or null while it is clustered or off-screen
+     */
     addLocationMarker(location) {
-        // Create custom icon based on location type
-        const icon = this.createCustomIcon(location.type);
+        this.locations.push(location);
+        this.fogOfWar.setLocations(this.locations);
+        this.registerLocationTypeOverlays([location]);
+        this.locationLayer.setLocations(this.locations);
+        this.locationsChanged();
+        return this.locationLayer.getMarker(location);
+    }
 
-        // Create marker
-        const marker = L.marker([location.lat, location.lng], { icon })
-            .addTo(this.map);
+    /**
+     * Build the marker for a location (called by locationLayer as it comes into view)
+     */
+    createLocationMarker(location) {
+        // Icon from the marker theme for the location's type and state
+        const icon = this.getLocationIcon(location);
+
+        // Create marker (draggable while authoring)
+        const editing = this.locationEditor && this.locationEditor.active;
+        const marker = L.marker([location.lat, location.lng], { icon, draggable: editing });
+        if (editing) {
+            marker.on('dragend', () => this.locationEditor.moveLocation(marker.locationData, marker.getLatLng()));
+        }
 
         // Store location data on marker for later access
         marker.locationData = location;
+        marker.bindPopup(this.createPopupContent(location));
 
-        // Create popup content with unique ID
-        const markerId = this.markers.length;
-        const popupContent = this.createPopupContent(location, markerId);
-        marker.bindPopup(popupContent);
-
-        // Add click event to marker to set up button handler after popup opens
         marker.on('click', () => {
+            // Authoring mode: clicking selects the location for the editor form
+            if (this.locationEditor.active) {
+                marker.closePopup();
+                this.locationEditor.select(marker.locationData);
+                return;
+            }
+
+            // Itinerary selection: clicking toggles the stop instead of opening the popup
+            if (this.itineraryPlanner && this.itineraryPlanner.isSelecting) {
+                marker.closePopup();
+                this.itineraryPlanner.toggleStop(marker.locationData);
+                return;
+            }
+
             // Refresh popup content with current distance
-            marker.setPopupContent(this.createPopupContent(location, markerId));
-
-            // Set up button click handler after popup opens
-            setTimeout(() => {
-                const button = document.getElementById(`visit-btn-${markerId}`);
-                if (button) {
-                    button.onclick = () => {
-                        const action = button.getAttribute('data-action');
-                        if (action === 'visit') {
-                            // Player is nearby - allow visit
-                            this.game.visitLocation(marker.locationData);
-                            this.updateMarkerAfterVisit(marker, marker.locationData);
-                        } else {
-                            // Player is far - navigate to location
-                            marker.closePopup();
-                            this.navigateToLocation(marker.locationData);
-                        }
-                    };
-                }
-            }, 100);
+            marker.setPopupContent(this.createPopupContent(location));
         });
 
-        // Store reference
-        this.markers.push(marker);
-
         return marker;
     }
 
-    createCustomIcon(type) {
-        let iconColor = '#3498db'; // default blue
-        let iconSymbol = '📍';
-
-        switch (type) {
-            case 'start':
-                iconColor = '#2ecc71';
-                iconSymbol = '🏠';
-                break;
-            case 'treasure':
-                iconColor = '#f1c40f';
-                iconSymbol = '💎';
-                break;
-            case 'quest':
-                iconColor = '#9b59b6';
-                iconSymbol = '⚔️';
-                break;
-            case 'shop':
-                iconColor = '#e67e22';
-                iconSymbol = '🏪';
-                break;
-        }
-
-        return L.divIcon({
-            className: 'custom-marker',
-            html: `<div style="
-                background-color: ${iconColor};
-                border: 2px solid #fff;
-                border-radius: 50%;
-                width: 30px;
-                height: 30px;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                font-size: 16px;
-                box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-            ">${iconSymbol}</div>`,
-            iconSize: [30, 30],
-            iconAnchor: [15, 15],
-            popupAnchor: [0, -15]
-        });
+    /**
+     * Popup element for a location (see PopupRenderer.TEMPLATES)
+     */
+    createPopupContent(location) {
+        return this.popups.render(location, this.getPopupContext(location));
     }
 
-    createPopupContent(location, markerId) {
-        // Handle items as string or array
-        let itemsList = '';
-        if (location.items) {
-            const items = Array.isArray(location.items) ? location.items : [location.items];
-            if (items.length > 0) {
-                itemsList = `
-                    <h4>Items:</h4>
-                    <ul>
-                        ${items.map(item => `<li>${String(item).replace(/_/g, ' ')}</li>`).join('')}
-                    </ul>
-                `;
-            }
-        }
+    /**
+     * Values popup templates use besides the location itself
+     */
+    getPopupContext(location) {
+        const distance = this.getDistanceToLocation(location);
+        return {
+            distance: distance,
+            nearby: this.isWithinVisitRange(location),
+            unmet: this.checkLocationRequirements(location).unmet,
+            distanceText: distance === Infinity ? 'Distance unknown'
+                : distance < 1000 ? `${Math.round(distance)}m away` : `${(distance / 1000).toFixed(1)}km away`
+        };
+    }
 
-        let pointsInfo = '';
-        if (location.points) {
-            pointsInfo = `<p><strong>Points:</strong> ${location.points}</p>`;
-        }
+    /**
+     * Actions for popup buttons (data-action="visit" / "goto")
+     */
+    registerPopupActions() {
+        this.popups.registerAction('visit', (location) => {
+            // Player is nearby - visit if the requirements are met
+            if (this.game.visitLocation(location)) {
+                this.updateMarkerAfterVisit(this.locationLayer.getMarker(location), location);
+            }
+        });
 
-        // Calculate distance and determine button state
-        const distance = this.getDistanceToLocation(location);
-        const isNearby = distance <= 100;
-        const distanceText = distance < 1000
-            ? `${Math.round(distance)}m away`
-            : `${(distance / 1000).toFixed(1)}km away`;
-
-        const buttonStyle = isNearby
-            ? 'background-color: #2ecc71; color: white;'  // Green for visit
-            : 'background-color: #3498db; color: white;'; // Blue for travel
-
-        const buttonText = isNearby ? '✓ Visit Location' : '🚶 Go to Location';
-        const buttonAction = isNearby ? 'visit' : 'goto';
-
-        return `
-            <div style="min-width: 200px;">
-                <h3>${location.name}</h3>
-                <p>${location.description}</p>
-                <p style="color: ${isNearby ? '#2ecc71' : '#e74c3c'}; font-size: 0.9em;">
-                    📍 ${isNearby ? 'Nearby' : distanceText} ${isNearby ? '(can visit)' : '(too far to visit)'}
-                </p>
-                ${pointsInfo}
-                ${itemsList}
-                <button id="visit-btn-${markerId}"
-                        data-action="${buttonAction}"
-                        style="
-                            ${buttonStyle}
-                            border: none;
-                            padding: 8px 15px;
-                            border-radius: 3px;
-                            cursor: pointer;
-                            margin-top: 10px;
-                            font-weight: bold;
-                        ">
-                    ${buttonText}
-                </button>
-            </div>
-        `;
+        this.popups.registerAction('goto', (location) => {
+            // Player is far - navigate to location
+            this.map.closePopup();
+            this.navigateToLocation(location);
+        });
     }
 
     /**
@@ -497,9 +1273,12 @@ class GameMap {
                     this.game.updatePathInfo({
                         distance: pathData.distance,
                         duration: pathData.duration,
-                        type: pathData.type
+                        type: pathData.type,
+                        travelMode: pathData.travelMode,
+                        zonesCrossed: pathData.zonesCrossed
                     });
                 }
+                this.warnAboutZones(pathData);
 
                 // Use existing movement method
                 this.startPlayerMovement(pathData);
@@ -514,49 +1293,66 @@ class GameMap {
     }
 
     updateMarkerAfterVisit(marker, location) {
-        // Change marker appearance after visit
-        const visitedIcon = L.divIcon({
-            className: 'custom-marker visited',
-            html: `<div style="
-                background-color: #95a5a6;
-                border: 2px solid #fff;
-                border-radius: 50%;
-                width: 30px;
-                height: 30px;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-                font-size: 16px;
-                box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-                opacity: 0.7;
-            ">✓</div>`,
-            iconSize: [30, 30],
-            iconAnchor: [15, 15],
-            popupAnchor: [0, -15]
-        });
+        location.visited = true;
 
-        marker.setIcon(visitedIcon);
+        // Change marker appearance after visit (null while the location is clustered)
+        if (marker) {
+            marker.setIcon(this.getLocationIcon(location));
+        }
+        this.locationsChanged();
     }
 
     clearMarkers() {
-        this.markers.forEach(marker => {
-            this.map.removeLayer(marker);
-        });
-        this.markers = [];
+        this.locationLayer.clear();
+        this.locations = [];
+        this.locationsChanged();
     }
 
     clearMap() {
+        this.stopGps();
         this.clearMarkers();
+        this.travelHistory.clear();
+        this.districtLayer.clear();
+        this.fogOfWar.reset();
     }
 
     // Method to add custom markers from PowerShell data
+    // Accepts a JSON array of locations or a GeoJSON FeatureCollection of points
     addMarkersFromPowerShellData(data) {
         try {
-            const locations = JSON.parse(data);
-            this.loadLocations(locations);
+            const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+            if (GeoFormats.isGeoJSON(parsed)) {
+                const { locations, skipped } = GeoFormats.locationsFromGeoJSON(parsed);
+                if (skipped > 0) {
+                    console.warn(`Skipped ${skipped} GeoJSON features that are not points`);
+                }
+                this.loadLocations(locations);
+                return locations;
+            }
+
+            this.loadLocations(parsed);
+            return parsed;
         } catch (error) {
             console.error('Error parsing PowerShell data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Download the tiles for the visible area so it can be played offline
+     * @param {number[]} zooms - Zoom levels (default: the current zoom and the next two)
+     * @param {Function} onProgress - ({ done, total, failed }) => void (optional)
+     * @returns {Promise<Object>} Seed result from TileCache.seed()
+     */
+    seedVisibleTiles(zooms = null, onProgress = null) {
+        const source = this.layers.getActiveBaseMap();
+        if (!source || !source.cache) {
+            return Promise.reject(new Error(`${source ? source.name : 'This base map'} is not cached - switch to an online map`));
         }
+
+        const zoom = this.map.getZoom();
+        const levels = zooms || [zoom, zoom + 1, zoom + 2].filter(z => z <= (source.maxZoom || 19));
+        return this.tileCache.seed(this.getCurrentBounds(), levels, source, { onProgress });
     }
 
     // Method to get current map bounds (useful for PowerShell scripts)
@@ -570,3 +1366,11 @@ class GameMap {
         };
     }
 }
+
+// Whole-earth view shown before a world is chosen
+GameMap.DEFAULT_VIEW = { center: [20, 0], zoom: 2 };
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GameMap;
+}
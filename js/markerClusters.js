@@ -0,0 +1,200 @@
+// markerClusters.js
+// Zoom-dependent clustering of location markers
+//
+// Locations are bucketed into a pixel grid at the current zoom. Only locations in the
+// viewport (plus a margin) are materialised: lone locations get a real marker from the
+// createMarker callback, crowded cells get a single count badge. Markers that leave the
+// viewport are dropped, so the map only ever holds what is on screen.
+//
+// Requires popupRenderer.js (PopupRenderer.escapeHtml for cluster tooltips)
+
+class MarkerClusterLayer {
+    /**
+     * @param {L.Map} map - Leaflet map
+     * @param {Object} options - Configuration options
+     * @param {Function} options.createMarker - (location) => L.Marker for a single location
+     * @param {Function} options.filter - (location) => boolean; false keeps a location off the map (optional)
+     * @param {number} options.cellSize - Grid cell size in pixels (default: 60)
+     * @param {number} options.disableClusteringAtZoom - Zoom from which every location gets its own marker (default: 16)
+     * @param {number} options.viewportPadding - Fraction of the viewport materialised around it (default: 0.25)
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.createMarker = options.createMarker;
+        this.filter = options.filter || null;
+        this.cellSize = options.cellSize || 60;
+        this.disableClusteringAtZoom = options.disableClusteringAtZoom || 16;
+        this.viewportPadding = options.viewportPadding !== undefined ? options.viewportPadding : 0.25;
+
+        this.locations = [];
+        this.markers = new Map(); // location -> materialised L.Marker
+        this.clusterMarkers = [];
+        this.layer = L.layerGroup().addTo(map);
+
+        // moveend also fires after every zoom
+        this.map.on('moveend', () => this.render());
+    }
+
+    /**
+     * Replace the clustered locations
+     * @param {Array} locations - Location data objects ({ lat, lng, type, ... })
+     */
+    setLocations(locations) {
+        this.clear();
+        this.locations = locations.slice();
+        this.render();
+    }
+
+    clear() {
+        this.layer.clearLayers();
+        this.markers.clear();
+        this.clusterMarkers = [];
+        this.locations = [];
+    }
+
+    /**
+     * Rebuild clusters for the current view, reusing markers that stay visible
+     */
+    render() {
+        const zoom = this.map.getZoom();
+        const bounds = this.map.getBounds().pad(this.viewportPadding);
+        const inView = this.locations.filter(location =>
+            bounds.contains([location.lat, location.lng]) && (!this.filter || this.filter(location)));
+
+        let singles = inView;
+        const clusters = [];
+
+        if (zoom < this.disableClusteringAtZoom) {
+            const cells = new Map();
+            inView.forEach(location => {
+                const point = this.map.project([location.lat, location.lng], zoom);
+                const key = `${Math.floor(point.x / this.cellSize)}:${Math.floor(point.y / this.cellSize)}`;
+                if (!cells.has(key)) cells.set(key, []);
+                cells.get(key).push(location);
+            });
+
+            singles = [];
+            cells.forEach(members => {
+                if (members.length === 1) {
+                    singles.push(members[0]);
+                } else {
+                    clusters.push(members);
+                }
+            });
+        }
+
+        // Drop markers that were clustered or scrolled away, then add the new ones
+        const wanted = new Set(singles);
+        this.markers.forEach((marker, location) => {
+            if (!wanted.has(location)) {
+                this.layer.removeLayer(marker);
+                this.markers.delete(location);
+            }
+        });
+        singles.forEach(location => {
+            if (!this.markers.has(location)) {
+                const marker = this.createMarker(location);
+                this.markers.set(location, marker);
+                this.layer.addLayer(marker);
+            }
+        });
+
+        this.clusterMarkers.forEach(marker => this.layer.removeLayer(marker));
+        this.clusterMarkers = clusters.map(members => {
+            const marker = this.createClusterMarker(members);
+            this.layer.addLayer(marker);
+            return marker;
+        });
+    }
+
+    /**
+     * Count badge for a group of locations; clicking zooms in to split it
+     */
+    createClusterMarker(members) {
+        const center = members.reduce((sum, location) => {
+            sum.lat += location.lat / members.length;
+            sum.lng += location.lng / members.length;
+            return sum;
+        }, { lat: 0, lng: 0 });
+
+        const size = members.length < 10 ? 'small' : members.length < 50 ? 'medium' : 'large';
+        const marker = L.marker([center.lat, center.lng], {
+            icon: L.divIcon({
+                className: `location-cluster location-cluster-${size}`,
+                html: `<div><span>${members.length}</span></div>`,
+                iconSize: [40, 40],
+                iconAnchor: [20, 20]
+            })
+        });
+
+        marker.clusterLocations = members;
+        marker.bindTooltip(this.getTypeBreakdown(members)
+            .map(entry => `${PopupRenderer.escapeHtml(entry.type)}: ${entry.count}`)
+            .join('<br>'), { direction: 'top', offset: [0, -20] });
+
+        marker.on('click', () => {
+            const bounds = L.latLngBounds(members.map(location => [location.lat, location.lng]));
+            this.map.fitBounds(bounds.pad(0.2), { maxZoom: this.disableClusteringAtZoom });
+        });
+
+        return marker;
+    }
+
+    /**
+     * Location counts per type, most common first
+     * @returns {Array} [{ type, count }]
+     */
+    getTypeBreakdown(locations) {
+        const counts = {};
+        locations.forEach(location => {
+            const type = location.type || 'location';
+            counts[type] = (counts[type] || 0) + 1;
+        });
+
+        return Object.keys(counts)
+            .map(type => ({ type, count: counts[type] }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Materialised marker for a location, or null while it is clustered or off-screen
+     */
+    getMarker(location) {
+        return this.markers.get(location) || null;
+    }
+
+    /**
+     * Markers currently on the map (not counting cluster badges)
+     */
+    getVisibleMarkers() {
+        return Array.from(this.markers.values());
+    }
+
+    /**
+     * Bring a location on screen as its own marker, zooming in if it is clustered
+     * @returns {L.Marker|null} The location's marker
+     */
+    revealLocation(location) {
+        if (this.filter && !this.filter(location)) {
+            return null;
+        }
+        if (!this.markers.has(location)) {
+            const zoom = Math.max(this.map.getZoom(), this.disableClusteringAtZoom);
+            this.map.setView([location.lat, location.lng], zoom, { animate: false });
+            this.render();
+        }
+        return this.getMarker(location);
+    }
+
+    /**
+     * Bounds of every location, clustered or not
+     */
+    getBounds() {
+        return L.latLngBounds(this.locations.map(location => [location.lat, location.lng]));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkerClusterLayer;
+}
@@ -0,0 +1,218 @@
+// minimap.js
+// Overview minimap in a corner of the main map
+//
+// A second, non-interactive Leaflet map a few zoom levels out. It shows the main
+// viewport rectangle, the player, discovered locations and the active path.
+// Clicking or dragging on it pans the main map. The map itself is only created the
+// first time the minimap is shown (UISettings.ShowMinimap).
+
+class Minimap {
+    /**
+     * @param {L.Map} mainMap - Map the minimap follows
+     * @param {Object} options - Configuration options
+     * @param {number} options.zoomOffset - Zoom levels below the main map (default: 5)
+     * @param {number} options.width - Width in pixels (default: 180)
+     * @param {number} options.height - Height in pixels (default: 140)
+     * @param {string} options.position - Control corner (default: 'bottomright')
+     * @param {Function} options.createBaseLayer - () => L.TileLayer for the minimap background
+     */
+    constructor(mainMap, options = {}) {
+        this.mainMap = mainMap;
+        this.zoomOffset = options.zoomOffset || 5;
+        this.createBaseLayer = options.createBaseLayer || null;
+
+        this.map = null;
+        this.visible = false;
+        this.dragging = false;
+        this.baseLayer = null;
+
+        // What to draw, kept while the minimap is hidden
+        this.playerPosition = null;
+        this.pathCoordinates = null;
+        this.locations = [];
+
+        this.container = L.DomUtil.create('div', 'minimap');
+        this.container.style.width = `${options.width || 180}px`;
+        this.container.style.height = `${options.height || 140}px`;
+        L.DomEvent.disableClickPropagation(this.container);
+        L.DomEvent.disableScrollPropagation(this.container);
+
+        const MinimapControl = L.Control.extend({
+            onAdd: () => this.container,
+            onRemove: () => {}
+        });
+        this.control = new MinimapControl({ position: options.position || 'bottomright' });
+
+        this.mainMap.on('move', () => this.updateViewport());
+        this.mainMap.on('moveend', () => {
+            if (!this.dragging) this.sync();
+        });
+    }
+
+    /**
+     * Show or hide the minimap
+     */
+    setVisible(visible) {
+        if (visible === this.visible) return;
+        this.visible = visible;
+
+        if (!visible) {
+            this.control.remove();
+            return;
+        }
+
+        this.control.addTo(this.mainMap);
+        if (!this.map) {
+            this.createMap();
+        } else {
+            this.map.invalidateSize();
+        }
+        this.sync();
+    }
+
+    createMap() {
+        this.map = L.map(this.container, {
+            attributionControl: false,
+            zoomControl: false,
+            dragging: false,
+            scrollWheelZoom: false,
+            doubleClickZoom: false,
+            boxZoom: false,
+            keyboard: false,
+            touchZoom: false
+        });
+        this.map.setView(this.mainMap.getCenter(), this.getZoom());
+
+        this.refreshBaseLayer();
+        this.locationLayer = L.layerGroup().addTo(this.map);
+        this.pathLine = L.polyline([], { color: '#3388ff', weight: 2, interactive: false }).addTo(this.map);
+        this.viewportRect = L.rectangle(this.mainMap.getBounds(), {
+            color: '#e74c3c',
+            weight: 1,
+            fillOpacity: 0.1,
+            interactive: false
+        }).addTo(this.map);
+        this.playerDot = L.circleMarker([0, 0], {
+            radius: 4,
+            color: '#fff',
+            weight: 1,
+            fillColor: '#00ff00',
+            fillOpacity: 1,
+            interactive: false
+        });
+
+        // Press and drag to pan the main map; the minimap re-centres on release
+        this.map.on('mousedown', (e) => {
+            this.dragging = true;
+            this.panMainMap(e.latlng);
+        });
+        this.map.on('mousemove', (e) => {
+            if (this.dragging) this.panMainMap(e.latlng);
+        });
+        L.DomEvent.on(document, 'mouseup', () => {
+            if (!this.dragging) return;
+            this.dragging = false;
+            this.sync();
+        });
+
+        this.drawLocations();
+        this.drawPath();
+        this.drawPlayer();
+    }
+
+    getZoom() {
+        return Math.max(0, this.mainMap.getZoom() - this.zoomOffset);
+    }
+
+    panMainMap(latLng) {
+        this.mainMap.panTo(latLng, { animate: false });
+    }
+
+    /**
+     * Follow the main map's centre and zoom
+     */
+    sync() {
+        if (!this.map || !this.visible) return;
+        this.map.setView(this.mainMap.getCenter(), this.getZoom(), { animate: false });
+        this.updateViewport();
+    }
+
+    updateViewport() {
+        if (!this.map || !this.visible) return;
+        this.viewportRect.setBounds(this.mainMap.getBounds());
+    }
+
+    /**
+     * Rebuild the background from createBaseLayer (call when the main base map changes)
+     */
+    refreshBaseLayer() {
+        if (!this.map || !this.createBaseLayer) return;
+
+        if (this.baseLayer) {
+            this.map.removeLayer(this.baseLayer);
+        }
+        this.baseLayer = this.createBaseLayer();
+        if (this.baseLayer) {
+            this.baseLayer.addTo(this.map);
+        }
+    }
+
+    setPlayerPosition(latLng) {
+        this.playerPosition = latLng;
+        this.drawPlayer();
+    }
+
+    /**
+     * @param {Array|null} coordinates - Active path, or null to clear it
+     */
+    setPath(coordinates) {
+        this.pathCoordinates = coordinates;
+        this.drawPath();
+    }
+
+    /**
+     * @param {Array} locations - Locations to show (already filtered to discovered ones)
+     */
+    setLocations(locations) {
+        this.locations = locations;
+        this.drawLocations();
+    }
+
+    drawPlayer() {
+        if (!this.map) return;
+
+        if (!this.playerPosition) {
+            this.map.removeLayer(this.playerDot);
+            return;
+        }
+        this.playerDot.setLatLng(this.playerPosition);
+        if (!this.map.hasLayer(this.playerDot)) {
+            this.playerDot.addTo(this.map);
+        }
+    }
+
+    drawPath() {
+        if (!this.map) return;
+        this.pathLine.setLatLngs(this.pathCoordinates || []);
+    }
+
+    drawLocations() {
+        if (!this.map) return;
+
+        this.locationLayer.clearLayers();
+        this.locations.forEach(location => {
+            L.circleMarker([location.lat, location.lng], {
+                radius: 2,
+                color: location.visited ? '#95a5a6' : '#f1c40f',
+                weight: 1,
+                fillOpacity: 1,
+                interactive: false
+            }).addTo(this.locationLayer);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Minimap;
+}
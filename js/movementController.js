@@ -0,0 +1,262 @@
+// movementController.js
+// Pause, resume, cancel and redirect a unit's movement along a path
+
+class MovementController {
+    /**
+     * Create a movement controller for one unit
+     * @param {PathfindingManager} pathfindingManager - Used to animate and re-route
+     * @param {Object} options - Configuration options
+     * @param {EventManager} options.eventManager - Receives movement.* events (optional)
+     * @param {string} options.unitId - Unit id reported in events (default: 'player')
+     */
+    constructor(pathfindingManager, options = {}) {
+        this.pathfinding = pathfindingManager;
+        this.eventManager = options.eventManager || null;
+        this.unitId = options.unitId || 'player';
+
+        this.state = 'idle'; // idle, moving, paused, rerouting
+        this.marker = null;
+        this.path = null;
+        this.animation = null;
+        this.callbacks = {};
+        this.reroute = null; // Token of the redirect whose route is being calculated
+    }
+
+    /**
+     * Start moving a marker along a path (replaces any current movement)
+     * @param {L.Marker} marker - Unit marker
+     * @param {Object} path - Path object from findPath()
+     * @param {Object} callbacks - { onComplete(position), onProgress(progress), onStop(position) }
+     */
+    start(marker, path, callbacks = {}) {
+        if (this.animation) {
+            this.animation.cancel();
+        }
+
+        this.marker = marker;
+        this.path = path;
+        this.callbacks = callbacks;
+        this.state = 'moving';
+
+        this.animation = this.pathfinding.animateMovement(
+            marker,
+            path,
+            null,
+            () => {
+                const position = this.getPosition();
+                this.reset();
+                if (callbacks.onComplete) callbacks.onComplete(position);
+            },
+            callbacks.onProgress || null
+        );
+
+        // Invalid path: animateMovement already completed synchronously
+        if (!this.animation) {
+            this.reset();
+        }
+    }
+
+    /**
+     * Pause the current movement in place
+     * @returns {boolean} True if a movement was paused
+     */
+    pause() {
+        if (this.state !== 'moving' || !this.animation.pause()) {
+            return false;
+        }
+
+        this.state = 'paused';
+        this.emit('movement.paused', {
+            position: this.serializePosition(this.getPosition()),
+            progress: this.getProgressSummary()
+        });
+
+        console.log(`Movement paused for ${this.unitId}`);
+        return true;
+    }
+
+    /**
+     * Resume a paused movement
+     * @returns {boolean} True if a movement was resumed
+     */
+    resume() {
+        if (this.state !== 'paused' || !this.animation.resume()) {
+            return false;
+        }
+
+        this.state = 'moving';
+        this.emit('movement.resumed', {
+            position: this.serializePosition(this.getPosition()),
+            progress: this.getProgressSummary()
+        });
+
+        console.log(`Movement resumed for ${this.unitId}`);
+        return true;
+    }
+
+    /**
+     * Toggle between paused and moving
+     */
+    togglePause() {
+        return this.state === 'paused' ? this.resume() : this.pause();
+    }
+
+    /**
+     * Cancel the current movement, leaving the unit at its interpolated position
+     * Cancelling while a redirect is re-routing drops the new route when it arrives.
+     * @param {string} reason - Why the move was cancelled ('user', 'powershell', ...)
+     * @param {Object} details - Extra fields for the movement.cancelled event
+     * @returns {boolean} True if a movement was cancelled
+     */
+    cancel(reason = 'user', details = {}) {
+        if (!this.isActive()) {
+            return false;
+        }
+
+        const position = this.getPosition();
+        const progress = this.getProgressSummary();
+        const onStop = this.callbacks.onStop;
+
+        if (this.animation) {
+            this.animation.cancel();
+        }
+        this.reset();
+
+        this.emit('movement.cancelled', {
+            position: this.serializePosition(position),
+            progress: progress,
+            reason: reason,
+            ...details
+        });
+
+        console.log(`Movement cancelled for ${this.unitId} (${reason})`);
+
+        if (onStop) onStop(position);
+        return true;
+    }
+
+    /**
+     * Re-route from the current position to a new destination
+     * The unit waits in the 'rerouting' state while the route is calculated; if it is
+     * cancelled, started elsewhere or redirected again meanwhile, this route is dropped.
+     * @param {L.LatLng} destination - New target position
+     * @param {string} travelMode - Travel mode for the new route (default: current path's mode)
+     * @param {Object} options - Redirect options
+     * @param {Function} options.check - Vets the new path before moving: returns { ok, reason } (optional);
+     *   a refused path cancels the movement (reason 'refused', with the check's reason as refusal)
+     * @returns {Promise<Object|null>} The new path, or null if nothing was moving, the route was dropped or refused
+     * @throws When no route could be found; the movement is cancelled first (reason 'reroute-failed')
+     */
+    async redirect(destination, travelMode = null, options = {}) {
+        if (!this.isActive()) {
+            return null;
+        }
+
+        const marker = this.marker;
+        const callbacks = this.callbacks;
+        const mode = travelMode || this.path.travelMode;
+        const from = this.getPosition();
+        const reroute = {};
+
+        // Stop where we are while the new route is calculated
+        if (this.animation) {
+            this.animation.cancel();
+            this.animation = null;
+        }
+        this.state = 'rerouting';
+        this.reroute = reroute;
+
+        let path;
+        try {
+            path = await this.pathfinding.findPath(from, destination, mode);
+        } catch (error) {
+            if (this.reroute !== reroute || this.state !== 'rerouting') {
+                return null;
+            }
+            this.cancel('reroute-failed', { error: error.message });
+            throw error;
+        }
+
+        if (this.reroute !== reroute || this.state !== 'rerouting') {
+            console.log(`Redirect for ${this.unitId} dropped: movement changed while re-routing`);
+            return null;
+        }
+        this.reroute = null;
+
+        if (options.check) {
+            const check = options.check(path);
+            if (!check.ok) {
+                this.cancel('refused', { refusal: check.reason });
+                return null;
+            }
+        }
+
+        this.emit('movement.redirected', {
+            from: this.serializePosition(from),
+            destination: this.serializePosition(destination),
+            distance: path.distance,
+            duration: path.duration,
+            travelMode: path.travelMode,
+            pathType: path.type
+        });
+
+        console.log(`Movement redirected for ${this.unitId} to [${destination.lat}, ${destination.lng}]`);
+
+        this.start(marker, path, callbacks);
+        return path;
+    }
+
+    /**
+     * Check if a movement is in progress (moving, paused or re-routing)
+     */
+    isActive() {
+        return this.state === 'rerouting' || (this.state !== 'idle' && this.animation !== null);
+    }
+
+    isPaused() {
+        return this.state === 'paused';
+    }
+
+    /**
+     * Current interpolated position of the unit
+     */
+    getPosition() {
+        if (this.animation) {
+            return this.animation.getPosition();
+        }
+        return this.marker ? this.marker.getLatLng() : null;
+    }
+
+    getProgressSummary() {
+        if (!this.animation) return null;
+
+        const progress = this.animation.getProgress();
+        return {
+            percent: progress.percent,
+            remainingDistance: progress.remainingDistance,
+            eta: progress.eta
+        };
+    }
+
+    reset() {
+        this.state = 'idle';
+        this.animation = null;
+        this.path = null;
+        this.reroute = null;
+    }
+
+    serializePosition(position) {
+        return position ? { lat: position.lat, lng: position.lng } : null;
+    }
+
+    emit(eventType, data) {
+        if (this.eventManager) {
+            this.eventManager.emit(eventType, { unitId: this.unitId, ...data });
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MovementController;
+}
@@ -1,13 +1,120 @@
 // pathfinding.js
-// Client-side pathfinding with OSRM and fallback options
+// Client-side pathfinding with pluggable routing providers and fallback chains
+//
+// Requires routingProviders.js and routeCache.js (roadGraph.js for offline routing, avoidZones.js for zone-aware routing)
 
 class PathfindingManager {
     constructor(map) {
         this.map = map;
-        this.osrmUrl = 'https://router.project-osrm.org/route/v1';
-        this.routeCache = new Map();
+        this.routeCache = new RouteCache();
         this.currentPath = null;
         this.pathLayer = null;
+        this.layerGroup = L.layerGroup().addTo(map); // Everything showPath draws, so it can be toggled as one overlay
+        this.alternativeLayers = []; // Extra routes drawn by showPath(..., { alternative: true })
+        this.pathChangeListeners = [];
+        this.directPathThreshold = 500; // meters - shorter trips always go straight
+        this.gameTimeMultiplier = 60; // game seconds per real second during movement
+
+        // Routing providers, tried in order per travel mode
+        this.providers = new Map();
+        this.fallbackChains = {
+            foot: ['local', 'direct'],
+            car: ['osrm', 'local', 'direct'],
+            motorcycle: ['osrm', 'local', 'direct'],
+            van: ['osrm', 'local', 'direct'],
+            aerial: ['direct']
+        };
+
+        this.registerProvider('osrm', new OSRMRoutingProvider());
+        if (typeof RoadGraphRouter !== 'undefined') {
+            this.registerProvider('local', new LocalGraphRoutingProvider());
+        }
+        this.registerProvider('direct', new DirectRoutingProvider());
+
+        // Hostile territory, security alerts and no-fly zones
+        this.avoidZones = typeof AvoidZoneManager !== 'undefined' ? new AvoidZoneManager() : null;
+
+        // Route cache hit rates appear next to the command statistics
+        if (typeof GameCommandClient !== 'undefined' && GameCommandClient.registerStatisticsProvider) {
+            GameCommandClient.registerStatisticsProvider('routeCache', () => this.getCacheStatistics());
+        }
+    }
+
+    /**
+     * Register (or replace) a routing provider
+     * @param {string} name - Provider name used in fallback chains and path.provider
+     * @param {RoutingProvider} provider - Provider instance
+     */
+    registerProvider(name, provider) {
+        provider.pathfinding = this;
+        this.providers.set(name, provider);
+        console.log(`Routing provider registered: ${name}`);
+        return provider;
+    }
+
+    /**
+     * Remove a routing provider (chains referencing it simply skip it)
+     */
+    unregisterProvider(name) {
+        return this.providers.delete(name);
+    }
+
+    getProvider(name) {
+        return this.providers.get(name) || null;
+    }
+
+    /**
+     * Set the ordered providers tried for a travel mode
+     * @param {string} travelMode - Travel mode
+     * @param {Array<string>} providerNames - Provider names, most preferred first
+     */
+    setFallbackChain(travelMode, providerNames) {
+        this.fallbackChains[travelMode] = [...providerNames];
+        console.log(`Routing chain for ${travelMode}: ${providerNames.join(' -> ')}`);
+    }
+
+    getFallbackChain(travelMode) {
+        return this.fallbackChains[travelMode] || ['direct'];
+    }
+
+    /**
+     * Load a road network for offline routing
+     * @param {string} url - GeoJSON or OSM JSON extract, e.g. 'Data/Maps/roads.geojson'
+     * @returns {Promise<Object|null>} Graph statistics, or null if no network could be loaded
+     */
+    async loadRoadNetwork(url) {
+        const local = this.getProvider('local');
+        if (!local || !local.graph) {
+            console.warn('No local graph provider registered - offline routing disabled');
+            return null;
+        }
+
+        try {
+            return await local.graph.loadFromUrl(url);
+        } catch (error) {
+            // Never keep routing on a network from another world
+            local.graph.clear();
+            console.log(`No offline road network loaded (${url}):`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Drop the offline road network (for a world that has none)
+     */
+    clearRoadNetwork() {
+        const local = this.getProvider('local');
+        if (local && local.graph) {
+            local.graph.clear();
+        }
+    }
+
+    /**
+     * Check whether an offline road graph is ready to route
+     */
+    hasRoadGraph() {
+        const local = this.getProvider('local');
+        return !!(local && local.isAvailable());
     }
 
     /**
@@ -15,82 +122,194 @@ class PathfindingManager {
      * @param {L.LatLng} start - Starting position
      * @param {L.LatLng} destination - Target position
      * @param {string} travelMode - 'foot', 'car', 'motorcycle', 'van', 'aerial'
-     * @returns {Promise<Object>} Path object with coordinates, distance, duration
+     * @param {Object} options - Search options
+     * @param {number} options.alternatives - Also find up to this many other routes, returned in
+     *   path.alternatives (from OSRM alternatives or k-shortest paths on the local graph)
+     * @returns {Promise<Object>} Path object with coordinates, distance, duration and provider
      */
-    async findPath(start, destination, travelMode = 'foot') {
+    async findPath(start, destination, travelMode = 'foot', options = {}) {
+        const alternativeCount = options.alternatives || 0;
         console.log(`Finding path from [${start.lat}, ${start.lng}] to [${destination.lat}, ${destination.lng}] via ${travelMode}`);
 
         // Calculate straight-line distance
         const distance = start.distanceTo(destination);
 
         // Short distance: use direct path
-        if (distance < 500) {
-            return this.getDirectPath(start, destination, travelMode);
+        if (distance < this.directPathThreshold) {
+            return this.withAlternatives(
+                this.annotateZones({ ...this.getDirectPath(start, destination, travelMode), provider: 'direct' }),
+                alternativeCount
+            );
         }
 
-        // Aerial: always use direct path (ignores roads)
-        if (travelMode === 'aerial') {
-            return this.getDirectPath(start, destination, travelMode);
+        // Check cache (routes planned around a different set of zones don't count)
+        const cacheMode = this.avoidZones ? `${travelMode}${this.avoidZones.getSignature(travelMode)}` : travelMode;
+        const cached = alternativeCount > 0 ? null : this.routeCache.get(start, destination, cacheMode);
+        if (cached) {
+            console.log('Using cached route');
+            return this.annotateZones(this.fitCachedPath(cached, start, destination));
         }
 
-        // Long distance with vehicle: use OSRM
-        if (travelMode !== 'foot') {
+        // Best route that enters an impassable zone, used only if nothing better turns up
+        let blockedRoute = null;
+
+        // Walk the fallback chain for this travel mode
+        for (const name of this.getFallbackChain(travelMode)) {
+            const provider = this.getProvider(name);
+            if (!provider || !provider.supports(travelMode) || !provider.isAvailable()) {
+                continue;
+            }
+
             try {
-                const osrmPath = await this.getOSRMPath(start, destination, travelMode);
-                return osrmPath;
+                let path = await provider.route(start, destination, travelMode, {
+                    avoidZones: this.avoidZones,
+                    alternatives: alternativeCount
+                });
+                if (!path) {
+                    console.warn(`Routing provider '${name}' found no route`);
+                    continue;
+                }
+
+                path.provider = name;
+                this.annotateZones(path);
+
+                if (alternativeCount > 0) {
+                    path = this.withAlternatives(path, alternativeCount);
+                }
+
+                if (path.blocked) {
+                    console.warn(`Route from '${name}' enters an impassable zone, trying next`);
+                    blockedRoute = blockedRoute || path;
+                    continue;
+                }
+
+                if (path.type !== 'direct') {
+                    // Stored without path.alternatives (RouteCache.serializePath); requests for
+                    // alternatives skip the cache above, so they always get fresh ones
+                    this.routeCache.set(start, destination, cacheMode, path);
+                }
+
+                console.log(`Route served by '${name}': ${path.distance}m, ${path.duration}s`);
+                return path;
             } catch (error) {
-                console.warn('OSRM routing failed, falling back to direct path:', error);
-                return this.getDirectPath(start, destination, travelMode);
+                console.warn(`Routing provider '${name}' failed, trying next:`, error);
             }
         }
 
-        // Long distance on foot: warn but provide path
-        return this.getDirectPath(start, destination, travelMode);
+        // Every provider failed: straight line (around zones where possible)
+        const direct = this.annotateZones({ ...this.getDirectPath(start, destination, travelMode), provider: 'direct' });
+        return this.withAlternatives(direct.blocked && blockedRoute ? blockedRoute : direct, alternativeCount);
     }
 
     /**
-     * Get road-based path from OSRM
+     * Annotate a path's alternatives and drop the ones that enter impassable zones
+     * If the primary route is blocked but an alternative isn't, the alternative is promoted.
+     * @returns {Object} Primary path with path.alternatives (empty when none were requested or found)
      */
-    async getOSRMPath(start, destination, travelMode) {
-        // Check cache
-        const cacheKey = `${start.lat},${start.lng}-${destination.lat},${destination.lng}-${travelMode}`;
-        if (this.routeCache.has(cacheKey)) {
-            console.log('Using cached route');
-            return this.routeCache.get(cacheKey);
+    withAlternatives(path, count) {
+        const candidates = (path.alternatives || []).map(alternative => {
+            alternative.provider = path.provider;
+            return this.annotateZones(alternative);
+        });
+
+        let primary = path;
+        if (primary.blocked) {
+            const open = candidates.find(candidate => !candidate.blocked);
+            if (open) {
+                candidates.splice(candidates.indexOf(open), 1, primary);
+                primary = open;
+            }
         }
 
-        // Determine OSRM profile
-        const profile = travelMode === 'foot' ? 'foot' : 'driving';
-
-        // Build OSRM URL
-        const url = `${this.osrmUrl}/${profile}/${start.lng},${start.lat};${destination.lng},${destination.lat}?overview=full&geometries=geojson`;
+        delete path.alternatives;
+        primary.alternatives = candidates.filter(candidate => !candidate.blocked).slice(0, count);
+        return primary;
+    }
 
-        console.log('Fetching OSRM route:', url);
+    /**
+     * Travel cost used to compare routes: travel time inflated by zone penalties
+     * @returns {number} Effective game seconds (Infinity for blocked routes)
+     */
+    getTravelCost(path) {
+        if (path.blocked) return Infinity;
+        if (!path.distance) return path.duration;
+        return path.duration * (path.zoneCost / path.distance);
+    }
 
-        const response = await fetch(url);
-        const data = await response.json();
+    /**
+     * Connect a cached route to the exact requested endpoints
+     * Cache keys are grid-quantised, so a hit may start or end a few meters away.
+     */
+    fitCachedPath(path, start, destination) {
+        const coordinates = [...path.coordinates];
+        let extraDistance = 0;
 
-        if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
-            throw new Error(`OSRM routing failed: ${data.code || 'No routes found'}`);
+        if (start.distanceTo(coordinates[0]) > 1) {
+            extraDistance += start.distanceTo(coordinates[0]);
+            coordinates.unshift(start);
+        }
+        if (destination.distanceTo(coordinates[coordinates.length - 1]) > 1) {
+            extraDistance += destination.distanceTo(coordinates[coordinates.length - 1]);
+            coordinates.push(destination);
         }
 
-        // Parse route
-        const route = data.routes[0];
-        const coordinates = route.geometry.coordinates.map(c => L.latLng(c[1], c[0]));
-
-        const path = {
+        return {
+            ...path,
             coordinates: coordinates,
-            distance: route.distance, // meters
-            duration: route.duration, // seconds
-            type: 'road',
-            travelMode: travelMode
+            distance: path.distance + extraDistance,
+            duration: path.duration + this.calculateTravelTime(extraDistance, path.travelMode)
         };
+    }
+
+    /**
+     * Record the avoid zones a path crosses
+     * Sets path.zonesCrossed ([{ id, name, source, weight, distance }]), path.zoneCost
+     * (distance weighted by zone penalties) and path.blocked (enters an impassable zone).
+     */
+    annotateZones(path) {
+        if (!this.avoidZones) {
+            path.zonesCrossed = [];
+            path.zoneCost = path.distance;
+            path.blocked = false;
+            path.travelCost = this.getTravelCost(path);
+            return path;
+        }
+
+        const analysis = this.avoidZones.analyzePath(path);
+        path.zonesCrossed = analysis.zones;
+        path.zoneCost = analysis.cost;
+        path.blocked = analysis.blocked;
+        path.travelCost = this.getTravelCost(path);
+
+        if (analysis.zones.length > 0) {
+            console.log(`Path crosses avoid zones: ${analysis.zones.map(zone => zone.name).join(', ')}`);
+        }
+
+        return path;
+    }
 
-        // Cache the route
-        this.routeCache.set(cacheKey, path);
+    /**
+     * Get road-based path from OSRM
+     */
+    async getOSRMPath(start, destination, travelMode) {
+        const path = await this.getProvider('osrm').route(start, destination, travelMode);
+        path.provider = 'osrm';
+        return path;
+    }
 
-        console.log(`OSRM route found: ${path.distance}m, ${path.duration}s`);
+    /**
+     * Get road-based path from the offline road graph
+     * @returns {Promise<Object|null>} Path object, or null if no graph is loaded or no route exists
+     */
+    async getLocalGraphPath(start, destination, travelMode) {
+        if (!this.hasRoadGraph()) {
+            return null;
+        }
 
+        const path = await this.getProvider('local').route(start, destination, travelMode);
+        if (path) {
+            path.provider = 'local';
+        }
         return path;
     }
 
@@ -98,11 +317,18 @@ class PathfindingManager {
      * Get direct line path (fallback)
      */
     getDirectPath(start, destination, travelMode) {
-        const distance = start.distanceTo(destination);
+        // Go around avoid zones when that is cheaper than crossing them
+        const coordinates = (this.avoidZones && this.avoidZones.findDetour(start, destination, travelMode)) ||
+            [start, destination];
+
+        let distance = 0;
+        for (let i = 1; i < coordinates.length; i++) {
+            distance += coordinates[i - 1].distanceTo(coordinates[i]);
+        }
         const duration = this.calculateTravelTime(distance, travelMode);
 
         const path = {
-            coordinates: [start, destination],
+            coordinates: coordinates,
             distance: distance,
             duration: duration,
             type: 'direct',
@@ -118,6 +344,25 @@ class PathfindingManager {
      * Calculate travel time based on mode and distance
      */
     calculateTravelTime(distance, travelMode) {
+        return distance / this.getTravelSpeed(travelMode); // seconds
+    }
+
+    /**
+     * Set how many game seconds pass per real second while units move
+     */
+    setGameTimeMultiplier(multiplier) {
+        if (typeof multiplier !== 'number' || multiplier <= 0) {
+            console.warn(`Invalid game-time multiplier: ${multiplier}`);
+            return;
+        }
+        this.gameTimeMultiplier = multiplier;
+        console.log(`Game-time multiplier set to: ${multiplier}x`);
+    }
+
+    /**
+     * Get travel speed in m/s for a travel mode
+     */
+    getTravelSpeed(travelMode) {
         const speeds = {
             'foot': 1.4,        // m/s (5 km/h)
             'car': 13.9,        // m/s (50 km/h city)
@@ -126,14 +371,100 @@ class PathfindingManager {
             'aerial': 20        // m/s (72 km/h)
         };
 
-        const speed = speeds[travelMode] || speeds['foot'];
-        return distance / speed; // seconds
+        return speeds[travelMode] || speeds['foot'];
+    }
+
+    /**
+     * Area reachable from a point within a travel time
+     * Follows the offline road graph when one is loaded (except for aerial travel);
+     * otherwise it is a circle at the mode's travel speed.
+     * @param {L.LatLng} origin - Start position
+     * @param {number} seconds - Game-time budget in seconds
+     * @param {string} travelMode - Travel mode
+     * @param {number} sectors - Angular resolution of the outline (default: 72)
+     * @returns {Object} { polygon: [[lat, lng], ...], type: 'road'|'radius', maxDistance, contains(latLng) }
+     */
+    getReachableArea(origin, seconds, travelMode, sectors = 72) {
+        const maxDistance = seconds * this.getTravelSpeed(travelMode);
+        const local = this.getProvider('local');
+
+        let points = null;
+        if (travelMode !== 'aerial' && this.hasRoadGraph()) {
+            points = local.graph.reachableFrom(origin, travelMode, maxDistance);
+        }
+
+        // Star-shaped outline: the farthest reachable point in each direction
+        const radii = new Array(sectors).fill(points ? 0 : maxDistance);
+        const sectorOf = (point) => {
+            const bearing = Math.atan2(
+                (point.lng - origin.lng) * Math.cos(origin.lat * Math.PI / 180),
+                point.lat - origin.lat
+            );
+            return Math.floor(((bearing + 2 * Math.PI) % (2 * Math.PI)) / (2 * Math.PI) * sectors) % sectors;
+        };
+
+        if (points) {
+            points.forEach(point => {
+                const sector = sectorOf(point);
+                radii[sector] = Math.max(radii[sector], origin.distanceTo(L.latLng(point.lat, point.lng)));
+            });
+        }
+
+        const metersPerDegreeLat = 111320;
+        const metersPerDegreeLng = 111320 * Math.cos(origin.lat * Math.PI / 180);
+        const polygon = [];
+        radii.forEach((radius, sector) => {
+            // Both edges of the sector, so a lone long road still gets some width
+            [sector, sector + 1].forEach(edge => {
+                const angle = edge / sectors * 2 * Math.PI;
+                polygon.push([
+                    origin.lat + radius * Math.cos(angle) / metersPerDegreeLat,
+                    origin.lng + radius * Math.sin(angle) / metersPerDegreeLng
+                ]);
+            });
+        });
+
+        console.log(`Reachable area: ${Math.round(seconds / 60)} min by ${travelMode} (${points ? 'road graph' : 'radius'}, up to ${Math.round(maxDistance)}m)`);
+
+        return {
+            polygon: polygon,
+            type: points ? 'road' : 'radius',
+            travelMode: travelMode,
+            seconds: seconds,
+            maxDistance: maxDistance,
+            contains: (latLng) => origin.distanceTo(latLng) <= radii[sectorOf(latLng)]
+        };
     }
 
     /**
      * Display path on map
+     * @param {Object} path - Path object from findPath()
+     * @param {string} color - Line color
+     * @param {Object} options - Display options
+     * @param {boolean} options.alternative - Draw as a thin alternative next to the current path
+     *   instead of replacing it
+     * @param {Function} options.onClick - Called with the path when an alternative is clicked
      */
-    showPath(path, color = '#3388ff') {
+    showPath(path, color = '#3388ff', options = {}) {
+        if (options.alternative) {
+            const layer = L.polyline(path.coordinates, {
+                color: color,
+                weight: 5,
+                opacity: 0.5,
+                dashArray: '4, 8'
+            }).addTo(this.layerGroup);
+
+            if (options.onClick) {
+                layer.on('click', (e) => {
+                    L.DomEvent.stopPropagation(e);
+                    options.onClick(path);
+                });
+            }
+
+            this.alternativeLayers.push(layer);
+            return layer;
+        }
+
         // Remove existing path
         this.clearPath();
 
@@ -143,7 +474,7 @@ class PathfindingManager {
             weight: 4,
             opacity: 0.7,
             dashArray: path.type === 'direct' ? '10, 10' : null
-        }).addTo(this.map);
+        }).addTo(this.layerGroup);
 
         // Add markers
         const startMarker = L.circleMarker(path.coordinates[0], {
@@ -152,7 +483,7 @@ class PathfindingManager {
             fillOpacity: 1,
             color: '#ffffff',
             weight: 2
-        }).addTo(this.map);
+        }).addTo(this.layerGroup);
 
         const endMarker = L.circleMarker(path.coordinates[path.coordinates.length - 1], {
             radius: 8,
@@ -160,7 +491,7 @@ class PathfindingManager {
             fillOpacity: 1,
             color: '#ffffff',
             weight: 2
-        }).addTo(this.map);
+        }).addTo(this.layerGroup);
 
         // Store for cleanup
         this.currentPath = {
@@ -172,6 +503,7 @@ class PathfindingManager {
 
         // Fit map to path
         this.map.fitBounds(this.pathLayer.getBounds(), { padding: [50, 50] });
+        this.notifyPathChanged(path);
 
         console.log(`Path displayed: ${path.type} (${path.distance}m, ${Math.round(path.duration)}s)`);
 
@@ -182,50 +514,160 @@ class PathfindingManager {
      * Clear displayed path
      */
     clearPath() {
+        this.alternativeLayers.forEach(layer => this.layerGroup.removeLayer(layer));
+        this.alternativeLayers = [];
+
         if (this.currentPath) {
             if (this.currentPath.layer) {
-                this.map.removeLayer(this.currentPath.layer);
+                this.layerGroup.removeLayer(this.currentPath.layer);
             }
             if (this.currentPath.startMarker) {
-                this.map.removeLayer(this.currentPath.startMarker);
+                this.layerGroup.removeLayer(this.currentPath.startMarker);
             }
             if (this.currentPath.endMarker) {
-                this.map.removeLayer(this.currentPath.endMarker);
+                this.layerGroup.removeLayer(this.currentPath.endMarker);
             }
             this.currentPath = null;
+            this.notifyPathChanged(null);
         }
     }
 
     /**
-     * Animate unit movement along path
+     * Register a callback for the displayed path changing
+     * @param {Function} callback - (path) => void; path is null when it is cleared
      */
-    animateMovement(unitMarker, path, speed = 1.0, onComplete = null) {
+    onPathChange(callback) {
+        this.pathChangeListeners.push(callback);
+    }
+
+    notifyPathChanged(path) {
+        this.pathChangeListeners.forEach(callback => callback(path));
+    }
+
+    /**
+     * Animate unit movement along path, taking the path's duration in game time
+     *
+     * Game time runs `timeMultiplier` times faster than real time, so a 10 minute
+     * drive takes 10 seconds of real time at the default multiplier of 60. Paths
+     * without a duration move at the travel mode's speed.
+     *
+     * @param {L.Marker} unitMarker - Marker to move
+     * @param {Object} path - Path object from findPath()
+     * @param {number} timeMultiplier - Game seconds per real second (default: this.gameTimeMultiplier)
+     * @param {Function} onComplete - Called when the end of the path is reached
+     * @param {Function} onProgress - Called every frame with { percent, distanceTravelled, remainingDistance, eta, position }
+     * @returns {Object|null} Animation handle with pause(), resume(), cancel(), getPosition() and getProgress()
+     */
+    animateMovement(unitMarker, path, timeMultiplier = null, onComplete = null, onProgress = null) {
         if (!path || !path.coordinates || path.coordinates.length < 2) {
             console.warn('Invalid path for animation');
             if (onComplete) onComplete();
-            return;
+            return null;
         }
 
-        let currentIndex = 0;
-        const totalPoints = path.coordinates.length;
-        const baseInterval = 100; // ms per step
-        const interval = baseInterval / speed;
+        const multiplier = timeMultiplier || this.gameTimeMultiplier;
+        const coordinates = path.coordinates.map(c => L.latLng(c));
 
-        const moveStep = () => {
-            if (currentIndex >= totalPoints) {
+        // Cumulative distance at each vertex
+        const cumulative = [0];
+        for (let i = 1; i < coordinates.length; i++) {
+            cumulative.push(cumulative[i - 1] + coordinates[i - 1].distanceTo(coordinates[i]));
+        }
+        const totalDistance = cumulative[cumulative.length - 1];
+        // m/s of game time, matching the provider's duration (road speeds, not just the mode's)
+        const speed = path.duration > 0 && totalDistance > 0
+            ? totalDistance / path.duration
+            : this.getTravelSpeed(path.travelMode);
+
+        const requestFrame = typeof requestAnimationFrame === 'function'
+            ? requestAnimationFrame
+            : (callback) => setTimeout(() => callback(Date.now()), 16);
+        const cancelFrame = typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame : clearTimeout;
+        const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+        const animation = {
+            frameId: null,
+            startTime: now(),
+            segmentIndex: 0,
+            distanceTravelled: 0,
+            position: coordinates[0],
+            pausedAt: null,
+            finished: false
+        };
+
+        const positionAt = (distance) => {
+            while (animation.segmentIndex < coordinates.length - 2 && cumulative[animation.segmentIndex + 1] < distance) {
+                animation.segmentIndex++;
+            }
+            const i = animation.segmentIndex;
+            const segmentLength = cumulative[i + 1] - cumulative[i];
+            const t = segmentLength > 0 ? (distance - cumulative[i]) / segmentLength : 1;
+            const a = coordinates[i];
+            const b = coordinates[i + 1];
+            return L.latLng(a.lat + (b.lat - a.lat) * t, a.lng + (b.lng - a.lng) * t);
+        };
+
+        const getProgress = () => {
+            const remainingDistance = Math.max(0, totalDistance - animation.distanceTravelled);
+            return {
+                percent: totalDistance > 0 ? (animation.distanceTravelled / totalDistance) * 100 : 100,
+                distanceTravelled: animation.distanceTravelled,
+                remainingDistance: remainingDistance,
+                eta: remainingDistance / speed, // game seconds
+                realTimeRemaining: (remainingDistance / speed / multiplier) * 1000, // ms
+                position: animation.position
+            };
+        };
+
+        const frame = () => {
+            if (animation.finished) return;
+
+            const elapsedGameSeconds = ((now() - animation.startTime) / 1000) * multiplier;
+            animation.distanceTravelled = Math.min(totalDistance, elapsedGameSeconds * speed);
+            animation.position = positionAt(animation.distanceTravelled);
+            unitMarker.setLatLng(animation.position);
+
+            if (onProgress) onProgress(getProgress());
+
+            // onProgress may have cancelled the movement (e.g. out of fuel)
+            if (animation.finished) return;
+
+            if (animation.distanceTravelled >= totalDistance) {
+                animation.finished = true;
                 console.log('Movement animation complete');
                 if (onComplete) onComplete();
                 return;
             }
 
-            const currentPos = path.coordinates[currentIndex];
-            unitMarker.setLatLng(currentPos);
-
-            currentIndex++;
-            setTimeout(moveStep, interval);
+            animation.frameId = requestFrame(frame);
         };
 
-        moveStep();
+        animation.frameId = requestFrame(frame);
+
+        return {
+            pause: () => {
+                if (animation.finished || animation.pausedAt !== null) return false;
+                animation.pausedAt = now();
+                cancelFrame(animation.frameId);
+                return true;
+            },
+            resume: () => {
+                if (animation.finished || animation.pausedAt === null) return false;
+                // Shift the start so time spent paused does not count as travel
+                animation.startTime += now() - animation.pausedAt;
+                animation.pausedAt = null;
+                animation.frameId = requestFrame(frame);
+                return true;
+            },
+            cancel: () => {
+                animation.finished = true;
+                cancelFrame(animation.frameId);
+            },
+            isPaused: () => animation.pausedAt !== null,
+            isFinished: () => animation.finished,
+            getPosition: () => animation.position,
+            getProgress: getProgress
+        };
     }
 
     /**
@@ -242,6 +684,13 @@ class PathfindingManager {
         this.routeCache.clear();
         console.log('Route cache cleared');
     }
+
+    /**
+     * Route cache size and hit/miss counts
+     */
+    getCacheStatistics() {
+        return this.routeCache.getStatistics();
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,212 @@
+// popupRenderer.js
+// Location popups from escaped templates, with declaratively bound buttons
+//
+// Templates are written with the PopupRenderer.html tagged template: every interpolated
+// value is HTML-escaped unless it is itself the result of html`...` (or raw()), so
+// names, descriptions and items from PowerShell or imported files can't inject markup.
+// Buttons declare what they do with data-action="visit" (plus any data-* arguments);
+// one click listener on the popup element dispatches to the registered action, so there
+// are no element ids to look up after the popup opens.
+
+class PopupRenderer {
+    constructor() {
+        this.templates = new Map(); // normalized type -> (location, context) => SafeHtml
+        this.actions = new Map();   // action name -> (location, args, button) => void
+
+        Object.keys(PopupRenderer.TEMPLATES).forEach(type => {
+            this.registerTemplate(type, PopupRenderer.TEMPLATES[type]);
+        });
+    }
+
+    /**
+     * Use a template for a location type
+     * @param {string} type - Location type ('default' for types without their own template)
+     * @param {Function} template - (location, context) => PopupRenderer.html`...`
+     */
+    registerTemplate(type, template) {
+        this.templates.set(IconRegistry.normalizeType(type), template);
+    }
+
+    /**
+     * Handle clicks on buttons with data-action="<name>"
+     * @param {string} name - Action name
+     * @param {Function} handler - (location, args, button) => void; args are the button's other data-* attributes
+     */
+    registerAction(name, handler) {
+        this.actions.set(name, handler);
+    }
+
+    getTemplate(type) {
+        return this.templates.get(IconRegistry.normalizeType(type)) || this.templates.get('default');
+    }
+
+    /**
+     * Build the popup element for a location
+     * @param {Object} location - Location data
+     * @param {Object} context - Values for the template (distance, nearby, ...)
+     * @returns {HTMLElement}
+     */
+    render(location, context = {}) {
+        const element = document.createElement('div');
+        element.className = `location-popup location-popup-${IconRegistry.normalizeType(location.type)}`;
+        element.innerHTML = String(this.getTemplate(location.type)(location, context));
+
+        element.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button || !element.contains(button)) return;
+
+            const { action, ...args } = button.dataset;
+            const handler = this.actions.get(action);
+            if (handler) {
+                handler(location, args, button);
+            } else {
+                console.warn(`No popup action registered for '${action}'`);
+            }
+        });
+
+        return element;
+    }
+
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Tagged template that escapes its values
+     * Arrays are joined; null and undefined render as nothing.
+     * @returns {SafeHtml}
+     */
+    static html(strings, ...values) {
+        const output = strings.reduce((result, string, index) => {
+            return result + string + (index < values.length ? PopupRenderer.toHtml(values[index]) : '');
+        }, '');
+        return PopupRenderer.raw(output);
+    }
+
+    /**
+     * Mark trusted markup so html`` doesn't escape it
+     */
+    static raw(markup) {
+        return new PopupRenderer.SafeHtml(markup);
+    }
+
+    static toHtml(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (value instanceof PopupRenderer.SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(PopupRenderer.toHtml).join('');
+        return PopupRenderer.escapeHtml(value);
+    }
+
+    /**
+     * Item names as a list (items may be a string or an array; underscores become spaces)
+     */
+    static itemList(location, heading = 'Items') {
+        const items = Array.isArray(location.items) ? location.items : (location.items ? [location.items] : []);
+        if (items.length === 0) return '';
+
+        const html = PopupRenderer.html;
+        return html`
+            <h4>${heading}:</h4>
+            <ul>${items.map(item => html`<li>${String(item).replace(/_/g, ' ')}</li>`)}</ul>`;
+    }
+
+    /**
+     * Distance line, unmet requirements and the visit / travel button shared by every template
+     * @param {Object} context - { nearby, distanceText, unmet: [{ type, message }] }
+     */
+    static travelSection(context, visitLabel = '✓ Visit Location') {
+        const html = PopupRenderer.html;
+        const nearby = context.nearby;
+        const unmet = context.unmet || [];
+        const locked = unmet.length > 0;
+
+        let status = `${context.distanceText} (too far to visit)`;
+        if (nearby) {
+            status = locked ? 'Nearby (locked)' : 'Nearby (can visit)';
+        }
+
+        let button = html`<button class="popup-action popup-goto" data-action="goto">🚶 Go to Location</button>`;
+        if (nearby) {
+            button = locked
+                ? html`<button class="popup-action popup-visit" disabled>🔒 Locked</button>`
+                : html`<button class="popup-action popup-visit" data-action="visit">${visitLabel}</button>`;
+        }
+
+        return html`
+            <p class="popup-distance ${nearby ? 'nearby' : 'far'}">📍 ${status}</p>
+            ${locked ? html`<ul class="popup-requirements">${unmet.map(requirement =>
+                html`<li class="requirement-${requirement.type}">🔒 ${requirement.message}</li>`)}</ul>` : ''}
+            ${button}`;
+    }
+}
+
+/**
+ * Escaped markup produced by PopupRenderer.html
+ */
+PopupRenderer.SafeHtml = class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+};
+
+/**
+ * Built-in templates by location type
+ */
+PopupRenderer.TEMPLATES = {
+    default: (location, context) => {
+        const html = PopupRenderer.html;
+        return html`
+            <h3>${location.name}</h3>
+            <p>${location.description}</p>
+            ${location.points ? html`<p><strong>Points:</strong> ${location.points}</p>` : ''}
+            ${PopupRenderer.itemList(location)}
+            ${PopupRenderer.travelSection(context)}`;
+    },
+
+    shop: (location, context) => {
+        const html = PopupRenderer.html;
+        return html`
+            <h3>🏪 ${location.name}</h3>
+            <p>${location.description}</p>
+            ${PopupRenderer.itemList(location, 'For sale')}
+            ${PopupRenderer.travelSection(context, '🛒 Enter Shop')}`;
+    },
+
+    terminal: (location, context) => {
+        const html = PopupRenderer.html;
+        return html`
+            <h3>💻 ${location.name}</h3>
+            <p class="popup-terminal">${location.description}</p>
+            ${location.securityLevel ? html`<p><strong>Security:</strong> ${location.securityLevel}</p>` : ''}
+            ${PopupRenderer.itemList(location, 'Data')}
+            ${PopupRenderer.travelSection(context, '⌨️ Access Terminal')}`;
+    },
+
+    questgiver: (location, context) => {
+        const html = PopupRenderer.html;
+        return html`
+            <h3>❗ ${location.name}</h3>
+            <p>${location.description}</p>
+            ${location.questName ? html`<p><strong>Quest:</strong> ${location.questName}</p>` : ''}
+            ${location.points ? html`<p><strong>Reward:</strong> ${location.points} points</p>` : ''}
+            ${PopupRenderer.itemList(location, 'Rewards')}
+            ${PopupRenderer.travelSection(context, '💬 Talk')}`;
+    }
+};
+
+// gamedata.json 'quest' locations are quest givers
+PopupRenderer.TEMPLATES.quest = PopupRenderer.TEMPLATES.questgiver;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PopupRenderer;
+}
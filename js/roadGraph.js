@@ -0,0 +1,583 @@
+// roadGraph.js
+// Offline road network router (A* over a GeoJSON or OSM extract)
+
+class RoadGraphRouter {
+    /**
+     * Create a new road graph router
+     * @param {Object} options - Configuration options
+     * @param {number} options.precision - Decimal places used to merge shared vertices (default: 6)
+     * @param {number} options.maxSnapDistance - Max distance in meters to snap a point onto the graph (default: 1000)
+     */
+    constructor(options = {}) {
+        this.precision = options.precision || 6;
+        this.maxSnapDistance = options.maxSnapDistance || 1000;
+
+        this.nodes = new Map();     // nodeId -> { id, lat, lng }
+        this.adjacency = new Map(); // nodeId -> [{ to, distance, edge }]
+        this.edges = [];            // { from, to, distance, oneway, modes }
+
+        this.isLoaded = false;
+        this.source = null;
+    }
+
+    /**
+     * Load a road network from a URL (GeoJSON FeatureCollection or OSM JSON extract)
+     * @param {string} url - Network file location, e.g. 'Data/Maps/roads.geojson'
+     * @returns {Promise<Object>} Graph statistics
+     */
+    async loadFromUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Road network not available: HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        const stats = this.loadNetwork(data);
+        this.source = url;
+
+        console.log(`Road network loaded from ${url}: ${stats.nodes} nodes, ${stats.edges} edges`);
+
+        return stats;
+    }
+
+    /**
+     * Build the graph from already parsed network data
+     * @param {Object} data - GeoJSON FeatureCollection or OSM JSON ({ elements: [...] })
+     * @returns {Object} Graph statistics
+     */
+    loadNetwork(data) {
+        this.clear();
+
+        if (data && data.type === 'FeatureCollection') {
+            this.loadGeoJSON(data);
+        } else if (data && Array.isArray(data.elements)) {
+            this.loadOSM(data);
+        } else {
+            throw new Error('Unsupported road network format (expected GeoJSON FeatureCollection or OSM JSON)');
+        }
+
+        this.isLoaded = this.edges.length > 0;
+
+        return this.getStatistics();
+    }
+
+    /**
+     * Add LineString / MultiLineString features as road segments
+     */
+    loadGeoJSON(featureCollection) {
+        for (const feature of featureCollection.features || []) {
+            const geometry = feature.geometry;
+            if (!geometry) continue;
+
+            const properties = feature.properties || {};
+            let lines = [];
+
+            if (geometry.type === 'LineString') {
+                lines = [geometry.coordinates];
+            } else if (geometry.type === 'MultiLineString') {
+                lines = geometry.coordinates;
+            }
+
+            // GeoJSON stores [lng, lat]
+            lines.forEach(line => {
+                this.addWay(line.map(c => ({ lat: c[1], lng: c[0] })), properties);
+            });
+        }
+    }
+
+    /**
+     * Add highway ways from an OSM JSON extract (Overpass "out geom" or nodes + ways)
+     */
+    loadOSM(data) {
+        const osmNodes = new Map();
+        data.elements
+            .filter(el => el.type === 'node')
+            .forEach(el => osmNodes.set(el.id, { lat: el.lat, lng: el.lon }));
+
+        for (const way of data.elements.filter(el => el.type === 'way')) {
+            const tags = way.tags || {};
+            if (!tags.highway) continue;
+
+            let points = [];
+            if (Array.isArray(way.geometry)) {
+                points = way.geometry.map(g => ({ lat: g.lat, lng: g.lon }));
+            } else if (Array.isArray(way.nodes)) {
+                points = way.nodes.map(id => osmNodes.get(id)).filter(Boolean);
+            }
+
+            this.addWay(points, tags);
+        }
+    }
+
+    /**
+     * Add a polyline as consecutive graph edges
+     * @param {Array<{lat: number, lng: number}>} points - Way vertices in order
+     * @param {Object} properties - Way tags (highway, oneway)
+     */
+    addWay(points, properties = {}) {
+        if (points.length < 2) return;
+
+        const oneway = properties.oneway === true || properties.oneway === 'yes' || properties.oneway === '1';
+        const modes = this.getAllowedModes(properties.highway);
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const from = this.addNode(points[i]);
+            const to = this.addNode(points[i + 1]);
+            if (from.id === to.id) continue;
+
+            const edge = {
+                from: from.id,
+                to: to.id,
+                distance: RoadGraphRouter.haversine(from, to),
+                oneway: oneway,
+                modes: modes
+            };
+
+            this.edges.push(edge);
+            this.adjacency.get(from.id).push({ to: to.id, distance: edge.distance, edge });
+            if (!oneway) {
+                this.adjacency.get(to.id).push({ to: from.id, distance: edge.distance, edge });
+            }
+        }
+    }
+
+    addNode(point) {
+        const id = `${point.lat.toFixed(this.precision)},${point.lng.toFixed(this.precision)}`;
+        if (!this.nodes.has(id)) {
+            this.nodes.set(id, { id, lat: point.lat, lng: point.lng });
+            this.adjacency.set(id, []);
+        }
+        return this.nodes.get(id);
+    }
+
+    /**
+     * Determine which travel modes may use a road, based on its OSM highway class
+     * @returns {Array<string>|null} Allowed modes, or null when open to every mode
+     */
+    getAllowedModes(highway) {
+        const footOnly = ['footway', 'path', 'pedestrian', 'steps', 'cycleway', 'bridleway'];
+        const vehicleOnly = ['motorway', 'motorway_link', 'trunk', 'trunk_link'];
+
+        if (footOnly.includes(highway)) {
+            return ['foot'];
+        }
+        if (vehicleOnly.includes(highway)) {
+            return ['car', 'motorcycle', 'van'];
+        }
+        return null;
+    }
+
+    isEdgeAllowed(edge, travelMode) {
+        return !edge.modes || edge.modes.includes(travelMode);
+    }
+
+    /**
+     * Snap a point onto the nearest edge usable by the travel mode
+     * @param {{lat: number, lng: number}} point - Point to snap
+     * @param {string} travelMode - Travel mode
+     * @returns {Object|null} { edge, point, fraction, distance } or null if nothing is close enough
+     */
+    snapToGraph(point, travelMode = 'foot') {
+        let best = null;
+
+        for (const edge of this.edges) {
+            if (!this.isEdgeAllowed(edge, travelMode)) continue;
+
+            const a = this.nodes.get(edge.from);
+            const b = this.nodes.get(edge.to);
+            const projection = RoadGraphRouter.projectOntoSegment(point, a, b);
+            const distance = RoadGraphRouter.haversine(point, projection.point);
+
+            if (!best || distance < best.distance) {
+                best = { edge, point: projection.point, fraction: projection.fraction, distance };
+            }
+        }
+
+        if (!best || best.distance > this.maxSnapDistance) {
+            return null;
+        }
+
+        return best;
+    }
+
+    /**
+     * Find the shortest road route between two points
+     * @param {{lat: number, lng: number}} start - Start position
+     * @param {{lat: number, lng: number}} destination - Target position
+     * @param {string} travelMode - Travel mode
+     * @param {Object} options - Search options
+     * @param {Function} options.edgeCost - (fromNode, toNode, distance) => cost; must be >= distance
+     *   to keep the A* heuristic admissible. Infinity removes the link (default: distance)
+     * @returns {Object|null} { coordinates: [[lat, lng], ...], distance, cost, nodeIds } or null when unreachable;
+     *   cost is the road part of the route under options.edgeCost
+     */
+    findRoute(start, destination, travelMode = 'foot', options = {}) {
+        if (!this.isLoaded) return null;
+
+        const startSnap = this.snapToGraph(start, travelMode);
+        const endSnap = this.snapToGraph(destination, travelMode);
+        if (!startSnap || !endSnap) {
+            return null;
+        }
+
+        const START = '__start__';
+        const END = '__end__';
+
+        // Virtual nodes link the snapped points into the graph without mutating it
+        const virtualNodes = new Map([
+            [START, { id: START, lat: startSnap.point.lat, lng: startSnap.point.lng }],
+            [END, { id: END, lat: endSnap.point.lat, lng: endSnap.point.lng }]
+        ]);
+        const virtualLinks = new Map([[START, []]]);
+        const addLink = (from, to, distance) => {
+            if (!virtualLinks.has(from)) virtualLinks.set(from, []);
+            virtualLinks.get(from).push({ to, distance });
+        };
+
+        const startEdge = startSnap.edge;
+        addLink(START, startEdge.to, startEdge.distance * (1 - startSnap.fraction));
+        if (!startEdge.oneway) {
+            addLink(START, startEdge.from, startEdge.distance * startSnap.fraction);
+        }
+
+        const endEdge = endSnap.edge;
+        addLink(endEdge.from, END, endEdge.distance * endSnap.fraction);
+        if (!endEdge.oneway) {
+            addLink(endEdge.to, END, endEdge.distance * (1 - endSnap.fraction));
+        }
+
+        // Both points on the same edge: allow travelling along it directly
+        if (startEdge === endEdge && (!startEdge.oneway || endSnap.fraction >= startSnap.fraction)) {
+            addLink(START, END, startEdge.distance * Math.abs(endSnap.fraction - startSnap.fraction));
+        }
+
+        const getNode = id => virtualNodes.get(id) || this.nodes.get(id);
+        const getNeighbours = id => {
+            const links = (this.adjacency.get(id) || [])
+                .filter(link => this.isEdgeAllowed(link.edge, travelMode))
+                .concat(virtualLinks.get(id) || []);
+            if (!options.edgeCost) return links;
+
+            const from = getNode(id);
+            return links
+                .map(link => ({ to: link.to, distance: options.edgeCost(from, getNode(link.to), link.distance) }))
+                .filter(link => link.distance !== Infinity);
+        };
+
+        const nodeIds = this.aStar(START, END, getNode, getNeighbours);
+        if (!nodeIds) {
+            return null;
+        }
+
+        const coordinates = nodeIds.map(id => {
+            const node = getNode(id);
+            return [node.lat, node.lng];
+        });
+
+        // Include the off-road legs from the requested points to the snapped points
+        coordinates.unshift([start.lat, start.lng]);
+        coordinates.push([destination.lat, destination.lng]);
+
+        let distance = 0;
+        for (let i = 1; i < coordinates.length; i++) {
+            distance += RoadGraphRouter.haversine(
+                { lat: coordinates[i - 1][0], lng: coordinates[i - 1][1] },
+                { lat: coordinates[i][0], lng: coordinates[i][1] }
+            );
+        }
+
+        const route = { coordinates, distance, nodeIds };
+        route.cost = this.getRouteCost(route, options.edgeCost);
+        return route;
+    }
+
+    /**
+     * Cost of a found route's road part (snapped start to snapped end), as the search weighs it
+     * @param {Object} route - Route from findRoute
+     * @param {Function} edgeCost - (fromNode, toNode, distance) => cost (default: distance)
+     */
+    getRouteCost(route, edgeCost = null) {
+        let cost = 0;
+        // coordinates[i + 1] is nodeIds[i]; the first and last coordinates are the off-road ends
+        for (let i = 1; i < route.nodeIds.length; i++) {
+            const from = { id: route.nodeIds[i - 1], lat: route.coordinates[i][0], lng: route.coordinates[i][1] };
+            const to = { id: route.nodeIds[i], lat: route.coordinates[i + 1][0], lng: route.coordinates[i + 1][1] };
+            const distance = RoadGraphRouter.haversine(from, to);
+            cost += edgeCost ? edgeCost(from, to, distance) : distance;
+        }
+        return cost;
+    }
+
+    /**
+     * Find up to `count` distinct routes using the penalty method: after each route is found,
+     * its edges cost more, pushing the next search onto different roads
+     * @param {number} count - Maximum number of routes (including the shortest)
+     * @param {Object} options - Search options (see findRoute); options.penalty scales reused edges (default: 1.6)
+     * @returns {Array<Object>} Routes ordered by cost under options.edgeCost (e.g. avoid-zone weighted),
+     *   cheapest first, then by distance
+     */
+    findAlternativeRoutes(start, destination, travelMode = 'foot', count = 3, options = {}) {
+        const penalty = options.penalty || 1.6;
+        const usage = new Map(); // 'from|to' -> times used by earlier routes
+        const routes = [];
+        const baseCost = options.edgeCost || ((from, to, distance) => distance);
+
+        const edgeCost = (from, to, distance) => {
+            const used = usage.get(`${from.id}|${to.id}`) || 0;
+            return baseCost(from, to, distance) * Math.pow(penalty, used);
+        };
+
+        // A few extra attempts, since a penalised search can return an already-found route
+        for (let attempt = 0; attempt < count * 2 && routes.length < count; attempt++) {
+            const route = this.findRoute(start, destination, travelMode, { ...options, edgeCost });
+            if (!route) break;
+
+            const isDuplicate = routes.some(existing =>
+                RoadGraphRouter.routeOverlap(existing.nodeIds, route.nodeIds) > 0.9
+            );
+            if (!isDuplicate) {
+                // Rank by the real cost, without the penalties for reusing earlier routes
+                route.cost = this.getRouteCost(route, options.edgeCost);
+                routes.push(route);
+            }
+
+            for (let i = 1; i < route.nodeIds.length; i++) {
+                [`${route.nodeIds[i - 1]}|${route.nodeIds[i]}`, `${route.nodeIds[i]}|${route.nodeIds[i - 1]}`].forEach(key => {
+                    usage.set(key, (usage.get(key) || 0) + 1);
+                });
+            }
+        }
+
+        return routes.sort((a, b) => (a.cost - b.cost) || (a.distance - b.distance));
+    }
+
+    /**
+     * A* search with a great-circle heuristic
+     * @returns {Array<string>|null} Node ids from start to goal
+     */
+    aStar(startId, goalId, getNode, getNeighbours) {
+        const goal = getNode(goalId);
+        const gScore = new Map([[startId, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        const open = new MinHeap();
+
+        open.push(startId, RoadGraphRouter.haversine(getNode(startId), goal));
+
+        while (open.size() > 0) {
+            const current = open.pop();
+
+            if (current === goalId) {
+                const route = [current];
+                let step = current;
+                while (cameFrom.has(step)) {
+                    step = cameFrom.get(step);
+                    route.unshift(step);
+                }
+                return route;
+            }
+
+            if (closed.has(current)) continue;
+            closed.add(current);
+
+            for (const link of getNeighbours(current)) {
+                if (closed.has(link.to)) continue;
+
+                const tentative = gScore.get(current) + link.distance;
+                if (tentative < (gScore.has(link.to) ? gScore.get(link.to) : Infinity)) {
+                    gScore.set(link.to, tentative);
+                    cameFrom.set(link.to, current);
+                    open.push(link.to, tentative + RoadGraphRouter.haversine(getNode(link.to), goal));
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Every point reachable within a distance budget (Dijkstra from the snapped origin)
+     * @param {{lat: number, lng: number}} origin - Start position
+     * @param {string} travelMode - Travel mode
+     * @param {number} maxDistance - Budget in meters, including the off-road leg to the graph
+     * @returns {Array<Object>|null} [{ lat, lng, distance }] for reached nodes plus the points where
+     *   the budget runs out part-way along an edge, or null if the origin can't be snapped
+     */
+    reachableFrom(origin, travelMode, maxDistance) {
+        if (!this.isLoaded) return null;
+
+        const snap = this.snapToGraph(origin, travelMode);
+        if (!snap || snap.distance > maxDistance) {
+            return null;
+        }
+
+        const points = [{ lat: snap.point.lat, lng: snap.point.lng, distance: snap.distance }];
+        const best = new Map();
+        const open = new MinHeap();
+        const visit = (nodeId, distance) => {
+            if (distance < (best.has(nodeId) ? best.get(nodeId) : Infinity)) {
+                best.set(nodeId, distance);
+                open.push(nodeId, distance);
+            }
+        };
+
+        visit(snap.edge.to, snap.distance + snap.edge.distance * (1 - snap.fraction));
+        if (!snap.edge.oneway) {
+            visit(snap.edge.from, snap.distance + snap.edge.distance * snap.fraction);
+        }
+
+        const closed = new Set();
+        while (open.size() > 0) {
+            const current = open.pop();
+            if (closed.has(current)) continue;
+            closed.add(current);
+
+            const distance = best.get(current);
+            if (distance > maxDistance) continue;
+
+            const node = this.nodes.get(current);
+            points.push({ lat: node.lat, lng: node.lng, distance });
+
+            for (const link of this.adjacency.get(current) || []) {
+                if (!this.isEdgeAllowed(link.edge, travelMode)) continue;
+
+                const next = distance + link.distance;
+                if (next <= maxDistance) {
+                    visit(link.to, next);
+                } else {
+                    // Budget runs out along this edge
+                    const target = this.nodes.get(link.to);
+                    const fraction = (maxDistance - distance) / link.distance;
+                    points.push({
+                        lat: node.lat + (target.lat - node.lat) * fraction,
+                        lng: node.lng + (target.lng - node.lng) * fraction,
+                        distance: maxDistance
+                    });
+                }
+            }
+        }
+
+        return points;
+    }
+
+    getStatistics() {
+        return {
+            nodes: this.nodes.size,
+            edges: this.edges.length,
+            source: this.source,
+            isLoaded: this.isLoaded
+        };
+    }
+
+    clear() {
+        this.nodes.clear();
+        this.adjacency.clear();
+        this.edges = [];
+        this.isLoaded = false;
+    }
+
+    /**
+     * How much two routes share, as the larger of "a within b" and "b within a" (0..1)
+     * Only real graph nodes count; the virtual start/end nodes can hide shared road.
+     */
+    static routeOverlap(a, b) {
+        const real = ids => ids.filter(id => id !== '__start__' && id !== '__end__');
+        const nodesA = real(a);
+        const nodesB = real(b);
+        if (nodesA.length === 0 || nodesB.length === 0) return 1;
+
+        const contained = (inner, outer) => {
+            const set = new Set(outer);
+            return inner.filter(id => set.has(id)).length / inner.length;
+        };
+        return Math.max(contained(nodesA, nodesB), contained(nodesB, nodesA));
+    }
+
+    /**
+     * Great-circle distance in meters
+     */
+    static haversine(a, b) {
+        const R = 6371000;
+        const toRad = deg => deg * Math.PI / 180;
+        const dLat = toRad(b.lat - a.lat);
+        const dLng = toRad(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+        return 2 * R * Math.asin(Math.sqrt(h));
+    }
+
+    /**
+     * Project a point onto segment a-b using a local equirectangular approximation
+     * @returns {Object} { point: {lat, lng}, fraction } where fraction is 0 at a and 1 at b
+     */
+    static projectOntoSegment(p, a, b) {
+        const cosLat = Math.cos(p.lat * Math.PI / 180);
+        const ax = a.lng * cosLat, ay = a.lat;
+        const bx = b.lng * cosLat, by = b.lat;
+        const px = p.lng * cosLat, py = p.lat;
+
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSq = dx * dx + dy * dy;
+
+        let fraction = lengthSq === 0 ? 0 : ((px - ax) * dx + (py - ay) * dy) / lengthSq;
+        fraction = Math.max(0, Math.min(1, fraction));
+
+        return {
+            point: {
+                lat: a.lat + (b.lat - a.lat) * fraction,
+                lng: a.lng + (b.lng - a.lng) * fraction
+            },
+            fraction
+        };
+    }
+}
+
+/**
+ * Minimal binary heap keyed by priority (used as the A* open set)
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        this.items.push({ value, priority });
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.items[parent].priority <= this.items[i].priority) break;
+            [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+                if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.value;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RoadGraphRouter, MinHeap };
+}
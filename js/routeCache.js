@@ -0,0 +1,229 @@
+// routeCache.js
+// Persistent LRU route cache backed by IndexedDB
+//
+// Keys are quantised to a grid so clicks a few meters apart reuse the same route.
+// The in-memory Map keeps LRU order (oldest first); IndexedDB mirrors it so routes
+// survive a reload. Without IndexedDB (private mode, Node) the cache is memory-only.
+
+class RouteCache {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {number} options.maxEntries - Maximum cached routes before LRU eviction (default: 500)
+     * @param {number} options.ttl - Time to live in ms (default: 7 days)
+     * @param {number} options.gridTolerance - Key grid size in degrees (default: 0.0005, ~50m)
+     * @param {string} options.dbName - IndexedDB database name (default: 'pwshLeafmapRouteCache')
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 500;
+        this.ttl = options.ttl || 7 * 24 * 60 * 60 * 1000;
+        this.gridTolerance = options.gridTolerance || 0.0005;
+        this.dbName = options.dbName || 'pwshLeafmapRouteCache';
+        this.storeName = 'routes';
+
+        this.entries = new Map(); // key -> { key, path, createdAt, lastAccess }
+        this.db = null;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            expired: 0,
+            evictions: 0
+        };
+
+        this.ready = this.open();
+    }
+
+    /**
+     * Open the database and load persisted entries
+     * @returns {Promise<boolean>} True if the cache is persistent
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            console.log('IndexedDB not available - route cache is memory-only');
+            return false;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            const stored = await this.request(store => store.getAll());
+            const now = Date.now();
+
+            stored
+                .filter(entry => now - entry.createdAt < this.ttl)
+                .sort((a, b) => a.lastAccess - b.lastAccess)
+                .forEach(entry => {
+                    // Routes cached during this session are newer than the persisted copy
+                    if (!this.entries.has(entry.key)) {
+                        this.entries.set(entry.key, entry);
+                    }
+                });
+
+            this.evict();
+            console.log(`Route cache loaded: ${this.entries.size} routes`);
+            return true;
+        } catch (error) {
+            console.warn('Could not open route cache database - using memory only:', error);
+            this.db = null;
+            return false;
+        }
+    }
+
+    /**
+     * Build a cache key with coordinates snapped to the tolerance grid
+     */
+    makeKey(start, destination, travelMode) {
+        const q = value => Math.round(value / this.gridTolerance);
+        return `${q(start.lat)},${q(start.lng)}-${q(destination.lat)},${q(destination.lng)}-${travelMode}`;
+    }
+
+    /**
+     * Look up a route
+     * @returns {Object|null} Path object with L.LatLng coordinates, or null on a miss
+     */
+    get(start, destination, travelMode) {
+        const key = this.makeKey(start, destination, travelMode);
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            this.stats.misses++;
+            return null;
+        }
+
+        if (Date.now() - entry.createdAt >= this.ttl) {
+            this.delete(key);
+            this.stats.expired++;
+            this.stats.misses++;
+            return null;
+        }
+
+        // Move to the most-recently-used end
+        entry.lastAccess = Date.now();
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.persist(entry);
+
+        this.stats.hits++;
+        return this.deserializePath(entry.path);
+    }
+
+    /**
+     * Store a route, evicting the least recently used ones over the size limit
+     */
+    set(start, destination, travelMode, path) {
+        const key = this.makeKey(start, destination, travelMode);
+        const now = Date.now();
+        const entry = {
+            key: key,
+            path: this.serializePath(path),
+            createdAt: now,
+            lastAccess: now
+        };
+
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.persist(entry);
+        this.evict();
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+        if (this.db) {
+            this.request(store => store.delete(key), 'readwrite').catch(error => {
+                console.warn('Failed to delete cached route:', error);
+            });
+        }
+    }
+
+    /**
+     * Drop least recently used entries until the cache fits maxEntries
+     */
+    evict() {
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.delete(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Remove every cached route (memory and IndexedDB)
+     */
+    clear() {
+        this.entries.clear();
+        if (this.db) {
+            this.request(store => store.clear(), 'readwrite').catch(error => {
+                console.warn('Failed to clear route cache database:', error);
+            });
+        }
+    }
+
+    /**
+     * Set the maximum number of cached routes (evicts immediately if needed)
+     */
+    setMaxEntries(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.evict();
+    }
+
+    getStatistics() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+            persistent: this.db !== null
+        };
+    }
+
+    persist(entry) {
+        if (!this.db) return;
+
+        this.request(store => store.put(entry), 'readwrite').catch(error => {
+            console.warn('Failed to persist cached route:', error);
+        });
+    }
+
+    /**
+     * Run a single object-store request
+     */
+    request(operation, mode = 'readonly') {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Convert a path to plain data for IndexedDB (L.LatLng -> [lat, lng])
+     */
+    serializePath(path) {
+        // Alternatives are only computed on request and aren't cached
+        const { alternatives, ...primary } = path;
+        return {
+            ...primary,
+            coordinates: primary.coordinates.map(c => [c.lat, c.lng])
+        };
+    }
+
+    deserializePath(data) {
+        return {
+            ...data,
+            coordinates: data.coordinates.map(c => L.latLng(c[0], c[1]))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RouteCache;
+}
@@ -0,0 +1,407 @@
+// routingProviders.js
+// Pluggable routing providers for PathfindingManager
+//
+// A provider turns (start, destination, travelMode) into the standard path object
+// { coordinates, distance, duration, type, travelMode }. PathfindingManager walks an
+// ordered chain of providers per travel mode and records which one served the route.
+
+class RoutingProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {Array<string>} options.travelModes - Modes this provider can route (default: all)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.travelModes = options.travelModes || null;
+        this.pathfinding = null; // Set by PathfindingManager.registerProvider()
+    }
+
+    /**
+     * Whether the provider can currently serve requests (e.g. network reachable, data loaded)
+     */
+    isAvailable() {
+        return true;
+    }
+
+    /**
+     * Whether the provider handles this travel mode
+     */
+    supports(travelMode) {
+        return !this.travelModes || this.travelModes.includes(travelMode);
+    }
+
+    /**
+     * Route between two points
+     * @param {L.LatLng} start - Starting position
+     * @param {L.LatLng} destination - Target position
+     * @param {string} travelMode - Travel mode
+     * @param {Object} options - Request options
+     * @param {AvoidZoneManager} options.avoidZones - Zones to avoid or penalise (optional; providers
+     *   that cannot honour them are still checked by PathfindingManager afterwards)
+     * @param {number} options.alternatives - Extra routes wanted; providers that support it put
+     *   them in path.alternatives (optional)
+     * @returns {Promise<Object|null>} Path object, or null if no route was found
+     */
+    async route(start, destination, travelMode, options = {}) {
+        throw new Error(`${this.constructor.name} does not implement route()`);
+    }
+
+    /**
+     * Build a standard path object from [lat, lng] pairs
+     */
+    createPath(latLngPairs, distance, duration, travelMode, type = 'road') {
+        return {
+            coordinates: latLngPairs.map(c => L.latLng(c[0], c[1])),
+            distance: distance, // meters
+            duration: duration !== null && duration !== undefined
+                ? duration
+                : this.pathfinding.calculateTravelTime(distance, travelMode), // seconds
+            type: type,
+            travelMode: travelMode
+        };
+    }
+}
+
+/**
+ * OSRM HTTP API (public demo server or self-hosted)
+ */
+class OSRMRoutingProvider extends RoutingProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.url - Base route URL (default: public OSRM demo server)
+     * @param {Object} options.profiles - Travel mode -> OSRM profile map
+     * @param {number} options.retryDelay - ms to skip the server after a network failure (default: 60000)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'https://router.project-osrm.org/route/v1';
+        this.profiles = options.profiles || {
+            foot: 'foot',
+            car: 'driving',
+            motorcycle: 'driving',
+            van: 'driving'
+        };
+        this.retryDelay = options.retryDelay || 60000;
+        this.unavailableUntil = 0;
+    }
+
+    isAvailable() {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            return false;
+        }
+        return Date.now() >= this.unavailableUntil;
+    }
+
+    supports(travelMode) {
+        return super.supports(travelMode) && travelMode in this.profiles;
+    }
+
+    async route(start, destination, travelMode, options = {}) {
+        const profile = this.profiles[travelMode];
+        let url = `${this.url}/${profile}/${start.lng},${start.lat};${destination.lng},${destination.lat}?overview=full&geometries=geojson`;
+        if (options.alternatives) {
+            url += `&alternatives=${options.alternatives}`;
+        }
+
+        console.log('Fetching OSRM route:', url);
+
+        let data;
+        try {
+            const response = await fetch(url);
+            data = await response.json();
+        } catch (error) {
+            if (error instanceof TypeError) {
+                // fetch() rejects with TypeError when the server is unreachable
+                this.unavailableUntil = Date.now() + this.retryDelay;
+            }
+            throw error;
+        }
+
+        if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+            throw new Error(`OSRM routing failed: ${data.code || 'No routes found'}`);
+        }
+
+        const [primary, ...alternatives] = data.routes.map(route => this.createPath(
+            route.geometry.coordinates.map(c => [c[1], c[0]]),
+            route.distance,
+            route.duration,
+            travelMode
+        ));
+
+        if (options.alternatives) {
+            primary.alternatives = alternatives;
+        }
+        return primary;
+    }
+}
+
+/**
+ * Valhalla-compatible /route endpoint (self-hosted)
+ */
+class ValhallaRoutingProvider extends RoutingProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.url - Route endpoint, e.g. 'http://localhost:8002/route'
+     * @param {Object} options.costing - Travel mode -> Valhalla costing model map
+     */
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'http://localhost:8002/route';
+        this.costing = options.costing || {
+            foot: 'pedestrian',
+            car: 'auto',
+            motorcycle: 'motorcycle',
+            van: 'truck'
+        };
+    }
+
+    supports(travelMode) {
+        return super.supports(travelMode) && travelMode in this.costing;
+    }
+
+    async route(start, destination, travelMode, options = {}) {
+        const request = {
+            locations: [
+                { lat: start.lat, lon: start.lng },
+                { lat: destination.lat, lon: destination.lng }
+            ],
+            costing: this.costing[travelMode],
+            units: 'kilometers'
+        };
+
+        // Valhalla can route around impassable zones itself ([lon, lat] rings)
+        if (options.avoidZones) {
+            const excluded = options.avoidZones.getZones(travelMode).filter(zone => zone.weight === Infinity);
+            if (excluded.length > 0) {
+                request.exclude_polygons = excluded.map(zone => zone.polygon.map(p => [p[1], p[0]]));
+            }
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Valhalla routing failed: HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        const leg = data.trip && data.trip.legs && data.trip.legs[0];
+        if (!leg) {
+            throw new Error('Valhalla routing failed: No routes found');
+        }
+
+        return this.createPath(
+            decodePolyline(leg.shape, 6),
+            data.trip.summary.length * 1000,
+            data.trip.summary.time,
+            travelMode
+        );
+    }
+}
+
+/**
+ * GraphHopper-compatible /route endpoint (self-hosted)
+ */
+class GraphHopperRoutingProvider extends RoutingProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.url - Route endpoint, e.g. 'http://localhost:8989/route'
+     * @param {Object} options.profiles - Travel mode -> GraphHopper profile map
+     * @param {string} options.apiKey - Optional API key
+     */
+    constructor(options = {}) {
+        super(options);
+        this.url = options.url || 'http://localhost:8989/route';
+        this.apiKey = options.apiKey || null;
+        this.profiles = options.profiles || {
+            foot: 'foot',
+            car: 'car',
+            motorcycle: 'car',
+            van: 'car'
+        };
+    }
+
+    supports(travelMode) {
+        return super.supports(travelMode) && travelMode in this.profiles;
+    }
+
+    async route(start, destination, travelMode) {
+        const params = new URLSearchParams();
+        params.append('point', `${start.lat},${start.lng}`);
+        params.append('point', `${destination.lat},${destination.lng}`);
+        params.set('profile', this.profiles[travelMode]);
+        params.set('points_encoded', 'false');
+        if (this.apiKey) params.set('key', this.apiKey);
+
+        const response = await fetch(`${this.url}?${params}`);
+        if (!response.ok) {
+            throw new Error(`GraphHopper routing failed: HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data.paths || data.paths.length === 0) {
+            throw new Error('GraphHopper routing failed: No routes found');
+        }
+
+        const route = data.paths[0];
+        return this.createPath(
+            route.points.coordinates.map(c => [c[1], c[0]]),
+            route.distance,
+            route.time / 1000, // GraphHopper reports milliseconds
+            travelMode
+        );
+    }
+}
+
+/**
+ * Offline road graph (see roadGraph.js)
+ */
+class LocalGraphRoutingProvider extends RoutingProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {RoadGraphRouter} options.graph - Existing graph (default: a new empty RoadGraphRouter)
+     */
+    constructor(options = {}) {
+        super(options);
+        this.graph = options.graph || new RoadGraphRouter(options);
+    }
+
+    isAvailable() {
+        return this.graph.isLoaded;
+    }
+
+    async route(start, destination, travelMode, options = {}) {
+        const avoidZones = options.avoidZones;
+        const edgeCost = avoidZones && avoidZones.getZones(travelMode).length > 0
+            ? (from, to, distance) => avoidZones.getSegmentCost(from, to, distance, travelMode)
+            : null;
+
+        if (options.alternatives) {
+            const routes = this.graph.findAlternativeRoutes(start, destination, travelMode, options.alternatives + 1, { edgeCost });
+            if (routes.length === 0) {
+                return null;
+            }
+
+            const [primary, ...alternatives] = routes.map(route =>
+                this.createPath(route.coordinates, route.distance, null, travelMode)
+            );
+            primary.alternatives = alternatives;
+            return primary;
+        }
+
+        const route = this.graph.findRoute(start, destination, travelMode, { edgeCost });
+        if (!route) {
+            return null;
+        }
+
+        return this.createPath(route.coordinates, route.distance, null, travelMode);
+    }
+}
+
+/**
+ * Straight line between the two points (always succeeds)
+ */
+class DirectRoutingProvider extends RoutingProvider {
+    async route(start, destination, travelMode) {
+        return this.pathfinding.getDirectPath(start, destination, travelMode);
+    }
+}
+
+/**
+ * Canned routes for tests and demos
+ *
+ * @example
+ * const mock = new MockRoutingProvider({
+ *     handler: (start, destination, mode) => [[start.lat, start.lng], [40.72, -74.0], [destination.lat, destination.lng]]
+ * });
+ * pathfinding.registerProvider('mock', mock);
+ * pathfinding.setFallbackChain('car', ['mock', 'direct']);
+ */
+class MockRoutingProvider extends RoutingProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {Function} options.handler - (start, destination, travelMode) => [[lat, lng], ...] | path object | null
+     * @param {boolean} options.fail - Throw on every request, to exercise fallback chains
+     * @param {number} options.delay - Simulated latency in ms
+     * @param {string} options.pathType - Path type reported for canned routes (default: 'road')
+     */
+    constructor(options = {}) {
+        super(options);
+        this.handler = options.handler || null;
+        this.fail = options.fail || false;
+        this.delay = options.delay || 0;
+        this.pathType = options.pathType || 'road';
+        this.requests = [];
+    }
+
+    async route(start, destination, travelMode) {
+        this.requests.push({ start, destination, travelMode });
+
+        if (this.delay > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.delay));
+        }
+
+        if (this.fail) {
+            throw new Error('Mock routing failure');
+        }
+
+        const result = this.handler
+            ? this.handler(start, destination, travelMode)
+            : [[start.lat, start.lng], [destination.lat, destination.lng]];
+
+        if (!result || !Array.isArray(result)) {
+            return result || null;
+        }
+
+        let distance = 0;
+        for (let i = 1; i < result.length; i++) {
+            distance += L.latLng(result[i - 1]).distanceTo(L.latLng(result[i]));
+        }
+
+        return this.createPath(result, distance, null, travelMode, this.pathType);
+    }
+}
+
+/**
+ * Decode an encoded polyline (Google format; Valhalla uses precision 6)
+ * @returns {Array<Array<number>>} [[lat, lng], ...]
+ */
+function decodePolyline(encoded, precision = 5) {
+    const factor = Math.pow(10, precision);
+    const coordinates = [];
+    let index = 0, lat = 0, lng = 0;
+
+    while (index < encoded.length) {
+        for (const axis of ['lat', 'lng']) {
+            let result = 0, shift = 0, byte;
+            do {
+                byte = encoded.charCodeAt(index++) - 63;
+                result |= (byte & 0x1f) << shift;
+                shift += 5;
+            } while (byte >= 0x20);
+
+            const delta = (result & 1) ? ~(result >> 1) : (result >> 1);
+            if (axis === 'lat') lat += delta; else lng += delta;
+        }
+        coordinates.push([lat / factor, lng / factor]);
+    }
+
+    return coordinates;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RoutingProvider,
+        OSRMRoutingProvider,
+        ValhallaRoutingProvider,
+        GraphHopperRoutingProvider,
+        LocalGraphRoutingProvider,
+        DirectRoutingProvider,
+        MockRoutingProvider,
+        decodePolyline
+    };
+}
@@ -31,6 +31,8 @@ class StateManager {
      * @param {string} [config.conflictResolution='LastWriteWins'] - Conflict resolution strategy.
      * @param {boolean} [config.validationEnabled=true] - Whether to enable state validation.
      * @param {boolean} [config.performanceMonitoring=true] - Whether to enable performance monitoring.
+     * @param {string} [config.storageKeyPrefix='pwshGame'] - Prefix of the local storage keys (one per world).
+     * @param {number} [config.maxChangesPerEntity=50] - Change log entries kept per entity (oldest dropped first).
      */
     constructor(config = {}) {
         this.config = {
@@ -43,6 +45,8 @@ class StateManager {
             conflictResolution: 'LastWriteWins', // LastWriteWins, Manual, Merge
             validationEnabled: true,
             performanceMonitoring: true,
+            storageKeyPrefix: 'pwshGame',
+            maxChangesPerEntity: 50,
             ...config
         };
 
@@ -80,8 +84,8 @@ class StateManager {
         // Create local storage keys if they don't exist
         const keys = ['gameState', 'entityStates', 'stateMetrics', 'saveSlots'];
         keys.forEach(key => {
-            if (!localStorage.getItem(`pwshGame_${key}`)) {
-                localStorage.setItem(`pwshGame_${key}`, JSON.stringify({}));
+            if (!localStorage.getItem(`${this.config.storageKeyPrefix}_${key}`)) {
+                localStorage.setItem(`${this.config.storageKeyPrefix}_${key}`, JSON.stringify({}));
             }
         });
     }
@@ -97,7 +101,7 @@ class StateManager {
 
     // Entity state tracking
     registerEntity(entityId, entityType, initialState) {
-        const tracker = new StateChangeTracker(entityId, entityType, initialState);
+        const tracker = new StateChangeTracker(entityId, entityType, initialState, this.config.maxChangesPerEntity);
         this.state.trackers.set(entityId, tracker);
 
         // Update current state
@@ -147,7 +151,7 @@ class StateManager {
 
         try {
             const saveData = this.compileSaveData(additionalData);
-            const saveKey = `pwshGame_save_${saveName}`;
+            const saveKey = `${this.config.storageKeyPrefix}_save_${saveName}`;
 
             // Create backup if save exists
             if (localStorage.getItem(saveKey)) {
@@ -206,7 +210,7 @@ class StateManager {
         const startTime = performance.now();
 
         try {
-            const saveKey = `pwshGame_save_${saveName}`;
+            const saveKey = `${this.config.storageKeyPrefix}_save_${saveName}`;
             let serializedData = localStorage.getItem(saveKey);
 
             if (!serializedData) {
@@ -302,11 +306,11 @@ class StateManager {
 
         Object.keys(saveData.entities).forEach(entityId => {
             const entityData = saveData.entities[entityId];
-            const tracker = new StateChangeTracker(entityId, entityData.entityType, entityData.state);
+            const tracker = new StateChangeTracker(entityId, entityData.entityType, entityData.state, this.config.maxChangesPerEntity);
 
-            // Restore change history
+            // Restore change history (saves from before the cap can hold more than it allows)
             if (entityData.changes) {
-                tracker.changes = [...entityData.changes];
+                tracker.changes = entityData.changes.slice(-tracker.maxChanges);
             }
 
             tracker.lastModified = entityData.lastModified ? new Date(entityData.lastModified) : new Date();
@@ -495,7 +499,7 @@ class StateManager {
 
         try {
             // Save current state
-            localStorage.setItem('pwshGame_gameState', JSON.stringify(this.state.current));
+            localStorage.setItem(`${this.config.storageKeyPrefix}_gameState`, JSON.stringify(this.state.current));
 
             // Save entity states
             const entityStates = {};
@@ -507,10 +511,10 @@ class StateManager {
                     lastModified: tracker.lastModified
                 };
             });
-            localStorage.setItem('pwshGame_entityStates', JSON.stringify(entityStates));
+            localStorage.setItem(`${this.config.storageKeyPrefix}_entityStates`, JSON.stringify(entityStates));
 
             // Save metrics
-            localStorage.setItem('pwshGame_stateMetrics', JSON.stringify(this.metrics));
+            localStorage.setItem(`${this.config.storageKeyPrefix}_stateMetrics`, JSON.stringify(this.metrics));
         }
         catch (error) {
             console.warn('Failed to persist to localStorage:', error);
@@ -522,18 +526,18 @@ class StateManager {
 
         try {
             // Load current state
-            const gameState = localStorage.getItem('pwshGame_gameState');
+            const gameState = localStorage.getItem(`${this.config.storageKeyPrefix}_gameState`);
             if (gameState) {
                 this.state.current = JSON.parse(gameState);
             }
 
             // Load entity states
-            const entityStates = localStorage.getItem('pwshGame_entityStates');
+            const entityStates = localStorage.getItem(`${this.config.storageKeyPrefix}_entityStates`);
             if (entityStates) {
                 const states = JSON.parse(entityStates);
                 Object.keys(states).forEach(entityId => {
                     const entityData = states[entityId];
-                    const tracker = new StateChangeTracker(entityId, entityData.entityType, entityData.state);
+                    const tracker = new StateChangeTracker(entityId, entityData.entityType, entityData.state, this.config.maxChangesPerEntity);
                     tracker.isDirty = entityData.isDirty;
                     tracker.lastModified = new Date(entityData.lastModified);
                     this.state.trackers.set(entityId, tracker);
@@ -541,7 +545,7 @@ class StateManager {
             }
 
             // Load metrics
-            const metrics = localStorage.getItem('pwshGame_stateMetrics');
+            const metrics = localStorage.getItem(`${this.config.storageKeyPrefix}_stateMetrics`);
             if (metrics) {
                 Object.assign(this.metrics, JSON.parse(metrics));
             }
@@ -554,11 +558,11 @@ class StateManager {
     }
 
     createBackup(saveName) {
-        const saveKey = `pwshGame_save_${saveName}`;
+        const saveKey = `${this.config.storageKeyPrefix}_save_${saveName}`;
         const existingData = localStorage.getItem(saveKey);
 
         if (existingData) {
-            const backupKey = `pwshGame_backup_${saveName}_${Date.now()}`;
+            const backupKey = `${this.config.storageKeyPrefix}_backup_${saveName}_${Date.now()}`;
             localStorage.setItem(backupKey, existingData);
 
             // Clean up old backups
@@ -572,7 +576,7 @@ class StateManager {
 
         for (let i = 0; i < localStorage.length; i++) {
             const key = localStorage.key(i);
-            if (key && key.startsWith('pwshGame_backup_')) {
+            if (key && key.startsWith(`${this.config.storageKeyPrefix}_backup_`)) {
                 backupKeys.push(key);
             }
         }
@@ -593,7 +597,7 @@ class StateManager {
     }
 
     updateSaveSlots(saveName, saveData) {
-        const saveSlots = JSON.parse(localStorage.getItem('pwshGame_saveSlots') || '{}');
+        const saveSlots = JSON.parse(localStorage.getItem(`${this.config.storageKeyPrefix}_saveSlots`) || '{}');
 
         saveSlots[saveName] = {
             name: saveName,
@@ -604,20 +608,20 @@ class StateManager {
             metadata: saveData.metadata
         };
 
-        localStorage.setItem('pwshGame_saveSlots', JSON.stringify(saveSlots));
+        localStorage.setItem(`${this.config.storageKeyPrefix}_saveSlots`, JSON.stringify(saveSlots));
     }
 
     getSaveSlots() {
-        return JSON.parse(localStorage.getItem('pwshGame_saveSlots') || '{}');
+        return JSON.parse(localStorage.getItem(`${this.config.storageKeyPrefix}_saveSlots`) || '{}');
     }
 
     deleteSave(saveName) {
-        const saveKey = `pwshGame_save_${saveName}`;
+        const saveKey = `${this.config.storageKeyPrefix}_save_${saveName}`;
         localStorage.removeItem(saveKey);
 
         const saveSlots = this.getSaveSlots();
         delete saveSlots[saveName];
-        localStorage.setItem('pwshGame_saveSlots', JSON.stringify(saveSlots));
+        localStorage.setItem(`${this.config.storageKeyPrefix}_saveSlots`, JSON.stringify(saveSlots));
 
         this.emit('saveDeleted', { saveName, timestamp: new Date() });
     }
@@ -723,12 +727,13 @@ class StateManager {
 
 // State change tracker for JavaScript
 class StateChangeTracker {
-    constructor(entityId, entityType, initialState) {
+    constructor(entityId, entityType, initialState, maxChanges = 50) {
         this.entityId = entityId;
         this.entityType = entityType;
         this.originalState = { ...initialState };
         this.currentState = { ...initialState };
         this.changes = [];
+        this.maxChanges = maxChanges; // Change log holds old and new values, so it is capped
         this.createdAt = new Date();
         this.lastModified = new Date();
         this.isDirty = false;
@@ -746,6 +751,9 @@ class StateChangeTracker {
         };
 
         this.changes.push(change);
+        if (this.changes.length > this.maxChanges) {
+            this.changes.splice(0, this.changes.length - this.maxChanges);
+        }
         this.currentState[property] = newValue;
         this.lastModified = new Date();
         this.isDirty = true;
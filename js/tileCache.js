@@ -0,0 +1,392 @@
+// tileCache.js
+// Offline map tiles: IndexedDB tile cache, area pre-seeding and a local tile folder fallback
+//
+// Cached tile layers look in the cache first, then the network, then a local tile
+// folder (MBTiles-style {z}/{x}/{y}.png directory served by http-server, e.g. Data/Tiles).
+// Tiles are keyed by base map id rather than URL so tile server subdomains share entries.
+// Blobs and their metadata live in separate stores so opening the cache only reads metadata.
+
+class TileCache {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {number} options.maxBytes - Cache size before least recently used tiles are evicted (default: 200 MB)
+     * @param {string} options.dbName - IndexedDB database name (default: 'pwshLeafmapTileCache')
+     */
+    constructor(options = {}) {
+        this.maxBytes = options.maxBytes || 200 * 1024 * 1024;
+        this.dbName = options.dbName || 'pwshLeafmapTileCache';
+
+        this.db = null;
+        this.index = new Map(); // key -> { key, size, lastAccess }, oldest access first
+        this.totalBytes = 0;
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            localHits: 0,
+            failures: 0
+        };
+        this.seeding = null; // { cancelled } while seed() runs
+
+        this.ready = this.open();
+    }
+
+    /**
+     * Open the database and load tile metadata
+     * @returns {Promise<boolean>} True if tiles can be cached
+     */
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            console.log('IndexedDB not available - map tiles will not be cached');
+            return false;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('tiles');
+                    request.result.createObjectStore('meta', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            const meta = await this.request('meta', store => store.getAll());
+            meta.sort((a, b) => a.lastAccess - b.lastAccess).forEach(entry => {
+                this.index.set(entry.key, entry);
+                this.totalBytes += entry.size;
+            });
+
+            console.log(`Tile cache loaded: ${this.index.size} tiles (${(this.totalBytes / 1048576).toFixed(1)} MB)`);
+            return true;
+        } catch (error) {
+            console.warn('Could not open tile cache database - tiles will not be cached:', error);
+            this.db = null;
+            return false;
+        }
+    }
+
+    makeKey(sourceId, coords) {
+        return `${sourceId}/${coords.z}/${coords.x}/${coords.y}`;
+    }
+
+    /**
+     * Look up a cached tile
+     * @returns {Promise<Blob|null>} Tile image, or null on a miss
+     */
+    async get(key) {
+        await this.ready;
+        if (!this.db || !this.index.has(key)) {
+            return null;
+        }
+
+        const blob = await this.request('tiles', store => store.get(key));
+        if (!blob) {
+            this.forget(key);
+            return null;
+        }
+
+        // Move to the most-recently-used end
+        const entry = this.index.get(key);
+        entry.lastAccess = Date.now();
+        this.index.delete(key);
+        this.index.set(key, entry);
+        this.request('meta', store => store.put(entry), 'readwrite').catch(() => {});
+
+        return blob;
+    }
+
+    /**
+     * Store a tile, evicting least recently used tiles over maxBytes
+     */
+    async set(key, blob) {
+        await this.ready;
+        if (!this.db) return;
+
+        this.forget(key);
+        const entry = { key, size: blob.size, lastAccess: Date.now() };
+        this.index.set(key, entry);
+        this.totalBytes += entry.size;
+
+        try {
+            await this.request('tiles', store => store.put(blob, key), 'readwrite');
+            await this.request('meta', store => store.put(entry), 'readwrite');
+        } catch (error) {
+            // Usually the storage quota: drop the entry and make room
+            console.warn('Failed to cache tile:', error);
+            this.forget(key);
+        }
+
+        this.evict();
+    }
+
+    has(key) {
+        return this.index.has(key);
+    }
+
+    evict() {
+        while (this.totalBytes > this.maxBytes && this.index.size > 0) {
+            this.delete(this.index.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.forget(key);
+        if (this.db) {
+            this.request('tiles', store => store.delete(key), 'readwrite').catch(() => {});
+            this.request('meta', store => store.delete(key), 'readwrite').catch(() => {});
+        }
+    }
+
+    /**
+     * Drop a key from the in-memory index only
+     */
+    forget(key) {
+        const entry = this.index.get(key);
+        if (entry) {
+            this.totalBytes -= entry.size;
+            this.index.delete(key);
+        }
+    }
+
+    /**
+     * Remove every cached tile
+     */
+    async clear() {
+        await this.ready;
+        this.index.clear();
+        this.totalBytes = 0;
+
+        if (this.db) {
+            await this.request('tiles', store => store.clear(), 'readwrite');
+            await this.request('meta', store => store.clear(), 'readwrite');
+        }
+    }
+
+    getStatistics() {
+        return {
+            ...this.stats,
+            tiles: this.index.size,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes,
+            persistent: this.db !== null,
+            seeding: this.seeding !== null
+        };
+    }
+
+    /**
+     * Fetch a tile from the network (or local folder) and cache it
+     * @returns {Promise<Blob>} Tile image
+     */
+    async fetchTile(url, key) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Tile request failed (HTTP ${response.status})`);
+        }
+
+        const blob = await response.blob();
+        this.set(key, blob);
+        return blob;
+    }
+
+    /**
+     * Download every tile in a bounding box at the given zoom levels
+     * Tiles already cached are skipped. Only one seed runs at a time.
+     * @param {Object} bounds - { north, south, east, west } (e.g. GameMap.getCurrentBounds())
+     * @param {number[]} zooms - Zoom levels to download
+     * @param {Object} source - Base map config ({ id, url, subdomains, tms })
+     * @param {Object} options - { maxTiles (default: 2000), concurrency (default: 4), onProgress({ done, total, failed }) }
+     * @returns {Promise<Object>} { total, downloaded, skipped, failed, cancelled }
+     */
+    async seed(bounds, zooms, source, options = {}) {
+        await this.ready;
+        if (!this.db) {
+            throw new Error('Tile cache is not available in this browser');
+        }
+        if (this.seeding) {
+            throw new Error('Already downloading tiles');
+        }
+
+        const tiles = [];
+        zooms.forEach(z => tiles.push(...TileCache.tilesInBounds(bounds, z)));
+
+        const maxTiles = options.maxTiles || 2000;
+        if (tiles.length > maxTiles) {
+            throw new Error(`Area needs ${tiles.length} tiles (limit ${maxTiles}) - zoom in or choose fewer levels`);
+        }
+
+        const seeding = { cancelled: false };
+        this.seeding = seeding;
+        const result = { total: tiles.length, downloaded: 0, skipped: 0, failed: 0, cancelled: false };
+        let next = 0;
+
+        const worker = async () => {
+            while (next < tiles.length && !seeding.cancelled) {
+                const coords = tiles[next++];
+                const key = this.makeKey(source.id, coords);
+
+                if (this.has(key)) {
+                    result.skipped++;
+                } else {
+                    try {
+                        await this.fetchTile(TileCache.getTileUrl(source, coords), key);
+                        result.downloaded++;
+                    } catch (error) {
+                        result.failed++;
+                    }
+                }
+
+                if (options.onProgress) {
+                    options.onProgress({
+                        done: result.downloaded + result.skipped + result.failed,
+                        total: result.total,
+                        failed: result.failed
+                    });
+                }
+            }
+        };
+
+        try {
+            const workers = [];
+            for (let i = 0; i < (options.concurrency || 4); i++) {
+                workers.push(worker());
+            }
+            await Promise.all(workers);
+        } finally {
+            this.seeding = null;
+        }
+
+        result.cancelled = seeding.cancelled;
+        console.log(`Tile seeding ${result.cancelled ? 'cancelled' : 'finished'}: ${result.downloaded} downloaded, ${result.skipped} cached, ${result.failed} failed`);
+        return result;
+    }
+
+    cancelSeed() {
+        if (this.seeding) {
+            this.seeding.cancelled = true;
+        }
+    }
+
+    /**
+     * Run a single object-store request
+     */
+    request(storeName, operation, mode = 'readonly') {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Tile coordinates covering a bounding box at one zoom level
+     * @returns {Array} [{ x, y, z }]
+     */
+    static tilesInBounds(bounds, z) {
+        const n = Math.pow(2, z);
+        const tileX = lng => Math.min(n - 1, Math.max(0, Math.floor((lng + 180) / 360 * n)));
+        const tileY = lat => {
+            const rad = lat * Math.PI / 180;
+            const y = Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n);
+            return Math.min(n - 1, Math.max(0, y));
+        };
+
+        const tiles = [];
+        for (let x = tileX(bounds.west); x <= tileX(bounds.east); x++) {
+            for (let y = tileY(bounds.north); y <= tileY(bounds.south); y++) {
+                tiles.push({ x, y, z });
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * Fill a tile URL template ({s}, {x}, {y}, {z}, {r}); tms sources count y from the bottom
+     */
+    static getTileUrl(source, coords) {
+        const subdomains = source.subdomains || 'abc';
+        const y = source.tms ? Math.pow(2, coords.z) - 1 - coords.y : coords.y;
+        return L.Util.template(source.url, {
+            s: subdomains[Math.abs(coords.x + coords.y) % subdomains.length],
+            x: coords.x,
+            y: y,
+            z: coords.z,
+            r: ''
+        });
+    }
+
+    /**
+     * Tile layer that reads through the cache
+     * @param {TileCache} tileCache - Cache to read and fill
+     * @param {string} url - Tile URL template
+     * @param {Object} options - L.TileLayer options plus cacheId (key prefix) and fallbackUrl (local tile folder)
+     */
+    static createTileLayer(tileCache, url, options = {}) {
+        if (!TileCache.CachedTileLayer) {
+            TileCache.CachedTileLayer = L.TileLayer.extend({
+                createTile(coords, done) {
+                    const tile = document.createElement('img');
+                    tile.alt = '';
+                    tile.setAttribute('role', 'presentation');
+
+                    this.loadCachedTile(coords)
+                        .then(blob => {
+                            const objectUrl = URL.createObjectURL(blob);
+                            tile.onload = () => {
+                                URL.revokeObjectURL(objectUrl);
+                                done(null, tile);
+                            };
+                            tile.onerror = () => {
+                                URL.revokeObjectURL(objectUrl);
+                                done(new Error('Cached tile could not be decoded'), tile);
+                            };
+                            tile.src = objectUrl;
+                        })
+                        .catch(error => done(error, tile));
+
+                    return tile;
+                },
+
+                async loadCachedTile(coords) {
+                    const cache = this.options.tileCache;
+                    const key = cache.makeKey(this.options.cacheId, coords);
+
+                    const cached = await cache.get(key);
+                    if (cached) {
+                        cache.stats.hits++;
+                        return cached;
+                    }
+                    cache.stats.misses++;
+
+                    try {
+                        return await cache.fetchTile(this.getTileUrl(coords), key);
+                    } catch (error) {
+                        if (!this.options.fallbackUrl) {
+                            cache.stats.failures++;
+                            throw error;
+                        }
+                    }
+
+                    // Offline: try the local tile folder
+                    const localUrl = TileCache.getTileUrl({ url: this.options.fallbackUrl }, coords);
+                    try {
+                        const blob = await cache.fetchTile(localUrl, key);
+                        cache.stats.localHits++;
+                        return blob;
+                    } catch (error) {
+                        cache.stats.failures++;
+                        throw error;
+                    }
+                }
+            });
+        }
+
+        return new TileCache.CachedTileLayer(url, { ...options, tileCache });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TileCache;
+}
@@ -0,0 +1,340 @@
+// travelHistory.js
+// Travel history: every leg the player travels, a fading breadcrumb trail and journey replay
+//
+// A leg runs from the start of a trip to where it ends, completed or cancelled, and
+// includes any redirects on the way. Points are timestamped (for GPX export and replay)
+// and kept at least 10m apart, but distance is measured over every progress update.
+// Durations are game seconds with pauses left out. The most recent legs persist through
+// the StateManager ('travelHistory' entity) each time a leg is recorded.
+
+class TravelHistory {
+    /**
+     * @param {L.Map} map - Leaflet map
+     * @param {Object} options - Configuration options
+     * @param {StateManager} options.stateManager - Persists the legs (optional)
+     * @param {number} options.timeMultiplier - Game seconds per real second (default: 60)
+     * @param {number} options.maxLegs - Legs kept; the oldest are dropped (default: 200)
+     * @param {number} options.maxSavedLegs - Most recent legs persisted (default: 50)
+     * @param {number} options.trailLegs - Legs drawn in the breadcrumb trail (default: 10)
+     * @param {number} options.minPointSpacing - Meters between stored points (default: 10)
+     * @param {number} options.replayDuration - Real milliseconds a replay takes (default: 8000)
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.stateManager = options.stateManager || null;
+        this.timeMultiplier = options.timeMultiplier || 60;
+        this.maxLegs = options.maxLegs || 200;
+        this.maxSavedLegs = options.maxSavedLegs || 50;
+        this.trailLegs = options.trailLegs || 10;
+        this.minPointSpacing = options.minPointSpacing || 10;
+        this.replayDuration = options.replayDuration || 8000;
+
+        this.legs = [];
+        this.currentLeg = null;  // leg being travelled
+        this.activeSince = null; // Date.now() when the current leg last started or resumed
+        this.lastPosition = null;
+        this.replaying = null;   // { legId, frameId, marker, line }
+        this.legListeners = [];
+
+        // Breadcrumbs in their own group so redrawing them leaves the current leg and replays alone
+        this.layerGroup = L.layerGroup().addTo(map);
+        this.trailLayer = L.layerGroup().addTo(this.layerGroup);
+        this.currentLine = null;
+
+        this.load();
+        this.drawTrail();
+    }
+
+    /**
+     * Start recording a leg
+     * @param {L.LatLng} start - Where the player is
+     * @param {string} travelMode - Travel mode of the trip
+     */
+    startLeg(start, travelMode) {
+        if (this.currentLeg) {
+            this.endLeg(start, true);
+        }
+
+        this.currentLeg = {
+            id: `leg_${Date.now()}`,
+            travelMode: travelMode,
+            startTime: new Date().toISOString(),
+            endTime: null,
+            duration: 0,
+            distance: 0,
+            cancelled: false,
+            points: []
+        };
+        this.activeSince = Date.now();
+        this.lastPosition = null;
+
+        this.currentLine = L.polyline([], {
+            color: TravelHistory.MODE_COLORS[travelMode] || '#00d4ff',
+            weight: 3,
+            opacity: 0.8,
+            dashArray: '4, 6',
+            interactive: false
+        }).addTo(this.layerGroup);
+
+        if (start) {
+            this.recordPoint(start, true);
+        }
+    }
+
+    /**
+     * Add a position to the current leg
+     * @param {L.LatLng} latLng - Player position
+     * @param {boolean} force - Store it even if it is close to the previous point
+     */
+    recordPoint(latLng, force = false) {
+        const leg = this.currentLeg;
+        if (!leg) return;
+
+        const position = L.latLng(latLng.lat, latLng.lng);
+        if (this.lastPosition) {
+            leg.distance += this.lastPosition.distanceTo(position);
+        }
+        this.lastPosition = position;
+
+        const last = leg.points[leg.points.length - 1];
+        if (last && !force && position.distanceTo([last.lat, last.lng]) < this.minPointSpacing) {
+            return;
+        }
+
+        leg.points.push({ lat: position.lat, lng: position.lng, time: new Date().toISOString() });
+        this.currentLine.addLatLng(position);
+    }
+
+    /**
+     * Stop counting time while the player is paused
+     */
+    pause() {
+        if (!this.currentLeg || this.activeSince === null) return;
+        this.currentLeg.duration += ((Date.now() - this.activeSince) / 1000) * this.timeMultiplier;
+        this.activeSince = null;
+    }
+
+    resume() {
+        if (!this.currentLeg || this.activeSince !== null) return;
+        this.activeSince = Date.now();
+    }
+
+    /**
+     * Finish the current leg and add it to the history
+     * @param {L.LatLng} end - Where the player stopped
+     * @param {boolean} cancelled - True if the trip was stopped before arriving
+     * @returns {Object|null} The recorded leg
+     */
+    endLeg(end, cancelled = false) {
+        const leg = this.currentLeg;
+        if (!leg) return null;
+
+        if (end) {
+            this.recordPoint(end, true);
+        }
+        this.pause();
+
+        leg.endTime = new Date().toISOString();
+        leg.duration = Math.round(leg.duration);
+        leg.distance = Math.round(leg.distance);
+        leg.cancelled = cancelled;
+        this.currentLeg = null;
+        if (this.currentLine) {
+            this.layerGroup.removeLayer(this.currentLine);
+            this.currentLine = null;
+        }
+
+        // A click that went nowhere isn't a leg
+        if (leg.points.length < 2 || leg.distance === 0) {
+            this.drawTrail();
+            return null;
+        }
+
+        this.legs.push(leg);
+        if (this.legs.length > this.maxLegs) {
+            this.legs.splice(0, this.legs.length - this.maxLegs);
+        }
+
+        console.log(`Leg recorded: ${leg.distance}m by ${leg.travelMode}${cancelled ? ' (cancelled)' : ''}`);
+        this.save();
+        this.drawTrail();
+        this.legListeners.forEach(callback => callback(leg));
+        return leg;
+    }
+
+    /**
+     * Register a callback for recorded legs
+     * @param {Function} callback - (leg) => void
+     */
+    onLegRecorded(callback) {
+        this.legListeners.push(callback);
+    }
+
+    getLeg(legId) {
+        return this.legs.find(leg => leg.id === legId) || null;
+    }
+
+    /**
+     * Legs newest first
+     * @param {number} limit - Maximum number of legs (optional)
+     */
+    getRecentLegs(limit = null) {
+        const legs = this.legs.slice().reverse();
+        return limit ? legs.slice(0, limit) : legs;
+    }
+
+    getTotalDistance() {
+        return this.legs.reduce((total, leg) => total + leg.distance, 0);
+    }
+
+    /**
+     * Legs in the { travelMode, points } form GeoFormats exports
+     */
+    getTrackSegments() {
+        const legs = this.currentLeg ? [...this.legs, this.currentLeg] : this.legs;
+        return legs.map(leg => ({ travelMode: leg.travelMode, points: leg.points }));
+    }
+
+    /**
+     * Redraw the breadcrumb trail: recent legs, older ones more faded
+     */
+    drawTrail() {
+        this.trailLayer.clearLayers();
+
+        const recent = this.legs.slice(-this.trailLegs);
+        recent.forEach((leg, index) => {
+            const age = recent.length - 1 - index; // 0 = newest
+            L.polyline(leg.points.map(point => [point.lat, point.lng]), {
+                color: TravelHistory.MODE_COLORS[leg.travelMode] || '#00d4ff',
+                weight: 3,
+                opacity: Math.max(0.1, 0.7 * (1 - age / this.trailLegs)),
+                dashArray: '4, 6',
+                interactive: false
+            }).addTo(this.trailLayer);
+        });
+    }
+
+    /**
+     * Play a past leg back on the map, compressed to replayDuration
+     * Recorded point times are kept, so stops and slow stretches show up in the replay.
+     * @returns {boolean} False if there is no such leg
+     */
+    replay(legId, onFinish = null) {
+        const leg = this.getLeg(legId);
+        if (!leg) return false;
+        this.stopReplay();
+
+        const latLngs = leg.points.map(point => L.latLng(point.lat, point.lng));
+        const times = leg.points.map(point => Date.parse(point.time));
+        const span = Math.max(1, times[times.length - 1] - times[0]);
+
+        const line = L.polyline(latLngs, {
+            color: '#f39c12',
+            weight: 5,
+            opacity: 0.9,
+            interactive: false
+        }).addTo(this.layerGroup);
+        const marker = L.circleMarker(latLngs[0], {
+            radius: 7,
+            color: '#fff',
+            weight: 2,
+            fillColor: '#f39c12',
+            fillOpacity: 1,
+            interactive: false
+        }).addTo(this.layerGroup);
+        this.map.fitBounds(line.getBounds().pad(0.2));
+
+        const requestFrame = typeof requestAnimationFrame === 'function'
+            ? requestAnimationFrame
+            : (callback) => setTimeout(() => callback(Date.now()), 16);
+        const startedAt = Date.now();
+        let index = 0;
+
+        const frame = () => {
+            const fraction = Math.min(1, (Date.now() - startedAt) / this.replayDuration);
+            const time = times[0] + fraction * span;
+
+            while (index < times.length - 2 && times[index + 1] < time) {
+                index++;
+            }
+            const segment = Math.max(1, times[index + 1] - times[index]);
+            const t = Math.min(1, Math.max(0, (time - times[index]) / segment));
+            const a = latLngs[index];
+            const b = latLngs[index + 1];
+            marker.setLatLng([a.lat + (b.lat - a.lat) * t, a.lng + (b.lng - a.lng) * t]);
+
+            if (fraction >= 1) {
+                this.stopReplay();
+                if (onFinish) onFinish(leg);
+                return;
+            }
+            this.replaying.frameId = requestFrame(frame);
+        };
+
+        this.replaying = { legId, marker, line, frameId: requestFrame(frame) };
+        return true;
+    }
+
+    stopReplay() {
+        if (!this.replaying) return;
+
+        const cancelFrame = typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame : clearTimeout;
+        cancelFrame(this.replaying.frameId);
+        this.layerGroup.removeLayer(this.replaying.marker);
+        this.layerGroup.removeLayer(this.replaying.line);
+        this.replaying = null;
+    }
+
+    /**
+     * Forget all legs (new game)
+     */
+    clear() {
+        this.stopReplay();
+        if (this.currentLine) {
+            this.layerGroup.removeLayer(this.currentLine);
+        }
+        this.legs = [];
+        this.currentLeg = null;
+        this.currentLine = null;
+        this.save();
+        this.drawTrail();
+    }
+
+    /**
+     * Persist the most recent legs through the StateManager
+     * Only the last maxSavedLegs legs are saved, as a copy: the StateManager keeps the value
+     * (and its change log the previous one), so recording into the live legs must not alter it.
+     */
+    save() {
+        if (!this.stateManager) return;
+
+        const legs = this.legs.slice(-this.maxSavedLegs).map(leg => ({ ...leg, points: leg.points.slice() }));
+        if (!this.stateManager.state.trackers.has('travelHistory')) {
+            this.stateManager.registerEntity('travelHistory', 'TravelHistory', { legs });
+            return;
+        }
+        this.stateManager.updateEntityState('travelHistory', 'legs', legs);
+    }
+
+    load() {
+        if (!this.stateManager) return;
+
+        const state = this.stateManager.getEntityState('travelHistory');
+        if (Array.isArray(state.legs)) {
+            this.legs = state.legs.slice(-this.maxLegs);
+        }
+    }
+}
+
+TravelHistory.MODE_COLORS = {
+    foot: '#00d4ff',
+    car: '#e67e22',
+    motorcycle: '#e74c3c',
+    van: '#9b59b6',
+    aerial: '#2ecc71'
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TravelHistory;
+}
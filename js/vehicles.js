@@ -0,0 +1,358 @@
+// vehicles.js
+// Vehicle profiles for the motorised travel modes: fuel, running costs and wear
+//
+// Each vehicle is an Item (datamodels.js) so wear uses Item durability; fuel and
+// credits persist through the StateManager ('vehicles' and 'player' entities).
+
+class VehicleManager {
+    /**
+     * @param {Object} options - Configuration options
+     * @param {StateManager} options.stateManager - Persists fuel, durability and credits (optional)
+     * @param {EventManager} options.eventManager - Receives vehicle.* events (optional)
+     * @param {Object} options.profiles - Travel mode -> profile overrides (see DEFAULT_PROFILES)
+     * @param {number} options.credits - Starting credits when nothing is saved (default: 100, as Player.Currency)
+     */
+    constructor(options = {}) {
+        this.stateManager = options.stateManager || null;
+        this.eventManager = options.eventManager || null;
+        this.profiles = { ...VehicleManager.DEFAULT_PROFILES, ...(options.profiles || {}) };
+        this.credits = options.credits !== undefined ? options.credits : 100;
+        this.vehicles = new Map(); // travelMode -> { fuel, item }
+
+        Object.keys(this.profiles).forEach(mode => {
+            const profile = this.profiles[mode];
+            this.vehicles.set(mode, {
+                fuel: profile.fuelCapacity,
+                item: this.createVehicleItem(mode, profile)
+            });
+        });
+
+        this.load();
+    }
+
+    createVehicleItem(mode, profile) {
+        const data = {
+            Name: profile.name,
+            ItemType: 'Vehicle',
+            Durability: profile.maxDurability,
+            MaxDurability: profile.maxDurability,
+            Metadata: { travelMode: mode }
+        };
+
+        // Outside the main page datamodels.js may not be loaded: keep a durability-only stand-in
+        if (typeof Item !== 'undefined') {
+            return new Item(data);
+        }
+        return {
+            ...data,
+            damageItem(amount) { this.Durability = Math.max(this.Durability - amount, 0); },
+            repairItem() { this.Durability = this.MaxDurability; },
+            isBroken() { return this.Durability === 0; }
+        };
+    }
+
+    /**
+     * Profile for a travel mode, or null when the mode needs no vehicle (on foot)
+     */
+    getProfile(travelMode) {
+        return this.profiles[travelMode] || null;
+    }
+
+    getVehicle(travelMode) {
+        return this.vehicles.get(travelMode) || null;
+    }
+
+    /**
+     * Fuel, credits and breakdown risk for a path
+     * @returns {Object} { fuel, credits, breakdownChance } (all 0 on foot)
+     */
+    estimateTrip(path) {
+        const profile = this.getProfile(path.travelMode);
+        if (!profile) {
+            return { fuel: 0, credits: 0, breakdownChance: 0 };
+        }
+
+        const km = path.distance / 1000;
+        const perKm = this.getBreakdownChancePerKm(path.travelMode);
+        return {
+            fuel: km * profile.consumptionPerKm,
+            credits: km * profile.costPerKm,
+            breakdownChance: 1 - Math.pow(1 - perKm, km)
+        };
+    }
+
+    /**
+     * Check whether the player can afford a trip
+     * @returns {Object} { ok, reason, estimate }
+     */
+    checkTrip(path) {
+        const estimate = this.estimateTrip(path);
+        const vehicle = this.getVehicle(path.travelMode);
+
+        if (!vehicle) {
+            return { ok: true, reason: null, estimate };
+        }
+
+        const profile = this.getProfile(path.travelMode);
+        let reason = null;
+
+        if (vehicle.item.isBroken()) {
+            reason = `${profile.name} is broken down - repair it first`;
+        } else if (vehicle.fuel < estimate.fuel) {
+            reason = `Not enough ${profile.fuelUnit === 'kWh' ? 'charge' : 'fuel'}: need ${estimate.fuel.toFixed(1)}${profile.fuelUnit}, have ${vehicle.fuel.toFixed(1)}${profile.fuelUnit}`;
+        } else if (this.credits < estimate.credits) {
+            reason = `Not enough credits: need ${Math.ceil(estimate.credits)}, have ${Math.floor(this.credits)}`;
+        }
+
+        return { ok: reason === null, reason, estimate };
+    }
+
+    /**
+     * Use fuel, credits and durability for distance travelled
+     * Called as the player moves, so a breakdown can strike mid-trip.
+     * @param {string} travelMode - Travel mode
+     * @param {number} meters - Distance travelled since the last call
+     * @returns {string} 'ok', 'outOfFuel', 'noCredits' or 'breakdown'
+     */
+    consume(travelMode, meters) {
+        const profile = this.getProfile(travelMode);
+        const vehicle = this.getVehicle(travelMode);
+        if (!profile || !vehicle || meters <= 0) {
+            return 'ok';
+        }
+
+        const km = meters / 1000;
+        const fuel = km * profile.consumptionPerKm;
+        const cost = km * profile.costPerKm;
+
+        if (vehicle.fuel < fuel) {
+            vehicle.fuel = 0;
+            this.emit('vehicle.outOfFuel', { travelMode });
+            return 'outOfFuel';
+        }
+        if (this.credits < cost) {
+            this.emit('vehicle.outOfCredits', { travelMode, credits: this.credits });
+            return 'noCredits';
+        }
+
+        vehicle.fuel -= fuel;
+        this.credits -= cost;
+
+        const breakdownChance = 1 - Math.pow(1 - this.getBreakdownChancePerKm(travelMode), km);
+        vehicle.item.damageItem(km * profile.wearPerKm);
+
+        if (Math.random() < breakdownChance || vehicle.item.isBroken()) {
+            // A breakdown costs a chunk of durability on top of normal wear
+            vehicle.item.damageItem(profile.breakdownDamage);
+            this.emit('vehicle.breakdown', {
+                travelMode,
+                durability: vehicle.item.Durability
+            });
+            return 'breakdown';
+        }
+
+        return 'ok';
+    }
+
+    /**
+     * Breakdown probability per km: base chance at full durability, rising as the vehicle wears
+     */
+    getBreakdownChancePerKm(travelMode) {
+        const profile = this.getProfile(travelMode);
+        const vehicle = this.getVehicle(travelMode);
+        if (!profile || !vehicle) return 0;
+
+        const wear = 1 - vehicle.item.Durability / vehicle.item.MaxDurability;
+        return Math.min(1, profile.breakdownChancePerKm * (1 + wear * 9));
+    }
+
+    /**
+     * Buy fuel for a vehicle
+     * @param {string} travelMode - Vehicle to refuel
+     * @param {number} amount - Fuel units to buy (default: fill up as far as credits allow)
+     * @returns {Object} { fuel, cost } bought
+     */
+    refuel(travelMode, amount = null) {
+        const profile = this.getProfile(travelMode);
+        const vehicle = this.getVehicle(travelMode);
+        if (!profile || !vehicle) {
+            return { fuel: 0, cost: 0 };
+        }
+
+        const wanted = Math.min(
+            amount !== null ? amount : Infinity,
+            profile.fuelCapacity - vehicle.fuel,
+            this.credits / profile.fuelPrice
+        );
+        const fuel = Math.max(0, wanted);
+        const cost = fuel * profile.fuelPrice;
+
+        vehicle.fuel += fuel;
+        this.credits -= cost;
+        this.save();
+
+        this.emit('vehicle.refuelled', { travelMode, fuel, cost });
+        return { fuel, cost };
+    }
+
+    /**
+     * Repair a vehicle to full durability
+     * @returns {Object} { repaired, cost, reason }
+     */
+    repair(travelMode) {
+        const profile = this.getProfile(travelMode);
+        const vehicle = this.getVehicle(travelMode);
+        if (!profile || !vehicle) {
+            return { repaired: false, cost: 0, reason: 'No vehicle for this travel mode' };
+        }
+
+        const cost = (vehicle.item.MaxDurability - vehicle.item.Durability) * profile.repairCostPerPoint;
+        if (cost > this.credits) {
+            return { repaired: false, cost, reason: `Repair costs ${Math.ceil(cost)} credits` };
+        }
+
+        vehicle.item.repairItem();
+        this.credits -= cost;
+        this.save();
+
+        this.emit('vehicle.repaired', { travelMode, cost });
+        return { repaired: true, cost, reason: null };
+    }
+
+    addCredits(amount) {
+        this.credits += amount;
+        this.save();
+    }
+
+    /**
+     * Display summary for a travel mode
+     * @returns {Object|null} { name, fuel, fuelCapacity, fuelUnit, durability, maxDurability, credits }
+     */
+    getStatus(travelMode) {
+        const profile = this.getProfile(travelMode);
+        const vehicle = this.getVehicle(travelMode);
+        if (!profile || !vehicle) return null;
+
+        return {
+            name: profile.name,
+            fuel: vehicle.fuel,
+            fuelCapacity: profile.fuelCapacity,
+            fuelUnit: profile.fuelUnit,
+            durability: vehicle.item.Durability,
+            maxDurability: vehicle.item.MaxDurability,
+            credits: this.credits
+        };
+    }
+
+    /**
+     * Persist fuel, durability and credits through the StateManager
+     */
+    save() {
+        if (!this.stateManager) return;
+
+        const state = {};
+        this.vehicles.forEach((vehicle, mode) => {
+            state[mode] = { fuel: vehicle.fuel, durability: vehicle.item.Durability };
+        });
+
+        this.saveEntity('vehicles', 'VehicleFleet', state);
+        this.saveEntity('player', 'Player', { Currency: this.credits });
+    }
+
+    saveEntity(entityId, entityType, values) {
+        if (!this.stateManager.state.trackers.has(entityId)) {
+            this.stateManager.registerEntity(entityId, entityType, values);
+            return;
+        }
+        Object.keys(values).forEach(property => {
+            this.stateManager.updateEntityState(entityId, property, values[property]);
+        });
+    }
+
+    load() {
+        if (!this.stateManager) return;
+
+        const vehicles = this.stateManager.getEntityState('vehicles');
+        Object.keys(vehicles).forEach(mode => {
+            const vehicle = this.getVehicle(mode);
+            if (!vehicle) return;
+            vehicle.fuel = Math.min(vehicles[mode].fuel, this.profiles[mode].fuelCapacity);
+            vehicle.item.Durability = vehicles[mode].durability;
+        });
+
+        const player = this.stateManager.getEntityState('player');
+        if (typeof player.Currency === 'number') {
+            this.credits = player.Currency;
+        }
+    }
+
+    emit(eventType, data) {
+        if (this.eventManager) {
+            this.eventManager.emit(eventType, data);
+        }
+    }
+}
+
+/**
+ * Default profiles. Units per km; fuelPrice and costs in credits.
+ * costPerKm covers tolls, parking and maintenance on top of fuel.
+ */
+VehicleManager.DEFAULT_PROFILES = {
+    car: {
+        name: 'Car',
+        fuelUnit: 'L',
+        fuelCapacity: 50,
+        consumptionPerKm: 0.08,
+        fuelPrice: 2,
+        costPerKm: 0.5,
+        maxDurability: 100,
+        wearPerKm: 0.2,
+        breakdownChancePerKm: 0.001,
+        breakdownDamage: 10,
+        repairCostPerPoint: 1
+    },
+    motorcycle: {
+        name: 'Motorcycle',
+        fuelUnit: 'L',
+        fuelCapacity: 15,
+        consumptionPerKm: 0.04,
+        fuelPrice: 2,
+        costPerKm: 0.25,
+        maxDurability: 80,
+        wearPerKm: 0.3,
+        breakdownChancePerKm: 0.002,
+        breakdownDamage: 10,
+        repairCostPerPoint: 0.8
+    },
+    van: {
+        name: 'Van',
+        fuelUnit: 'L',
+        fuelCapacity: 80,
+        consumptionPerKm: 0.12,
+        fuelPrice: 2,
+        costPerKm: 0.8,
+        maxDurability: 120,
+        wearPerKm: 0.15,
+        breakdownChancePerKm: 0.0015,
+        breakdownDamage: 12,
+        repairCostPerPoint: 1.2
+    },
+    aerial: {
+        name: 'Drone',
+        fuelUnit: 'kWh',
+        fuelCapacity: 30,
+        consumptionPerKm: 0.25,
+        fuelPrice: 1,
+        costPerKm: 2,
+        maxDurability: 60,
+        wearPerKm: 0.4,
+        breakdownChancePerKm: 0.003,
+        breakdownDamage: 15,
+        repairCostPerPoint: 2
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VehicleManager;
+}
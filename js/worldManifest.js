@@ -0,0 +1,115 @@
+// worldManifest.js
+// The playable cities/maps listed in Data/Worlds/worlds.json
+//
+// Each world has an id, a display name, the city name PowerShell generates data for,
+// a centre and bounds ([[south, west], [north, east]]), zoom limits and the game data
+// file its locations are loaded from. A world may also name a road network file (roads,
+// GeoJSON or OSM JSON) for offline routing; worlds without one route with OSRM or in
+// straight lines. The chosen world is remembered in local storage (a ?world=<id> URL
+// parameter overrides it) and is known before the manifest loads, because each world
+// keeps its own StateManager saves under its own storage prefix.
+
+class WorldManifest {
+    constructor() {
+        this.worlds = WorldManifest.FALLBACK_MANIFEST.worlds.slice();
+    }
+
+    /**
+     * Load the manifest, keeping the built-in New York world if it can't be read
+     * @param {string} url - Manifest file (default: WorldManifest.MANIFEST_PATH)
+     * @returns {Promise<Array>} The worlds
+     */
+    async load(url = WorldManifest.MANIFEST_PATH) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const manifest = await response.json();
+            const worlds = (manifest.worlds || []).filter(world => WorldManifest.isValidWorld(world));
+            if (worlds.length === 0) {
+                throw new Error('No valid worlds in manifest');
+            }
+            this.worlds = worlds;
+            console.log(`World manifest loaded: ${worlds.map(world => world.name).join(', ')}`);
+        } catch (error) {
+            console.warn(`Could not load world manifest ${url}:`, error.message);
+        }
+        return this.worlds;
+    }
+
+    getWorld(worldId) {
+        return this.worlds.find(world => world.id === worldId) || null;
+    }
+
+    /**
+     * The world to play: the requested one if the manifest has it, else the first world
+     */
+    resolve(worldId) {
+        return this.getWorld(worldId) || this.getWorld(WorldManifest.DEFAULT_WORLD_ID) || this.worlds[0];
+    }
+
+    static isValidWorld(world) {
+        return !!world && typeof world.id === 'string' && !!world.dataFile &&
+            Array.isArray(world.bounds) && world.bounds.length === 2;
+    }
+
+    /**
+     * Id of the chosen world: ?world=<id>, then the remembered choice, then the default
+     */
+    static getSelectedWorldId() {
+        const params = typeof window !== 'undefined' ? new URLSearchParams(window.location.search) : null;
+        const fromUrl = params ? params.get('world') : null;
+        if (fromUrl) {
+            return fromUrl;
+        }
+        return localStorage.getItem(WorldManifest.SELECTION_KEY) || WorldManifest.DEFAULT_WORLD_ID;
+    }
+
+    /**
+     * Remember a world as the one to play
+     */
+    static select(worldId) {
+        localStorage.setItem(WorldManifest.SELECTION_KEY, worldId);
+    }
+
+    /**
+     * StateManager storage prefix for a world's saves
+     * The default world keeps the original 'pwshGame' keys, so saves from before
+     * worlds existed carry over. Other worlds use 'pwshGame:<encoded id>:': the colon
+     * never follows 'pwshGame' in those keys and can't occur in an encoded id, so no
+     * world id or save name can produce another world's key.
+     */
+    static storagePrefix(worldId) {
+        return worldId === WorldManifest.DEFAULT_WORLD_ID
+            ? 'pwshGame'
+            : `pwshGame:${encodeURIComponent(worldId)}:`;
+    }
+}
+
+WorldManifest.MANIFEST_PATH = 'Data/Worlds/worlds.json';
+WorldManifest.SELECTION_KEY = 'pwshGame_world';
+WorldManifest.DEFAULT_WORLD_ID = 'newyork';
+
+// Used when Data/Worlds/worlds.json can't be loaded
+WorldManifest.FALLBACK_MANIFEST = {
+    worlds: [
+        {
+            id: 'newyork',
+            name: 'New York',
+            city: 'New York',
+            center: [40.7128, -74.0060],
+            bounds: [[40.4774, -74.2591], [40.9176, -73.7004]],
+            minZoom: 10,
+            maxZoom: 18,
+            dataFile: 'gamedata.json',
+            roads: 'Data/Maps/roads.geojson'
+        }
+    ]
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorldManifest;
+}